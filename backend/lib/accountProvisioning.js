@@ -0,0 +1,270 @@
+const crypto = require('crypto');
+const { runProvisioning } = require('./provisioning');
+
+/**
+ * Creates and sets up a Nextcloud account: existence check, the user itself,
+ * groups, quota and language. Shared by POST /api/nextcloud/user and
+ * scripts/bulk-provision.js, so both apply the same checks and steps.
+ *
+ * username is the RZ username; the account gets the Nextcloud ID from
+ * usernameMapping (or the nextcloudUsername passed in), which is recorded
+ * once the account exists. Every result carries that nextcloudUsername.
+ * Guests invited with a code (guest: true) pass their guest ID as both.
+ *
+ * With managedGroups the admin account is only group admin of these groups
+ * (see lib/nextcloudAccount): the user is created right in its managed
+ * groups, as Nextcloud requires from group admins, groups are never created
+ * and a group outside managedGroups fails its step.
+ *
+ * An account whose setup failed half-way is parked in provisioningState
+ * (keyed by the Nextcloud ID) and resumed by the next attempt (see
+ * lib/provisioning). provision() resolves to { status, ... } where status is one of
+ *   'created'      created and set up (resumed: an earlier attempt was finished), with onboarding
+ *   'exists'       an account of this user that is not pending exists already
+ *   'collision'    the Nextcloud ID belongs to someone else ({ reason }, see lib/usernameMapping)
+ *   'planned'      dry run only: { resumed, steps } that would run
+ *   'config_error' Nextcloud rejected the admin credentials
+ *   'rejected'     Nextcloud refused to create the user ({ message, ocsStatusCode })
+ *   'rolled_back'  a setup step failed and was undone ({ failedStep })
+ *   'pending'      a setup step failed and the account was parked ({ failedStep })
+ * Unreachable upstreams are thrown as UpstreamErrors.
+ */
+
+const USERNAME_PATTERN = /^[a-zA-Z0-9._-]+$/;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Returns { valid: true } or { valid: false, code, message } with the code of the API's 400 answers
+const validateAccountData = ({ username, email }) => {
+    if (!username || !email) {
+        return { valid: false, code: 'USERNAME_AND_EMAIL_REQUIRED', message: 'Username and email are required' };
+    }
+    if (typeof username !== 'string' || !USERNAME_PATTERN.test(username)) {
+        return { valid: false, code: 'INVALID_USERNAME_FORMAT', message: 'Username contains invalid characters' };
+    }
+    if (typeof email !== 'string' || !EMAIL_PATTERN.test(email)) {
+        return { valid: false, code: 'INVALID_EMAIL', message: 'Invalid email address' };
+    }
+    return { valid: true };
+};
+
+const createAccountProvisioner = ({ nextcloud, provisioningState, usernameMapping, onFailure = 'rollback', adminUser, managedGroups, onboarding, logger }) => {
+    const { ocsRequest, addUserToGroup, removeUserFromGroup, editUserField, createGroup, deleteUser } = nextcloud;
+
+    // Helper function to create the Nextcloud user itself; a group admin has to name its groups
+    const createUser = async (username, email, displayName, groups, loginPassword) => {
+        logger.debug('Creating user in Nextcloud', { username, email });
+
+        const params = [['userid', username], ['email', email]];
+        if (displayName) {
+            params.push(['displayName', displayName]);
+        }
+        if (loginPassword) {
+            params.push(['password', loginPassword]);
+        }
+        if (managedGroups) {
+            groups.filter((group) => managedGroups.includes(group)).forEach((group) => params.push(['groups[]', group]));
+        }
+
+        const nextcloudResponse = await ocsRequest('POST', '/cloud/users', params);
+
+        if (nextcloudResponse.httpStatus === 401 || nextcloudResponse.ocsStatusCode === 997) {
+            logger.error('Nextcloud authentication failed during user creation', {
+                username,
+                httpStatus: nextcloudResponse.httpStatus,
+                ocsStatusCode: nextcloudResponse.ocsStatusCode,
+                adminUser
+            });
+            return { success: false, status: 'config_error', message: 'Invalid Nextcloud admin credentials' };
+        }
+
+        logger.debug('User creation response', {
+            username,
+            httpStatus: nextcloudResponse.httpStatus,
+            ocsStatus: nextcloudResponse.ocsStatus,
+            ocsStatusCode: nextcloudResponse.ocsStatusCode,
+            ocsMessage: nextcloudResponse.ocsMessage
+        });
+
+        // OCS status code 100 or 200 means success
+        if (nextcloudResponse.ok) {
+            logger.info('User created successfully in Nextcloud', { username, email });
+            return { success: true };
+        }
+
+        logger.error('Failed to create user in Nextcloud', {
+            username,
+            ocsStatus: nextcloudResponse.ocsStatus,
+            ocsStatusCode: nextcloudResponse.ocsStatusCode,
+            ocsMessage: nextcloudResponse.ocsMessage
+        });
+        return {
+            success: false,
+            status: 'rejected',
+            message: nextcloudResponse.ocsMessage || 'Failed to create user in Nextcloud',
+            ocsStatusCode: nextcloudResponse.ocsStatusCode
+        };
+    };
+
+    const provision = async ({ username: rzUsername, nextcloudUsername, guest = false, email, displayName, groups = [], quota, language }, { dryRun = false } = {}) => {
+        // Everything below works on the Nextcloud account
+        const username = nextcloudUsername || usernameMapping.resolve(rzUsername);
+
+        // Check if user already exists
+        logger.debug('Checking if user exists in Nextcloud', { username, rzUsername });
+        const userCheckResponse = await ocsRequest('GET', `/cloud/users/${encodeURIComponent(username)}`);
+
+        if (userCheckResponse.httpStatus === 401) {
+            logger.error('Nextcloud authentication failed - invalid admin credentials', {
+                username,
+                httpStatus: userCheckResponse.httpStatus,
+                adminUser
+            });
+            return { status: 'config_error', nextcloudUsername: username };
+        }
+
+        logger.debug('User check response', {
+            username,
+            httpStatus: userCheckResponse.httpStatus,
+            ocsStatus: userCheckResponse.ocsStatus,
+            ocsStatusCode: userCheckResponse.ocsStatusCode,
+            ocsMessage: userCheckResponse.ocsMessage
+        });
+
+        // If OCS status code is 100 or 200, user exists
+        // If OCS status code is 404 or 998, user doesn't exist - proceed with creation
+        const userExists = userCheckResponse.ok;
+
+        // Never touch an account the portal did not create for this user
+        const collision = usernameMapping.findCollision(rzUsername, username, { exists: userExists, guest });
+        if (collision) {
+            logger.warn('Nextcloud username collides with another account', { rzUsername, username, reason: collision });
+            return { status: 'collision', nextcloudUsername: username, reason: collision };
+        }
+
+        // An existing account is only acceptable if an earlier attempt left it pending
+        const pendingState = provisioningState.get(username);
+        if (userExists && !pendingState) {
+            logger.warn('User already exists in Nextcloud', { username });
+            return { status: 'exists', nextcloudUsername: username };
+        }
+
+        // Only needed for the onboarding, never stored or logged
+        const loginPassword = onboarding?.needsLogin ? crypto.randomBytes(24).toString('base64url') : undefined;
+
+        const steps = [
+            {
+                name: 'create-user',
+                run: () => createUser(username, email, displayName, groups, loginPassword),
+                compensate: () => deleteUser(username)
+            },
+            ...groups.map((group) => ({
+                name: `group:${group}`,
+                run: async () => {
+                    if (managedGroups) {
+                        return managedGroups.includes(group)
+                            ? addUserToGroup(username, group)
+                            : { success: false, message: `Group ${group} is not one of the managed groups` };
+                    }
+                    const createResult = await createGroup(group);
+                    if (!createResult.success) {
+                        return createResult;
+                    }
+                    return addUserToGroup(username, group);
+                },
+                compensate: () => removeUserFromGroup(username, group)
+            })),
+            quota && {
+                name: 'quota',
+                run: () => editUserField(username, 'quota', quota)
+            },
+            language && {
+                name: 'language',
+                run: () => editUserField(username, 'language', language)
+            }
+        ].filter(Boolean);
+
+        const completedSteps = userExists ? pendingState.completedSteps : [];
+
+        if (dryRun) {
+            return {
+                status: 'planned',
+                nextcloudUsername: username,
+                resumed: userExists,
+                steps: steps.map((step) => step.name).filter((name) => !completedSteps.includes(name))
+            };
+        }
+
+        if (!userExists && pendingState) {
+            // The half-provisioned account was removed in the meantime - start over
+            logger.info('Discarding pending provisioning state of missing user', { username });
+            await provisioningState.delete(username);
+        }
+
+        if (userExists) {
+            logger.info('Resuming pending provisioning', { username, completedSteps, failedStep: pendingState.failedStep });
+        } else {
+            logger.debug('User does not exist, proceeding with creation', { username, email });
+        }
+
+        const provisioning = await runProvisioning({
+            steps,
+            completedSteps,
+            onFailure,
+            logger,
+            context: { username }
+        });
+
+        // From here on the account exists (unless it was rolled back) and belongs to the user
+        if (provisioning.status !== 'rolled_back' && provisioning.completedSteps.includes('create-user')) {
+            await usernameMapping.record(rzUsername, username, { guest });
+        }
+
+        if (provisioning.status === 'completed') {
+            await provisioningState.delete(username);
+            logger.info('User provisioned successfully in Nextcloud', { username, email, resumed: userExists });
+            return {
+                status: 'created',
+                nextcloudUsername: username,
+                resumed: userExists,
+                addedGroups: groups.filter((group) => provisioning.completedSteps.includes(`group:${group}`)),
+                // A resumed account was created by an earlier attempt, its one-time password is gone
+                onboarding: onboarding && await onboarding.run({ username, loginPassword: userExists ? undefined : loginPassword })
+            };
+        }
+
+        // Creating the user itself failed - nothing was changed
+        if (provisioning.failedStep === 'create-user' && provisioning.failure.status) {
+            return {
+                status: provisioning.failure.status,
+                nextcloudUsername: username,
+                message: provisioning.failure.message,
+                ocsStatusCode: provisioning.failure.ocsStatusCode
+            };
+        }
+
+        if (provisioning.status === 'rolled_back') {
+            await provisioningState.delete(username);
+            logger.error('Provisioning failed and was rolled back', { username, failedStep: provisioning.failedStep });
+            return { status: 'rolled_back', nextcloudUsername: username, failedStep: provisioning.failedStep, message: provisioning.failure.message };
+        }
+
+        await provisioningState.set(username, {
+            status: 'pending',
+            rzUsername,
+            completedSteps: provisioning.completedSteps,
+            failedStep: provisioning.failedStep,
+            error: provisioning.failure.message,
+            updatedAt: new Date().toISOString()
+        });
+        logger.error('Provisioning incomplete, account parked as pending', {
+            username,
+            completedSteps: provisioning.completedSteps,
+            failedStep: provisioning.failedStep
+        });
+        return { status: 'pending', nextcloudUsername: username, failedStep: provisioning.failedStep, message: provisioning.failure.message };
+    };
+
+    return { provision };
+};
+
+module.exports = { USERNAME_PATTERN, EMAIL_PATTERN, validateAccountData, createAccountProvisioner };
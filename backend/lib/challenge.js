@@ -0,0 +1,175 @@
+const crypto = require('crypto');
+const { createRegistrationTickets } = require('./registrationTicket');
+const { createUpstreamRequester } = require('./upstreamRequest');
+const { UpstreamResponseError } = require('./upstreamErrors');
+
+/**
+ * Challenge that has to be passed before RZ credentials are checked, so the
+ * credential check cannot be scripted at scale.
+ *
+ * describe() is what the frontend needs to solve it (GET /api/challenge),
+ * verify(response, { ip }) checks the answer the frontend sends in the
+ * X-Challenge-Response header. Providers:
+ *
+ *   pow      self-hosted proof-of-work: find a nonce so that
+ *            SHA-256("<challenge>:<nonce>") starts with `difficulty` zero
+ *            bits; the answer is "<challenge>:<nonce>". Challenges are signed,
+ *            expire after ttlSeconds and can be used once.
+ *   captcha  CAPTCHA widget verified through the provider's siteverify API
+ *            (Turnstile, hCaptcha or a self-hosted compatible server)
+ *   stub     local stub for tests, passes with the answer "stub"
+ *   none     no challenge
+ */
+
+const STUB_RESPONSE = 'stub';
+const NONCE_PATTERN = /^[0-9a-z]{1,32}$/;
+
+// Script URLs load the widget without rendering it, the frontend calls <global>.render()
+const CAPTCHA_PRESETS = {
+    turnstile: {
+        verifyUrl: 'https://challenges.cloudflare.com/turnstile/v0/siteverify',
+        scriptUrl: 'https://challenges.cloudflare.com/turnstile/v0/api.js?render=explicit',
+        widget: 'turnstile'
+    },
+    hcaptcha: {
+        verifyUrl: 'https://api.hcaptcha.com/siteverify',
+        scriptUrl: 'https://js.hcaptcha.com/1/api.js?render=explicit',
+        widget: 'hcaptcha'
+    }
+};
+
+// Helper function to count the leading zero bits of a hash
+const leadingZeroBits = (hash) => {
+    let bits = 0;
+    for (const byte of hash) {
+        if (byte === 0) {
+            bits += 8;
+            continue;
+        }
+        return bits + Math.clz32(byte) - 24;
+    }
+    return bits;
+};
+
+const createPowChallenge = ({ secret, difficulty = 16, ttlSeconds = 300 }) => {
+    const challenges = createRegistrationTickets({ secret, ttlSeconds });
+
+    const describe = () => {
+        const { ticket, expiresAt } = challenges.issue('pow', { difficulty });
+        return { provider: 'pow', challenge: ticket, difficulty, expiresAt };
+    };
+
+    const verify = async (response) => {
+        const separator = response.lastIndexOf(':');
+        const challenge = response.slice(0, separator);
+        const nonce = response.slice(separator + 1);
+        if (separator === -1 || !NONCE_PATTERN.test(nonce)) {
+            return { valid: false, reason: 'malformed' };
+        }
+
+        const decoded = challenges.verify(challenge, 'pow');
+        if (!decoded.valid) {
+            return decoded;
+        }
+
+        const hash = crypto.createHash('sha256').update(`${challenge}:${nonce}`).digest();
+        if (leadingZeroBits(hash) < decoded.grants.difficulty) {
+            return { valid: false, reason: 'unsolved' };
+        }
+
+        // Marks the challenge as used, so one solution cannot be replayed
+        return challenges.redeem(challenge, 'pow');
+    };
+
+    return { describe, verify };
+};
+
+const createCaptchaChallenge = ({ preset, siteKey, secret, verifyUrl, scriptUrl, upstream }) => {
+    const defaults = CAPTCHA_PRESETS[preset];
+    if (!defaults) {
+        throw new Error(`Unknown CAPTCHA provider "${preset}" (expected ${Object.keys(CAPTCHA_PRESETS).join(' or ')})`);
+    }
+    if (!siteKey || !secret) {
+        throw new Error('The CAPTCHA challenge needs a site key and a secret');
+    }
+
+    const settings = {
+        verifyUrl: verifyUrl || defaults.verifyUrl,
+        scriptUrl: scriptUrl || defaults.scriptUrl,
+        widget: defaults.widget
+    };
+
+    const describe = () => ({ provider: 'captcha', siteKey, scriptUrl: settings.scriptUrl, widget: settings.widget });
+
+    // Rejects with an UpstreamError if the provider cannot be asked
+    const verify = async (response, { ip } = {}) => {
+        const form = new URLSearchParams({ secret, response });
+        if (ip) {
+            form.set('remoteip', ip);
+        }
+
+        const answer = await upstream.request({
+            method: 'POST',
+            url: settings.verifyUrl,
+            data: form.toString(),
+            headers: { 'Content-Type': 'application/x-www-form-urlencoded' }
+        });
+
+        if (answer.status !== 200 || !answer.data || typeof answer.data !== 'object') {
+            throw new UpstreamResponseError(`Unexpected CAPTCHA answer (HTTP ${answer.status})`, {
+                service: 'captcha',
+                status: answer.status
+            });
+        }
+
+        return answer.data.success === true
+            ? { valid: true }
+            : { valid: false, reason: 'rejected', errors: answer.data['error-codes'] };
+    };
+
+    return { describe, verify };
+};
+
+const createChallenge = ({
+    provider = 'pow',
+    secret,
+    difficulty,
+    ttlSeconds,
+    captcha = {},
+    timeoutMs,
+    logger,
+    onRequest
+}) => {
+    let implementation;
+
+    if (provider === 'pow') {
+        implementation = createPowChallenge({ secret, difficulty, ttlSeconds });
+    } else if (provider === 'captcha') {
+        const upstream = createUpstreamRequester({ service: 'captcha', timeoutMs, retries: 1, onRequest, logger });
+        implementation = createCaptchaChallenge({ ...captcha, upstream });
+    } else if (provider === 'stub') {
+        implementation = {
+            describe: () => ({ provider: 'stub' }),
+            verify: async (response) => (response === STUB_RESPONSE ? { valid: true } : { valid: false, reason: 'rejected' })
+        };
+    } else if (provider === 'none') {
+        implementation = {
+            describe: () => ({ provider: 'none' }),
+            verify: async () => ({ valid: true })
+        };
+    } else {
+        throw new Error(`Unknown challenge provider "${provider}" (expected pow, captcha, stub or none)`);
+    }
+
+    // Returns { valid: true } or { valid: false, reason }
+    const verify = async (response, context) => {
+        if (provider !== 'none' && (!response || typeof response !== 'string' || response.length > 4096)) {
+            return { valid: false, reason: 'missing' };
+        }
+        return implementation.verify(response, context);
+    };
+
+    return { provider, describe: implementation.describe, verify };
+};
+
+module.exports = { STUB_RESPONSE, createChallenge };
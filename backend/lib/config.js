@@ -0,0 +1,495 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Configuration of the server and the scripts, read from the environment
+ * (.env included) once at startup.
+ *
+ * Every variable is declared in SCHEMA with its type, default and whether it
+ * is required. loadConfig() checks all of them before anything is started
+ * and throws one error listing every problem, so a typo in the .env stops the
+ * start instead of surfacing with the first registration. Empty values count
+ * as unset. The logger reads its LOG_* variables itself (see lib/logger).
+ *
+ * Secrets can also be read from a file: NEXTCLOUD_ADMIN_PASSWORD_FILE=/run/secrets/nextcloud
+ * instead of NEXTCLOUD_ADMIN_PASSWORD, e.g. for Docker or Kubernetes secrets.
+ * A trailing newline of the file is ignored; setting both is an error.
+ *
+ * Instead of a full admin the portal can use a dedicated account that is only
+ * group admin of NEXTCLOUD_MANAGED_GROUPS, authenticated with a Nextcloud app
+ * password (NEXTCLOUD_APP_PASSWORD, or NEXTCLOUD_APP_PASSWORD_FILE so
+ * scripts/rotate-app-password.js can replace it). The server checks the
+ * account's rights at startup (see lib/nextcloudAccount).
+ *
+ * Profiles let one backend serve several Nextcloud instances or faculties,
+ * each with its own Nextcloud, default group, eligibility policy,
+ * provisioning rules and onboarding, selected by hostname or path prefix of
+ * the request. They are defined in PROFILES_FILE:
+ *
+ *   {
+ *     "profiles": [
+ *       { "name": "iwi", "hosts": ["cloud-registrierung.iwi-hka.de"] },
+ *       {
+ *         "name": "mmt",
+ *         "path": "/mmt",
+ *         "nextcloud": { "url": "https://cloud.mmt-hka.de", "adminUser": "admin", "adminPasswordFile": "/run/secrets/mmt" },
+ *         "defaultGroup": "MMT",
+ *         "eligibilityPolicyFile": "mmt/eligibility-policy.json",
+ *         "provisioningRulesFile": "mmt/provisioning-rules.json",
+ *         "onboardingFile": "mmt/onboarding.json"
+ *       }
+ *     ]
+ *   }
+ *
+ * A request is served by the most specific profile whose hosts and path match
+ * it (the longest path, then one with hosts over one without), or by the
+ * first profile if none does; a profile with a path serves the API below that
+ * prefix (/mmt/api/auth). Two profiles cannot share a host and path.
+ *
+ * Settings a profile leaves out are taken from the environment (NEXTCLOUD_URL,
+ * NEXTCLOUD_DEFAULT_GROUP, ...); relative files are resolved against the
+ * directory of PROFILES_FILE. Every profile keeps its portal state in its own
+ * directory (dataDir, default DATA_DIR/profiles/<name>). Without PROFILES_FILE
+ * there is one profile, "default", built from the environment with DATA_DIR
+ * as its directory.
+ */
+
+const BACKEND_DIR = path.join(__dirname, '..');
+
+const isProduction = (settings) => settings.NODE_ENV === 'production';
+// Values of example files that must never sign anything in production
+const PLACEHOLDER_SECRETS = ['change-me', 'changeme', 'secret', 'password'];
+const withoutProfiles = (settings) => !settings.PROFILES_FILE;
+
+// Declaration order matters: defaults and conditions may use the variables above them
+const SCHEMA = {
+    NODE_ENV: { type: 'enum', values: ['development', 'production', 'test'], default: 'development' },
+    PORT: { type: 'integer', min: 1, max: 65535, default: 3000 },
+    TRUST_PROXY: { type: 'string' },
+    CORS_ALLOWED_ORIGINS: { type: 'list', default: (settings) => (isProduction(settings) ? [] : ['http://localhost:5173']) },
+    METRICS_TOKEN: { type: 'string', secret: true },
+
+    PROFILES_FILE: { type: 'string' },
+    NEXTCLOUD_URL: { type: 'url', required: withoutProfiles },
+    NEXTCLOUD_ADMIN_USER: { type: 'string', required: withoutProfiles },
+    NEXTCLOUD_APP_PASSWORD: { type: 'string', secret: true },
+    NEXTCLOUD_ADMIN_PASSWORD: { type: 'string', secret: true, required: (settings) => withoutProfiles(settings) && !settings.NEXTCLOUD_APP_PASSWORD },
+    NEXTCLOUD_MANAGED_GROUPS: { type: 'list', default: [], required: (settings) => Boolean(settings.NEXTCLOUD_APP_PASSWORD) },
+    NEXTCLOUD_DEFAULT_GROUP: { type: 'string', default: 'Jeder' },
+    NEXTCLOUD_TIMEOUT_MS: { type: 'integer', min: 1, default: 10000 },
+    NEXTCLOUD_USERNAME_TEMPLATE: { type: 'string', default: '{username}' },
+    NEXTCLOUD_USERNAME_LOWERCASE: { type: 'boolean', default: false },
+    NEXTCLOUD_RESERVED_USERNAMES: { type: 'list', default: [] },
+    GUEST_USERNAME_TEMPLATE: { type: 'string', default: 'gast-{username}' },
+
+    RAUMZEIT_URL: { type: 'url', required: true },
+    // Person lookup of the lifecycle sync, required there (no guessed default: a wrong
+    // endpoint answering 404 would make every account look exmatriculated)
+    RAUMZEIT_LOOKUP_URL: { type: 'url' },
+    RAUMZEIT_API_TOKEN: { type: 'string', secret: true },
+    RAUMZEIT_TIMEOUT_MS: { type: 'integer', min: 1, default: 10000 },
+    UPSTREAM_RETRIES: { type: 'integer', min: 0, default: 2 },
+    UPSTREAM_RETRY_BACKOFF_MS: { type: 'integer', min: 0, default: 200 },
+    CIRCUIT_BREAKER_THRESHOLD: { type: 'integer', min: 1, default: 5 },
+    CIRCUIT_BREAKER_RESET_SECONDS: { type: 'integer', min: 1, default: 30 },
+
+    ELIGIBILITY_POLICY_FILE: { type: 'string', default: path.join(BACKEND_DIR, 'config', 'eligibility-policy.json') },
+    PROVISIONING_RULES_FILE: { type: 'string', default: path.join(BACKEND_DIR, 'config', 'provisioning-rules.json') },
+    ONBOARDING_FILE: { type: 'string' },
+    CONSENT_DIR: { type: 'string', default: path.join(BACKEND_DIR, 'config', 'consent') },
+    DATA_DIR: { type: 'string', default: path.join(BACKEND_DIR, 'data') },
+    PROVISIONING_ON_FAILURE: { type: 'enum', values: ['rollback', 'park'], default: 'rollback' },
+    LOG_DIR: { type: 'string', default: path.join(BACKEND_DIR, 'logs') },
+    LOG_RETENTION_DAYS: { type: 'integer', min: 1, default: 30 },
+
+    // Without it a random secret is used, which only works for a single development instance
+    REGISTRATION_TICKET_SECRET: { type: 'string', secret: true, required: isProduction },
+    REGISTRATION_TICKET_TTL_SECONDS: { type: 'integer', min: 1, default: 600 },
+    ADMIN_USERS: { type: 'list', default: [] },
+    ADMIN_SESSION_TTL_SECONDS: { type: 'integer', min: 1, default: 8 * 60 * 60 },
+    PRIVACY_SESSION_TTL_SECONDS: { type: 'integer', min: 1, default: 900 },
+    ERASURE_CONFIRMATION_TTL_SECONDS: { type: 'integer', min: 1, default: 600 },
+
+    MAIL_TRANSPORT: { type: 'enum', values: ['console', 'smtp', 'file'], default: 'console' },
+    MAIL_FROM: { type: 'string', default: 'IWI Nextcloud <noreply@iwi-hka.de>' },
+    SMTP_HOST: { type: 'string', required: (settings) => settings.MAIL_TRANSPORT === 'smtp' },
+    SMTP_PORT: { type: 'integer', min: 1, max: 65535, default: 587 },
+    SMTP_SECURE: { type: 'boolean', default: false },
+    SMTP_USER: { type: 'string' },
+    SMTP_PASSWORD: { type: 'string', secret: true },
+    MAIL_FILE_DIR: { type: 'string', default: path.join(BACKEND_DIR, 'mail-outbox') },
+    EMAIL_VERIFICATION_TTL_SECONDS: { type: 'integer', min: 1, default: 900 },
+
+    RATE_LIMIT_IP_WINDOW_SECONDS: { type: 'integer', min: 1, default: 900 },
+    RATE_LIMIT_IP_MAX_ATTEMPTS: { type: 'integer', min: 1, default: 30 },
+    RATE_LIMIT_USERNAME_WINDOW_SECONDS: { type: 'integer', min: 1, default: 900 },
+    RATE_LIMIT_USERNAME_MAX_ATTEMPTS: { type: 'integer', min: 1, default: 10 },
+    LOCKOUT_THRESHOLD: { type: 'integer', min: 1, default: 3 },
+    LOCKOUT_BASE_SECONDS: { type: 'integer', min: 1, default: 30 },
+    LOCKOUT_MAX_SECONDS: { type: 'integer', min: 1, default: 3600 },
+    USERNAME_CHECK_WINDOW_SECONDS: { type: 'integer', min: 1, default: 60 },
+    USERNAME_CHECK_MAX_REQUESTS: { type: 'integer', min: 1, default: 30 },
+    INVITATION_WINDOW_SECONDS: { type: 'integer', min: 1, default: 900 },
+    INVITATION_MAX_ATTEMPTS: { type: 'integer', min: 1, default: 10 },
+
+    CSRF_COOKIE_SAMESITE: { type: 'enum', values: ['Strict', 'Lax', 'None'], default: 'Lax' },
+    CSRF_COOKIE_SECURE: { type: 'boolean', default: isProduction },
+    CHALLENGE_PROVIDER: { type: 'enum', values: ['pow', 'captcha', 'stub', 'none'], default: 'pow' },
+    CHALLENGE_POW_DIFFICULTY: { type: 'integer', min: 1, max: 32, default: 16 },
+    CHALLENGE_TTL_SECONDS: { type: 'integer', min: 1, default: 300 },
+    CAPTCHA_PROVIDER: { type: 'enum', values: ['turnstile', 'hcaptcha'], default: 'turnstile' },
+    CAPTCHA_SITE_KEY: { type: 'string', required: (settings) => settings.CHALLENGE_PROVIDER === 'captcha' },
+    CAPTCHA_SECRET: { type: 'string', secret: true, required: (settings) => settings.CHALLENGE_PROVIDER === 'captcha' },
+    CAPTCHA_VERIFY_URL: { type: 'url' },
+    CAPTCHA_SCRIPT_URL: { type: 'url' },
+    CAPTCHA_TIMEOUT_MS: { type: 'integer', min: 1, default: 5000 },
+
+    LIFECYCLE_GROUP: { type: 'string' },
+    LIFECYCLE_GRACE_DAYS: { type: 'integer', min: 0, default: 30 },
+    LIFECYCLE_MAX_DISABLE: { type: 'integer', min: 0, default: 50 },
+    LIFECYCLE_MISSING_RUNS: { type: 'integer', min: 2, default: 2 },
+    LIFECYCLE_EXCLUDE_USERS: { type: 'list', default: [] }
+};
+
+// Parsers per type: return the typed value or throw with what is wrong with the text
+const TYPES = {
+    string: (text) => text,
+    integer: (text, { min, max }) => {
+        if (!/^-?\d+$/.test(text)) {
+            throw new Error('is not a whole number');
+        }
+        const value = parseInt(text, 10);
+        if (min !== undefined && value < min) throw new Error(`must be at least ${min}`);
+        if (max !== undefined && value > max) throw new Error(`must be at most ${max}`);
+        return value;
+    },
+    boolean: (text) => {
+        if (text !== 'true' && text !== 'false') {
+            throw new Error('must be true or false');
+        }
+        return text === 'true';
+    },
+    url: (text) => {
+        let url;
+        try {
+            url = new URL(text);
+        } catch {
+            throw new Error('is not a valid URL');
+        }
+        if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+            throw new Error('must be an http or https URL');
+        }
+        return text;
+    },
+    list: (text) => text.split(',').map((item) => item.trim()).filter(Boolean),
+    enum: (text, { values }) => {
+        if (!values.includes(text)) {
+            throw new Error(`must be one of ${values.join(', ')}`);
+        }
+        return text;
+    }
+};
+
+// Helper function to read a secret file; the trailing newline editors and echo add is dropped
+const readSecretFile = (file) => {
+    let content;
+    try {
+        content = fs.readFileSync(file, 'utf8');
+    } catch (error) {
+        throw new Error(`cannot be read (${error.code || error.message})`);
+    }
+    return content.replace(/\r?\n$/, '');
+};
+
+// Helper function to read a value or, for secrets, its file. Returns undefined if neither is set;
+// values of secrets never appear in the problems.
+const readRaw = (env, name, { secret }, problems) => {
+    const value = env[name] === '' ? undefined : env[name];
+    const file = secret && env[`${name}_FILE`] ? env[`${name}_FILE`] : undefined;
+
+    if (value !== undefined && file) {
+        problems.push(`${name} and ${name}_FILE are both set - use only one`);
+        return undefined;
+    }
+    if (!file) {
+        return value;
+    }
+
+    try {
+        return readSecretFile(file) || undefined;
+    } catch (error) {
+        problems.push(`${name}_FILE ${file} ${error.message}`);
+        return undefined;
+    }
+};
+
+const PROFILE_KEYS = ['name', 'hosts', 'path', 'nextcloud', 'defaultGroup', 'eligibilityPolicyFile', 'provisioningRulesFile', 'onboardingFile', 'dataDir'];
+const NEXTCLOUD_KEYS = ['url', 'adminUser', 'adminPassword', 'adminPasswordFile', 'appPassword', 'appPasswordFile', 'managedGroups'];
+const CREDENTIAL_KEYS = ['adminPassword', 'adminPasswordFile', 'appPassword', 'appPasswordFile'];
+const PROFILE_NAME_PATTERN = /^[a-z0-9][a-z0-9-]{0,31}$/;
+const PROFILE_PATH_PATTERN = /^(\/[A-Za-z0-9._-]+)+$/;
+
+const isStringArray = (value) => Array.isArray(value) && value.every((item) => typeof item === 'string' && item);
+
+// Nextcloud account of the environment. With an app password it also names the file the
+// password is kept in (for the rotation) and the groups the account manages.
+const nextcloudFromEnv = (settings, env) => (settings.NEXTCLOUD_APP_PASSWORD
+    ? {
+        url: settings.NEXTCLOUD_URL,
+        adminUser: settings.NEXTCLOUD_ADMIN_USER,
+        appPassword: settings.NEXTCLOUD_APP_PASSWORD,
+        appPasswordFile: env.NEXTCLOUD_APP_PASSWORD_FILE ? path.resolve(env.NEXTCLOUD_APP_PASSWORD_FILE) : undefined,
+        managedGroups: settings.NEXTCLOUD_MANAGED_GROUPS
+    }
+    : {
+        url: settings.NEXTCLOUD_URL,
+        adminUser: settings.NEXTCLOUD_ADMIN_USER,
+        adminPassword: settings.NEXTCLOUD_ADMIN_PASSWORD
+    });
+
+// The only profile without PROFILES_FILE
+const defaultProfile = (settings, env) => ({
+    name: 'default',
+    hosts: [],
+    path: '',
+    nextcloud: nextcloudFromEnv(settings, env),
+    defaultGroup: settings.NEXTCLOUD_DEFAULT_GROUP,
+    eligibilityPolicyFile: settings.ELIGIBILITY_POLICY_FILE,
+    provisioningRulesFile: settings.PROVISIONING_RULES_FILE,
+    onboardingFile: settings.ONBOARDING_FILE,
+    dataDir: settings.DATA_DIR
+});
+
+// Helper function to check one entry of PROFILES_FILE; problems are prefixed with the profile
+const parseProfile = (entry, index, settings, env, baseDir, problems) => {
+    const where = `PROFILES_FILE profile ${typeof entry?.name === 'string' ? `"${entry.name}"` : index + 1}`;
+    if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+        problems.push(`${where}: must be an object`);
+        return undefined;
+    }
+
+    const count = problems.length;
+    const { name, hosts = [], path: prefix = '', nextcloud = {}, defaultGroup = settings.NEXTCLOUD_DEFAULT_GROUP } = entry;
+    const resolveFile = (file, fallback) => (file === undefined ? fallback : path.resolve(baseDir, file));
+
+    Object.keys(entry).filter((key) => !PROFILE_KEYS.includes(key)).forEach((key) => {
+        problems.push(`${where}: unknown setting "${key}"`);
+    });
+    if (typeof name !== 'string' || !PROFILE_NAME_PATTERN.test(name)) {
+        problems.push(`${where}: "name" must be lower-case letters, digits and dashes`);
+    }
+    if (!isStringArray(hosts)) {
+        problems.push(`${where}: "hosts" must be a list of hostnames`);
+    }
+    if (typeof prefix !== 'string' || (prefix && !PROFILE_PATH_PATTERN.test(prefix))) {
+        problems.push(`${where}: "path" must look like "/mmt" (no trailing slash)`);
+    }
+    if (typeof defaultGroup !== 'string') {
+        problems.push(`${where}: "defaultGroup" must be a string`);
+    }
+    ['eligibilityPolicyFile', 'provisioningRulesFile', 'onboardingFile', 'dataDir'].forEach((key) => {
+        if (entry[key] !== undefined && (typeof entry[key] !== 'string' || !entry[key])) {
+            problems.push(`${where}: "${key}" must be a path`);
+        }
+    });
+
+    if (!nextcloud || typeof nextcloud !== 'object' || Array.isArray(nextcloud)) {
+        problems.push(`${where}: "nextcloud" must be an object`);
+        return undefined;
+    }
+    Object.keys(nextcloud).filter((key) => !NEXTCLOUD_KEYS.includes(key)).forEach((key) => {
+        problems.push(`${where}: unknown setting "nextcloud.${key}"`);
+    });
+
+    const url = nextcloud.url ?? settings.NEXTCLOUD_URL;
+    const adminUser = nextcloud.adminUser ?? settings.NEXTCLOUD_ADMIN_USER;
+
+    // Helper function to read a password of the profile or its file; null if the file cannot be read
+    const readPassword = (key) => {
+        if (nextcloud[`${key}File`] === undefined) {
+            return nextcloud[key];
+        }
+        try {
+            return readSecretFile(path.resolve(baseDir, String(nextcloud[`${key}File`])));
+        } catch (error) {
+            problems.push(`${where}: "nextcloud.${key}File" ${error.message}`);
+            return null;
+        }
+    };
+
+    // The profile's own password or app password, otherwise the account of the environment
+    const credentials = CREDENTIAL_KEYS.filter((key) => nextcloud[key] !== undefined);
+    let account;
+    if (credentials.length > 1) {
+        problems.push(`${where}: ${credentials.map((key) => `"nextcloud.${key}"`).join(' and ')} are set - use only one`);
+    } else if (credentials.length === 0) {
+        const { appPassword, appPasswordFile, adminPassword } = nextcloudFromEnv(settings, env);
+        account = appPassword ? { appPassword, appPasswordFile } : { adminPassword };
+    } else if (credentials[0].startsWith('appPassword')) {
+        account = {
+            appPassword: readPassword('appPassword'),
+            appPasswordFile: nextcloud.appPasswordFile === undefined ? undefined : path.resolve(baseDir, String(nextcloud.appPasswordFile))
+        };
+    } else {
+        account = { adminPassword: readPassword('adminPassword') };
+    }
+
+    try {
+        if (typeof url !== 'string') throw new Error('is required (or set NEXTCLOUD_URL)');
+        TYPES.url(url);
+    } catch (error) {
+        problems.push(`${where}: "nextcloud.url" ${error.message}`);
+    }
+    if (typeof adminUser !== 'string' || !adminUser) {
+        problems.push(`${where}: "nextcloud.adminUser" is required (or set NEXTCLOUD_ADMIN_USER)`);
+    }
+    if (account && 'adminPassword' in account && account.adminPassword !== null && (typeof account.adminPassword !== 'string' || !account.adminPassword)) {
+        problems.push(`${where}: "nextcloud.adminPassword" is required (or set NEXTCLOUD_ADMIN_PASSWORD)`);
+    }
+    if (account && 'appPassword' in account && account.appPassword !== null && (typeof account.appPassword !== 'string' || !account.appPassword)) {
+        problems.push(`${where}: "nextcloud.appPassword" must not be empty`);
+    }
+
+    // A group admin account can only manage the groups it was given
+    const managedGroups = nextcloud.managedGroups ?? settings.NEXTCLOUD_MANAGED_GROUPS;
+    if (account && 'appPassword' in account) {
+        if (!isStringArray(managedGroups) || managedGroups.length === 0) {
+            problems.push(`${where}: "nextcloud.managedGroups" must list the groups of the account (or set NEXTCLOUD_MANAGED_GROUPS)`);
+        } else if (defaultGroup && !managedGroups.includes(defaultGroup)) {
+            problems.push(`${where}: "defaultGroup" "${defaultGroup}" is not one of the managed groups`);
+        }
+    } else if (nextcloud.managedGroups !== undefined) {
+        problems.push(`${where}: "nextcloud.managedGroups" needs an app password ("nextcloud.appPassword" or "nextcloud.appPasswordFile")`);
+    }
+
+    if (problems.length > count) {
+        return undefined;
+    }
+
+    return {
+        name,
+        hosts: hosts.map((host) => host.toLowerCase()),
+        path: prefix,
+        nextcloud: 'appPassword' in account
+            ? { url, adminUser, ...account, managedGroups }
+            : { url, adminUser, ...account },
+        defaultGroup,
+        eligibilityPolicyFile: resolveFile(entry.eligibilityPolicyFile, settings.ELIGIBILITY_POLICY_FILE),
+        provisioningRulesFile: resolveFile(entry.provisioningRulesFile, settings.PROVISIONING_RULES_FILE),
+        onboardingFile: resolveFile(entry.onboardingFile, settings.ONBOARDING_FILE),
+        dataDir: resolveFile(entry.dataDir, path.join(settings.DATA_DIR, 'profiles', name))
+    };
+};
+
+// Helper function to read PROFILES_FILE; names and the pairs of host and path must be unique
+const loadProfiles = (settings, env, problems) => {
+    const file = path.resolve(settings.PROFILES_FILE);
+    let content;
+    try {
+        content = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+        problems.push(`PROFILES_FILE ${file} cannot be read: ${error.message}`);
+        return [];
+    }
+
+    if (!content || !Array.isArray(content.profiles) || content.profiles.length === 0) {
+        problems.push('PROFILES_FILE needs a non-empty "profiles" list');
+        return [];
+    }
+
+    const profiles = content.profiles
+        .map((entry, index) => parseProfile(entry, index, settings, env, path.dirname(file), problems))
+        .filter(Boolean);
+
+    const duplicates = (values) => values.filter((value, index) => value && values.indexOf(value) !== index);
+    duplicates(profiles.map((profile) => profile.name)).forEach((name) => {
+        problems.push(`PROFILES_FILE: profile name "${name}" is used more than once`);
+    });
+    // A profile without hosts serves every host, the second one of a pair would never be matched
+    const routes = profiles.flatMap((profile) => (profile.hosts.length > 0 ? profile.hosts : ['']).map((host) => JSON.stringify([host, profile.path])));
+    duplicates(routes).forEach((route) => {
+        const [host, prefix] = JSON.parse(route);
+        problems.push(`PROFILES_FILE: ${host ? `host "${host}"` : 'every host'} with ${prefix ? `path "${prefix}"` : 'no path'} belongs to more than one profile`);
+    });
+
+    return profiles;
+};
+
+// Returns the frozen configuration: every SCHEMA variable with its typed value
+// plus profiles. Throws an Error listing every problem found. required names
+// variables a script needs beyond those the schema requires anyway.
+const loadConfig = (env = process.env, { required: alsoRequired = [] } = {}) => {
+    const problems = [];
+    const settings = {};
+
+    Object.entries(SCHEMA).forEach(([name, definition]) => {
+        const count = problems.length;
+        const raw = readRaw(env, name, definition, problems);
+
+        if (raw === undefined) {
+            const required = alsoRequired.includes(name)
+                || (typeof definition.required === 'function' ? definition.required(settings) : definition.required);
+            if (required && problems.length === count) {
+                problems.push(`${name} is required${definition.secret ? ` (or ${name}_FILE)` : ''}`);
+            }
+            settings[name] = typeof definition.default === 'function' ? definition.default(settings) : definition.default;
+            return;
+        }
+
+        try {
+            settings[name] = TYPES[definition.type](definition.secret ? raw : raw.trim(), definition);
+        } catch (error) {
+            problems.push(definition.secret ? `${name} ${error.message}` : `${name}="${raw}" ${error.message}`);
+        }
+    });
+
+    if (settings.NEXTCLOUD_ADMIN_PASSWORD && settings.NEXTCLOUD_APP_PASSWORD) {
+        problems.push('NEXTCLOUD_ADMIN_PASSWORD and NEXTCLOUD_APP_PASSWORD are both set - use only one');
+    }
+    if (!settings.PROFILES_FILE && settings.NEXTCLOUD_APP_PASSWORD && settings.NEXTCLOUD_MANAGED_GROUPS.length > 0
+        && settings.NEXTCLOUD_DEFAULT_GROUP && !settings.NEXTCLOUD_MANAGED_GROUPS.includes(settings.NEXTCLOUD_DEFAULT_GROUP)) {
+        problems.push(`NEXTCLOUD_DEFAULT_GROUP "${settings.NEXTCLOUD_DEFAULT_GROUP}" is not one of NEXTCLOUD_MANAGED_GROUPS`);
+    }
+    // The placeholder of an example file would let anyone who knows it sign tickets and admin sessions
+    if (isProduction(settings) && PLACEHOLDER_SECRETS.includes((settings.REGISTRATION_TICKET_SECRET || '').toLowerCase())) {
+        problems.push('REGISTRATION_TICKET_SECRET is a placeholder - generate one, e.g. with: openssl rand -hex 32');
+    }
+    // A wrong value in a deployment must not silently remove the bot protection
+    if (isProduction(settings) && ['stub', 'none'].includes(settings.CHALLENGE_PROVIDER)) {
+        problems.push(`CHALLENGE_PROVIDER="${settings.CHALLENGE_PROVIDER}" turns the bot protection off and is not allowed with NODE_ENV=production`);
+    }
+
+    const profiles = settings.PROFILES_FILE ? loadProfiles(settings, env, problems) : [defaultProfile(settings, env)];
+
+    if (problems.length > 0) {
+        const error = new Error(`Invalid configuration:\n  - ${problems.join('\n  - ')}`);
+        error.problems = problems;
+        throw error;
+    }
+
+    return Object.freeze({ ...settings, profiles: Object.freeze(profiles.map(Object.freeze)) });
+};
+
+// Helper function to rank matching profiles: a longer path wins, with the same path one with hosts
+const specificity = (profile) => profile.path.length * 2 + (profile.hosts.length > 0 ? 1 : 0);
+
+// Profile of a request: of those whose hosts (if any) include the hostname and whose path
+// (if any) prefixes the request path the one with the longest path, then one with hosts,
+// then the first; undefined if none matches
+const matchProfile = (profiles, { hostname = '', path: requestPath }) => profiles
+    .filter((profile) => (
+        (profile.hosts.length === 0 || profile.hosts.includes(hostname.toLowerCase()))
+        && (!profile.path || requestPath === profile.path || requestPath.startsWith(`${profile.path}/`))
+    ))
+    .reduce((best, profile) => (!best || specificity(profile) > specificity(best) ? profile : best), undefined);
+
+// Helper function for the scripts: the profile given with --profile, or the first one
+const findProfile = (config, name) => {
+    const profile = name ? config.profiles.find((candidate) => candidate.name === name) : config.profiles[0];
+    if (!profile) {
+        throw new Error(`Unknown profile "${name}" (configured: ${config.profiles.map((candidate) => candidate.name).join(', ')})`);
+    }
+    return profile;
+};
+
+module.exports = { SCHEMA, loadConfig, matchProfile, findProfile };
@@ -0,0 +1,41 @@
+/**
+ * Proof of consent: which version of the privacy policy and terms a user
+ * accepted and when. Keyed by the lower-cased RZ username; earlier
+ * acceptances are kept in the record's history.
+ */
+const createConsentRecords = ({ store }) => {
+    const keyOf = (username) => username.toLowerCase();
+
+    const get = (username) => store.get(keyOf(username));
+
+    // acceptedAt is the time the user ticked the boxes, recordedAt when the backend stored it
+    const record = async (username, { version, acceptedAt, context }) => {
+        const previous = get(username);
+        const entry = { version, acceptedAt, recordedAt: new Date().toISOString(), context };
+
+        if (previous && previous.version === version && previous.acceptedAt === acceptedAt) {
+            return previous;
+        }
+
+        const stored = {
+            rzUsername: username,
+            ...entry,
+            history: previous
+                ? [...(previous.history || []), {
+                    version: previous.version,
+                    acceptedAt: previous.acceptedAt,
+                    recordedAt: previous.recordedAt,
+                    context: previous.context
+                }]
+                : []
+        };
+        await store.set(keyOf(username), stored);
+        return stored;
+    };
+
+    const remove = (username) => store.delete(keyOf(username));
+
+    return { get, record, remove };
+};
+
+module.exports = { createConsentRecords };
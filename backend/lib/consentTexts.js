@@ -0,0 +1,126 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Versioned privacy policy and terms of use.
+ *
+ * Every version is a JSON file in the consent directory (v1.json, v2.json,
+ * ...) holding both documents in every language:
+ *   {
+ *     "version": 2,
+ *     "publishedAt": "2026-04-01",
+ *     "documents": {
+ *       "privacy": { "de": { "sections": [...], "confirmation" }, "en": { ... } },
+ *       "terms": { ... }
+ *     }
+ *   }
+ *
+ * A section has a "heading" and optional "paragraphs", "items" and
+ * "contact"/"contactLabel". The highest version is the current one; older
+ * files are kept so the text a user accepted can still be shown.
+ */
+
+const DOCUMENTS = ['privacy', 'terms'];
+const REQUIRED_LANGUAGE = 'de';
+
+const isStringArray = (value) => Array.isArray(value) && value.every((item) => typeof item === 'string');
+
+// Returns a list of human readable problems, empty when the version is valid
+const validateConsentVersion = (consent) => {
+    const problems = [];
+
+    if (!consent || typeof consent !== 'object' || Array.isArray(consent)) {
+        return ['consent file must be a JSON object'];
+    }
+
+    if (!Number.isInteger(consent.version) || consent.version < 1) {
+        problems.push('"version" must be a positive integer');
+    }
+
+    if (typeof consent.publishedAt !== 'string' || Number.isNaN(Date.parse(consent.publishedAt))) {
+        problems.push('"publishedAt" must be a date such as "2025-10-01"');
+    }
+
+    if (!consent.documents || typeof consent.documents !== 'object') {
+        problems.push('"documents" must be an object');
+        return problems;
+    }
+
+    DOCUMENTS.forEach((name) => {
+        const translations = consent.documents[name];
+        if (!translations || typeof translations !== 'object') {
+            problems.push(`documents.${name} is missing`);
+            return;
+        }
+        if (!translations[REQUIRED_LANGUAGE]) {
+            problems.push(`documents.${name} needs a "${REQUIRED_LANGUAGE}" text`);
+        }
+
+        Object.entries(translations).forEach(([language, document]) => {
+            const where = `documents.${name}.${language}`;
+            if (typeof document?.confirmation !== 'string') {
+                problems.push(`${where}: "confirmation" must be a string`);
+            }
+            if (!Array.isArray(document?.sections) || document.sections.length === 0) {
+                problems.push(`${where}: "sections" must be a non-empty array`);
+                return;
+            }
+            document.sections.forEach((section, index) => {
+                if (typeof section?.heading !== 'string') {
+                    problems.push(`${where}.sections[${index}]: "heading" must be a string`);
+                }
+                ['paragraphs', 'items'].forEach((key) => {
+                    if (section?.[key] !== undefined && !isStringArray(section[key])) {
+                        problems.push(`${where}.sections[${index}]: "${key}" must be an array of strings`);
+                    }
+                });
+            });
+        });
+    });
+
+    return problems;
+};
+
+const loadConsentTexts = (directory) => {
+    let files;
+    try {
+        files = fs.readdirSync(directory).filter((name) => name.endsWith('.json'));
+    } catch (error) {
+        throw new Error(`Cannot read consent directory ${directory}: ${error.message}`);
+    }
+
+    const versions = new Map();
+    files.forEach((name) => {
+        const filePath = path.join(directory, name);
+        let consent;
+        try {
+            consent = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        } catch (error) {
+            throw new Error(`Cannot read consent file ${filePath}: ${error.message}`);
+        }
+
+        const problems = validateConsentVersion(consent);
+        if (problems.length > 0) {
+            throw new Error(`Invalid consent file ${filePath}:\n  - ${problems.join('\n  - ')}`);
+        }
+        if (versions.has(consent.version)) {
+            throw new Error(`Consent version ${consent.version} is defined twice (${filePath})`);
+        }
+        versions.set(consent.version, consent);
+    });
+
+    if (versions.size === 0) {
+        throw new Error(`No consent files found in ${directory}`);
+    }
+
+    const currentVersion = Math.max(...versions.keys());
+
+    return {
+        currentVersion,
+        versions: [...versions.keys()].sort((a, b) => a - b),
+        get: (version) => versions.get(version),
+        current: () => versions.get(currentVersion)
+    };
+};
+
+module.exports = { validateConsentVersion, loadConsentTexts };
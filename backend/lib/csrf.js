@@ -0,0 +1,82 @@
+const crypto = require('crypto');
+
+/**
+ * CSRF tokens bound to a session cookie.
+ *
+ * GET /api/csrf hands out a random session ID in an HttpOnly cookie and a
+ * token derived from it (HMAC-SHA256). State-changing requests have to send
+ * the token in the X-CSRF-Token header; it only matches the cookie of the
+ * browser it was issued to, and other sites can neither read the token nor
+ * forge the cookie. Nothing is stored on the server.
+ */
+
+const SESSION_ID_PATTERN = /^[A-Za-z0-9_-]{43}$/;
+
+// Helper function to read one cookie from the Cookie header
+const readCookie = (req, name) => {
+    for (const part of (req.get('cookie') || '').split(';')) {
+        const separator = part.indexOf('=');
+        if (separator !== -1 && part.slice(0, separator).trim() === name) {
+            try {
+                return decodeURIComponent(part.slice(separator + 1).trim());
+            } catch {
+                return undefined;
+            }
+        }
+    }
+    return undefined;
+};
+
+const createCsrfProtection = ({ secret, cookieName = 'registration_session', sameSite = 'Lax', secure = false }) => {
+    if (!secret) {
+        throw new Error('A CSRF secret is required');
+    }
+
+    const tokenFor = (sessionId) => crypto.createHmac('sha256', secret).update(sessionId).digest('base64url');
+
+    const sessionOf = (req) => {
+        const sessionId = readCookie(req, cookieName);
+        return sessionId && SESSION_ID_PATTERN.test(sessionId) ? sessionId : undefined;
+    };
+
+    // Token for the session of the request; starts a session (Set-Cookie) if there is none.
+    // cookiePath is where the browser sends the cookie, the API of the profile (/mmt/api)
+    const issue = (req, res, cookiePath = '/api') => {
+        let sessionId = sessionOf(req);
+        if (!sessionId) {
+            sessionId = crypto.randomBytes(32).toString('base64url');
+            // No Max-Age: the cookie ends with the browser session
+            const attributes = [`${cookieName}=${sessionId}`, `Path=${cookiePath}`, 'HttpOnly', `SameSite=${sameSite}`];
+            if (secure) {
+                attributes.push('Secure');
+            }
+            res.append('Set-Cookie', attributes.join('; '));
+        }
+        return tokenFor(sessionId);
+    };
+
+    // Returns { valid: true } or { valid: false, reason } where reason is one
+    // of 'no_session', 'missing', 'mismatch'
+    const verify = (req) => {
+        const sessionId = sessionOf(req);
+        if (!sessionId) {
+            return { valid: false, reason: 'no_session' };
+        }
+
+        const token = req.get('x-csrf-token');
+        if (!token) {
+            return { valid: false, reason: 'missing' };
+        }
+
+        const expected = Buffer.from(tokenFor(sessionId));
+        const actual = Buffer.from(token);
+        if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+            return { valid: false, reason: 'mismatch' };
+        }
+        return { valid: true };
+    };
+
+    return { issue, verify };
+};
+
+module.exports = { createCsrfProtection };
@@ -0,0 +1,79 @@
+/**
+ * CSV helpers for exports and the bulk provisioning input (RFC 4180: comma
+ * separated, fields with commas, quotes or line breaks in double quotes).
+ */
+
+const escapeCsv = (value) => {
+    if (value === undefined || value === null) return '';
+    const text = String(value);
+    // Prefix formula characters so spreadsheet apps do not evaluate them
+    const safe = /^[=+\-@]/.test(text) ? `'${text}` : text;
+    return /[",\n\r]/.test(safe) ? `"${safe.replace(/"/g, '""')}"` : safe;
+};
+
+const toCsvLine = (values) => values.map(escapeCsv).join(',');
+
+// Returns the rows as arrays of strings; a trailing line break does not add an empty row
+const parseCsv = (text) => {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+
+    // Skip a byte order mark written by spreadsheet apps
+    const input = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+
+    for (let index = 0; index < input.length; index++) {
+        const char = input[index];
+
+        if (quoted) {
+            if (char === '"' && input[index + 1] === '"') {
+                field += '"';
+                index++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && input[index + 1] === '\n') index++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+
+    if (quoted) {
+        throw new Error('Unterminated quoted field');
+    }
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+
+    return rows;
+};
+
+// Parses a CSV with a header row into { row, record } with the record keyed by the
+// header names; row counts the header as row 1, empty rows are skipped
+const parseCsvRecords = (text) => {
+    const [header = [], ...rows] = parseCsv(text);
+    const columns = header.map((name) => name.trim());
+    return rows
+        .map((values, index) => ({ values, row: index + 2 }))
+        .filter(({ values }) => values.some((value) => value.trim() !== ''))
+        .map(({ values, row }) => ({
+            row,
+            record: Object.fromEntries(columns.map((column, index) => [column, (values[index] ?? '').trim()]))
+        }));
+};
+
+module.exports = { escapeCsv, toCsvLine, parseCsv, parseCsvRecords };
@@ -0,0 +1,175 @@
+const fs = require('fs');
+
+/**
+ * Declarative eligibility policy for /api/auth.
+ *
+ * The policy is a JSON file with an ordered list of allow/deny rules over the
+ * Raumzeit person record. The first rule whose conditions all match decides;
+ * when no rule matches, the "default" rule denies access. Allow rules may say
+ * which Nextcloud groups and quota the new account gets.
+ *
+ * Example rule:
+ *   {
+ *     "name": "iwi-students",
+ *     "effect": "allow",
+ *     "match": { "personTypes": ["STUDENT"], "departments": ["IWI"] },
+ *     "groups": ["Jeder", "Studierende"],
+ *     "quota": "10 GB"
+ *   }
+ *
+ * Conditions: personTypes (person type is one of), departments (person is
+ * in at least one of), usernames (RZ username is one of, case-insensitive).
+ */
+
+const EFFECTS = ['allow', 'deny'];
+const CONDITIONS = ['personTypes', 'departments', 'usernames'];
+
+const isStringArray = (value) => Array.isArray(value) && value.every((item) => typeof item === 'string');
+
+// Returns a list of human readable problems, empty when the policy is valid
+const validatePolicy = (policy) => {
+    const problems = [];
+
+    if (!policy || typeof policy !== 'object' || Array.isArray(policy)) {
+        return ['policy must be a JSON object'];
+    }
+
+    if (!Array.isArray(policy.rules)) {
+        problems.push('"rules" must be an array');
+    } else {
+        const names = new Set();
+
+        policy.rules.forEach((rule, index) => {
+            const where = `rules[${index}]${rule?.name ? ` ("${rule.name}")` : ''}`;
+
+            if (!rule || typeof rule !== 'object') {
+                problems.push(`${where} must be an object`);
+                return;
+            }
+
+            if (typeof rule.name !== 'string' || !rule.name) {
+                problems.push(`${where}: "name" must be a non-empty string`);
+            } else if (names.has(rule.name)) {
+                problems.push(`${where}: duplicate rule name`);
+            } else {
+                names.add(rule.name);
+            }
+
+            if (!EFFECTS.includes(rule.effect)) {
+                problems.push(`${where}: "effect" must be one of ${EFFECTS.join(', ')}`);
+            }
+
+            if (!rule.match || typeof rule.match !== 'object' || Array.isArray(rule.match)) {
+                problems.push(`${where}: "match" must be an object`);
+            } else {
+                const keys = Object.keys(rule.match);
+                if (keys.length === 0) {
+                    problems.push(`${where}: "match" needs at least one condition`);
+                }
+                keys.forEach((key) => {
+                    if (!CONDITIONS.includes(key)) {
+                        problems.push(`${where}: unknown condition "${key}" (expected one of ${CONDITIONS.join(', ')})`);
+                    } else if (!isStringArray(rule.match[key])) {
+                        problems.push(`${where}: condition "${key}" must be an array of strings`);
+                    }
+                });
+            }
+
+            if (rule.groups !== undefined && !isStringArray(rule.groups)) {
+                problems.push(`${where}: "groups" must be an array of strings`);
+            }
+
+            if (rule.quota !== undefined && typeof rule.quota !== 'string') {
+                problems.push(`${where}: "quota" must be a string such as "5 GB"`);
+            }
+
+            if (rule.effect === 'deny' && (rule.groups !== undefined || rule.quota !== undefined)) {
+                problems.push(`${where}: deny rules cannot assign groups or quota`);
+            }
+
+            if (rule.message !== undefined && typeof rule.message !== 'string') {
+                problems.push(`${where}: "message" must be a string`);
+            }
+        });
+    }
+
+    if (!policy.default || typeof policy.default.name !== 'string' || !policy.default.name) {
+        problems.push('"default" must be an object with a non-empty "name"');
+    } else if (policy.default.message !== undefined && typeof policy.default.message !== 'string') {
+        problems.push('"default.message" must be a string');
+    }
+
+    return problems;
+};
+
+const matchesRule = (rule, person, username) => {
+    const { personTypes, departments, usernames } = rule.match;
+    const personDepartments = Array.isArray(person.departments) ? person.departments : [];
+
+    if (personTypes && !personTypes.includes(person.personType)) {
+        return false;
+    }
+
+    if (departments && !departments.some((department) => personDepartments.includes(department))) {
+        return false;
+    }
+
+    if (usernames && !usernames.some((name) => name.toLowerCase() === username.toLowerCase())) {
+        return false;
+    }
+
+    return true;
+};
+
+const createEligibilityPolicy = (policy) => {
+    const problems = validatePolicy(policy);
+    if (problems.length > 0) {
+        throw new Error(`Invalid eligibility policy:\n  - ${problems.join('\n  - ')}`);
+    }
+
+    // Returns { eligible, rule, message?, groups?, quota? } for a Raumzeit person record
+    const evaluate = (person, username) => {
+        const rule = policy.rules.find((candidate) => matchesRule(candidate, person, username));
+
+        if (!rule) {
+            return {
+                eligible: false,
+                rule: policy.default.name,
+                message: policy.default.message || 'Access denied: No eligibility rule matched'
+            };
+        }
+
+        if (rule.effect === 'deny') {
+            return {
+                eligible: false,
+                rule: rule.name,
+                message: rule.message || `Access denied by eligibility rule "${rule.name}"`
+            };
+        }
+
+        return {
+            eligible: true,
+            rule: rule.name,
+            groups: rule.groups,
+            quota: rule.quota
+        };
+    };
+
+    return {
+        rules: policy.rules.map((rule) => rule.name),
+        evaluate
+    };
+};
+
+const loadEligibilityPolicy = (filePath) => {
+    let policy;
+    try {
+        policy = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+        throw new Error(`Cannot read eligibility policy ${filePath}: ${error.message}`);
+    }
+
+    return createEligibilityPolicy(policy);
+};
+
+module.exports = { validatePolicy, createEligibilityPolicy, loadEligibilityPolicy };
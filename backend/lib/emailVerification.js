@@ -0,0 +1,95 @@
+const crypto = require('crypto');
+
+/**
+ * One-time email verification codes.
+ *
+ * A code is bound to an RZ username and the email address it was sent to.
+ * The Nextcloud account is only created after the code has been confirmed,
+ * so a mistyped or foreign address never receives the Nextcloud welcome mail.
+ */
+
+const hashCode = (code) => crypto.createHash('sha256').update(code).digest('hex');
+
+const createEmailVerification = ({ ttlSeconds = 900, maxAttempts = 5, maxSends = 3 } = {}) => {
+    // rzUsername -> { email, codeHash, expiresAt, attempts, sends }
+    const pending = new Map();
+
+    const prune = (now) => {
+        for (const [username, entry] of pending) {
+            if (entry.expiresAt <= now) {
+                pending.delete(username);
+            }
+        }
+    };
+
+    // Creates (or replaces) the pending verification for the user and returns
+    // the plain code that has to be mailed. Returns { success: false, reason }
+    // when the user requested too many codes.
+    const start = (username, email) => {
+        const now = Date.now();
+        prune(now);
+
+        const previous = pending.get(username);
+        const sends = previous ? previous.sends + 1 : 1;
+        if (sends > maxSends) {
+            return { success: false, reason: 'too_many_sends' };
+        }
+
+        const code = crypto.randomInt(0, 1000000).toString().padStart(6, '0');
+        const expiresAt = now + ttlSeconds * 1000;
+
+        pending.set(username, {
+            email: email.toLowerCase(),
+            codeHash: hashCode(code),
+            expiresAt,
+            attempts: 0,
+            sends
+        });
+
+        return { success: true, code, expiresAt: new Date(expiresAt).toISOString() };
+    };
+
+    // Checks the code for the user and email. A confirmed code is removed so it
+    // cannot be used twice. Returns { valid: true } or { valid: false, reason }
+    // where reason is one of 'not_found', 'expired', 'email_mismatch',
+    // 'too_many_attempts', 'invalid_code'.
+    const confirm = (username, email, code) => {
+        const now = Date.now();
+        const entry = pending.get(username);
+
+        if (!entry) {
+            return { valid: false, reason: 'not_found' };
+        }
+
+        if (entry.expiresAt <= now) {
+            pending.delete(username);
+            return { valid: false, reason: 'expired' };
+        }
+
+        if (typeof email !== 'string' || entry.email !== email.toLowerCase()) {
+            return { valid: false, reason: 'email_mismatch' };
+        }
+
+        if (entry.attempts >= maxAttempts) {
+            return { valid: false, reason: 'too_many_attempts' };
+        }
+
+        const expected = Buffer.from(entry.codeHash);
+        const actual = Buffer.from(hashCode(String(code ?? '')));
+        if (!crypto.timingSafeEqual(expected, actual)) {
+            entry.attempts += 1;
+            return {
+                valid: false,
+                reason: entry.attempts >= maxAttempts ? 'too_many_attempts' : 'invalid_code',
+                attemptsLeft: maxAttempts - entry.attempts
+            };
+        }
+
+        pending.delete(username);
+        return { valid: true };
+    };
+
+    return { start, confirm };
+};
+
+module.exports = { createEmailVerification };
@@ -0,0 +1,46 @@
+const crypto = require('crypto');
+
+/**
+ * Erasure requests ("right to be forgotten") filed through the self-service
+ * privacy routes. A request is filed first and only carried out once the
+ * user confirms it; the record itself is kept as proof that the request
+ * was fulfilled and holds nothing but the username and what was removed.
+ *
+ * Status: 'awaiting_confirmation' -> 'completed' or 'failed'
+ */
+const createErasureRequests = ({ store }) => {
+    const findByUsername = (username) => store.values()
+        .filter((item) => item.rzUsername.toLowerCase() === username.toLowerCase())
+        .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+
+    const create = async ({ rzUsername, expiresAt }) => {
+        const id = crypto.randomUUID();
+        const request = {
+            id,
+            rzUsername,
+            status: 'awaiting_confirmation',
+            createdAt: new Date().toISOString(),
+            expiresAt
+        };
+        await store.set(id, request);
+        return request;
+    };
+
+    // result: { removed, failures } of the erasure; any failure marks the request as failed
+    const complete = async (id, { removed, failures }) => {
+        const request = store.get(id);
+        const completed = {
+            ...request,
+            status: failures.length > 0 ? 'failed' : 'completed',
+            completedAt: new Date().toISOString(),
+            removed,
+            failures
+        };
+        await store.set(id, completed);
+        return completed;
+    };
+
+    return { get: store.get, findByUsername, create, complete };
+};
+
+module.exports = { createErasureRequests };
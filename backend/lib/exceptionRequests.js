@@ -0,0 +1,73 @@
+const crypto = require('crypto');
+
+/**
+ * Manual approval queue for users who fail the eligibility policy but ask
+ * for an exception. An approved request makes /api/auth treat the user as
+ * eligible; the account itself is still created through the normal flow.
+ */
+const createExceptionRequests = ({ store }) => {
+    const findByUsername = (username) =>
+        store.values().filter((item) => item.rzUsername.toLowerCase() === username.toLowerCase());
+
+    // Returns { success: false, reason: 'already_pending' } if the user already has an open request
+    const create = async ({ rzUsername, email, reason, rule, personType, departments }) => {
+        if (findByUsername(rzUsername).some((item) => item.status === 'pending')) {
+            return { success: false, reason: 'already_pending' };
+        }
+
+        const id = crypto.randomUUID();
+        const request = {
+            id,
+            rzUsername,
+            email,
+            reason,
+            rule,
+            personType,
+            departments,
+            status: 'pending',
+            createdAt: new Date().toISOString()
+        };
+        await store.set(id, request);
+        return { success: true, request };
+    };
+
+    const list = ({ status } = {}) => store.values()
+        .filter((item) => !status || item.status === status)
+        .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+
+    // decision is 'approved' or 'denied'
+    const decide = async (id, decision, { decidedBy, note }) => {
+        const request = store.get(id);
+        if (!request) {
+            return { success: false, reason: 'not_found' };
+        }
+        if (request.status !== 'pending') {
+            return { success: false, reason: 'already_decided' };
+        }
+
+        const decided = {
+            ...request,
+            status: decision,
+            decidedBy,
+            note,
+            decidedAt: new Date().toISOString()
+        };
+        await store.set(id, decided);
+        return { success: true, request: decided };
+    };
+
+    const isApproved = (username) => findByUsername(username).some((item) => item.status === 'approved');
+
+    // Removes every request of the user and returns how many
+    const removeByUsername = async (username) => {
+        const requests = findByUsername(username);
+        for (const request of requests) {
+            await store.delete(request.id);
+        }
+        return requests.length;
+    };
+
+    return { create, list, decide, isApproved, findByUsername, removeByUsername };
+};
+
+module.exports = { createExceptionRequests };
@@ -0,0 +1,127 @@
+const crypto = require('crypto');
+
+/**
+ * Invitation codes for guests without an RZ account (project partners,
+ * exchange students). An admin creates a code with an expiry, a usage
+ * limit and the groups and quota the guests get; redeeming it replaces the
+ * Raumzeit check of /api/auth; the account is created through the normal flow.
+ *
+ * Only a hash of the code is stored - the admin sees the code once, when it
+ * is created. A use is reserved before the account is created and released
+ * again if that fails, so the limit also holds for parallel registrations.
+ */
+
+// No 0/O and 1/I, the codes are typed from a mail or a slide
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const CODE_LENGTH = 12;
+
+// Helper function to generate a code like "K7MQ-2XHD-9RTA"
+const generateCode = () => Array.from(crypto.randomBytes(CODE_LENGTH), (byte) => CODE_ALPHABET[byte % CODE_ALPHABET.length])
+    .join('')
+    .replace(/(.{4})(?!$)/g, '$1-');
+
+// Case and separators do not matter when the code is entered
+const normalizeCode = (code) => code.toUpperCase().replace(/[^A-Z0-9]/g, '');
+
+const hashCode = (code) => crypto.createHash('sha256').update(normalizeCode(code)).digest('hex');
+
+const createInvitations = ({ store, now = () => Date.now() }) => {
+    // 'active', 'expired', 'exhausted' or 'revoked'
+    const statusOf = (invitation) => {
+        if (invitation.revokedAt) return 'revoked';
+        if (Date.parse(invitation.expiresAt) <= now()) return 'expired';
+        if (invitation.uses.length >= invitation.maxUses) return 'exhausted';
+        return 'active';
+    };
+
+    // What admins get to see: everything but the code hash
+    const toPublic = (invitation) => {
+        const { codeHash, ...rest } = invitation;
+        return { ...rest, status: statusOf(invitation) };
+    };
+
+    const create = async ({ label, groups = [], quota, maxUses = 1, validDays = 14, createdBy }) => {
+        const code = generateCode();
+        const createdAt = new Date(now());
+        const invitation = {
+            id: crypto.randomUUID(),
+            label,
+            groups,
+            quota,
+            maxUses,
+            expiresAt: new Date(createdAt.getTime() + validDays * 24 * 60 * 60 * 1000).toISOString(),
+            codeHash: hashCode(code),
+            // Lets admins tell codes apart without storing them
+            codeHint: code.slice(-4),
+            uses: [],
+            createdBy,
+            createdAt: createdAt.toISOString()
+        };
+        await store.set(invitation.id, invitation);
+        return { code, invitation: toPublic(invitation) };
+    };
+
+    const list = () => store.values()
+        .map(toPublic)
+        .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+
+    // Returns { valid: true, invitation } or { valid: false, reason } where
+    // reason is one of 'unknown', 'expired', 'exhausted', 'revoked'
+    const check = (code) => {
+        const codeHash = typeof code === 'string' ? hashCode(code) : undefined;
+        const invitation = codeHash && store.values().find((item) => item.codeHash === codeHash);
+        if (!invitation) {
+            return { valid: false, reason: 'unknown' };
+        }
+
+        const status = statusOf(invitation);
+        return status === 'active' ? { valid: true, invitation } : { valid: false, reason: status };
+    };
+
+    // Takes one use for the guest's account; same results as check()
+    const reserve = async (id, username) => {
+        const invitation = store.get(id);
+        if (!invitation) {
+            return { valid: false, reason: 'unknown' };
+        }
+        const status = statusOf(invitation);
+        if (status !== 'active') {
+            return { valid: false, reason: status };
+        }
+
+        const reserved = {
+            ...invitation,
+            uses: [...invitation.uses, { username, usedAt: new Date(now()).toISOString() }]
+        };
+        await store.set(id, reserved);
+        return { valid: true, invitation: reserved };
+    };
+
+    // Gives a reserved use back after the account could not be created
+    const release = async (id, username) => {
+        const invitation = store.get(id);
+        if (!invitation) return;
+
+        const index = invitation.uses.findLastIndex((use) => use.username === username);
+        if (index === -1) return;
+        await store.set(id, { ...invitation, uses: invitation.uses.filter((use, i) => i !== index) });
+    };
+
+    const revoke = async (id, { revokedBy }) => {
+        const invitation = store.get(id);
+        if (!invitation) {
+            return { success: false, reason: 'not_found' };
+        }
+        if (invitation.revokedAt) {
+            return { success: false, reason: 'already_revoked' };
+        }
+
+        const revoked = { ...invitation, revokedAt: new Date(now()).toISOString(), revokedBy };
+        await store.set(id, revoked);
+        return { success: true, invitation: toPublic(revoked) };
+    };
+
+    return { create, list, check, reserve, release, revoke };
+};
+
+module.exports = { createInvitations };
@@ -0,0 +1,100 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Small persistent key/value store backed by a single JSON file.
+ *
+ * The whole file is kept in memory; every change rewrites it atomically
+ * (temporary file + rename). Writes are serialized so concurrent requests
+ * cannot interleave. Meant for small amounts of portal state, not for
+ * anything that needs queries across many thousands of records.
+ */
+const createJsonFileStore = (filePath) => {
+    // Without a prototype, so get('constructor') or get('__proto__') find nothing inherited
+    const entries = Object.create(null);
+
+    if (fs.existsSync(filePath)) {
+        try {
+            Object.assign(entries, JSON.parse(fs.readFileSync(filePath, 'utf8')));
+        } catch (error) {
+            throw new Error(`Cannot read store ${filePath}: ${error.message}`);
+        }
+    }
+
+    let writeQueue = Promise.resolve();
+
+    const persist = () => {
+        const snapshot = JSON.stringify(entries, null, 2);
+        const writing = writeQueue.then(async () => {
+            await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+            const tempPath = `${filePath}.${process.pid}.tmp`;
+            await fs.promises.writeFile(tempPath, snapshot, 'utf8');
+            await fs.promises.rename(tempPath, filePath);
+        });
+        // A failed write (e.g. a full disk) is the caller's error, the next write starts afresh
+        writeQueue = writing.catch(() => {});
+        return writing;
+    };
+
+    return {
+        get: (key) => entries[key],
+        has: (key) => key in entries,
+        entries: () => Object.entries(entries),
+        values: () => Object.values(entries),
+        set: async (key, value) => {
+            entries[key] = value;
+            await persist();
+        },
+        delete: async (key) => {
+            if (!(key in entries)) return;
+            delete entries[key];
+            await persist();
+        }
+    };
+};
+
+// Opener for a store that other processes write too (see lib/usernameMapping): the parsed
+// store is kept and only read again when the file's modification time or size changed
+const createJsonFileStoreOpener = (filePath) => {
+    let cached;
+
+    return () => {
+        let stats;
+        try {
+            stats = fs.statSync(filePath);
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+        }
+        const version = stats ? `${stats.mtimeMs}:${stats.size}` : 'missing';
+        if (cached?.version !== version) {
+            cached = { version, store: createJsonFileStore(filePath) };
+        }
+        return cached.store;
+    };
+};
+
+// Store shared by the server and the scripts (e.g. the provisioning state): every access sees
+// what another process wrote; the writes of this process are serialized, so only one store
+// object writes the file at a time
+const createSharedJsonFileStore = (filePath) => {
+    const open = createJsonFileStoreOpener(filePath);
+    let writeQueue = Promise.resolve();
+
+    const write = (change) => {
+        const writing = writeQueue.then(() => change(open()));
+        // A failed write must not block the following ones
+        writeQueue = writing.catch(() => {});
+        return writing;
+    };
+
+    return {
+        get: (key) => open().get(key),
+        has: (key) => open().has(key),
+        entries: () => open().entries(),
+        values: () => open().values(),
+        set: (key, value) => write((store) => store.set(key, value)),
+        delete: (key) => write((store) => store.delete(key))
+    };
+};
+
+module.exports = { createJsonFileStore, createJsonFileStoreOpener, createSharedJsonFileStore };
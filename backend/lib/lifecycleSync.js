@@ -0,0 +1,249 @@
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Keeps Nextcloud accounts in line with their owner's Raumzeit status.
+ *
+ * Every member of the synced group is looked up and checked against the
+ * eligibility policy. Accounts that are no longer eligible are disabled and
+ * the owner gets a warning mail naming the deletion date; once the grace
+ * period has passed the account is deleted. Accounts that become eligible
+ * again before that are re-enabled. Only accounts disabled by the sync are
+ * ever re-enabled or deleted, the store remembers which ones these are.
+ *
+ * Group members are Nextcloud IDs; usernameMapping (see lib/usernameMapping)
+ * tells the RZ username to look each one up with, and its record is removed
+ * with a deleted account. Without it the IDs are taken as RZ usernames.
+ * Accounts of invited guests are not in Raumzeit and are left alone.
+ *
+ * lookupPerson resolves to { found, person } (see RaumzeitClient.lookupPerson);
+ * a rejected lookup never counts as "not eligible", the user is skipped.
+ * A person Raumzeit does not know is only disabled after missingRuns runs in
+ * a row found them missing (action 'missing' before, remembered in the store
+ * without touching the account), so one wrong answer cannot start the way to
+ * the deletion. Accounts without a mapping record predate the portal and are
+ * looked up by their ID, so for them this matters most.
+ *
+ * Every member of the group counts, not only accounts the portal created:
+ * staff and service accounts in it are disabled like anyone not found in
+ * Raumzeit unless they are in excludeUsers. As a safety net a run that would
+ * disable more than maxDisable accounts is aborted before changing anything -
+ * usually the lookup is misconfigured or the group is the wrong one.
+ */
+const createLifecycleSync = ({
+    nextcloud,
+    lookupPerson,
+    isEligible,
+    store,
+    usernameMapping,
+    mailer,
+    logger,
+    group,
+    graceDays = 30,
+    maxDisable = 50,
+    missingRuns = 2,
+    excludeUsers = [],
+    now = () => Date.now()
+}) => {
+    const excluded = new Set(excludeUsers.map((username) => username.toLowerCase()));
+
+    // Decide what should happen to a single account without changing anything
+    const planUser = async (username) => {
+        if (excluded.has(username.toLowerCase())) {
+            return { username, action: 'skip', reason: 'excluded' };
+        }
+        if (usernameMapping?.isGuest(username)) {
+            return { username, action: 'skip', reason: 'guest' };
+        }
+
+        const rzUsername = usernameMapping ? usernameMapping.rzUsernameFor(username) : username;
+
+        let lookup;
+        try {
+            lookup = await lookupPerson(rzUsername);
+        } catch (error) {
+            logger.warn('Lifecycle sync: Raumzeit lookup failed', { username, rzUsername, message: error.message });
+            return { username, action: 'skip', reason: 'lookup_failed' };
+        }
+
+        const eligibility = lookup.found
+            ? isEligible(lookup.person, rzUsername)
+            : { eligible: false, rule: 'not_in_raumzeit' };
+        const state = store.get(username);
+        // Only accounts the sync disabled have disabledAt; the others are just seen missing
+        const disabled = Boolean(state?.disabledAt);
+
+        if (eligibility.eligible) {
+            if (disabled) return { username, action: 'enable', rule: eligibility.rule };
+            return state
+                ? { username, action: 'found', rule: eligibility.rule }
+                : { username, action: 'keep', rule: eligibility.rule };
+        }
+
+        if (!disabled) {
+            const runsMissing = eligibility.rule === 'not_in_raumzeit' ? (state?.missingRuns || 0) + 1 : missingRuns;
+            if (runsMissing < missingRuns) {
+                return { username, action: 'missing', rule: eligibility.rule, missingRuns: runsMissing };
+            }
+            return {
+                username,
+                action: 'disable',
+                rule: eligibility.rule,
+                deleteAfter: new Date(now() + graceDays * DAY_MS).toISOString()
+            };
+        }
+
+        if (now() >= Date.parse(state.deleteAfter)) {
+            return { username, action: 'delete', rule: eligibility.rule, deleteAfter: state.deleteAfter };
+        }
+
+        return {
+            username,
+            action: state.warnedAt ? 'wait' : 'warn',
+            rule: eligibility.rule,
+            deleteAfter: state.deleteAfter
+        };
+    };
+
+    const sendWarning = async (username, email, deleteAfter) => {
+        if (!email) {
+            logger.warn('Lifecycle sync: no email address for warning mail', { username });
+            return { success: false };
+        }
+
+        return mailer.send({
+            to: email,
+            subject: 'Ihr IWI Nextcloud-Konto wurde deaktiviert',
+            text: [
+                'Hallo,',
+                '',
+                `Ihr Konto "${username}" bei der IWI Nextcloud wurde deaktiviert, da Sie laut Raumzeit nicht mehr zur Nutzung berechtigt sind.`,
+                '',
+                `Das Konto und alle darin gespeicherten Dateien werden am ${new Date(deleteAfter).toLocaleDateString('de-DE')} gelöscht.`,
+                'Falls es sich um einen Fehler handelt, wenden Sie sich bitte vorher an die Fachschaft.'
+            ].join('\n')
+        });
+    };
+
+    // Carry out a planned action; resolves to { success, message }
+    const applyAction = async (plan) => {
+        const { username } = plan;
+
+        switch (plan.action) {
+            case 'disable': {
+                const userResult = await nextcloud.getUser(username);
+                const disableResult = await nextcloud.setUserEnabled(username, false);
+                if (!disableResult.success) {
+                    return disableResult;
+                }
+
+                const email = userResult.user?.email;
+                const mailResult = await sendWarning(username, email, plan.deleteAfter);
+                await store.set(username, {
+                    disabledAt: new Date(now()).toISOString(),
+                    deleteAfter: plan.deleteAfter,
+                    rule: plan.rule,
+                    email,
+                    // The next run looks the address up again before it sends the warning
+                    emailLookupFailed: !userResult.success,
+                    warnedAt: mailResult.success ? new Date(now()).toISOString() : null
+                });
+                return { success: true };
+            }
+            case 'warn': {
+                // The warning mail could not be sent when the account was disabled
+                let state = store.get(username);
+                if (state.emailLookupFailed) {
+                    const userResult = await nextcloud.getUser(username);
+                    if (!userResult.success) {
+                        return { success: false, message: `Email address not looked up: ${userResult.message}` };
+                    }
+                    state = { ...state, email: userResult.user?.email, emailLookupFailed: false };
+                    await store.set(username, state);
+                }
+
+                const mailResult = await sendWarning(username, state.email, state.deleteAfter);
+                if (mailResult.success) {
+                    await store.set(username, { ...state, warnedAt: new Date(now()).toISOString() });
+                }
+                return { success: mailResult.success, message: mailResult.success ? undefined : 'Warning mail not sent' };
+            }
+            case 'missing': {
+                const state = store.get(username);
+                await store.set(username, {
+                    missingSince: state?.missingSince || new Date(now()).toISOString(),
+                    missingRuns: plan.missingRuns
+                });
+                return { success: true };
+            }
+            case 'found':
+                // Missing in an earlier run, back in Raumzeit before it was disabled
+                await store.delete(username);
+                return { success: true };
+            case 'enable': {
+                const enableResult = await nextcloud.setUserEnabled(username, true);
+                if (enableResult.success) {
+                    await store.delete(username);
+                }
+                return enableResult;
+            }
+            case 'delete': {
+                const deleteResult = await nextcloud.deleteUser(username);
+                if (deleteResult.success) {
+                    await store.delete(username);
+                    if (usernameMapping) {
+                        await usernameMapping.remove(usernameMapping.rzUsernameFor(username));
+                    }
+                }
+                return deleteResult;
+            }
+            default:
+                return { success: true };
+        }
+    };
+
+    // Walk the group once. With dryRun the planned actions are only returned.
+    const run = async ({ dryRun = false } = {}) => {
+        const members = await nextcloud.getGroupMembers(group);
+        if (!members.success) {
+            throw new Error(`Cannot list members of group ${group}: ${members.message}`);
+        }
+
+        const plans = [];
+        for (const username of members.users) {
+            plans.push(await planUser(username));
+        }
+
+        const summary = plans.reduce((counts, plan) => {
+            counts[plan.action] = (counts[plan.action] || 0) + 1;
+            return counts;
+        }, {});
+
+        if (dryRun) {
+            return { dryRun: true, aborted: false, actions: plans, summary };
+        }
+
+        if ((summary.disable || 0) > maxDisable) {
+            logger.error('Lifecycle sync aborted: too many accounts would be disabled', {
+                group,
+                disable: summary.disable,
+                maxDisable
+            });
+            return { dryRun: false, aborted: true, actions: plans, summary };
+        }
+
+        const actions = [];
+        for (const plan of plans) {
+            const result = await applyAction(plan);
+            if (['missing', 'disable', 'enable', 'delete', 'warn'].includes(plan.action)) {
+                logger.info('Lifecycle sync action', { ...plan, success: result.success, message: result.message });
+            }
+            actions.push({ ...plan, success: result.success, message: result.message });
+        }
+
+        return { dryRun: false, aborted: false, actions, summary };
+    };
+
+    return { planUser, run };
+};
+
+module.exports = { createLifecycleSync };
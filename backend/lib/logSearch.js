@@ -0,0 +1,66 @@
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+
+/**
+ * Finds the log entries that mention a user, for data access requests.
+ *
+ * Searches the current log file and its rotated copies (see
+ * rotatingFileWriter) for lines containing one of the terms as a complete
+ * JSON string value, e.g. "mamu1011" but not "mamu10112". Matching is
+ * case-insensitive. Resolves to { entries, truncated } with the most recent
+ * `limit` entries, oldest first.
+ */
+const findLogEntries = async ({ directory, fileName = 'latest.log', terms, limit = 10000 }) => {
+    const needles = terms
+        .filter(Boolean)
+        .map((term) => JSON.stringify(String(term).toLowerCase()));
+    if (needles.length === 0) return { entries: [], truncated: false };
+
+    const extension = path.extname(fileName);
+    const prefix = `${path.basename(fileName, extension)}.`;
+
+    let names;
+    try {
+        names = await fs.promises.readdir(directory);
+    } catch (error) {
+        if (error.code === 'ENOENT') return { entries: [], truncated: false };
+        throw error;
+    }
+
+    // Rotated files carry their rotation time in the name, so sorting them puts them in order
+    const files = [
+        ...names.filter((name) => name !== fileName && name.startsWith(prefix) && name.endsWith(extension)).sort(),
+        ...names.filter((name) => name === fileName)
+    ];
+
+    const entries = [];
+    let truncated = false;
+    for (const name of files) {
+        const lines = readline.createInterface({
+            input: fs.createReadStream(path.join(directory, name), 'utf8'),
+            crlfDelay: Infinity
+        });
+
+        for await (const line of lines) {
+            const lower = line.toLowerCase();
+            if (!needles.some((needle) => lower.includes(needle))) continue;
+
+            try {
+                entries.push(JSON.parse(line));
+            } catch {
+                // Partly written or foreign line - not an entry of this logger
+                continue;
+            }
+
+            if (entries.length > limit) {
+                entries.shift();
+                truncated = true;
+            }
+        }
+    }
+
+    return { entries, truncated };
+};
+
+module.exports = { findLogEntries };
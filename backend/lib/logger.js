@@ -0,0 +1,75 @@
+const path = require('path');
+const { createRedactor, DEFAULT_REDACT_KEYS } = require('./redact');
+const { createRotatingFileWriter } = require('./rotatingFileWriter');
+const { getRequestId } = require('./requestContext');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+/**
+ * Structured logger. Every entry is one JSON object per line
+ * ({ timestamp, level, message, requestId, data }) in the rotating log file
+ * and on the console (format 'text' prints a readable line instead).
+ *
+ * Data is redacted recursively before it is written; the request ID of the
+ * request being handled is added automatically.
+ */
+const createLogger = ({
+    level = 'info',
+    format = 'json',
+    redactKeys = DEFAULT_REDACT_KEYS,
+    file,
+    output = console
+} = {}) => {
+    const minLevel = LEVELS[level] ?? LEVELS.info;
+    const redactor = createRedactor({ keys: redactKeys });
+    const writer = file ? createRotatingFileWriter(file) : undefined;
+
+    const consoleMethods = { debug: 'debug', info: 'log', warn: 'warn', error: 'error' };
+
+    const log = (entryLevel, message, data) => {
+        if (LEVELS[entryLevel] < minLevel) return;
+
+        const entry = {
+            timestamp: new Date().toISOString(),
+            level: entryLevel,
+            message,
+            requestId: getRequestId(),
+            data: data === undefined ? undefined : redactor.redact(data)
+        };
+        const line = JSON.stringify(entry);
+
+        output[consoleMethods[entryLevel]](format === 'text'
+            ? `[${entryLevel.toUpperCase()}] ${entry.timestamp}${entry.requestId ? ` (${entry.requestId})` : ''} - ${message} ${JSON.stringify(entry.data ?? {})}`
+            : line);
+        writer?.write(line);
+    };
+
+    return {
+        sanitize: redactor.redact,
+        debug: (message, data = {}) => log('debug', message, data),
+        info: (message, data = {}) => log('info', message, data),
+        warn: (message, data = {}) => log('warn', message, data),
+        error: (message, error = {}) => log('error', message, error),
+        flush: () => writer?.flush(),
+        close: () => writer?.close()
+    };
+};
+
+// Shared instance configured from the environment (load dotenv before requiring this module)
+const logger = createLogger({
+    level: process.env.LOG_LEVEL || (process.env.NODE_ENV === 'development' ? 'debug' : 'info'),
+    format: process.env.LOG_FORMAT || 'json',
+    redactKeys: [
+        ...DEFAULT_REDACT_KEYS,
+        ...(process.env.LOG_REDACT_KEYS || '').split(',').map((key) => key.trim()).filter(Boolean)
+    ],
+    file: {
+        directory: process.env.LOG_DIR || path.join(__dirname, '..', 'logs'),
+        maxSizeBytes: (parseInt(process.env.LOG_MAX_SIZE_MB, 10) || 10) * 1024 * 1024,
+        rotateDaily: process.env.LOG_ROTATE_DAILY !== 'false',
+        maxFiles: parseInt(process.env.LOG_MAX_FILES, 10) || 14,
+        retentionDays: parseInt(process.env.LOG_RETENTION_DAYS, 10) || 30
+    }
+});
+
+module.exports = { createLogger, logger };
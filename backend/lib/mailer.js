@@ -0,0 +1,100 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Pluggable mail delivery.
+ *
+ * Every transport implements send({ from, to, subject, text }) and returns a
+ * promise. 'smtp' delivers through nodemailer, 'console' prints the message
+ * and 'file' writes it to a directory - the latter two are meant for local
+ * testing without a mail server.
+ */
+
+const createSmtpTransport = (options) => {
+    // Loaded lazily so the console/file transports work without nodemailer
+    const nodemailer = require('nodemailer');
+
+    const transporter = nodemailer.createTransport({
+        host: options.host,
+        port: options.port,
+        secure: options.secure,
+        auth: options.user ? { user: options.user, pass: options.password } : undefined
+    });
+
+    return {
+        name: 'smtp',
+        send: (message) => transporter.sendMail(message)
+    };
+};
+
+const createConsoleTransport = () => ({
+    name: 'console',
+    send: async (message) => {
+        console.log([
+            '----- Outgoing mail -----',
+            `From: ${message.from}`,
+            `To: ${message.to}`,
+            `Subject: ${message.subject}`,
+            '',
+            message.text,
+            '-------------------------'
+        ].join('\n'));
+    }
+});
+
+const createFileTransport = (options) => {
+    const directory = options.directory;
+
+    return {
+        name: 'file',
+        send: async (message) => {
+            await fs.promises.mkdir(directory, { recursive: true });
+            const fileName = `${new Date().toISOString().replace(/[:.]/g, '-')}-${message.to}.eml`;
+            const content = [
+                `From: ${message.from}`,
+                `To: ${message.to}`,
+                `Subject: ${message.subject}`,
+                '',
+                message.text
+            ].join('\n');
+            await fs.promises.writeFile(path.join(directory, fileName), content, 'utf8');
+        }
+    };
+};
+
+const transports = {
+    smtp: createSmtpTransport,
+    console: createConsoleTransport,
+    file: createFileTransport
+};
+
+const createMailer = ({ transport = 'console', from, logger, ...options }) => {
+    const factory = transports[transport];
+    if (!factory) {
+        throw new Error(`Unknown mail transport "${transport}" (expected one of: ${Object.keys(transports).join(', ')})`);
+    }
+
+    const delivery = factory(options);
+
+    return {
+        transport: delivery.name,
+
+        send: async ({ to, subject, text }) => {
+            try {
+                await delivery.send({ from, to, subject, text });
+                logger?.info('Mail sent', { transport: delivery.name, to, subject });
+                return { success: true };
+            } catch (error) {
+                logger?.error('Failed to send mail', {
+                    transport: delivery.name,
+                    to,
+                    subject,
+                    message: error.message
+                });
+                return { success: false, message: error.message };
+            }
+        }
+    };
+};
+
+module.exports = { createMailer };
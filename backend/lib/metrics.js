@@ -0,0 +1,96 @@
+/**
+ * Minimal Prometheus metrics registry (text exposition format 0.0.4).
+ *
+ * Supports counters, gauges whose value is read at scrape time and
+ * histograms, each with labels. Enough for the portal's few metrics
+ * without pulling in a client library.
+ */
+
+const escapeLabelValue = (value) => String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+
+const formatLabels = (labels) => {
+    const entries = Object.entries(labels).filter(([, value]) => value !== undefined);
+    if (entries.length === 0) return '';
+    return `{${entries.map(([key, value]) => `${key}="${escapeLabelValue(value)}"`).join(',')}}`;
+};
+
+// Series are keyed by their label values in a stable order
+const seriesKey = (labelNames, labels) => JSON.stringify(labelNames.map((name) => labels[name] ?? ''));
+const pickLabels = (labelNames, labels) => Object.fromEntries(labelNames.map((name) => [name, labels[name]]));
+
+const createMetricsRegistry = ({ prefix = '' } = {}) => {
+    const metrics = [];
+
+    const counter = ({ name, help, labelNames = [] }) => {
+        const series = new Map();
+
+        const metric = {
+            inc: (labels = {}, value = 1) => {
+                const key = seriesKey(labelNames, labels);
+                const entry = series.get(key) || { labels: pickLabels(labelNames, labels), value: 0 };
+                entry.value += value;
+                series.set(key, entry);
+            },
+            render: () => [
+                `# HELP ${prefix}${name} ${help}`,
+                `# TYPE ${prefix}${name} counter`,
+                ...[...series.values()].map((entry) => `${prefix}${name}${formatLabels(entry.labels)} ${entry.value}`)
+            ]
+        };
+        metrics.push(metric);
+        return metric;
+    };
+
+    // collect() returns [{ labels, value }] when the metrics are scraped
+    const gauge = ({ name, help, collect }) => {
+        const metric = {
+            render: () => [
+                `# HELP ${prefix}${name} ${help}`,
+                `# TYPE ${prefix}${name} gauge`,
+                ...collect().map((entry) => `${prefix}${name}${formatLabels(entry.labels)} ${entry.value}`)
+            ]
+        };
+        metrics.push(metric);
+        return metric;
+    };
+
+    const histogram = ({ name, help, labelNames = [], buckets = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10] }) => {
+        const series = new Map();
+
+        const metric = {
+            observe: (labels, value) => {
+                const key = seriesKey(labelNames, labels);
+                const entry = series.get(key) || { labels: pickLabels(labelNames, labels), counts: buckets.map(() => 0), sum: 0, count: 0 };
+                buckets.forEach((bound, index) => {
+                    if (value <= bound) entry.counts[index] += 1;
+                });
+                entry.sum += value;
+                entry.count += 1;
+                series.set(key, entry);
+            },
+            render: () => [
+                `# HELP ${prefix}${name} ${help}`,
+                `# TYPE ${prefix}${name} histogram`,
+                ...[...series.values()].flatMap((entry) => [
+                    ...buckets.map((bound, index) =>
+                        `${prefix}${name}_bucket${formatLabels({ ...entry.labels, le: bound })} ${entry.counts[index]}`),
+                    `${prefix}${name}_bucket${formatLabels({ ...entry.labels, le: '+Inf' })} ${entry.count}`,
+                    `${prefix}${name}_sum${formatLabels(entry.labels)} ${entry.sum}`,
+                    `${prefix}${name}_count${formatLabels(entry.labels)} ${entry.count}`
+                ])
+            ]
+        };
+        metrics.push(metric);
+        return metric;
+    };
+
+    return {
+        counter,
+        gauge,
+        histogram,
+        contentType: 'text/plain; version=0.0.4; charset=utf-8',
+        render: () => `${metrics.flatMap((metric) => metric.render()).join('\n')}\n`
+    };
+};
+
+module.exports = { createMetricsRegistry };
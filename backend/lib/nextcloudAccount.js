@@ -0,0 +1,37 @@
+/**
+ * Self-check of a dedicated Nextcloud account with an app password (see
+ * lib/config): it must be group admin (subadmin) of exactly the managed
+ * groups and of nothing else, and must not be a Nextcloud admin - otherwise
+ * a leaked app password would give away more than the portal needs.
+ *
+ * Setting up such an account in Nextcloud:
+ *   1. create the user (e.g. "registration") and the managed groups
+ *   2. make it group admin of each managed group (Users > the user > "Group admin for")
+ *   3. log in as the user and create an app password (Settings > Security)
+ *
+ * A group admin cannot create groups, so every group the policy or the
+ * provisioning rules hand out has to exist and be managed.
+ */
+
+// Resolves to { problems } - an empty list if the account has the expected rights.
+// Unreachable Nextcloud and rejected credentials are thrown as UpstreamErrors.
+const checkAccountScope = async ({ nextcloud, managedGroups }) => {
+    const account = await nextcloud.getCurrentUser();
+    const groups = account?.groups || [];
+    const subadminGroups = account?.subadmin || [];
+    const problems = [];
+
+    if (groups.includes('admin')) {
+        problems.push(`${account.id} is a Nextcloud admin - it should only be group admin of ${managedGroups.join(', ')}`);
+    }
+    managedGroups.filter((group) => !subadminGroups.includes(group)).forEach((group) => {
+        problems.push(`${account.id} is not group admin of "${group}"`);
+    });
+    subadminGroups.filter((group) => !managedGroups.includes(group)).forEach((group) => {
+        problems.push(`${account.id} is also group admin of "${group}", which is not one of the managed groups`);
+    });
+
+    return { problems };
+};
+
+module.exports = { checkAccountScope };
@@ -0,0 +1,582 @@
+const { createUpstreamRequester } = require('./upstreamRequest');
+const { UpstreamAuthError, UpstreamResponseError } = require('./upstreamErrors');
+
+/**
+ * Client for the Nextcloud OCS provisioning API, authenticated with the
+ * admin credentials - the account's app password if one is given, its
+ * password otherwise. Shared by the server and the maintenance scripts.
+ * The onboarding helpers also use WebDAV, CalDAV and the OCS Share API,
+ * partly with the login of the new user (see lib/onboarding).
+ *
+ * Requests go through createUpstreamRequester (timeout, retries, circuit
+ * breaker), so transport failures surface as typed UpstreamErrors. Except
+ * for ocsRequest every helper resolves to { success, message } and never
+ * throws, so callers can decide how a failure is answered.
+ */
+const createNextcloudClient = ({
+    url,
+    adminUser,
+    adminPassword,
+    appPassword,
+    logger,
+    timeoutMs,
+    retries,
+    backoffMs,
+    circuitBreaker,
+    onRequest
+}) => {
+    const upstream = createUpstreamRequester({
+        service: 'nextcloud',
+        timeoutMs,
+        retries,
+        backoffMs,
+        circuitBreaker,
+        onRequest,
+        logger
+    });
+    const authHeader = 'Basic ' + Buffer.from(`${adminUser}:${appPassword || adminPassword}`).toString('base64');
+
+    // Helper function for OCS requests with the admin credentials.
+    // Resolves for every HTTP status below 500; ok is true for OCS status 100/200.
+    // POST requests are not idempotent and only retried if they were never sent.
+    const ocsRequest = async (method, ocsPath, params, requestOptions = {}) => {
+        const headers = {
+            'OCS-APIRequest': 'true',
+            'Accept': 'application/json',
+            'Authorization': authHeader
+        };
+
+        let data;
+        if (params) {
+            data = new URLSearchParams(params).toString();
+            headers['Content-Type'] = 'application/x-www-form-urlencoded';
+        }
+
+        const response = await upstream.request({
+            method,
+            url: `${url}/ocs/v2.php${ocsPath}`,
+            data,
+            headers
+        }, { idempotent: method !== 'POST', ...requestOptions });
+
+        const ocsStatusCode = response.data?.ocs?.meta?.statuscode;
+        const ocsStatus = response.data?.ocs?.meta?.status;
+
+        return {
+            httpStatus: response.status,
+            ocsStatusCode,
+            ocsStatus,
+            ocsMessage: response.data?.ocs?.meta?.message,
+            data: response.data?.ocs?.data,
+            ok: ocsStatusCode === 100 || ocsStatusCode === 200 || ocsStatus === 'ok'
+        };
+    };
+
+    // Helper function for WebDAV/CalDAV requests, with the admin credentials or the
+    // { username, password } given. Resolves to the HTTP status for every status below 500.
+    const davRequest = async (method, davPath, { credentials, body } = {}) => {
+        const headers = {
+            'Authorization': credentials
+                ? 'Basic ' + Buffer.from(`${credentials.username}:${credentials.password}`).toString('base64')
+                : authHeader
+        };
+        if (body) {
+            headers['Content-Type'] = 'application/xml; charset=utf-8';
+        }
+
+        const response = await upstream.request({
+            method,
+            url: `${url}/remote.php/dav${davPath}`,
+            data: body,
+            headers
+        }, { idempotent: false });
+        return response.status;
+    };
+
+    // Helper function to escape text for the XML bodies of CalDAV requests
+    const escapeXml = (text) => String(text).replace(/[<>&'"]/g, (char) => `&#${char.charCodeAt(0)};`);
+
+    // Helper function to add user to a group
+    const addUserToGroup = async (username, groupId) => {
+        try {
+            logger.debug('Adding user to group', { username, groupId });
+
+            const response = await ocsRequest('POST', `/cloud/users/${encodeURIComponent(username)}/groups`, { groupid: groupId });
+
+            logger.debug('Add to group response', {
+                username,
+                groupId,
+                httpStatus: response.httpStatus,
+                ocsStatusCode: response.ocsStatusCode,
+                ocsMessage: response.ocsMessage
+            });
+
+            if (response.ok) {
+                logger.info('User added to group successfully', { username, groupId });
+                return { success: true };
+            } else {
+                logger.warn('Failed to add user to group', {
+                    username,
+                    groupId,
+                    ocsStatusCode: response.ocsStatusCode,
+                    ocsMessage: response.ocsMessage
+                });
+                return { success: false, message: response.ocsMessage || 'Failed to add user to group' };
+            }
+        } catch (error) {
+            logger.error('Error adding user to group', {
+                username,
+                groupId,
+                message: error.message,
+                status: error.status
+            });
+            return { success: false, message: error.message };
+        }
+    };
+
+    // Helper function to remove user from a group
+    const removeUserFromGroup = async (username, groupId) => {
+        try {
+            logger.debug('Removing user from group', { username, groupId });
+
+            const response = await ocsRequest('DELETE', `/cloud/users/${encodeURIComponent(username)}/groups`, { groupid: groupId });
+
+            if (response.ok) {
+                logger.info('User removed from group successfully', { username, groupId });
+                return { success: true };
+            } else {
+                logger.warn('Failed to remove user from group', {
+                    username,
+                    groupId,
+                    ocsStatusCode: response.ocsStatusCode,
+                    ocsMessage: response.ocsMessage
+                });
+                return { success: false, message: response.ocsMessage || 'Failed to remove user from group' };
+            }
+        } catch (error) {
+            logger.error('Error removing user from group', {
+                username,
+                groupId,
+                message: error.message,
+                status: error.status
+            });
+            return { success: false, message: error.message };
+        }
+    };
+
+    // Helper function to change a field of a user (e.g. key "quota" with value "5 GB")
+    const editUserField = async (username, key, value) => {
+        try {
+            logger.debug('Editing user field', { username, key, value });
+
+            const response = await ocsRequest('PUT', `/cloud/users/${encodeURIComponent(username)}`, { key, value });
+
+            logger.debug('Edit user response', {
+                username,
+                key,
+                httpStatus: response.httpStatus,
+                ocsStatusCode: response.ocsStatusCode,
+                ocsMessage: response.ocsMessage
+            });
+
+            if (response.ok) {
+                logger.info('User field updated successfully', { username, key, value });
+                return { success: true };
+            } else {
+                logger.warn('Failed to update user field', {
+                    username,
+                    key,
+                    ocsStatusCode: response.ocsStatusCode,
+                    ocsMessage: response.ocsMessage
+                });
+                return { success: false, message: response.ocsMessage || `Failed to update ${key}` };
+            }
+        } catch (error) {
+            logger.error('Error updating user field', {
+                username,
+                key,
+                message: error.message,
+                status: error.status
+            });
+            return { success: false, message: error.message };
+        }
+    };
+
+    // Helper function to create a group, succeeds if the group already exists
+    const createGroup = async (groupId) => {
+        try {
+            logger.debug('Creating group', { groupId });
+
+            const response = await ocsRequest('POST', '/cloud/groups', { groupid: groupId });
+
+            logger.debug('Create group response', {
+                groupId,
+                httpStatus: response.httpStatus,
+                ocsStatusCode: response.ocsStatusCode,
+                ocsMessage: response.ocsMessage
+            });
+
+            if (response.ok) {
+                logger.info('Group created successfully', { groupId });
+                return { success: true, created: true };
+            } else if (response.ocsStatusCode === 102) {
+                // OCS 102: group already exists
+                return { success: true, created: false };
+            } else {
+                logger.warn('Failed to create group', {
+                    groupId,
+                    ocsStatusCode: response.ocsStatusCode,
+                    ocsMessage: response.ocsMessage
+                });
+                return { success: false, message: response.ocsMessage || 'Failed to create group' };
+            }
+        } catch (error) {
+            logger.error('Error creating group', {
+                groupId,
+                message: error.message,
+                status: error.status
+            });
+            return { success: false, message: error.message };
+        }
+    };
+
+    // Helper function to send Nextcloud's password reset mail with a link to set a new password,
+    // like "Forgot password?" on the login page. The welcome mail resent through OCS has no such
+    // link. The OCS-APIRequest header passes Nextcloud's CSRF check of the public form, the admin
+    // login keeps it out of the limit for anonymous requests (HTTP 429 after ten in five minutes).
+    // Nextcloud answers success for unknown users too.
+    const sendPasswordResetMail = async (username) => {
+        try {
+            logger.debug('Sending Nextcloud password reset mail', { username });
+
+            const response = await upstream.request({
+                method: 'POST',
+                url: `${url}/index.php/lostpassword/email`,
+                data: new URLSearchParams({ user: username }).toString(),
+                headers: {
+                    'OCS-APIRequest': 'true',
+                    'Accept': 'application/json',
+                    'Authorization': authHeader,
+                    'Content-Type': 'application/x-www-form-urlencoded'
+                }
+            }, { idempotent: false });
+
+            if (response.status === 200 && response.data?.status === 'success') {
+                logger.info('Nextcloud password reset mail sent', { username });
+                return { success: true };
+            }
+            const message = response.data?.msg || `Nextcloud answered with HTTP ${response.status}`;
+            logger.warn('Failed to send Nextcloud password reset mail', { username, httpStatus: response.status, message });
+            return { success: false, message };
+        } catch (error) {
+            logger.error('Error sending Nextcloud password reset mail', {
+                username,
+                message: error.message,
+                status: error.status
+            });
+            return { success: false, message: error.message };
+        }
+    };
+
+    // Helper function to (re)send the Nextcloud welcome mail (without a link to set a password)
+    const sendWelcomeMail = async (username) => {
+        try {
+            logger.debug('Sending Nextcloud welcome mail', { username });
+
+            const response = await ocsRequest('POST', `/cloud/users/${encodeURIComponent(username)}/welcome`);
+
+            if (response.ok) {
+                logger.info('Nextcloud welcome mail sent', { username });
+                return { success: true };
+            } else {
+                logger.warn('Failed to send Nextcloud welcome mail', {
+                    username,
+                    ocsStatusCode: response.ocsStatusCode,
+                    ocsMessage: response.ocsMessage
+                });
+                return { success: false, message: response.ocsMessage || 'Failed to send welcome mail' };
+            }
+        } catch (error) {
+            logger.error('Error sending Nextcloud welcome mail', {
+                username,
+                message: error.message,
+                status: error.status
+            });
+            return { success: false, message: error.message };
+        }
+    };
+
+    // Helper function to delete a user (provisioning rollback, lifecycle sync)
+    const deleteUser = async (username) => {
+        try {
+            logger.debug('Deleting user', { username });
+
+            const response = await ocsRequest('DELETE', `/cloud/users/${encodeURIComponent(username)}`);
+
+            if (response.ok) {
+                logger.info('User deleted successfully', { username });
+                return { success: true };
+            } else {
+                logger.warn('Failed to delete user', {
+                    username,
+                    ocsStatusCode: response.ocsStatusCode,
+                    ocsMessage: response.ocsMessage
+                });
+                return { success: false, message: response.ocsMessage || 'Failed to delete user' };
+            }
+        } catch (error) {
+            logger.error('Error deleting user', {
+                username,
+                message: error.message,
+                status: error.status
+            });
+            return { success: false, message: error.message };
+        }
+    };
+
+    // Helper function to create a folder (and its parents) in the files of the user logged in
+    // with credentials. A folder that exists already counts as created (WebDAV answers 405).
+    const createFolder = async (credentials, folder) => {
+        const { username } = credentials;
+        const segments = folder.split('/');
+        try {
+            for (let depth = 1; depth <= segments.length; depth++) {
+                const folderPath = segments.slice(0, depth).map(encodeURIComponent).join('/');
+                const status = await davRequest('MKCOL', `/files/${encodeURIComponent(username)}/${folderPath}`, { credentials });
+
+                if (status !== 201 && status !== 405) {
+                    logger.warn('Failed to create folder', { username, folder, status });
+                    return { success: false, message: `Failed to create folder ${folder} (HTTP ${status})` };
+                }
+            }
+            logger.info('Folder created', { username, folder });
+            return { success: true };
+        } catch (error) {
+            logger.error('Error creating folder', {
+                username,
+                folder,
+                message: error.message,
+                status: error.status
+            });
+            return { success: false, message: error.message };
+        }
+    };
+
+    // Helper function to share a folder of the admin account read-only with a user
+    const shareFolder = async (folderPath, username) => {
+        try {
+            const response = await ocsRequest('POST', '/apps/files_sharing/api/v1/shares', {
+                path: folderPath,
+                shareType: 0,
+                shareWith: username,
+                permissions: 1
+            });
+
+            if (response.ok) {
+                logger.info('Folder shared', { username, path: folderPath });
+                return { success: true };
+            } else {
+                logger.warn('Failed to share folder', {
+                    username,
+                    path: folderPath,
+                    ocsStatusCode: response.ocsStatusCode,
+                    ocsMessage: response.ocsMessage
+                });
+                return { success: false, message: response.ocsMessage || `Failed to share ${folderPath}` };
+            }
+        } catch (error) {
+            logger.error('Error sharing folder', {
+                username,
+                path: folderPath,
+                message: error.message,
+                status: error.status
+            });
+            return { success: false, message: error.message };
+        }
+    };
+
+    // Helper function to subscribe the user logged in with credentials to an iCal feed, like the
+    // Nextcloud calendar app does. An existing subscription of that name counts as created.
+    const subscribeCalendar = async (credentials, { name, displayName = name, url: source }) => {
+        const { username } = credentials;
+        const body = '<?xml version="1.0" encoding="UTF-8"?>'
+            + '<d:mkcol xmlns:d="DAV:" xmlns:cs="http://calendarserver.org/ns/"><d:set><d:prop>'
+            + '<d:resourcetype><d:collection/><cs:subscribed/></d:resourcetype>'
+            + `<d:displayname>${escapeXml(displayName)}</d:displayname>`
+            + `<cs:source><d:href>${escapeXml(source)}</d:href></cs:source>`
+            + '</d:prop></d:set></d:mkcol>';
+        try {
+            const status = await davRequest('MKCOL', `/calendars/${encodeURIComponent(username)}/${encodeURIComponent(name)}`, { credentials, body });
+
+            if (status === 201 || status === 405) {
+                logger.info('Calendar subscribed', { username, calendar: name });
+                return { success: true };
+            }
+            logger.warn('Failed to subscribe calendar', { username, calendar: name, status });
+            return { success: false, message: `Failed to subscribe to calendar ${name} (HTTP ${status})` };
+        } catch (error) {
+            logger.error('Error subscribing calendar', {
+                username,
+                calendar: name,
+                message: error.message,
+                status: error.status
+            });
+            return { success: false, message: error.message };
+        }
+    };
+
+    // Helper function to fetch a user's details (email, enabled, groups, ...).
+    // Resolves to { success, found, user }; found is false for unknown users.
+    const getUser = async (username) => {
+        try {
+            const response = await ocsRequest('GET', `/cloud/users/${encodeURIComponent(username)}`);
+
+            if (response.ok) {
+                return { success: true, found: true, user: response.data };
+            } else if (response.httpStatus === 404 || response.ocsStatusCode === 404 || response.ocsStatusCode === 998) {
+                // Several Nextcloud versions answer an unknown user with 998
+                return { success: true, found: false };
+            } else {
+                logger.warn('Failed to fetch user', {
+                    username,
+                    ocsStatusCode: response.ocsStatusCode,
+                    ocsMessage: response.ocsMessage
+                });
+                return { success: false, message: response.ocsMessage || 'Failed to fetch user' };
+            }
+        } catch (error) {
+            logger.error('Error fetching user', {
+                username,
+                message: error.message,
+                status: error.status
+            });
+            return { success: false, message: error.message };
+        }
+    };
+
+    // Helper function to list the user IDs of a group's members
+    const getGroupMembers = async (groupId) => {
+        try {
+            const response = await ocsRequest('GET', `/cloud/groups/${encodeURIComponent(groupId)}/users`);
+
+            if (response.ok) {
+                return { success: true, users: response.data?.users || [] };
+            } else {
+                logger.warn('Failed to list group members', {
+                    groupId,
+                    ocsStatusCode: response.ocsStatusCode,
+                    ocsMessage: response.ocsMessage
+                });
+                return { success: false, message: response.ocsMessage || 'Failed to list group members' };
+            }
+        } catch (error) {
+            logger.error('Error listing group members', {
+                groupId,
+                message: error.message,
+                status: error.status
+            });
+            return { success: false, message: error.message };
+        }
+    };
+
+    // Helper function to disable or re-enable a user account
+    const setUserEnabled = async (username, enabled) => {
+        const action = enabled ? 'enable' : 'disable';
+        try {
+            const response = await ocsRequest('PUT', `/cloud/users/${encodeURIComponent(username)}/${action}`);
+
+            if (response.ok) {
+                logger.info(`User ${action}d successfully`, { username });
+                return { success: true };
+            } else {
+                logger.warn(`Failed to ${action} user`, {
+                    username,
+                    ocsStatusCode: response.ocsStatusCode,
+                    ocsMessage: response.ocsMessage
+                });
+                return { success: false, message: response.ocsMessage || `Failed to ${action} user` };
+            }
+        } catch (error) {
+            logger.error(`Error trying to ${action} user`, {
+                username,
+                message: error.message,
+                status: error.status
+            });
+            return { success: false, message: error.message };
+        }
+    };
+
+    // Helper function to fetch the account the client is logged in with, including its
+    // groups and the groups it is group admin of (subadmin)
+    const getCurrentUser = async () => {
+        const response = await ocsRequest('GET', '/cloud/user', undefined, { retries: 0 });
+
+        if (response.httpStatus === 401 || response.ocsStatusCode === 997) {
+            throw new UpstreamAuthError('Nextcloud rejected the admin credentials', { service: 'nextcloud', status: 401 });
+        }
+        if (!response.ok) {
+            throw new UpstreamResponseError(response.ocsMessage || `Unexpected Nextcloud answer (HTTP ${response.httpStatus})`, {
+                service: 'nextcloud',
+                status: response.httpStatus
+            });
+        }
+        return response.data;
+    };
+
+    // Helper function to replace the app password the client is logged in with. Nextcloud
+    // answers with the new one and rejects the old one from then on, so this client is
+    // useless afterwards. Resolves to { success, appPassword } or { success: false, message }.
+    const rotateAppPassword = async () => {
+        try {
+            const response = await ocsRequest('POST', '/core/apppassword/rotate');
+
+            if (response.ok && response.data?.apppassword) {
+                logger.info('Nextcloud app password rotated', { adminUser });
+                return { success: true, appPassword: response.data.apppassword };
+            }
+            logger.warn('Failed to rotate Nextcloud app password', {
+                adminUser,
+                httpStatus: response.httpStatus,
+                ocsStatusCode: response.ocsStatusCode,
+                ocsMessage: response.ocsMessage
+            });
+            return { success: false, message: response.ocsMessage || `Failed to rotate app password (HTTP ${response.httpStatus})` };
+        } catch (error) {
+            logger.error('Error rotating Nextcloud app password', {
+                adminUser,
+                message: error.message,
+                status: error.status
+            });
+            return { success: false, message: error.message };
+        }
+    };
+
+    // Health check without retries: resolves if Nextcloud answers and accepts the
+    // admin credentials, rejects with a typed UpstreamError otherwise
+    const checkConnection = async () => {
+        await getCurrentUser();
+    };
+
+    return {
+        ocsRequest,
+        checkConnection,
+        getCurrentUser,
+        rotateAppPassword,
+        addUserToGroup,
+        removeUserFromGroup,
+        editUserField,
+        createGroup,
+        sendWelcomeMail,
+        sendPasswordResetMail,
+        deleteUser,
+        getUser,
+        getGroupMembers,
+        setUserEnabled,
+        createFolder,
+        shareFolder,
+        subscribeCalendar,
+        getCircuitState: upstream.getCircuitState
+    };
+};
+
+module.exports = { createNextcloudClient };
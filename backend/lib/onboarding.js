@@ -0,0 +1,170 @@
+const fs = require('fs');
+
+/**
+ * Onboarding of new accounts, run once an account was created and set up
+ * (see lib/accountProvisioning). Configured in ONBOARDING_FILE:
+ *
+ *   {
+ *     "folders": ["Studium", "Studium/Abgaben", "Projekte"],
+ *     "shares": [{ "path": "/Ressourcen IWI" }],
+ *     "calendars": [{ "name": "iwi-termine", "displayName": "IWI-Termine", "url": "https://www.h-ka.de/iwi/termine.ics" }]
+ *   }
+ *
+ * folders are created in the new user's files through WebDAV, shares are
+ * folders of the portal's Nextcloud account shared read-only with the new
+ * user through the OCS Share API, calendars are subscriptions to iCal feeds
+ * added to the new user's calendars through CalDAV.
+ *
+ * The admin account cannot write into the files and calendars of other
+ * users, so with folders or calendars the account is created with a random
+ * one-time password (needsLogin) that is only used for these steps and never
+ * stored. Nextcloud then sends no welcome mail of its own, so Nextcloud's
+ * password reset mail with the link to set a password is sent after them
+ * (step "password-mail").
+ *
+ * A failed step does not undo the account and does not stop the others:
+ * run() resolves to { completed, steps: [{ step, success, message? }] }.
+ * Without the password mail nobody can log in to the account, so callers
+ * treat passwordMailFailed(result) as a failed registration.
+ */
+
+const KEYS = ['folders', 'shares', 'calendars'];
+const PASSWORD_MAIL_STEP = 'password-mail';
+const CALENDAR_NAME_PATTERN = /^[a-z0-9][a-z0-9-]*$/;
+
+const isObject = (value) => value && typeof value === 'object' && !Array.isArray(value);
+
+// Folder paths are relative to the user's files, without empty, "." or ".." segments
+const isFolderPath = (value) => typeof value === 'string'
+    && value.split('/').every((segment) => segment.trim() && segment !== '.' && segment !== '..');
+
+const isUrl = (value) => {
+    try {
+        return ['http:', 'https:', 'webcal:'].includes(new URL(value).protocol);
+    } catch {
+        return false;
+    }
+};
+
+// Returns a list of human readable problems, empty when the configuration is valid
+const validateOnboarding = (config) => {
+    const problems = [];
+
+    if (!isObject(config)) {
+        return ['onboarding must be a JSON object'];
+    }
+
+    Object.keys(config).filter((key) => !KEYS.includes(key)).forEach((key) => {
+        problems.push(`unknown setting "${key}" (expected one of ${KEYS.join(', ')})`);
+    });
+    KEYS.filter((key) => config[key] !== undefined && !Array.isArray(config[key])).forEach((key) => {
+        problems.push(`"${key}" must be an array`);
+    });
+
+    (Array.isArray(config.folders) ? config.folders : []).forEach((folder, index) => {
+        if (!isFolderPath(folder)) {
+            problems.push(`folders[${index}] must be a relative path like "Studium/Abgaben"`);
+        }
+    });
+
+    (Array.isArray(config.shares) ? config.shares : []).forEach((share, index) => {
+        if (!isObject(share) || typeof share.path !== 'string' || !share.path.startsWith('/') || !isFolderPath(share.path.slice(1))) {
+            problems.push(`shares[${index}] needs a "path" in the files of the portal account, like "/Ressourcen IWI"`);
+        }
+    });
+
+    const calendarNames = new Set();
+    (Array.isArray(config.calendars) ? config.calendars : []).forEach((calendar, index) => {
+        const where = `calendars[${index}]`;
+        if (!isObject(calendar)) {
+            problems.push(`${where} must be an object`);
+            return;
+        }
+        if (typeof calendar.name !== 'string' || !CALENDAR_NAME_PATTERN.test(calendar.name)) {
+            problems.push(`${where}: "name" must be lower-case letters, digits and dashes`);
+        } else if (calendarNames.has(calendar.name)) {
+            problems.push(`${where}: "name" "${calendar.name}" is used more than once`);
+        }
+        calendarNames.add(calendar.name);
+        if (calendar.displayName !== undefined && typeof calendar.displayName !== 'string') {
+            problems.push(`${where}: "displayName" must be a string`);
+        }
+        if (!isUrl(calendar.url)) {
+            problems.push(`${where}: "url" must be an http, https or webcal URL`);
+        }
+    });
+
+    return problems;
+};
+
+const createOnboarding = (config, { nextcloud, logger }) => {
+    const problems = validateOnboarding(config);
+    if (problems.length > 0) {
+        throw new Error(`Invalid onboarding:\n  - ${problems.join('\n  - ')}`);
+    }
+
+    const folders = config.folders || [];
+    const shares = config.shares || [];
+    const calendars = config.calendars || [];
+    const needsLogin = folders.length > 0 || calendars.length > 0;
+
+    // Names of the steps run() takes, in their order
+    const steps = [
+        ...folders.map((folder) => `folder:${folder}`),
+        ...shares.map((share) => `share:${share.path}`),
+        ...calendars.map((calendar) => `calendar:${calendar.name}`),
+        ...(needsLogin ? [PASSWORD_MAIL_STEP] : [])
+    ];
+
+    // Runs every step for a new account. loginPassword is its one-time password; without it
+    // (an account created by an earlier attempt) the steps that need it fail.
+    const run = async ({ username, loginPassword }) => {
+        const credentials = loginPassword ? { username, password: loginPassword } : undefined;
+        const withLogin = (action) => (credentials
+            ? action()
+            : Promise.resolve({ success: false, message: 'The one-time password of the account is gone, it was created by an earlier attempt' }));
+
+        const actions = [
+            ...folders.map((folder) => () => withLogin(() => nextcloud.createFolder(credentials, folder))),
+            ...shares.map((share) => () => nextcloud.shareFolder(share.path, username)),
+            ...calendars.map((calendar) => () => withLogin(() => nextcloud.subscribeCalendar(credentials, calendar))),
+            ...(needsLogin ? [() => nextcloud.sendPasswordResetMail(username)] : [])
+        ];
+
+        const results = [];
+        for (const [index, action] of actions.entries()) {
+            const result = await action();
+            if (!result.success) {
+                logger.warn('Onboarding step failed', { username, step: steps[index], message: result.message });
+            }
+            results.push(result.success
+                ? { step: steps[index], success: true }
+                : { step: steps[index], success: false, message: result.message });
+        }
+
+        const completed = results.every((result) => result.success);
+        logger.info(completed ? 'Onboarding completed' : 'Onboarding finished with failures', {
+            username,
+            failedSteps: results.filter((result) => !result.success).map((result) => result.step)
+        });
+        return { completed, steps: results };
+    };
+
+    return { needsLogin, steps, run };
+};
+
+// Whether the account was left with the one-time password and no way to set one of its own
+const passwordMailFailed = (result) => Boolean(result?.steps.some((step) => step.step === PASSWORD_MAIL_STEP && !step.success));
+
+const loadOnboarding = (filePath, dependencies) => {
+    let config;
+    try {
+        config = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+        throw new Error(`Cannot read onboarding ${filePath}: ${error.message}`);
+    }
+
+    return createOnboarding(config, dependencies);
+};
+
+module.exports = { validateOnboarding, createOnboarding, loadOnboarding, passwordMailFailed };
@@ -0,0 +1,78 @@
+/**
+ * Provisioning as an ordered list of steps with compensating actions.
+ *
+ * A step is { name, run, compensate? }. run() and compensate() resolve to
+ * { success, message? } like the OCS helpers in server.js. Steps listed in
+ * completedSteps (from an earlier, interrupted run) are skipped, so a
+ * pending account can be resumed.
+ *
+ * When a step fails:
+ *   - 'rollback': the compensations of all completed steps run in reverse
+ *     order. If one of them fails, the account is parked as pending instead.
+ *   - 'park':     nothing is undone, the account is reported as pending.
+ *
+ * Resolves to { status, completedSteps, failedStep?, failure?, results }
+ * where status is 'completed', 'rolled_back' or 'pending' and results lists
+ * { step, success, skipped?, message? } for every step in order.
+ */
+const runProvisioning = async ({ steps, completedSteps = [], onFailure = 'rollback', logger, context = {} }) => {
+    const completed = [...completedSteps];
+    const results = [];
+
+    for (const step of steps) {
+        if (completed.includes(step.name)) {
+            results.push({ step: step.name, success: true, skipped: true });
+            continue;
+        }
+
+        let result;
+        try {
+            result = await step.run();
+        } catch (error) {
+            result = { success: false, message: error.message };
+        }
+
+        results.push({ step: step.name, success: result.success, message: result.message });
+
+        if (result.success) {
+            completed.push(step.name);
+            continue;
+        }
+
+        logger?.warn('Provisioning step failed', { ...context, step: step.name, error: result.message });
+
+        if (onFailure !== 'rollback') {
+            return { status: 'pending', completedSteps: completed, failedStep: step.name, failure: result, results };
+        }
+
+        // Undo in reverse order; whatever cannot be undone stays completed
+        const remaining = [...completed];
+        for (const name of [...completed].reverse()) {
+            const completedStep = steps.find((candidate) => candidate.name === name);
+            if (!completedStep?.compensate) {
+                continue;
+            }
+
+            let compensation;
+            try {
+                compensation = await completedStep.compensate();
+            } catch (error) {
+                compensation = { success: false, message: error.message };
+            }
+
+            if (!compensation.success) {
+                logger?.error('Provisioning rollback failed', { ...context, step: name, error: compensation.message });
+                return { status: 'pending', completedSteps: remaining, failedStep: step.name, failure: result, results };
+            }
+
+            remaining.splice(remaining.indexOf(name), 1);
+            logger?.info('Provisioning step rolled back', { ...context, step: name });
+        }
+
+        return { status: 'rolled_back', completedSteps: remaining, failedStep: step.name, failure: result, results };
+    }
+
+    return { status: 'completed', completedSteps: completed, results };
+};
+
+module.exports = { runProvisioning };
@@ -0,0 +1,167 @@
+const fs = require('fs');
+
+/**
+ * Provisioning rules: derive Nextcloud account settings from the Raumzeit
+ * person record.
+ *
+ * Templates reference attributes of the person record in braces, nested
+ * attributes with dots ("{studyCourse.shortName}"). A placeholder pointing
+ * to an array expands to one value per element, so "Fakultaet-{departments}"
+ * yields one group per department. A template whose attribute is missing or
+ * empty produces nothing.
+ *
+ * Example:
+ *   {
+ *     "displayName": "{firstName} {lastName}",
+ *     "language": "de",
+ *     "groups": ["Studiengang-{studyProgram}", "Kohorte-{studyProgram}-{semester}"],
+ *     "rules": [
+ *       { "when": { "personTypes": ["STUDENT"] }, "quota": "5 GB" },
+ *       { "when": { "personTypes": ["EMPLOYEE"] }, "quota": "20 GB", "groups": ["Mitarbeitende"] }
+ *     ]
+ *   }
+ *
+ * Top-level settings apply to everyone; every matching entry in "rules" adds
+ * its groups and overrides quota, language and displayName.
+ */
+
+const SETTINGS = ['displayName', 'language', 'quota'];
+const CONDITIONS = ['personTypes', 'departments'];
+const PLACEHOLDER = /\{([^{}]+)\}/g;
+
+const isStringArray = (value) => Array.isArray(value) && value.every((item) => typeof item === 'string');
+
+const lookup = (person, attributePath) =>
+    attributePath.trim().split('.').reduce((value, key) => (value == null ? undefined : value[key]), person);
+
+// Renders a template against the person record, returns all resulting strings
+const renderTemplate = (template, person) => {
+    let results = [''];
+    let lastIndex = 0;
+
+    for (const match of template.matchAll(PLACEHOLDER)) {
+        const literal = template.slice(lastIndex, match.index);
+        const value = lookup(person, match[1]);
+        const values = (Array.isArray(value) ? value : [value])
+            .filter((item) => item !== undefined && item !== null && String(item).trim() !== '')
+            .map((item) => String(item).trim());
+
+        if (values.length === 0) {
+            return [];
+        }
+
+        results = results.flatMap((prefix) => values.map((item) => prefix + literal + item));
+        lastIndex = match.index + match[0].length;
+    }
+
+    const tail = template.slice(lastIndex);
+    return [...new Set(results.map((result) => (result + tail).trim()).filter(Boolean))];
+};
+
+const validateSettings = (settings, where, problems) => {
+    SETTINGS.forEach((key) => {
+        if (settings[key] !== undefined && settings[key] !== null && typeof settings[key] !== 'string') {
+            problems.push(`${where}: "${key}" must be a string`);
+        }
+    });
+    if (settings.groups !== undefined && !isStringArray(settings.groups)) {
+        problems.push(`${where}: "groups" must be an array of strings`);
+    }
+};
+
+// Returns a list of human readable problems, empty when the rules are valid
+const validateProvisioningRules = (config) => {
+    const problems = [];
+
+    if (!config || typeof config !== 'object' || Array.isArray(config)) {
+        return ['provisioning rules must be a JSON object'];
+    }
+
+    validateSettings(config, 'top level', problems);
+
+    if (config.rules !== undefined) {
+        if (!Array.isArray(config.rules)) {
+            problems.push('"rules" must be an array');
+        } else {
+            config.rules.forEach((rule, index) => {
+                const where = `rules[${index}]`;
+                if (!rule || typeof rule !== 'object') {
+                    problems.push(`${where} must be an object`);
+                    return;
+                }
+                if (!rule.when || typeof rule.when !== 'object' || Array.isArray(rule.when)) {
+                    problems.push(`${where}: "when" must be an object`);
+                } else {
+                    Object.keys(rule.when).forEach((key) => {
+                        if (!CONDITIONS.includes(key)) {
+                            problems.push(`${where}: unknown condition "${key}" (expected one of ${CONDITIONS.join(', ')})`);
+                        } else if (!isStringArray(rule.when[key])) {
+                            problems.push(`${where}: condition "${key}" must be an array of strings`);
+                        }
+                    });
+                }
+                validateSettings(rule, where, problems);
+            });
+        }
+    }
+
+    return problems;
+};
+
+const matchesWhen = (when, person) => {
+    const departments = Array.isArray(person.departments) ? person.departments : [];
+
+    if (when.personTypes && !when.personTypes.includes(person.personType)) {
+        return false;
+    }
+    if (when.departments && !when.departments.some((department) => departments.includes(department))) {
+        return false;
+    }
+    return true;
+};
+
+const createProvisioningRules = (config) => {
+    const problems = validateProvisioningRules(config);
+    if (problems.length > 0) {
+        throw new Error(`Invalid provisioning rules:\n  - ${problems.join('\n  - ')}`);
+    }
+
+    // Returns { groups, quota?, language?, displayName? } for a Raumzeit person record
+    const derive = (person) => {
+        const applicable = [config, ...(config.rules || []).filter((rule) => matchesWhen(rule.when, person))];
+        const groups = new Set();
+        const result = {};
+
+        applicable.forEach((settings) => {
+            (settings.groups || []).forEach((template) => {
+                renderTemplate(template, person).forEach((group) => groups.add(group));
+            });
+
+            SETTINGS.forEach((key) => {
+                if (typeof settings[key] === 'string') {
+                    const [value] = renderTemplate(settings[key], person);
+                    if (value) {
+                        result[key] = value;
+                    }
+                }
+            });
+        });
+
+        return { ...result, groups: [...groups] };
+    };
+
+    return { derive };
+};
+
+const loadProvisioningRules = (filePath) => {
+    let config;
+    try {
+        config = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+        throw new Error(`Cannot read provisioning rules ${filePath}: ${error.message}`);
+    }
+
+    return createProvisioningRules(config);
+};
+
+module.exports = { renderTemplate, validateProvisioningRules, createProvisioningRules, loadProvisioningRules };
@@ -0,0 +1,145 @@
+/**
+ * Rate limiting and brute-force lockout for the RZ credential check, plus a
+ * plain request limit for public lookups.
+ *
+ * All state lives in a store with an async get/set/delete interface so the
+ * in-memory store can later be swapped for a shared one (e.g. Redis) when the
+ * backend runs with more than one instance.
+ */
+
+// In-memory store: key -> { value, expiresAt }
+const createMemoryStore = () => {
+    const entries = new Map();
+
+    const sweep = () => {
+        const now = Date.now();
+        for (const [key, entry] of entries) {
+            if (entry.expiresAt <= now) {
+                entries.delete(key);
+            }
+        }
+    };
+
+    // Expired entries are also dropped on read; the sweep only bounds memory
+    const timer = setInterval(sweep, 60 * 1000);
+    timer.unref();
+
+    return {
+        get: async (key) => {
+            const entry = entries.get(key);
+            if (!entry) return undefined;
+            if (entry.expiresAt <= Date.now()) {
+                entries.delete(key);
+                return undefined;
+            }
+            return entry.value;
+        },
+        set: async (key, value, ttlMs) => {
+            entries.set(key, { value, expiresAt: Date.now() + ttlMs });
+        },
+        delete: async (key) => {
+            entries.delete(key);
+        }
+    };
+};
+
+const toSeconds = (ms) => Math.max(1, Math.ceil(ms / 1000));
+
+// Sliding window: keeps the timestamps of the attempts inside the window
+const hitWindow = async (store, key, windowMs, maxAttempts, now) => {
+    const timestamps = ((await store.get(key)) || []).filter((t) => t > now - windowMs);
+
+    if (timestamps.length >= maxAttempts) {
+        return { allowed: false, retryAfterMs: timestamps[0] + windowMs - now };
+    }
+
+    timestamps.push(now);
+    await store.set(key, timestamps, windowMs);
+    return { allowed: true };
+};
+
+const createAuthRateLimiter = ({
+    store = createMemoryStore(),
+    ipWindowMs = 15 * 60 * 1000,
+    ipMaxAttempts = 30,
+    usernameWindowMs = 15 * 60 * 1000,
+    usernameMaxAttempts = 10,
+    lockoutThreshold = 3,
+    lockoutBaseMs = 30 * 1000,
+    lockoutMaxMs = 60 * 60 * 1000
+} = {}) => {
+    // Checks lockout and both windows and counts the attempt.
+    // Returns { allowed: true } or { allowed: false, reason, retryAfterSeconds }
+    // where reason is one of 'locked', 'ip', 'username'.
+    const check = async ({ ip, username }) => {
+        const now = Date.now();
+        const usernameKey = username.toLowerCase();
+
+        const lockout = await store.get(`lockout:${usernameKey}`);
+        if (lockout && lockout.lockedUntil > now) {
+            return { allowed: false, reason: 'locked', retryAfterSeconds: toSeconds(lockout.lockedUntil - now) };
+        }
+
+        const ipResult = await hitWindow(store, `ip:${ip}`, ipWindowMs, ipMaxAttempts, now);
+        if (!ipResult.allowed) {
+            return { allowed: false, reason: 'ip', retryAfterSeconds: toSeconds(ipResult.retryAfterMs) };
+        }
+
+        const usernameResult = await hitWindow(store, `user:${usernameKey}`, usernameWindowMs, usernameMaxAttempts, now);
+        if (!usernameResult.allowed) {
+            return { allowed: false, reason: 'username', retryAfterSeconds: toSeconds(usernameResult.retryAfterMs) };
+        }
+
+        return { allowed: true };
+    };
+
+    // Records a rejected credential check. From lockoutThreshold consecutive
+    // failures on, the username is locked for lockoutBaseMs, doubling with
+    // every further failure up to lockoutMaxMs.
+    const recordFailure = async (username) => {
+        const now = Date.now();
+        const key = `lockout:${username.toLowerCase()}`;
+        const previous = (await store.get(key)) || { failures: 0, lockedUntil: 0 };
+        const failures = previous.failures + 1;
+
+        let lockedUntil = previous.lockedUntil;
+        if (failures >= lockoutThreshold) {
+            const duration = Math.min(lockoutBaseMs * 2 ** (failures - lockoutThreshold), lockoutMaxMs);
+            lockedUntil = now + duration;
+        }
+
+        // Failures are forgotten once the longest lockout has passed without a new one
+        await store.set(key, { failures, lockedUntil }, Math.max(lockedUntil - now, 0) + lockoutMaxMs);
+
+        return {
+            failures,
+            locked: lockedUntil > now,
+            retryAfterSeconds: lockedUntil > now ? toSeconds(lockedUntil - now) : undefined
+        };
+    };
+
+    const recordSuccess = async (username) => {
+        await store.delete(`lockout:${username.toLowerCase()}`);
+    };
+
+    return { check, recordFailure, recordSuccess };
+};
+
+// Plain per-key request limit for public lookups that need no lockout.
+// check(key) returns { allowed: true } or { allowed: false, retryAfterSeconds }.
+const createRequestRateLimiter = ({
+    store = createMemoryStore(),
+    windowMs = 60 * 1000,
+    maxRequests = 30
+} = {}) => {
+    const check = async (key) => {
+        const result = await hitWindow(store, `requests:${key}`, windowMs, maxRequests, Date.now());
+        return result.allowed
+            ? { allowed: true }
+            : { allowed: false, retryAfterSeconds: toSeconds(result.retryAfterMs) };
+    };
+
+    return { check };
+};
+
+module.exports = { createMemoryStore, createAuthRateLimiter, createRequestRateLimiter };
@@ -0,0 +1,119 @@
+const { createUpstreamRequester } = require('./upstreamRequest');
+const { UpstreamAuthError, UpstreamResponseError } = require('./upstreamErrors');
+
+/**
+ * Client for the Raumzeit person API.
+ *
+ * authenticate() checks RZ credentials and resolves to the person record.
+ * lookupPerson() is used by the lifecycle sync: the login endpoint needs the
+ * user's own password, so it relies on a separate lookup endpoint that
+ * answers with the person record for a username ({username} in lookupUrl)
+ * and 404 with a JSON body for unknown persons. A 404 without JSON (a proxy,
+ * a wrong URL) is an UpstreamResponseError, never an unknown person.
+ *
+ * Failures reject with typed UpstreamErrors; wrong credentials are an
+ * UpstreamAuthError.
+ */
+// Helper function to tell an answer of the Raumzeit API from an HTML error page
+const isJsonAnswer = (response) => /^application\/(.+\+)?json/i.test(response.headers?.['content-type'] || '')
+    && response.data !== null && typeof response.data === 'object';
+
+const createRaumzeitClient = ({
+    url,
+    lookupUrl,
+    apiToken,
+    logger,
+    timeoutMs,
+    retries,
+    backoffMs,
+    circuitBreaker,
+    onRequest
+}) => {
+    const upstream = createUpstreamRequester({
+        service: 'raumzeit',
+        timeoutMs,
+        retries,
+        backoffMs,
+        circuitBreaker,
+        onRequest,
+        logger
+    });
+
+    const authenticate = async (login, password) => {
+        // Only retried if it never reached Raumzeit: a login that timed out may have been
+        // counted as a failed attempt, and every repetition brings the account closer to a lockout
+        const response = await upstream.request({
+            method: 'POST',
+            url: `${url}/api/v1/persons`,
+            data: { login, password },
+            headers: {
+                'Content-Type': 'application/json',
+                'User-Agent': 'NextcloudRegistration/1.0'
+            }
+        }, { idempotent: false });
+
+        if (response.status === 401 || response.status === 403) {
+            throw new UpstreamAuthError('Invalid RZ credentials', { service: 'raumzeit', status: response.status });
+        }
+        if (response.status !== 200 || !response.data || typeof response.data !== 'object') {
+            throw new UpstreamResponseError(`Unexpected Raumzeit answer (HTTP ${response.status})`, {
+                service: 'raumzeit',
+                status: response.status
+            });
+        }
+
+        return response.data;
+    };
+
+    const lookupPerson = async (username) => {
+        if (!lookupUrl) {
+            throw new Error('No Raumzeit lookup URL configured');
+        }
+
+        const response = await upstream.request({
+            method: 'GET',
+            url: lookupUrl.replace('{username}', encodeURIComponent(username)),
+            headers: {
+                'Accept': 'application/json',
+                'User-Agent': 'NextcloudRegistration/1.0',
+                ...(apiToken ? { 'Authorization': `Bearer ${apiToken}` } : {})
+            }
+        });
+
+        // Only Raumzeit's own answer counts: a 404 page of a proxy or a wrong URL must not
+        // make the person look exmatriculated
+        if (response.status === 404 && isJsonAnswer(response)) {
+            return { found: false };
+        }
+        if (response.status === 401 || response.status === 403) {
+            throw new UpstreamAuthError('Raumzeit rejected the API token', { service: 'raumzeit', status: response.status });
+        }
+        if (response.status !== 200) {
+            throw new UpstreamResponseError(`Unexpected Raumzeit answer (HTTP ${response.status})`, {
+                service: 'raumzeit',
+                status: response.status
+            });
+        }
+
+        return { found: true, person: response.data };
+    };
+
+    // Health check without retries: Raumzeit counts as reachable when it answers
+    // below 500 (the login endpoint is not used so no failed login is logged there)
+    const checkConnection = async () => {
+        await upstream.request({
+            method: 'GET',
+            url: `${url}/`,
+            headers: { 'User-Agent': 'NextcloudRegistration/1.0' }
+        }, { retries: 0 });
+    };
+
+    return {
+        authenticate,
+        checkConnection,
+        lookupPerson,
+        getCircuitState: upstream.getCircuitState
+    };
+};
+
+module.exports = { createRaumzeitClient };
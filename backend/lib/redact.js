@@ -0,0 +1,83 @@
+/**
+ * Recursive redaction of sensitive values before they are logged.
+ *
+ * Keys are matched case-insensitively at any depth, either exactly or as a
+ * glob with "*" (e.g. "*password*"). Errors are reduced to name, message,
+ * code and status so request configs with credentials never end up in logs.
+ * Circular references and very deep objects are cut off.
+ */
+
+const DEFAULT_REDACT_KEYS = [
+    '*password*',
+    '*secret*',
+    '*token*',
+    'registrationTicket',
+    'exceptionTicket',
+    'verificationCode',
+    'invitationCode',
+    'authorization',
+    'cookie',
+    'apiKey'
+];
+
+const toMatcher = (key) => {
+    const lower = key.toLowerCase();
+    if (!lower.includes('*')) {
+        return (candidate) => candidate === lower;
+    }
+    const pattern = new RegExp(`^${lower.split('*').map((part) => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*')}$`);
+    return (candidate) => pattern.test(candidate);
+};
+
+const createRedactor = ({ keys = DEFAULT_REDACT_KEYS, maxDepth = 8, placeholder = '[REDACTED]' } = {}) => {
+    const matchers = keys.map(toMatcher);
+    const isSensitive = (key) => {
+        const lower = key.toLowerCase();
+        return matchers.some((matches) => matches(lower));
+    };
+
+    const redact = (value, depth = 0, seen = new WeakSet()) => {
+        if (value === null || typeof value !== 'object') {
+            return value;
+        }
+        if (value instanceof Error) {
+            return {
+                name: value.name,
+                message: value.message,
+                code: value.code,
+                status: value.status ?? value.response?.status
+            };
+        }
+        if (value instanceof Date) {
+            return value.toISOString();
+        }
+        if (Buffer.isBuffer(value)) {
+            return `[Buffer ${value.length} bytes]`;
+        }
+        if (seen.has(value)) {
+            return '[Circular]';
+        }
+        if (depth >= maxDepth) {
+            return '[Truncated]';
+        }
+
+        seen.add(value);
+        let result;
+        if (Array.isArray(value)) {
+            result = value.map((item) => redact(item, depth + 1, seen));
+        } else {
+            result = {};
+            for (const [key, item] of Object.entries(value)) {
+                result[key] = isSensitive(key) && item !== undefined && item !== null && item !== ''
+                    ? placeholder
+                    : redact(item, depth + 1, seen);
+            }
+        }
+        seen.delete(value);
+        return result;
+    };
+
+    return { redact: (value) => redact(value), isSensitive };
+};
+
+module.exports = { DEFAULT_REDACT_KEYS, createRedactor };
@@ -0,0 +1,70 @@
+const crypto = require('crypto');
+const { toCsvLine } = require('./csv');
+
+/**
+ * Persisted history of registration outcomes for the admin dashboard.
+ *
+ * Every answer of /api/auth and /api/nextcloud/user is recorded with its
+ * outcome, so admins can see who registered, who was rejected and why.
+ */
+
+const CSV_COLUMNS = ['timestamp', 'stage', 'rzUsername', 'outcome', 'httpStatus', 'rule', 'email', 'message', 'ip', 'profile'];
+
+// Maps the HTTP status of a registration answer to a stable outcome name
+const outcomeForStatus = (status) => {
+    if (status === 200 || status === 201) return 'success';
+    if (status === 400) return 'invalid_request';
+    if (status === 401) return 'unauthenticated';
+    if (status === 403) return 'denied';
+    if (status === 409) return 'exists';
+    if (status === 428) return 'consent_required';
+    if (status === 429) return 'rate_limited';
+    if (status === 502 || status === 503 || status === 504) return 'upstream_error';
+    return 'error';
+};
+
+const createRegistrationRecords = ({ store }) => {
+    const record = async (entry) => {
+        const id = crypto.randomUUID();
+        const item = { id, timestamp: new Date().toISOString(), ...entry };
+        await store.set(id, item);
+        return item;
+    };
+
+    // Filters: username (substring), stage, outcome, from/to (ISO dates), limit.
+    // A date-only "to" (YYYY-MM-DD) includes the whole day.
+    const query = ({ username, stage, outcome, from, to, limit } = {}) => {
+        const needle = username ? username.toLowerCase() : null;
+        const until = to && to.length === 10 ? `${to}T23:59:59.999Z` : to;
+
+        const records = store.values()
+            .filter((item) => !needle || (item.rzUsername || '').toLowerCase().includes(needle))
+            .filter((item) => !stage || item.stage === stage)
+            .filter((item) => !outcome || item.outcome === outcome)
+            .filter((item) => !from || item.timestamp >= from)
+            .filter((item) => !until || item.timestamp <= until)
+            .sort((a, b) => b.timestamp.localeCompare(a.timestamp));
+
+        return limit ? records.slice(0, limit) : records;
+    };
+
+    const toCsv = (records) => [
+        CSV_COLUMNS.join(','),
+        ...records.map((item) => toCsvLine(CSV_COLUMNS.map((column) => item[column])))
+    ].join('\n');
+
+    // Removes every record of the user (exact, case-insensitive match) and returns how many
+    const removeByUsername = async (username) => {
+        const ids = store.entries()
+            .filter(([, item]) => (item.rzUsername || '').toLowerCase() === username.toLowerCase())
+            .map(([id]) => id);
+        for (const id of ids) {
+            await store.delete(id);
+        }
+        return ids.length;
+    };
+
+    return { record, query, toCsv, removeByUsername };
+};
+
+module.exports = { outcomeForStatus, createRegistrationRecords };
@@ -0,0 +1,123 @@
+const crypto = require('crypto');
+
+/**
+ * Signed, short-lived, single-use registration tickets.
+ *
+ * A ticket is issued by /api/auth after the Raumzeit credential check and
+ * has to be presented to /api/nextcloud/user. It is bound to the verified
+ * RZ username, so the creation route can no longer be called for arbitrary
+ * usernames.
+ *
+ * Format: base64url(JSON payload) + "." + base64url(HMAC-SHA256 signature)
+ */
+
+const base64url = (buffer) => Buffer.from(buffer).toString('base64url');
+
+const createRegistrationTickets = ({ secret, ttlSeconds = 600 }) => {
+    if (!secret) {
+        throw new Error('A ticket secret is required');
+    }
+
+    // jti -> expiry timestamp (ms) of tickets that have already been redeemed
+    const redeemed = new Map();
+
+    const sign = (encodedPayload) =>
+        base64url(crypto.createHmac('sha256', secret).update(encodedPayload).digest());
+
+    const pruneRedeemed = (now) => {
+        for (const [jti, expiresAt] of redeemed) {
+            if (expiresAt <= now) {
+                redeemed.delete(jti);
+            }
+        }
+    };
+
+    // grants carries what the eligibility check decided (groups, quota) so
+    // the creation route can apply it without trusting the client
+    const issue = (username, grants = {}) => {
+        const now = Date.now();
+        const payload = {
+            sub: username,
+            grants,
+            jti: crypto.randomUUID(),
+            iat: now,
+            exp: now + ttlSeconds * 1000
+        };
+        const encodedPayload = base64url(JSON.stringify(payload));
+
+        return {
+            ticket: `${encodedPayload}.${sign(encodedPayload)}`,
+            expiresAt: new Date(payload.exp).toISOString()
+        };
+    };
+
+    // Checks signature and expiry only, for tokens not bound to a known user
+    // (e.g. admin sessions). Returns { valid: true, username, grants } or
+    // { valid: false, reason } where reason is one of 'missing', 'malformed',
+    // 'signature', 'expired'.
+    const decode = (ticket) => {
+        if (!ticket || typeof ticket !== 'string') {
+            return { valid: false, reason: 'missing' };
+        }
+
+        const parts = ticket.split('.');
+        if (parts.length !== 2) {
+            return { valid: false, reason: 'malformed' };
+        }
+
+        const [encodedPayload, signature] = parts;
+        const expected = Buffer.from(sign(encodedPayload));
+        const actual = Buffer.from(signature);
+        if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+            return { valid: false, reason: 'signature' };
+        }
+
+        let payload;
+        try {
+            payload = JSON.parse(Buffer.from(encodedPayload, 'base64url').toString('utf8'));
+        } catch {
+            return { valid: false, reason: 'malformed' };
+        }
+
+        if (typeof payload.exp !== 'number' || payload.exp <= Date.now()) {
+            return { valid: false, reason: 'expired' };
+        }
+
+        return { valid: true, username: payload.sub, grants: payload.grants || {}, jti: payload.jti, exp: payload.exp };
+    };
+
+    // Verifies the ticket for the given username without using it up.
+    // Returns { valid: true } or { valid: false, reason } where reason is one
+    // of 'missing', 'malformed', 'signature', 'expired', 'replayed', 'mismatch'.
+    const verify = (ticket, username) => {
+        const decoded = decode(ticket);
+        if (!decoded.valid) {
+            return decoded;
+        }
+
+        pruneRedeemed(Date.now());
+
+        if (redeemed.has(decoded.jti)) {
+            return { valid: false, reason: 'replayed' };
+        }
+
+        if (decoded.username !== username) {
+            return { valid: false, reason: 'mismatch' };
+        }
+
+        return decoded;
+    };
+
+    // Verifies the ticket and marks it as used
+    const redeem = (ticket, username) => {
+        const result = verify(ticket, username);
+        if (result.valid) {
+            redeemed.set(result.jti, result.exp);
+        }
+        return result;
+    };
+
+    return { issue, decode, verify, redeem };
+};
+
+module.exports = { createRegistrationTickets };
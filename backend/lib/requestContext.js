@@ -0,0 +1,25 @@
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+
+/**
+ * Per-request context (currently the correlation ID), available to every
+ * function called while the request is handled without passing it around.
+ */
+const requestContext = new AsyncLocalStorage();
+
+// Incoming IDs from a proxy are reused if they look harmless
+const REQUEST_ID_PATTERN = /^[A-Za-z0-9._-]{1,64}$/;
+
+const getRequestId = () => requestContext.getStore()?.requestId;
+
+// Middleware assigning the request ID and returning it in the X-Request-ID header
+const requestIdMiddleware = (req, res, next) => {
+    const incoming = req.get('x-request-id');
+    const requestId = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : crypto.randomUUID();
+
+    req.requestId = requestId;
+    res.set('X-Request-ID', requestId);
+    requestContext.run({ requestId }, next);
+};
+
+module.exports = { getRequestId, requestIdMiddleware };
@@ -0,0 +1,114 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Appends lines to a log file without blocking the event loop and rotates
+ * it by size and/or day.
+ *
+ * On rotation the current file is renamed to <name>.<timestamp><ext> and a
+ * new one is started; rotated files beyond maxFiles or older than
+ * retentionDays are removed. Writes are queued, so lines keep their order
+ * while a rotation is in progress.
+ */
+const createRotatingFileWriter = ({
+    directory,
+    fileName = 'latest.log',
+    maxSizeBytes = 10 * 1024 * 1024,
+    rotateDaily = true,
+    maxFiles = 14,
+    retentionDays = 30,
+    now = () => new Date(),
+    onError = (error) => console.error('Log file write failed:', error.message)
+}) => {
+    const filePath = path.join(directory, fileName);
+    const extension = path.extname(fileName);
+    const baseName = path.basename(fileName, extension);
+
+    let stream;
+    let size = 0;
+    let day;
+    let queue = Promise.resolve();
+
+    const dayOf = (date) => date.toISOString().slice(0, 10);
+
+    const open = async () => {
+        await fs.promises.mkdir(directory, { recursive: true });
+        try {
+            const stats = await fs.promises.stat(filePath);
+            size = stats.size;
+            day = dayOf(stats.mtime);
+        } catch {
+            size = 0;
+            day = dayOf(now());
+        }
+        stream = fs.createWriteStream(filePath, { flags: 'a' });
+        stream.on('error', onError);
+    };
+
+    const close = () => new Promise((resolve) => {
+        if (!stream) return resolve();
+        stream.end(resolve);
+        stream = undefined;
+    });
+
+    // Helper function to drop rotated files beyond maxFiles or retentionDays
+    const prune = async () => {
+        const prefix = `${baseName}.`;
+        const names = (await fs.promises.readdir(directory))
+            .filter((name) => name.startsWith(prefix) && name.endsWith(extension) && name !== fileName)
+            .sort()
+            .reverse();
+        const cutoff = now().getTime() - retentionDays * 24 * 60 * 60 * 1000;
+
+        for (const [index, name] of names.entries()) {
+            const rotatedPath = path.join(directory, name);
+            const stats = await fs.promises.stat(rotatedPath);
+            if (index >= maxFiles || stats.mtime.getTime() < cutoff) {
+                await fs.promises.unlink(rotatedPath);
+            }
+        }
+    };
+
+    const rotate = async () => {
+        await close();
+        const stamp = now().toISOString().replace(/[:.]/g, '-');
+        let rotatedPath = path.join(directory, `${baseName}.${stamp}${extension}`);
+        for (let suffix = 1; fs.existsSync(rotatedPath); suffix++) {
+            rotatedPath = path.join(directory, `${baseName}.${stamp}-${suffix}${extension}`);
+        }
+        await fs.promises.rename(filePath, rotatedPath);
+        await prune();
+        await open();
+    };
+
+    const append = async (line) => {
+        if (!stream) {
+            await open();
+        }
+
+        const bytes = Buffer.byteLength(line) + 1;
+        const dayChanged = rotateDaily && dayOf(now()) !== day;
+        if (size > 0 && (dayChanged || size + bytes > maxSizeBytes)) {
+            await rotate();
+        }
+
+        size += bytes;
+        await new Promise((resolve) => stream.write(`${line}\n`, resolve));
+    };
+
+    const write = (line) => {
+        queue = queue.then(() => append(line)).catch(onError);
+        return queue;
+    };
+
+    return {
+        write,
+        flush: () => queue,
+        close: () => {
+            queue = queue.then(close);
+            return queue;
+        }
+    };
+};
+
+module.exports = { createRotatingFileWriter };
@@ -0,0 +1,45 @@
+/**
+ * Errors thrown by the Nextcloud and Raumzeit clients.
+ *
+ * Every error carries the upstream service name and, where there was a
+ * response, its HTTP status. Routes map them to answers by type instead of
+ * inspecting axios internals.
+ */
+class UpstreamError extends Error {
+    constructor(message, { service, status, code, cause } = {}) {
+        super(message, cause ? { cause } : undefined);
+        this.name = this.constructor.name;
+        this.service = service;
+        this.status = status;
+        this.code = code;
+    }
+}
+
+// The request did not finish within the configured timeout
+class UpstreamTimeoutError extends UpstreamError {}
+
+// Network failure or 5xx answer, still failing after all retries
+class UpstreamUnavailableError extends UpstreamError {}
+
+// The circuit breaker is open, the request was not attempted
+class CircuitOpenError extends UpstreamError {
+    constructor(message, { retryAfterSeconds, ...options } = {}) {
+        super(message, options);
+        this.retryAfterSeconds = retryAfterSeconds;
+    }
+}
+
+// 401/403 - wrong user credentials (Raumzeit) or admin credentials (Nextcloud)
+class UpstreamAuthError extends UpstreamError {}
+
+// Any other unexpected answer
+class UpstreamResponseError extends UpstreamError {}
+
+module.exports = {
+    UpstreamError,
+    UpstreamTimeoutError,
+    UpstreamUnavailableError,
+    CircuitOpenError,
+    UpstreamAuthError,
+    UpstreamResponseError
+};
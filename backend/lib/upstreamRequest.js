@@ -0,0 +1,183 @@
+const axios = require('axios');
+const {
+    UpstreamError,
+    UpstreamTimeoutError,
+    UpstreamUnavailableError,
+    CircuitOpenError
+} = require('./upstreamErrors');
+const { getRequestId } = require('./requestContext');
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Circuit breaker for one upstream service.
+ *
+ * After failureThreshold consecutive failures the circuit opens and calls
+ * fail fast with a CircuitOpenError. Once resetTimeoutMs has passed a single
+ * trial call is let through (half-open): success closes the circuit, failure
+ * opens it again. Answers below 500 never reach the breaker as errors, so
+ * only timeouts, network errors and 5xx answers count.
+ */
+const createCircuitBreaker = ({
+    service,
+    failureThreshold = 5,
+    resetTimeoutMs = 30000,
+    now = () => Date.now()
+}) => {
+    let state = 'closed';
+    let failures = 0;
+    let openedAt = 0;
+
+    const execute = async (fn) => {
+        if (state === 'open') {
+            const remainingMs = openedAt + resetTimeoutMs - now();
+            if (remainingMs > 0) {
+                throw new CircuitOpenError(`${service} circuit is open`, {
+                    service,
+                    retryAfterSeconds: Math.ceil(remainingMs / 1000)
+                });
+            }
+            state = 'half-open';
+        } else if (state === 'half-open') {
+            throw new CircuitOpenError(`${service} circuit is half-open, trial request in progress`, {
+                service,
+                retryAfterSeconds: 1
+            });
+        }
+
+        try {
+            const result = await fn();
+            state = 'closed';
+            failures = 0;
+            return result;
+        } catch (error) {
+            failures += 1;
+            if (state === 'half-open' || failures >= failureThreshold) {
+                state = 'open';
+                openedAt = now();
+            }
+            throw error;
+        }
+    };
+
+    return {
+        execute,
+        getState: () => ({ state, failures })
+    };
+};
+
+// Helper function to turn an axios error into a typed upstream error
+const toUpstreamError = (service, error) => {
+    if (error instanceof UpstreamError) {
+        return error;
+    }
+
+    if (error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT') {
+        return new UpstreamTimeoutError(`${service} request timed out`, { service, code: error.code, cause: error });
+    }
+
+    return new UpstreamUnavailableError(
+        error.response ? `${service} answered with HTTP ${error.response.status}` : `${service} is unreachable: ${error.message}`,
+        { service, status: error.response?.status, code: error.code, cause: error }
+    );
+};
+
+// Connection errors where the request cannot have reached the server
+const NOT_SENT_CODES = ['ECONNREFUSED', 'ENOTFOUND', 'EAI_AGAIN'];
+
+/**
+ * Sends HTTP requests to one upstream service with a timeout, retries with
+ * exponential backoff on network errors and 5xx answers, and a circuit
+ * breaker (circuitBreaker: { failureThreshold, resetTimeoutMs }). Answers
+ * below 500 are returned as they are, the caller decides what a 4xx means;
+ * everything else rejects with an UpstreamError.
+ *
+ * Non-idempotent requests (idempotent: false) are only retried when the
+ * connection could not be established, so a create is never sent twice.
+ * onRequest({ service, method, status, outcome, durationMs }) is called after
+ * every attempt, e.g. to record latency metrics.
+ */
+const createUpstreamRequester = ({
+    service,
+    timeoutMs = 10000,
+    retries = 2,
+    backoffMs = 200,
+    maxBackoffMs = 5000,
+    circuitBreaker: circuitBreakerOptions = {},
+    onRequest,
+    logger
+}) => {
+    const circuitBreaker = createCircuitBreaker({ service, ...circuitBreakerOptions });
+
+    const attempt = async (config) => {
+        const startedAt = Date.now();
+        const report = (status, outcome) => onRequest?.({
+            service,
+            method: (config.method || 'GET').toUpperCase(),
+            status,
+            outcome,
+            durationMs: Date.now() - startedAt
+        });
+
+        try {
+            // Passing the request ID on lets upstream logs be correlated with ours
+            const requestId = getRequestId();
+            const response = await axios.request({
+                ...config,
+                headers: requestId ? { ...config.headers, 'X-Request-ID': requestId } : config.headers,
+                timeout: timeoutMs,
+                validateStatus: () => true
+            });
+
+            report(response.status, response.status >= 500 ? 'server_error' : 'ok');
+            if (response.status >= 500) {
+                throw new UpstreamUnavailableError(`${service} answered with HTTP ${response.status}`, {
+                    service,
+                    status: response.status
+                });
+            }
+            return response;
+        } catch (error) {
+            const upstreamError = toUpstreamError(service, error);
+            if (!upstreamError.status) {
+                report(undefined, upstreamError instanceof UpstreamTimeoutError ? 'timeout' : 'network_error');
+            }
+            throw upstreamError;
+        }
+    };
+
+    const isRetryable = (error, idempotent) => {
+        if (error instanceof UpstreamTimeoutError) return idempotent;
+        if (!(error instanceof UpstreamUnavailableError)) return false;
+        return idempotent || (error.status === undefined && NOT_SENT_CODES.includes(error.code));
+    };
+
+    const request = (config, { idempotent = true, retries: maxRetries = retries } = {}) => circuitBreaker.execute(async () => {
+        for (let attemptNumber = 0; ; attemptNumber++) {
+            try {
+                return await attempt(config);
+            } catch (error) {
+                if (attemptNumber >= maxRetries || !isRetryable(error, idempotent)) {
+                    throw error;
+                }
+
+                // Exponential backoff with jitter so parallel requests do not retry in lockstep
+                const delayMs = Math.min(maxBackoffMs, backoffMs * 2 ** attemptNumber) * (0.5 + Math.random() / 2);
+                logger?.warn(`${service} request failed, retrying`, {
+                    method: config.method,
+                    attempt: attemptNumber + 1,
+                    delayMs: Math.round(delayMs),
+                    error: error.message
+                });
+                await sleep(delayMs);
+            }
+        }
+    });
+
+    return {
+        request,
+        getCircuitState: circuitBreaker.getState
+    };
+};
+
+module.exports = { createCircuitBreaker, createUpstreamRequester };
@@ -0,0 +1,137 @@
+/**
+ * Maps RZ usernames to Nextcloud user IDs. The ID is built from a template
+ * with a {username} placeholder ("{username}" by default, e.g.
+ * "stud-{username}" for a prefix), optionally lower-cased.
+ *
+ * Guests invited with a code (see lib/invitations) have no RZ username; they
+ * pick a name that becomes their ID through guestTemplate ("gast-{username}"
+ * by default). Their records are marked as guest records, so an RZ user with
+ * the same name can never take over a guest account and vice versa.
+ *
+ * Every account the portal creates is recorded, so recovery, the privacy
+ * routes and the lifecycle sync resolve the same account even after the
+ * template has changed. Accounts without a record were created before the
+ * mapping existed - their ID is the RZ username itself.
+ *
+ * The server, the bulk provisioning and the lifecycle sync all use the
+ * records, so the store is opened for every access (openStore, usually a
+ * createJsonFileStoreOpener that only reads the file again after another
+ * process changed it); writes of this process are serialized. Writes of
+ * different processes are not locked against each other: each one rewrites
+ * the whole file, so a record written by one process while another writes
+ * can be lost. Run the bulk provisioning and the lifecycle sync while the
+ * server takes no registrations (see README).
+ */
+
+// Characters the portal allows in Nextcloud user IDs (Nextcloud also allows spaces and ')
+const NEXTCLOUD_ID_PATTERN = /^[a-zA-Z0-9._@-]{1,64}$/;
+
+// Helper function to reject templates that cannot produce valid Nextcloud IDs
+const checkTemplate = (template) => {
+    if (!template.includes('{username}')) {
+        throw new Error(`Username template "${template}" needs a {username} placeholder`);
+    }
+    if (!NEXTCLOUD_ID_PATTERN.test(template.replace(/\{username\}/g, 'x'))) {
+        throw new Error(`Username template "${template}" contains characters not allowed in Nextcloud user IDs`);
+    }
+};
+
+const createUsernameMapping = ({ template = '{username}', guestTemplate = 'gast-{username}', lowercase = false, reserved = [], openStore }) => {
+    checkTemplate(template);
+    checkTemplate(guestTemplate);
+
+    const reservedIds = new Set(reserved.map((id) => id.toLowerCase()));
+    // Guest records get their own keys, a guest ID may look like an RZ username
+    const keyOf = (rzUsername, guest = false) => (guest ? `guest:${rzUsername.toLowerCase()}` : rzUsername.toLowerCase());
+    let writeQueue = Promise.resolve();
+    // Records by lower-cased Nextcloud ID, built once per store that openStore returns
+    let index = { store: undefined, byNextcloudId: new Map() };
+
+    // Nextcloud ID the template gives for an RZ username, ignoring records
+    const toNextcloudId = (rzUsername) => template.replace(/\{username\}/g, lowercase ? rzUsername.toLowerCase() : rzUsername);
+
+    // Nextcloud ID of a guest; it is also the guest's username in the registration flow
+    const toGuestId = (name) => guestTemplate.replace(/\{username\}/g, lowercase ? name.toLowerCase() : name);
+
+    const get = (rzUsername) => openStore().get(keyOf(rzUsername));
+
+    // Nextcloud ID of the user's account: the recorded one, otherwise the template's
+    const resolve = (rzUsername) => get(rzUsername)?.nextcloudUsername || toNextcloudId(rzUsername);
+
+    const recordOf = (nextcloudUsername) => {
+        const store = openStore();
+        if (index.store !== store) {
+            const byNextcloudId = new Map();
+            store.values().forEach((item) => {
+                const id = item.nextcloudUsername.toLowerCase();
+                if (!byNextcloudId.has(id)) byNextcloudId.set(id, item);
+            });
+            index = { store, byNextcloudId };
+        }
+        return index.byNextcloudId.get(nextcloudUsername.toLowerCase());
+    };
+
+    // RZ username recorded for a Nextcloud ID, undefined if there is none
+    const ownerOf = (nextcloudUsername) => recordOf(nextcloudUsername)?.rzUsername;
+
+    // Whether the portal created the account for an invited guest
+    const isGuest = (nextcloudUsername) => recordOf(nextcloudUsername)?.guest === true;
+
+    // RZ username to look a Nextcloud account up with; unrecorded IDs are RZ usernames themselves
+    const rzUsernameFor = (nextcloudUsername) => ownerOf(nextcloudUsername) || nextcloudUsername;
+
+    // Why rzUsername must not use the account nextcloudUsername, or null if it may.
+    // exists: whether Nextcloud has an account with that ID; guest: whether
+    // rzUsername is a guest ID rather than an RZ username.
+    //   'reserved'      local or admin account named in the configuration
+    //   'claimed'       recorded for another RZ user or guest
+    //   'not_by_portal' an account the portal did not create for this user
+    const findCollision = (rzUsername, nextcloudUsername, { exists, guest = false }) => {
+        if (reservedIds.has(nextcloudUsername.toLowerCase())) {
+            return 'reserved';
+        }
+
+        const owner = recordOf(nextcloudUsername);
+        if (owner) {
+            const sameUser = owner.rzUsername.toLowerCase() === rzUsername.toLowerCase() && (owner.guest === true) === guest;
+            return sameUser ? null : 'claimed';
+        }
+
+        // Without a record only an account named exactly like the RZ user can be one the portal created
+        return exists && nextcloudUsername.toLowerCase() !== rzUsername.toLowerCase() ? 'not_by_portal' : null;
+    };
+
+    const record = (rzUsername, nextcloudUsername, { guest = false } = {}) => {
+        const recording = writeQueue.then(async () => {
+            const store = openStore();
+            if (store.get(keyOf(rzUsername, guest))?.nextcloudUsername === nextcloudUsername) return;
+            index = { store: undefined, byNextcloudId: new Map() };
+            await store.set(keyOf(rzUsername, guest), {
+                rzUsername,
+                nextcloudUsername,
+                ...(guest ? { guest: true } : {}),
+                recordedAt: new Date().toISOString()
+            });
+        });
+        // A failed write must not block the following ones
+        writeQueue = recording.catch(() => {});
+        return recording;
+    };
+
+    // Resolves to whether a record was removed
+    const remove = (rzUsername) => {
+        const removal = writeQueue.then(async () => {
+            const store = openStore();
+            if (!store.has(keyOf(rzUsername))) return false;
+            index = { store: undefined, byNextcloudId: new Map() };
+            await store.delete(keyOf(rzUsername));
+            return true;
+        });
+        writeQueue = removal.catch(() => {});
+        return removal;
+    };
+
+    return { toNextcloudId, toGuestId, get, resolve, ownerOf, isGuest, rzUsernameFor, findCollision, record, remove };
+};
+
+module.exports = { NEXTCLOUD_ID_PATTERN, createUsernameMapping };
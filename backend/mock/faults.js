@@ -0,0 +1,46 @@
+/**
+ * Fault injection shared by the mock servers.
+ *
+ * POST /_mock/faults { path, method, status, body, delayMs, count } makes the
+ * next `count` requests whose path contains `path` (and whose method is
+ * `method`, if given) wait `delayMs` and/or answer with `status` and `body`
+ * (count defaults to 1, -1 means until cleared).
+ * DELETE /_mock/faults clears all faults.
+ */
+const createFaults = () => {
+    let faults = [];
+
+    const middleware = (req, res, next) => {
+        if (req.path.startsWith('/_mock')) return next();
+
+        const fault = faults.find((item) => (!item.path || req.path.includes(item.path))
+            && (!item.method || item.method.toUpperCase() === req.method));
+        if (!fault) return next();
+
+        if (fault.count > 0) fault.count -= 1;
+        if (fault.count === 0) faults = faults.filter((item) => item !== fault);
+
+        setTimeout(() => {
+            if (fault.status) {
+                return res.status(fault.status).json(fault.body || { message: 'Injected fault' });
+            }
+            next();
+        }, fault.delayMs || 0);
+    };
+
+    const register = (app) => {
+        app.post('/_mock/faults', (req, res) => {
+            const { path, method, status, body, delayMs, count = 1 } = req.body || {};
+            faults.push({ path, method, status, body, delayMs, count });
+            res.status(201).json({ faults });
+        });
+        app.delete('/_mock/faults', (req, res) => {
+            faults = [];
+            res.json({ faults });
+        });
+    };
+
+    return { middleware, register, clear: () => { faults = []; } };
+};
+
+module.exports = { createFaults };
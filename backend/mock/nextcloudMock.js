@@ -0,0 +1,307 @@
+const crypto = require('crypto');
+const express = require('express');
+const { createFaults } = require('./faults');
+
+/**
+ * In-memory mock of the Nextcloud OCS provisioning API (v2), covering the
+ * calls made by the portal: users, groups, enable/disable, welcome mails and
+ * read-only shares. Requests need Basic auth with the configured admin
+ * credentials. The public password reset form (POST /index.php/lostpassword/email)
+ * needs no login, only the OCS-APIRequest header instead of a CSRF token. WebDAV folders and calendar subscriptions (MKCOL below
+ * /remote.php/dav) need the login of the user they belong to.
+ * okStatusCode 100 answers like the OCS v1 API: status 100 for successful
+ * calls and HTTP 200 for failures too. unknownUserStatusCode is the OCS
+ * status of a lookup of an unknown user (404, or 998 on some versions).
+ *
+ * The account is a Nextcloud admin by default (accountGroups). Without the
+ * admin group it is treated like a group admin of subadminGroups: it cannot
+ * create groups and only manages users in its groups. The password can be
+ * rotated like an app password (POST /core/apppassword/rotate).
+ *
+ * GET /_mock/state shows users, groups, sent welcome and reset mails, shares and
+ * every user's folders and calendars,
+ * POST /_mock/reset empties everything.
+ */
+const createNextcloudMock = ({
+    adminUser = 'admin',
+    adminPassword = 'admin',
+    okStatusCode = 200,
+    unknownUserStatusCode = 404,
+    accountGroups = ['admin'],
+    subadminGroups = []
+} = {}) => {
+    const app = express();
+    const isAdmin = accountGroups.includes('admin');
+    let password = adminPassword;
+    const faults = createFaults();
+    let users = {};
+    // The groups of a group admin exist, it could not create them
+    let groups = new Set(subadminGroups);
+    let welcomeMails = [];
+    let passwordResetMails = [];
+    let shares = [];
+    // Passwords set at creation, folders and calendars by user ID
+    let passwords = {};
+    let folders = {};
+    let calendars = {};
+
+    // OCS v2 maps failure codes to HTTP statuses: 997 -> 401, 403 -> 403, 998/404 -> 404, others -> 400;
+    // v1 answers everything with 200
+    const httpStatusFor = (statuscode) => {
+        if (okStatusCode === 100) return 200;
+        if (statuscode === 997) return 401;
+        if (statuscode === 403) return 403;
+        if (statuscode === 998 || statuscode === 404) return 404;
+        return 400;
+    };
+
+    const ok = (res, data = {}) => res.json({
+        ocs: { meta: { status: 'ok', statuscode: okStatusCode, message: 'OK' }, data }
+    });
+
+    const fail = (res, statuscode, message) => res.status(httpStatusFor(statuscode)).json({
+        ocs: { meta: { status: 'failure', statuscode, message }, data: [] }
+    });
+
+    app.use(express.urlencoded({ extended: false }));
+    app.use(express.json());
+    app.use(express.text({ type: 'application/xml' }));
+    app.use(faults.middleware);
+    faults.register(app);
+
+    app.get('/_mock/state', (req, res) => {
+        res.json({ users, groups: [...groups], welcomeMails, passwordResetMails, shares, folders, calendars });
+    });
+
+    app.post('/_mock/reset', (req, res) => {
+        users = {};
+        groups = new Set(subadminGroups);
+        welcomeMails = [];
+        passwordResetMails = [];
+        shares = [];
+        passwords = {};
+        folders = {};
+        calendars = {};
+        faults.clear();
+        res.json({ reset: true });
+    });
+
+    const ocs = express.Router();
+
+    ocs.use((req, res, next) => {
+        const expected = 'Basic ' + Buffer.from(`${adminUser}:${password}`).toString('base64');
+        if (req.get('authorization') !== expected) {
+            return fail(res, 997, 'Current user is not logged in');
+        }
+        next();
+    });
+
+    // Resolves the user of the route or answers 404
+    const withUser = (handler) => (req, res) => {
+        const user = users[req.params.userId];
+        if (!user) {
+            return fail(res, unknownUserStatusCode, 'User does not exist');
+        }
+        handler(req, res, user);
+    };
+
+    // Whether the account may add users to the group
+    const manages = (groupId) => isAdmin || subadminGroups.includes(groupId);
+
+    ocs.get('/cloud/user', (req, res) => ok(res, {
+        id: adminUser,
+        enabled: true,
+        groups: accountGroups,
+        subadmin: subadminGroups
+    }));
+
+    ocs.post('/core/apppassword/rotate', (req, res) => {
+        password = crypto.randomBytes(16).toString('hex');
+        ok(res, { apppassword: password });
+    });
+
+    ocs.post('/cloud/users', (req, res) => {
+        const { userid, email, displayName, password } = req.body || {};
+        const initialGroups = [].concat(req.body?.['groups[]'] || []);
+        if (!userid) {
+            return fail(res, 101, 'No user id given');
+        }
+        if (users[userid]) {
+            return fail(res, 102, 'User already exists');
+        }
+        if (!isAdmin && initialGroups.length === 0) {
+            return fail(res, 106, 'No group specified (required for sub-admins)');
+        }
+        const forbidden = initialGroups.find((groupId) => !groups.has(groupId) || !manages(groupId));
+        if (forbidden) {
+            return fail(res, groups.has(forbidden) ? 105 : 104, `Insufficient privileges for group ${forbidden}`);
+        }
+
+        users[userid] = {
+            id: userid,
+            email: email || null,
+            displayname: displayName || userid,
+            enabled: true,
+            groups: initialGroups,
+            quota: { quota: 'none' },
+            language: ''
+        };
+        passwords[userid] = password;
+        folders[userid] = [];
+        calendars[userid] = [];
+        ok(res, { id: userid });
+    });
+
+    ocs.get('/cloud/users/:userId', withUser((req, res, user) => ok(res, user)));
+
+    ocs.put('/cloud/users/:userId', withUser((req, res, user) => {
+        const { key, value } = req.body || {};
+        if (key === 'quota') {
+            user.quota = { quota: value };
+        } else if (key === 'displayname') {
+            user.displayname = value;
+        } else if (key === 'email' || key === 'language') {
+            user[key] = value;
+        } else {
+            return fail(res, 103, `Unsupported key ${key}`);
+        }
+        ok(res);
+    }));
+
+    ocs.delete('/cloud/users/:userId', withUser((req, res, user) => {
+        delete users[user.id];
+        delete passwords[user.id];
+        ok(res);
+    }));
+
+    ocs.post('/cloud/users/:userId/groups', withUser((req, res, user) => {
+        const groupId = req.body?.groupid;
+        if (!groups.has(groupId)) {
+            return fail(res, 102, 'Group does not exist');
+        }
+        if (!manages(groupId)) {
+            return fail(res, 104, 'Not sub-admin of this group');
+        }
+        if (!user.groups.includes(groupId)) {
+            user.groups.push(groupId);
+        }
+        ok(res);
+    }));
+
+    ocs.delete('/cloud/users/:userId/groups', withUser((req, res, user) => {
+        user.groups = user.groups.filter((groupId) => groupId !== req.body?.groupid);
+        ok(res);
+    }));
+
+    ocs.post('/cloud/users/:userId/welcome', withUser((req, res, user) => {
+        if (!user.email) {
+            return fail(res, 101, 'Email address not available');
+        }
+        welcomeMails.push({ userId: user.id, email: user.email, sentAt: new Date().toISOString() });
+        ok(res);
+    }));
+
+    ocs.put('/cloud/users/:userId/:action', withUser((req, res, user) => {
+        if (req.params.action !== 'enable' && req.params.action !== 'disable') {
+            return fail(res, 998, 'Invalid action');
+        }
+        user.enabled = req.params.action === 'enable';
+        ok(res);
+    }));
+
+    ocs.get('/cloud/groups', (req, res) => ok(res, { groups: [...groups] }));
+
+    ocs.post('/cloud/groups', (req, res) => {
+        if (!isAdmin) {
+            return fail(res, 403, 'Logged in account must be an admin');
+        }
+        const groupId = req.body?.groupid;
+        if (!groupId) {
+            return fail(res, 101, 'Invalid group name');
+        }
+        if (groups.has(groupId)) {
+            return fail(res, 102, 'Group already exists');
+        }
+        groups.add(groupId);
+        ok(res);
+    });
+
+    ocs.get('/cloud/groups/:groupId/users', (req, res) => {
+        if (!groups.has(req.params.groupId)) {
+            return fail(res, 404, 'The requested group could not be found');
+        }
+        ok(res, {
+            users: Object.values(users)
+                .filter((user) => user.groups.includes(req.params.groupId))
+                .map((user) => user.id)
+        });
+    });
+
+    ocs.post('/apps/files_sharing/api/v1/shares', (req, res) => {
+        const { path: sharePath, shareType, shareWith, permissions } = req.body || {};
+        if (shareType !== '0' || !users[shareWith]) {
+            return fail(res, 404, 'Please specify a valid account to share with');
+        }
+        shares.push({ path: sharePath, shareWith, permissions: Number(permissions) });
+        ok(res, { path: sharePath, share_with: shareWith, permissions: Number(permissions) });
+    });
+
+    app.use('/ocs/v2.php', ocs);
+
+    // Public form like the login page's "Forgot password?"; unknown users get the same answer
+    app.post('/index.php/lostpassword/email', (req, res) => {
+        if (!req.get('OCS-APIRequest')) {
+            return res.status(412).json({ message: 'CSRF check failed' });
+        }
+        const user = users[req.body?.user];
+        if (user?.email) {
+            passwordResetMails.push({ userId: user.id, email: user.email, sentAt: new Date().toISOString() });
+        }
+        res.json({ status: 'success' });
+    });
+
+    const dav = express.Router();
+
+    // WebDAV answers without OCS envelope; the user of the path has to be logged in
+    const withLogin = (handler) => (req, res) => {
+        const { userId } = req.params;
+        const expected = 'Basic ' + Buffer.from(`${userId}:${passwords[userId]}`).toString('base64');
+        if (!users[userId] || !passwords[userId] || req.get('authorization') !== expected) {
+            return res.status(401).send('');
+        }
+        handler(req, res, userId);
+    };
+
+    dav.mkcol('/files/:userId/*folder', withLogin((req, res, userId) => {
+        const folder = req.params.folder.join('/');
+        const parent = folder.split('/').slice(0, -1).join('/');
+        if (folders[userId].includes(folder)) {
+            return res.status(405).send('');
+        }
+        if (parent && !folders[userId].includes(parent)) {
+            return res.status(409).send('');
+        }
+        folders[userId].push(folder);
+        res.status(201).send('');
+    }));
+
+    dav.mkcol('/calendars/:userId/:calendar', withLogin((req, res, userId) => {
+        if (calendars[userId].some((calendar) => calendar.name === req.params.calendar)) {
+            return res.status(405).send('');
+        }
+        const body = typeof req.body === 'string' ? req.body : '';
+        calendars[userId].push({
+            name: req.params.calendar,
+            displayName: body.match(/<d:displayname>([^<]*)</)?.[1],
+            source: body.match(/<cs:source><d:href>([^<]*)</)?.[1],
+            subscribed: body.includes('<cs:subscribed/>')
+        });
+        res.status(201).send('');
+    }));
+
+    app.use('/remote.php/dav', dav);
+
+    return app;
+};
+
+module.exports = { createNextcloudMock };
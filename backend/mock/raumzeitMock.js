@@ -0,0 +1,69 @@
+const express = require('express');
+const { createFaults } = require('./faults');
+
+/**
+ * Mock of the Raumzeit person API.
+ *
+ * POST /api/v1/persons { login, password } answers with the person record
+ * for matching credentials and 401 otherwise. GET /api/v1/persons/:login is
+ * the lookup used by the lifecycle sync (bearer token checked if apiToken is
+ * set). Persons are { password, person } entries, see mock/persons.json.
+ *
+ * POST /_mock/persons adds or replaces entries, DELETE /_mock/persons/:login
+ * removes one (e.g. to simulate exmatriculation).
+ */
+const createRaumzeitMock = ({ persons = [], apiToken } = {}) => {
+    const app = express();
+    const faults = createFaults();
+    let entries = new Map(persons.map((entry) => [entry.person.login.toLowerCase(), entry]));
+
+    app.use(express.json());
+    app.use(faults.middleware);
+
+    app.post('/api/v1/persons', (req, res) => {
+        const { login, password } = req.body || {};
+        const entry = typeof login === 'string' ? entries.get(login.toLowerCase()) : undefined;
+
+        if (!entry || entry.password !== password) {
+            return res.status(401).json({ message: 'Invalid credentials' });
+        }
+        res.json(entry.person);
+    });
+
+    app.get('/api/v1/persons/:login', (req, res) => {
+        if (apiToken && req.get('authorization') !== `Bearer ${apiToken}`) {
+            return res.status(401).json({ message: 'Invalid token' });
+        }
+
+        const entry = entries.get(req.params.login.toLowerCase());
+        if (!entry) {
+            return res.status(404).json({ message: 'Person not found' });
+        }
+        res.json(entry.person);
+    });
+
+    faults.register(app);
+
+    app.post('/_mock/persons', (req, res) => {
+        const added = Array.isArray(req.body) ? req.body : [req.body];
+        for (const entry of added) {
+            entries.set(entry.person.login.toLowerCase(), entry);
+        }
+        res.status(201).json({ persons: entries.size });
+    });
+
+    app.delete('/_mock/persons/:login', (req, res) => {
+        const deleted = entries.delete(req.params.login.toLowerCase());
+        res.status(deleted ? 200 : 404).json({ deleted });
+    });
+
+    app.post('/_mock/reset', (req, res) => {
+        entries = new Map(persons.map((entry) => [entry.person.login.toLowerCase(), entry]));
+        faults.clear();
+        res.json({ persons: entries.size });
+    });
+
+    return app;
+};
+
+module.exports = { createRaumzeitMock };
@@ -0,0 +1,272 @@
+#!/usr/bin/env node
+/**
+ * Creates Nextcloud accounts for a whole cohort from a CSV file, with the
+ * same checks and setup steps as the registration form (see
+ * lib/accountProvisioning). Every row's result is appended to a CSV report
+ * as soon as it is known, so an interrupted run can be resumed.
+ *
+ * Usage: node scripts/bulk-provision.js <users.csv> [options]
+ *        --dry-run          only check the rows and report what would be done
+ *        --concurrency <n>  accounts set up at the same time (default 4)
+ *        --group <name>     add every account to this group (repeatable)
+ *        --quota <value>    quota of every account, e.g. "5 GB"
+ *        --language <code>  language of every account, e.g. "de"
+ *        --report <file>    result report (default <users>.report.csv,
+ *                           <users>.dry-run.csv for a dry run)
+ *        --resume           continue an interrupted run: rows the report lists
+ *                           as created or existing are skipped
+ *        --profile <name>   create the accounts in the Nextcloud of this
+ *                           profile (default: the first one, see lib/config)
+ *
+ * CSV columns (with header row): username, email, displayName and optionally
+ * groups (separated by ";"), quota and language per row. Every account is
+ * added to the profile's default group as well. username is the RZ username; the
+ * Nextcloud ID comes from the same mapping as for the web registration.
+ * The onboarding of the profile (see lib/onboarding) runs for every created
+ * account; failed onboarding steps are listed in the message column. An
+ * account whose password mail could not be sent gets status mail_failed: its
+ * user has to request the mail with the account recovery.
+ *
+ * Accounts parked by a failed row are kept in the profile's
+ * provisioning-state.json like those of the web registration, so --resume or
+ * the user's own registration finishes them. The username mappings and the
+ * provisioning state are shared with the server without a lock: run this
+ * while the server takes no registrations, or a record of either can be lost.
+ */
+const fs = require('fs');
+const path = require('path');
+
+require('dotenv').config({ path: path.join(__dirname, '..', '.env'), quiet: true });
+
+const { logger } = require('../lib/logger');
+const { loadConfig, findProfile } = require('../lib/config');
+const { createNextcloudClient } = require('../lib/nextcloudClient');
+const { createJsonFileStore, createJsonFileStoreOpener, createSharedJsonFileStore } = require('../lib/jsonFileStore');
+const { validateAccountData, createAccountProvisioner } = require('../lib/accountProvisioning');
+const { loadOnboarding, passwordMailFailed } = require('../lib/onboarding');
+const { createUsernameMapping } = require('../lib/usernameMapping');
+const { parseCsvRecords, toCsvLine } = require('../lib/csv');
+
+const REPORT_COLUMNS = ['row', 'username', 'nextcloudUsername', 'email', 'status', 'code', 'failedStep', 'message', 'finishedAt'];
+// Rows with these statuses need nothing more and are skipped by --resume
+const DONE_STATUSES = ['created', 'exists'];
+// Statuses that make the run exit with 1
+const FAILED_STATUSES = ['invalid', 'duplicate', 'collision', 'rejected', 'rolled_back', 'pending', 'mail_failed', 'config_error', 'error'];
+
+// Helper function to read the command line; values of repeatable options are collected
+const parseArguments = (args) => {
+    const options = { groups: [], concurrency: 4, dryRun: false, resume: false };
+    const valueOf = (index, name) => {
+        if (args[index + 1] === undefined) {
+            throw new Error(`${name} needs a value`);
+        }
+        return args[index + 1];
+    };
+
+    for (let index = 0; index < args.length; index++) {
+        const arg = args[index];
+        if (arg === '--dry-run') options.dryRun = true;
+        else if (arg === '--resume') options.resume = true;
+        else if (arg === '--concurrency') options.concurrency = parseInt(valueOf(index++, arg), 10);
+        else if (arg === '--group') options.groups.push(valueOf(index++, arg));
+        else if (arg === '--quota') options.quota = valueOf(index++, arg);
+        else if (arg === '--language') options.language = valueOf(index++, arg);
+        else if (arg === '--report') options.report = valueOf(index++, arg);
+        else if (arg === '--profile') options.profile = valueOf(index++, arg);
+        else if (arg.startsWith('--')) throw new Error(`Unknown option ${arg}`);
+        else if (!options.input) options.input = arg;
+        else throw new Error(`Unexpected argument ${arg}`);
+    }
+
+    if (!options.input) {
+        throw new Error('Usage: node scripts/bulk-provision.js <users.csv> [--dry-run] [--concurrency <n>] [--group <name>] [--quota <value>] [--language <code>] [--report <file>] [--resume] [--profile <name>]');
+    }
+    if (!Number.isInteger(options.concurrency) || options.concurrency < 1) {
+        throw new Error('--concurrency must be a positive number');
+    }
+
+    const base = options.input.replace(/\.csv$/i, '');
+    options.report = options.report || `${base}.${options.dryRun ? 'dry-run' : 'report'}.csv`;
+    return options;
+};
+
+// Helper function to read the usernames a previous run finished from its report
+const readFinishedUsernames = (reportPath) => {
+    return new Set(parseCsvRecords(fs.readFileSync(reportPath, 'utf8'))
+        .filter(({ record }) => DONE_STATUSES.includes(record.status))
+        .map(({ record }) => record.username.toLowerCase()));
+};
+
+// Helper function to move accounts parked by runs that kept their own state file into the shared one
+const adoptBulkProvisioningState = async (dataDir, provisioningState) => {
+    const legacyFile = path.join(dataDir, 'bulk-provisioning-state.json');
+    if (!fs.existsSync(legacyFile)) return;
+
+    const entries = createJsonFileStore(legacyFile).entries();
+    for (const [username, state] of entries) {
+        if (!provisioningState.has(username)) {
+            await provisioningState.set(username, state);
+        }
+    }
+    fs.renameSync(legacyFile, `${legacyFile}.adopted`);
+    console.log(`Moved ${entries.length} parked account(s) from ${legacyFile} into provisioning-state.json`);
+};
+
+const main = async () => {
+    const options = parseArguments(process.argv.slice(2));
+    const config = loadConfig();
+    const profile = findProfile(config, options.profile);
+
+    const rows = parseCsvRecords(fs.readFileSync(options.input, 'utf8'));
+    if (rows.length > 0 && !('username' in rows[0].record && 'email' in rows[0].record)) {
+        throw new Error(`${options.input} needs the columns username and email`);
+    }
+
+    let finished = new Set();
+    if (fs.existsSync(options.report) && !options.dryRun) {
+        if (!options.resume) {
+            throw new Error(`Report ${options.report} exists - use --resume to continue that run or --report for a new file`);
+        }
+        finished = readFinishedUsernames(options.report);
+    } else {
+        fs.writeFileSync(options.report, `${REPORT_COLUMNS.join(',')}\n`);
+    }
+
+    const nextcloud = createNextcloudClient({
+        url: profile.nextcloud.url,
+        adminUser: profile.nextcloud.adminUser,
+        adminPassword: profile.nextcloud.adminPassword,
+        appPassword: profile.nextcloud.appPassword,
+        timeoutMs: config.NEXTCLOUD_TIMEOUT_MS,
+        retries: config.UPSTREAM_RETRIES,
+        logger
+    });
+    // Shared with the server, so an account a bulk run parked is resumed by the web registration and vice versa
+    const provisioningState = createSharedJsonFileStore(path.join(profile.dataDir, 'provisioning-state.json'));
+    await adoptBulkProvisioningState(profile.dataDir, provisioningState);
+
+    const accountProvisioner = createAccountProvisioner({
+        nextcloud,
+        provisioningState,
+        // Shared with the server, so recovery and lifecycle sync find the accounts created here
+        usernameMapping: createUsernameMapping({
+            template: config.NEXTCLOUD_USERNAME_TEMPLATE,
+            guestTemplate: config.GUEST_USERNAME_TEMPLATE,
+            lowercase: config.NEXTCLOUD_USERNAME_LOWERCASE,
+            reserved: [profile.nextcloud.adminUser, ...config.NEXTCLOUD_RESERVED_USERNAMES],
+            openStore: createJsonFileStoreOpener(path.join(profile.dataDir, 'username-mappings.json'))
+        }),
+        onFailure: config.PROVISIONING_ON_FAILURE,
+        adminUser: profile.nextcloud.adminUser,
+        managedGroups: profile.nextcloud.managedGroups,
+        onboarding: profile.onboardingFile ? loadOnboarding(profile.onboardingFile, { nextcloud, logger }) : undefined,
+        logger
+    });
+
+    const defaultGroups = [profile.defaultGroup, ...options.groups];
+    const counts = {};
+    let skipped = 0;
+    let stopped = false;
+
+    const report = (row, record, result) => {
+        counts[result.status] = (counts[result.status] || 0) + 1;
+        fs.appendFileSync(options.report, `${toCsvLine([
+            row,
+            record.username,
+            result.nextcloudUsername,
+            record.email,
+            result.status,
+            result.code,
+            result.failedStep,
+            result.message,
+            new Date().toISOString()
+        ])}\n`);
+    };
+
+    // Validation and duplicates are decided up front, so they do not depend on the order of completion
+    const seen = new Set();
+    const queue = [];
+    rows.forEach(({ row, record }) => {
+        const key = (record.username || '').toLowerCase();
+        if (finished.has(key)) {
+            skipped++;
+            return;
+        }
+
+        const validation = validateAccountData({ username: record.username, email: record.email });
+        if (!validation.valid) {
+            report(row, record, { status: 'invalid', code: validation.code, message: validation.message });
+        } else if (seen.has(key)) {
+            report(row, record, { status: 'duplicate', message: 'Username appears in an earlier row' });
+        } else {
+            seen.add(key);
+            queue.push({ row, record });
+        }
+    });
+
+    process.on('SIGINT', () => {
+        if (stopped) process.exit(130);
+        stopped = true;
+        console.error('Interrupted - finishing the running rows, resume with --resume (press Ctrl+C again to quit now)');
+    });
+
+    const processRow = async ({ row, record }) => {
+        const rowGroups = (record.groups || '').split(';').map((group) => group.trim());
+        let result;
+        try {
+            result = await accountProvisioner.provision({
+                username: record.username,
+                email: record.email,
+                displayName: record.displayName || undefined,
+                groups: [...new Set([...defaultGroups, ...rowGroups].filter(Boolean))],
+                quota: record.quota || options.quota,
+                language: record.language || options.language
+            }, { dryRun: options.dryRun });
+        } catch (error) {
+            result = { status: 'error', message: error.message };
+        }
+
+        // The account exists, but nobody can log in to it before the user asks the recovery for the mail
+        if (result.status === 'created' && passwordMailFailed(result.onboarding)) {
+            result = { ...result, status: 'mail_failed' };
+        }
+
+        if (result.status === 'planned') {
+            result.message = `${result.resumed ? 'resume' : 'create'}: ${result.steps.join(', ')}`;
+        } else if (result.status === 'mail_failed') {
+            result.message = 'the mail to set a password could not be sent - the user has to request it with the account recovery';
+        } else if (result.status === 'created' && result.onboarding && !result.onboarding.completed) {
+            const failedSteps = result.onboarding.steps.filter((step) => !step.success).map((step) => step.step);
+            result.message = `${result.resumed ? 'finished an earlier pending setup, ' : ''}onboarding failed: ${failedSteps.join(', ')}`;
+        } else if (result.status === 'created' && result.resumed) {
+            result.message = 'finished an earlier pending setup';
+        } else if (result.status === 'collision') {
+            result.message = `${result.nextcloudUsername} belongs to another account (${result.reason})`;
+        } else if (result.status === 'config_error') {
+            // Every further row would fail the same way
+            result.message = 'Nextcloud rejected the admin credentials';
+            stopped = true;
+        }
+
+        report(row, record, result);
+    };
+
+    const worker = async () => {
+        while (queue.length > 0 && !stopped) {
+            await processRow(queue.shift());
+        }
+    };
+    await Promise.all(Array.from({ length: options.concurrency }, worker));
+
+    console.log(options.dryRun ? 'Planned (dry run):' : 'Results:');
+    console.table({ ...counts, ...(skipped > 0 ? { 'skipped (done earlier)': skipped } : {}), ...(queue.length > 0 ? { 'not started': queue.length } : {}) });
+    console.log(`Report: ${options.report}`);
+
+    const failed = Object.keys(counts).some((status) => FAILED_STATUSES.includes(status));
+    process.exitCode = failed || queue.length > 0 ? 1 : 0;
+};
+
+main().catch((error) => {
+    logger.error('Bulk provisioning failed', { message: error.message });
+    process.exitCode = 1;
+});
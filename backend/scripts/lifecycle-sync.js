@@ -0,0 +1,145 @@
+#!/usr/bin/env node
+/**
+ * Disables Nextcloud accounts whose owners are no longer eligible according
+ * to Raumzeit and deletes them after the grace period (see lib/lifecycleSync).
+ * Meant to be run from cron, e.g. once a night.
+ *
+ * CAUTION: every member of the group is checked, including staff and service
+ * accounts the portal never created. Anyone Raumzeit does not know as eligible
+ * is disabled and later deleted with all files, unless listed in
+ * LIFECYCLE_EXCLUDE_USERS. Start with --dry-run and check the planned actions
+ * before the first real run and after changing the group or the policy.
+ *
+ * Usage: node scripts/lifecycle-sync.js [--dry-run] [--json] [--profile <name>]
+ *        --dry-run         only print the planned actions
+ *        --json            print the result as JSON instead of a table
+ *        --profile <name>  sync the accounts of this profile (default: the
+ *                          first one, see lib/config); run once per profile
+ *
+ * The username mappings are shared with the server without a lock: run this
+ * while the server takes no registrations, or a record of either can be lost.
+ */
+const path = require('path');
+
+require('dotenv').config({ path: path.join(__dirname, '..', '.env'), quiet: true });
+
+const { logger } = require('../lib/logger');
+const { loadConfig, findProfile } = require('../lib/config');
+const { createNextcloudClient } = require('../lib/nextcloudClient');
+const { createRaumzeitClient } = require('../lib/raumzeitClient');
+const { createMailer } = require('../lib/mailer');
+const { loadEligibilityPolicy } = require('../lib/eligibilityPolicy');
+const { createJsonFileStore, createJsonFileStoreOpener } = require('../lib/jsonFileStore');
+const { createExceptionRequests } = require('../lib/exceptionRequests');
+const { createLifecycleSync } = require('../lib/lifecycleSync');
+const { createUsernameMapping } = require('../lib/usernameMapping');
+
+const dryRun = process.argv.includes('--dry-run');
+const asJson = process.argv.includes('--json');
+const profileArgument = process.argv.indexOf('--profile');
+
+// Printed before every run, the sync may touch accounts the portal never created
+const CAUTION = 'Every member of the group is checked, also accounts the portal did not create - '
+    + 'accounts not eligible in Raumzeit are disabled and later deleted unless listed in LIFECYCLE_EXCLUDE_USERS';
+
+const main = async () => {
+    const config = loadConfig(process.env, { required: ['RAUMZEIT_LOOKUP_URL'] });
+    const profile = findProfile(config, profileArgument === -1 ? undefined : process.argv[profileArgument + 1]);
+    const group = config.LIFECYCLE_GROUP || profile.defaultGroup;
+    if (!group) {
+        throw new Error(`LIFECYCLE_GROUP is required, profile "${profile.name}" has no default group`);
+    }
+
+    const eligibilityPolicy = loadEligibilityPolicy(profile.eligibilityPolicyFile);
+    const exceptionRequests = createExceptionRequests({
+        store: createJsonFileStore(path.join(profile.dataDir, 'exception-requests.json'))
+    });
+
+    const raumzeitClient = createRaumzeitClient({
+        url: config.RAUMZEIT_URL,
+        lookupUrl: config.RAUMZEIT_LOOKUP_URL,
+        apiToken: config.RAUMZEIT_API_TOKEN,
+        timeoutMs: config.RAUMZEIT_TIMEOUT_MS,
+        retries: config.UPSTREAM_RETRIES,
+        logger
+    });
+
+    const lifecycleSync = createLifecycleSync({
+        nextcloud: createNextcloudClient({
+            url: profile.nextcloud.url,
+            adminUser: profile.nextcloud.adminUser,
+            adminPassword: profile.nextcloud.adminPassword,
+            appPassword: profile.nextcloud.appPassword,
+            timeoutMs: config.NEXTCLOUD_TIMEOUT_MS,
+            retries: config.UPSTREAM_RETRIES,
+            logger
+        }),
+        lookupPerson: raumzeitClient.lookupPerson,
+        // Same decision as POST /api/auth, including manually approved exceptions
+        isEligible: (person, username) => {
+            const eligibility = eligibilityPolicy.evaluate(person, username);
+            if (!eligibility.eligible && exceptionRequests.isApproved(username)) {
+                return { eligible: true, rule: 'manual-approval' };
+            }
+            return eligibility;
+        },
+        store: createJsonFileStore(path.join(profile.dataDir, 'lifecycle-state.json')),
+        // Group members are Nextcloud IDs; the server's records tell whose account each one is
+        usernameMapping: createUsernameMapping({
+            template: config.NEXTCLOUD_USERNAME_TEMPLATE,
+            guestTemplate: config.GUEST_USERNAME_TEMPLATE,
+            lowercase: config.NEXTCLOUD_USERNAME_LOWERCASE,
+            openStore: createJsonFileStoreOpener(path.join(profile.dataDir, 'username-mappings.json'))
+        }),
+        mailer: createMailer({
+            transport: config.MAIL_TRANSPORT,
+            from: config.MAIL_FROM,
+            host: config.SMTP_HOST,
+            port: config.SMTP_PORT,
+            secure: config.SMTP_SECURE,
+            user: config.SMTP_USER,
+            password: config.SMTP_PASSWORD,
+            directory: config.MAIL_FILE_DIR,
+            logger
+        }),
+        logger,
+        group,
+        graceDays: config.LIFECYCLE_GRACE_DAYS,
+        maxDisable: config.LIFECYCLE_MAX_DISABLE,
+        missingRuns: config.LIFECYCLE_MISSING_RUNS,
+        excludeUsers: [profile.nextcloud.adminUser, ...config.LIFECYCLE_EXCLUDE_USERS]
+    });
+
+    if (!asJson) {
+        console.log(`Group ${group}: ${CAUTION}`);
+    }
+    const result = await lifecycleSync.run({ dryRun });
+
+    if (asJson) {
+        console.log(JSON.stringify(result, null, 2));
+    } else {
+        console.log(dryRun ? 'Planned actions (dry run):' : 'Actions:');
+        console.table(result.actions
+            .filter((action) => action.action !== 'keep')
+            .map((action) => ({
+                username: action.username,
+                action: action.action,
+                rule: action.rule || '',
+                deleteAfter: action.deleteAfter || '',
+                note: action.reason || action.message || (action.action === 'missing' ? `missing in ${action.missingRuns} run(s)` : '')
+                    || (action.success === false ? 'failed' : '')
+            })));
+        console.log('Summary:', JSON.stringify(result.summary));
+        if (result.aborted) {
+            console.log('Aborted: more accounts would be disabled than LIFECYCLE_MAX_DISABLE allows');
+        }
+    }
+
+    const failed = result.actions.some((action) => action.success === false);
+    process.exitCode = result.aborted || failed ? 1 : 0;
+};
+
+main().catch((error) => {
+    logger.error('Lifecycle sync failed', { message: error.message });
+    process.exitCode = 1;
+});
@@ -0,0 +1,43 @@
+#!/usr/bin/env node
+/**
+ * Starts local mocks of Raumzeit and Nextcloud so the whole registration
+ * flow can be run without the university network.
+ *
+ * Usage: node scripts/mock-upstreams.js [persons.json]
+ *        (defaults to mock/persons.json, every mock person's password is "test")
+ *
+ * Point the backend at the mocks in backend/.env:
+ *   RAUMZEIT_URL=http://localhost:4001
+ *   NEXTCLOUD_URL=http://localhost:4002
+ * The Nextcloud mock accepts NEXTCLOUD_ADMIN_USER / NEXTCLOUD_ADMIN_PASSWORD.
+ * With NEXTCLOUD_APP_PASSWORD the account is group admin of
+ * NEXTCLOUD_MANAGED_GROUPS instead of a Nextcloud admin.
+ */
+const fs = require('fs');
+const path = require('path');
+
+require('dotenv').config({ path: path.join(__dirname, '..', '.env'), quiet: true });
+
+const { createRaumzeitMock } = require('../mock/raumzeitMock');
+const { createNextcloudMock } = require('../mock/nextcloudMock');
+
+const personsFile = process.argv[2] || path.join(__dirname, '..', 'mock', 'persons.json');
+const persons = JSON.parse(fs.readFileSync(personsFile, 'utf8'));
+
+const RAUMZEIT_PORT = parseInt(process.env.MOCK_RAUMZEIT_PORT, 10) || 4001;
+const NEXTCLOUD_PORT = parseInt(process.env.MOCK_NEXTCLOUD_PORT, 10) || 4002;
+
+createRaumzeitMock({ persons, apiToken: process.env.RAUMZEIT_API_TOKEN }).listen(RAUMZEIT_PORT, () => {
+    console.log(`Raumzeit mock listening on http://localhost:${RAUMZEIT_PORT} (${persons.length} persons)`);
+});
+
+const appPassword = process.env.NEXTCLOUD_APP_PASSWORD;
+const managedGroups = (process.env.NEXTCLOUD_MANAGED_GROUPS || '').split(',').map((group) => group.trim()).filter(Boolean);
+
+createNextcloudMock({
+    adminUser: process.env.NEXTCLOUD_ADMIN_USER || 'admin',
+    adminPassword: appPassword || process.env.NEXTCLOUD_ADMIN_PASSWORD || 'admin',
+    ...(appPassword ? { accountGroups: [], subadminGroups: managedGroups } : {})
+}).listen(NEXTCLOUD_PORT, () => {
+    console.log(`Nextcloud mock listening on http://localhost:${NEXTCLOUD_PORT}`);
+});
@@ -0,0 +1,32 @@
+#!/usr/bin/env node
+/**
+ * Shows what the eligibility policy and provisioning rules derive for a
+ * Raumzeit person record, without calling Raumzeit or Nextcloud.
+ *
+ * Usage: node scripts/preview-provisioning.js [person.json] [rzUsername]
+ *        (defaults to config/examples/raumzeit-person.json)
+ */
+const fs = require('fs');
+const path = require('path');
+
+require('dotenv').config({ path: path.join(__dirname, '..', '.env'), quiet: true });
+
+const { loadEligibilityPolicy } = require('../lib/eligibilityPolicy');
+const { loadProvisioningRules } = require('../lib/provisioningRules');
+
+const personFile = process.argv[2] || path.join(__dirname, '..', 'config', 'examples', 'raumzeit-person.json');
+const person = JSON.parse(fs.readFileSync(personFile, 'utf8'));
+const rzUsername = process.argv[3] || person.login || 'preview';
+
+const eligibilityPolicy = loadEligibilityPolicy(
+    process.env.ELIGIBILITY_POLICY_FILE || path.join(__dirname, '..', 'config', 'eligibility-policy.json')
+);
+const provisioningRules = loadProvisioningRules(
+    process.env.PROVISIONING_RULES_FILE || path.join(__dirname, '..', 'config', 'provisioning-rules.json')
+);
+
+console.log(JSON.stringify({
+    rzUsername,
+    eligibility: eligibilityPolicy.evaluate(person, rzUsername),
+    provisioning: provisioningRules.derive(person)
+}, null, 4));
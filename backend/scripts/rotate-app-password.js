@@ -0,0 +1,95 @@
+#!/usr/bin/env node
+/**
+ * Replaces the Nextcloud app password of the portal account (see
+ * lib/nextcloudAccount): Nextcloud issues a new app password and revokes the
+ * old one, the new one is written to the app password file. Meant to be run
+ * regularly, e.g. from cron once a month.
+ *
+ * Usage: node scripts/rotate-app-password.js [--profile <name>]
+ *        --profile <name>  rotate the app password of this profile (default:
+ *                          the first one, see lib/config); run once per profile
+ *
+ * The app password has to come from a file (NEXTCLOUD_APP_PASSWORD_FILE or
+ * "appPasswordFile" of the profile). The running backend keeps using the old
+ * app password until it is restarted, so restart it right afterwards.
+ */
+const fs = require('fs');
+const path = require('path');
+
+require('dotenv').config({ path: path.join(__dirname, '..', '.env'), quiet: true });
+
+const { logger } = require('../lib/logger');
+const { loadConfig, findProfile } = require('../lib/config');
+const { createNextcloudClient } = require('../lib/nextcloudClient');
+const { UpstreamAuthError } = require('../lib/upstreamErrors');
+
+const profileArgument = process.argv.indexOf('--profile');
+
+// Helper function to replace the file in one step, readable only by its owner
+const writeSecretFile = (file, secret) => {
+    const temporaryFile = path.join(path.dirname(file), `.${path.basename(file)}.${process.pid}.tmp`);
+    fs.writeFileSync(temporaryFile, `${secret}\n`, { mode: 0o600 });
+    fs.renameSync(temporaryFile, file);
+};
+
+const main = async () => {
+    const config = loadConfig();
+    const profile = findProfile(config, profileArgument === -1 ? undefined : process.argv[profileArgument + 1]);
+    const { url, adminUser, appPassword, appPasswordFile } = profile.nextcloud;
+
+    if (!appPassword) {
+        throw new Error(`Profile "${profile.name}" does not use an app password (NEXTCLOUD_APP_PASSWORD)`);
+    }
+    if (!appPasswordFile) {
+        throw new Error(`The app password of profile "${profile.name}" has to be read from a file (NEXTCLOUD_APP_PASSWORD_FILE) to be rotated`);
+    }
+    // Checked before Nextcloud revokes the old password, so the new one cannot get lost
+    fs.accessSync(path.dirname(appPasswordFile), fs.constants.W_OK);
+
+    const clientFor = (password) => createNextcloudClient({
+        url,
+        adminUser,
+        appPassword: password,
+        timeoutMs: config.NEXTCLOUD_TIMEOUT_MS,
+        retries: config.UPSTREAM_RETRIES,
+        logger
+    });
+
+    const rotation = await clientFor(appPassword).rotateAppPassword();
+    if (!rotation.success) {
+        throw new Error(`Nextcloud did not rotate the app password: ${rotation.message}`);
+    }
+
+    try {
+        writeSecretFile(appPasswordFile, rotation.appPassword);
+    } catch (error) {
+        // The old app password is revoked already - without this output the account is locked out
+        console.error(`The new app password could not be written to ${appPasswordFile} (${error.message}).`);
+        console.error('Store it there yourself, it is printed below:');
+        console.log(rotation.appPassword);
+        process.exitCode = 1;
+        return;
+    }
+    console.log(`New app password of ${adminUser} written to ${appPasswordFile}`);
+
+    await clientFor(rotation.appPassword).getCurrentUser();
+    console.log('The new app password is accepted');
+
+    try {
+        await clientFor(appPassword).getCurrentUser();
+        console.error('The old app password is still accepted - revoke it in Nextcloud (Settings > Security)');
+        process.exitCode = 1;
+        return;
+    } catch (error) {
+        if (!(error instanceof UpstreamAuthError)) {
+            throw error;
+        }
+    }
+    console.log('The old app password is revoked');
+    console.log('Restart the backend so it uses the new app password');
+};
+
+main().catch((error) => {
+    logger.error('App password rotation failed', { message: error.message });
+    process.exitCode = 1;
+});
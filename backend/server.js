@@ -1,79 +1,92 @@
+// Load .env first - lib/logger reads its configuration when it is required
+require('dotenv').config();
+
 const express = require('express');
-const axios = require('axios');
 const cors = require('cors');
-const fs = require('fs');
 const path = require('path');
-
-require('dotenv').config();
+const crypto = require('crypto');
+const { createRegistrationTickets } = require('./lib/registrationTicket');
+const { createMailer } = require('./lib/mailer');
+const { createEmailVerification } = require('./lib/emailVerification');
+const { createAuthRateLimiter, createRequestRateLimiter } = require('./lib/rateLimiter');
+const { loadEligibilityPolicy } = require('./lib/eligibilityPolicy');
+const { loadProvisioningRules } = require('./lib/provisioningRules');
+const { loadOnboarding, passwordMailFailed } = require('./lib/onboarding');
+const { createJsonFileStore, createJsonFileStoreOpener, createSharedJsonFileStore } = require('./lib/jsonFileStore');
+const { USERNAME_PATTERN, EMAIL_PATTERN, validateAccountData, createAccountProvisioner } = require('./lib/accountProvisioning');
+const { NEXTCLOUD_ID_PATTERN, createUsernameMapping } = require('./lib/usernameMapping');
+const { createCsrfProtection } = require('./lib/csrf');
+const { createChallenge } = require('./lib/challenge');
+const { outcomeForStatus, createRegistrationRecords } = require('./lib/registrationRecords');
+const { createExceptionRequests } = require('./lib/exceptionRequests');
+const { createInvitations } = require('./lib/invitations');
+const { loadConsentTexts } = require('./lib/consentTexts');
+const { createConsentRecords } = require('./lib/consentRecords');
+const { createErasureRequests } = require('./lib/erasureRequests');
+const { findLogEntries } = require('./lib/logSearch');
+const { createZipArchive } = require('./lib/zipArchive');
+const { logger } = require('./lib/logger');
+const { createNextcloudClient } = require('./lib/nextcloudClient');
+const { createRaumzeitClient } = require('./lib/raumzeitClient');
+const { UpstreamError, UpstreamAuthError, CircuitOpenError } = require('./lib/upstreamErrors');
+const { requestIdMiddleware } = require('./lib/requestContext');
+const { createMetricsRegistry } = require('./lib/metrics');
+const { loadConfig, matchProfile } = require('./lib/config');
+const { checkAccountScope } = require('./lib/nextcloudAccount');
+
+// Configuration - every variable is checked before anything is started (see lib/config)
+let config;
+try {
+    config = loadConfig();
+} catch (error) {
+    logger.error('Invalid configuration', { problems: error.problems || [error.message] });
+    process.exit(1);
+}
 
 const app = express();
-const PORT = process.env.PORT || 3000;
+const PORT = config.PORT;
 
-// Ensure logs directory exists
-const logsDir = path.join(__dirname, 'logs');
-if (!fs.existsSync(logsDir)) {
-    fs.mkdirSync(logsDir, { recursive: true });
+// Behind a reverse proxy req.ip must come from X-Forwarded-For for rate limiting
+// (TRUST_PROXY: "true", a hop count or a comma-separated list of proxy addresses)
+if (config.TRUST_PROXY) {
+    const trustProxy = config.TRUST_PROXY;
+    app.set('trust proxy', trustProxy === 'true' ? true : /^\d+$/.test(trustProxy) ? parseInt(trustProxy, 10) : trustProxy);
 }
 
-const logFilePath = path.join(logsDir, 'latest.log');
-
-// Logger utility with file writing
-const logger = {
-    writeToFile: (logEntry) => {
-        try {
-            fs.appendFileSync(logFilePath, logEntry + '\n', 'utf8');
-        } catch (err) {
-            console.error('Failed to write to log file:', err);
-        }
-    },
-
-    // Sanitize sensitive data before logging
-    sanitize: (data) => {
-        if (!data || typeof data !== 'object') return data;
-        const sanitized = { ...data };
-
-        // Remove sensitive fields
-        const sensitiveFields = ['rzPassword', 'password', 'token', 'secret', 'apiKey', 'authorization'];
-        sensitiveFields.forEach(field => {
-            if (sanitized[field]) {
-                sanitized[field] = '[REDACTED]';
-            }
-        });
-
-        return sanitized;
-    },
-
-    info: (message, data = {}) => {
-        const safeData = logger.sanitize(data);
-        const logEntry = `[INFO] ${new Date().toISOString()} - ${message} ${JSON.stringify(safeData)}`;
-        console.log(logEntry);
-        logger.writeToFile(logEntry);
-    },
+// Pages allowed to call the API from the browser (comma-separated origins).
+// Without configuration only the Vite dev server is allowed outside production.
+const CORS_ALLOWED_ORIGINS = config.CORS_ALLOWED_ORIGINS.map((origin) => origin.replace(/\/$/, ''));
 
-    error: (message, error = {}) => {
-        const safeError = logger.sanitize(error);
-        const logEntry = `[ERROR] ${new Date().toISOString()} - ${message} ${JSON.stringify(safeError)}`;
-        console.error(logEntry);
-        logger.writeToFile(logEntry);
-    },
+// Helper function to check the Origin of a request. Requests without one (same-origin
+// GETs, curl, monitoring) and pages served by the backend itself are allowed.
+const isAllowedOrigin = (req) => {
+    const origin = req.get('origin');
+    return !origin || CORS_ALLOWED_ORIGINS.includes(origin) || origin === `${req.protocol}://${req.get('host')}`;
+};
 
-    warn: (message, data = {}) => {
-        const safeData = logger.sanitize(data);
-        const logEntry = `[WARN] ${new Date().toISOString()} - ${message} ${JSON.stringify(safeData)}`;
-        console.warn(logEntry);
-        logger.writeToFile(logEntry);
-    },
+// Middleware
+app.use(requestIdMiddleware);
 
-    debug: (message, data = {}) => {
-        if (process.env.NODE_ENV === 'development') {
-            const safeData = logger.sanitize(data);
-            const logEntry = `[DEBUG] ${new Date().toISOString()} - ${message} ${JSON.stringify(safeData)}`;
-            console.debug(logEntry);
-            logger.writeToFile(logEntry);
-        }
+// Profile serving the request (see lib/config), by hostname or path prefix. The prefix
+// is removed, so /mmt/api/auth is routed as /api/auth, and kept in req.profilePath;
+// unmatched requests get the first profile.
+app.use((req, res, next) => {
+    const profile = matchProfile(config.profiles, { hostname: req.hostname, path: req.path });
+    req.profilePath = profile?.path || '';
+    if (profile?.path) {
+        const rest = req.url.slice(profile.path.length);
+        req.url = rest.startsWith('/') ? rest : `/${rest}`;
     }
-};// Middleware
-app.use(cors());
+    req.profile = profileContexts.get((profile || config.profiles[0]).name);
+    next();
+});
+// The frontend reads the request ID for error messages and Retry-After for countdowns;
+// credentials let it send the CSRF session cookie
+app.use(cors((req, callback) => callback(null, {
+    origin: isAllowedOrigin(req),
+    credentials: true,
+    exposedHeaders: ['X-Request-ID', 'Retry-After']
+})));
 app.use(express.json());
 
 // Security headers
@@ -85,101 +98,646 @@ app.use((req, res, next) => {
     next();
 });
 
-// Request logging middleware
+// Request logging middleware - the logger redacts passwords, tickets and codes
 app.use((req, res, next) => {
-    // Don't log passwords
-    const safeBody = req.body ? { ...req.body } : {};
-    if (safeBody.rzPassword) {
-        safeBody.rzPassword = '[REDACTED]';
+    // Probes and metric scrapes would drown the log
+    if (req.path === '/metrics' || req.path.startsWith('/health')) {
+        return next();
     }
 
+    const startedAt = Date.now();
+
     logger.info(`Incoming ${req.method} request`, {
         path: req.path,
         ip: req.ip,
         userAgent: req.get('user-agent'),
-        body: safeBody
+        body: req.body
+    });
+
+    res.on('finish', () => {
+        logger.info(`Completed ${req.method} request`, {
+            path: req.path,
+            status: res.statusCode,
+            durationMs: Date.now() - startedAt
+        });
     });
     next();
 });
 
-// Nextcloud configuration
-const NEXTCLOUD_URL = process.env.NEXTCLOUD_URL;
-const NEXTCLOUD_ADMIN_USER = process.env.NEXTCLOUD_ADMIN_USER;
-const NEXTCLOUD_ADMIN_PASSWORD = process.env.NEXTCLOUD_ADMIN_PASSWORD;
-const NEXTCLOUD_DEFAULT_GROUP = process.env.NEXTCLOUD_DEFAULT_GROUP || 'Jeder';
+// Other sites must not call the API, even where the browser would send the request
+app.use('/api', (req, res, next) => {
+    if (isAllowedOrigin(req)) {
+        return next();
+    }
+
+    logger.warn('Request from a foreign origin rejected', { origin: req.get('origin'), path: req.originalUrl });
+    res.status(403).json({
+        success: false,
+        code: 'ORIGIN_NOT_ALLOWED',
+        message: 'Requests from this origin are not allowed'
+    });
+});
+
+const RAUMZEIT_URL = config.RAUMZEIT_URL;
+
+// Prometheus metrics (GET /metrics)
+const METRICS_TOKEN = config.METRICS_TOKEN;
+const metrics = createMetricsRegistry({ prefix: 'nextcloud_registration_' });
+
+const registrationCounter = metrics.counter({
+    name: 'requests_total',
+    help: 'Registration requests by stage and outcome',
+    labelNames: ['stage', 'outcome']
+});
+const denialCounter = metrics.counter({
+    name: 'denials_total',
+    help: 'Registrations rejected by the eligibility policy, by rule',
+    labelNames: ['rule']
+});
+const upstreamLatency = metrics.histogram({
+    name: 'upstream_request_duration_seconds',
+    help: 'Duration of requests to Raumzeit and Nextcloud',
+    labelNames: ['service', 'method', 'outcome']
+});
+
+// Helper function recording every upstream request attempt
+const observeUpstreamRequest = ({ service, method, outcome, durationMs }) => {
+    upstreamLatency.observe({ service, method, outcome }, durationMs / 1000);
+};
+
+// Upstream clients - timeouts, retries with backoff and a circuit breaker per service
+const UPSTREAM_RETRIES = config.UPSTREAM_RETRIES;
+const UPSTREAM_RETRY_BACKOFF_MS = config.UPSTREAM_RETRY_BACKOFF_MS;
+const circuitBreakerOptions = {
+    failureThreshold: config.CIRCUIT_BREAKER_THRESHOLD,
+    resetTimeoutMs: config.CIRCUIT_BREAKER_RESET_SECONDS * 1000
+};
+
+const raumzeitClient = createRaumzeitClient({
+    url: RAUMZEIT_URL,
+    timeoutMs: config.RAUMZEIT_TIMEOUT_MS,
+    retries: UPSTREAM_RETRIES,
+    backoffMs: UPSTREAM_RETRY_BACKOFF_MS,
+    circuitBreaker: circuitBreakerOptions,
+    onRequest: observeUpstreamRequest,
+    logger
+});
+
+// Privacy policy and terms of use - every version is a file, the highest one is current
+const CONSENT_DIR = config.CONSENT_DIR;
+
+let consentTexts;
+try {
+    consentTexts = loadConsentTexts(CONSENT_DIR);
+    logger.info('Consent texts loaded', { directory: CONSENT_DIR, versions: consentTexts.versions, current: consentTexts.currentVersion });
+} catch (error) {
+    logger.error('Failed to load consent texts', { directory: CONSENT_DIR, message: error.message });
+    process.exit(1);
+}
+
+// Portal state shared by all profiles; the state of their accounts is kept per profile
+const DATA_DIR = config.DATA_DIR;
+
+// Registration ticket configuration
+let REGISTRATION_TICKET_SECRET = config.REGISTRATION_TICKET_SECRET;
+const REGISTRATION_TICKET_TTL_SECONDS = config.REGISTRATION_TICKET_TTL_SECONDS;
+
+if (!REGISTRATION_TICKET_SECRET) {
+    // Tickets signed with a random secret become invalid on restart, which is
+    // acceptable for a single instance but not for multiple instances.
+    logger.warn('REGISTRATION_TICKET_SECRET not set, using a random secret for this process');
+    REGISTRATION_TICKET_SECRET = crypto.randomBytes(32).toString('hex');
+}
 
-const RAUMZEIT_URL = process.env.RAUMZEIT_URL;
+// Exception request tickets and admin sessions are signed with keys derived from
+// the ticket secret, so neither can be passed off as a registration ticket
+const deriveSecret = (purpose) => crypto.createHmac('sha256', REGISTRATION_TICKET_SECRET).update(purpose).digest('hex');
+
+// Helper function to set up everything that belongs to one profile (see lib/config): its
+// Nextcloud client, eligibility policy, provisioning rules and the state of its accounts.
+// An invalid policy, rules file or username template stops the server.
+const createProfileContext = (profile) => {
+    const nextcloudClient = createNextcloudClient({
+        url: profile.nextcloud.url,
+        adminUser: profile.nextcloud.adminUser,
+        adminPassword: profile.nextcloud.adminPassword,
+        appPassword: profile.nextcloud.appPassword,
+        timeoutMs: config.NEXTCLOUD_TIMEOUT_MS,
+        retries: UPSTREAM_RETRIES,
+        backoffMs: UPSTREAM_RETRY_BACKOFF_MS,
+        circuitBreaker: circuitBreakerOptions,
+        onRequest: observeUpstreamRequest,
+        logger
+    });
 
-// Helper function to add user to a group
-const addUserToGroup = async (username, groupId) => {
+    // Eligibility policy - loaded once at startup
+    let eligibilityPolicy;
     try {
-        logger.debug('Adding user to group', { username, groupId });
-
-        const formData = new URLSearchParams();
-        formData.append('groupid', groupId);
-
-        const authHeader = 'Basic ' + Buffer.from(`${NEXTCLOUD_ADMIN_USER}:${NEXTCLOUD_ADMIN_PASSWORD}`).toString('base64');
-
-        const response = await axios.post(
-            `${NEXTCLOUD_URL}/ocs/v2.php/cloud/users/${username}/groups`,
-            formData.toString(),
-            {
-                headers: {
-                    'OCS-APIRequest': 'true',
-                    'Content-Type': 'application/x-www-form-urlencoded',
-                    'Accept': 'application/json',
-                    'Authorization': authHeader
-                },
-                validateStatus: (status) => status < 500
-            }
-        );
+        eligibilityPolicy = loadEligibilityPolicy(profile.eligibilityPolicyFile);
+        logger.info('Eligibility policy loaded', { profile: profile.name, file: profile.eligibilityPolicyFile, rules: eligibilityPolicy.rules });
+    } catch (error) {
+        logger.error('Failed to load eligibility policy', { profile: profile.name, file: profile.eligibilityPolicyFile, message: error.message });
+        process.exit(1);
+    }
 
-        const ocsStatusCode = response.data?.ocs?.meta?.statuscode;
-        const ocsStatus = response.data?.ocs?.meta?.status;
-        const ocsMessage = response.data?.ocs?.meta?.message;
+    // Provisioning rules - derive groups, quota, language and display name from Raumzeit
+    let provisioningRules;
+    try {
+        provisioningRules = loadProvisioningRules(profile.provisioningRulesFile);
+        logger.info('Provisioning rules loaded', { profile: profile.name, file: profile.provisioningRulesFile });
+    } catch (error) {
+        logger.error('Failed to load provisioning rules', { profile: profile.name, file: profile.provisioningRulesFile, message: error.message });
+        process.exit(1);
+    }
 
-        logger.debug('Add to group response', {
-            username,
-            groupId,
-            httpStatus: response.status,
-            ocsStatus,
-            ocsStatusCode,
-            ocsMessage
+    // Onboarding of new accounts (folders, shares, calendars) - optional, loaded once at startup
+    let onboarding;
+    if (profile.onboardingFile) {
+        try {
+            onboarding = loadOnboarding(profile.onboardingFile, { nextcloud: nextcloudClient, logger });
+            logger.info('Onboarding loaded', { profile: profile.name, file: profile.onboardingFile, steps: onboarding.steps });
+        } catch (error) {
+            logger.error('Failed to load onboarding', { profile: profile.name, file: profile.onboardingFile, message: error.message });
+            process.exit(1);
+        }
+    }
+
+    // Provisioning state - accounts whose setup could not be finished are parked as
+    // pending and resumed on the next registration attempt
+    // Shared with the bulk provisioning, so either one resumes what the other parked
+    const provisioningState = createSharedJsonFileStore(path.join(profile.dataDir, 'provisioning-state.json'));
+
+    // Nextcloud user IDs of RZ users - the admin account and NEXTCLOUD_RESERVED_USERNAMES are never handed out
+    const usernameMappingsFile = path.join(profile.dataDir, 'username-mappings.json');
+
+    let usernameMapping;
+    try {
+        usernameMapping = createUsernameMapping({
+            template: config.NEXTCLOUD_USERNAME_TEMPLATE,
+            guestTemplate: config.GUEST_USERNAME_TEMPLATE,
+            lowercase: config.NEXTCLOUD_USERNAME_LOWERCASE,
+            reserved: [profile.nextcloud.adminUser, ...config.NEXTCLOUD_RESERVED_USERNAMES],
+            // Also written by the bulk provisioning and the lifecycle sync - read again once the file changed
+            openStore: createJsonFileStoreOpener(usernameMappingsFile)
         });
+    } catch (error) {
+        logger.error('Invalid username mapping', { profile: profile.name, message: error.message });
+        process.exit(1);
+    }
 
-        if (ocsStatusCode === 100 || ocsStatusCode === 200 || ocsStatus === 'ok') {
-            logger.info('User added to group successfully', { username, groupId });
-            return { success: true };
-        } else {
-            logger.warn('Failed to add user to group', {
-                username,
-                groupId,
-                ocsStatusCode,
-                ocsMessage
+    const accountProvisioner = createAccountProvisioner({
+        nextcloud: nextcloudClient,
+        provisioningState,
+        usernameMapping,
+        onFailure: config.PROVISIONING_ON_FAILURE,
+        adminUser: profile.nextcloud.adminUser,
+        managedGroups: profile.nextcloud.managedGroups,
+        onboarding,
+        logger
+    });
+
+    return {
+        name: profile.name,
+        adminUser: profile.nextcloud.adminUser,
+        defaultGroup: profile.defaultGroup,
+        nextcloudClient,
+        eligibilityPolicy,
+        provisioningRules,
+        provisioningState,
+        usernameMapping,
+        accountProvisioner,
+        // Tickets are signed per profile, so one issued for one Nextcloud is useless for another
+        registrationTickets: createRegistrationTickets({
+            secret: deriveSecret(`registration-ticket:${profile.name}`),
+            ttlSeconds: REGISTRATION_TICKET_TTL_SECONDS
+        }),
+        exceptionTickets: createRegistrationTickets({
+            secret: deriveSecret(`exception-request:${profile.name}`),
+            ttlSeconds: 3600
+        }),
+        // Manual approval queue and invitation codes for guests without an RZ account
+        exceptionRequests: createExceptionRequests({
+            store: createJsonFileStore(path.join(profile.dataDir, 'exception-requests.json'))
+        }),
+        invitations: createInvitations({
+            store: createJsonFileStore(path.join(profile.dataDir, 'invitations.json'))
+        }),
+        // Written by scripts/lifecycle-sync.js - read fresh for every request, never cached here
+        lifecycleStateFile: path.join(profile.dataDir, 'lifecycle-state.json')
+    };
+};
+
+const profileContexts = new Map(config.profiles.map((profile) => [profile.name, createProfileContext(profile)]));
+
+metrics.gauge({
+    name: 'upstream_circuit_open',
+    help: 'Whether the circuit breaker of an upstream service is open (1) or not (0)',
+    collect: () => [
+        ...[...profileContexts.values()].map(({ name, nextcloudClient }) => ({
+            labels: { service: 'nextcloud', profile: name },
+            value: nextcloudClient.getCircuitState().state === 'closed' ? 0 : 1
+        })),
+        { labels: { service: 'raumzeit' }, value: raumzeitClient.getCircuitState().state === 'closed' ? 0 : 1 }
+    ]
+});
+
+// Admin dashboard configuration - admins log in with their RZ credentials
+const ADMIN_USERS = config.ADMIN_USERS.map((username) => username.toLowerCase());
+const ADMIN_SESSION_TTL_SECONDS = config.ADMIN_SESSION_TTL_SECONDS;
+
+const adminSessions = createRegistrationTickets({
+    secret: deriveSecret('admin-session'),
+    ttlSeconds: ADMIN_SESSION_TTL_SECONDS
+});
+
+// Registration history of all profiles
+const registrationRecords = createRegistrationRecords({
+    store: createJsonFileStore(path.join(DATA_DIR, 'registrations.json'))
+});
+
+// Accepted consent versions per user
+const consentRecords = createConsentRecords({
+    store: createJsonFileStore(path.join(DATA_DIR, 'consent-records.json'))
+});
+
+// Self-service privacy requests (data export and erasure) - users log in with their RZ credentials
+const PRIVACY_SESSION_TTL_SECONDS = config.PRIVACY_SESSION_TTL_SECONDS;
+const ERASURE_CONFIRMATION_TTL_SECONDS = config.ERASURE_CONFIRMATION_TTL_SECONDS;
+
+const privacySessions = createRegistrationTickets({
+    secret: deriveSecret('privacy-session'),
+    ttlSeconds: PRIVACY_SESSION_TTL_SECONDS
+});
+const erasureConfirmations = createRegistrationTickets({
+    secret: deriveSecret('erasure-confirmation'),
+    ttlSeconds: ERASURE_CONFIRMATION_TTL_SECONDS
+});
+const erasureRequests = createErasureRequests({
+    store: createJsonFileStore(path.join(DATA_DIR, 'erasure-requests.json'))
+});
+
+// Log files searched for a data export; entries are not erased but expire with the retention
+const LOG_DIR = config.LOG_DIR;
+const LOG_RETENTION_DAYS = config.LOG_RETENTION_DAYS;
+
+// Mail and email verification configuration
+const mailer = createMailer({
+    transport: config.MAIL_TRANSPORT,
+    from: config.MAIL_FROM,
+    host: config.SMTP_HOST,
+    port: config.SMTP_PORT,
+    secure: config.SMTP_SECURE,
+    user: config.SMTP_USER,
+    password: config.SMTP_PASSWORD,
+    directory: config.MAIL_FILE_DIR,
+    logger
+});
+
+const EMAIL_VERIFICATION_TTL_SECONDS = config.EMAIL_VERIFICATION_TTL_SECONDS;
+
+const emailVerification = createEmailVerification({
+    ttlSeconds: EMAIL_VERIFICATION_TTL_SECONDS
+});
+
+// Rate limiting configuration for the RZ credential check
+const authRateLimiter = createAuthRateLimiter({
+    ipWindowMs: config.RATE_LIMIT_IP_WINDOW_SECONDS * 1000,
+    ipMaxAttempts: config.RATE_LIMIT_IP_MAX_ATTEMPTS,
+    usernameWindowMs: config.RATE_LIMIT_USERNAME_WINDOW_SECONDS * 1000,
+    usernameMaxAttempts: config.RATE_LIMIT_USERNAME_MAX_ATTEMPTS,
+    lockoutThreshold: config.LOCKOUT_THRESHOLD,
+    lockoutBaseMs: config.LOCKOUT_BASE_SECONDS * 1000,
+    lockoutMaxMs: config.LOCKOUT_MAX_SECONDS * 1000
+});
+
+// Rate limiting of the public username availability lookup (per IP)
+const usernameCheckRateLimiter = createRequestRateLimiter({
+    windowMs: config.USERNAME_CHECK_WINDOW_SECONDS * 1000,
+    maxRequests: config.USERNAME_CHECK_MAX_REQUESTS
+});
+
+// Rate limiting of invitation code redemptions (per IP), so codes cannot be guessed
+const invitationRateLimiter = createRequestRateLimiter({
+    windowMs: config.INVITATION_WINDOW_SECONDS * 1000,
+    maxRequests: config.INVITATION_MAX_ATTEMPTS
+});
+
+// CSRF tokens for state-changing API requests, bound to a session cookie. The cookie
+// has to be SameSite=None (and Secure) if the frontend runs on another site.
+const csrfProtection = createCsrfProtection({
+    secret: deriveSecret('csrf'),
+    sameSite: config.CSRF_COOKIE_SAMESITE,
+    secure: config.CSRF_COOKIE_SECURE
+});
+
+// Challenge in front of every RZ credential check: pow, captcha, stub or none (see lib/challenge)
+const challenge = createChallenge({
+    provider: config.CHALLENGE_PROVIDER,
+    secret: deriveSecret('challenge'),
+    difficulty: config.CHALLENGE_POW_DIFFICULTY,
+    ttlSeconds: config.CHALLENGE_TTL_SECONDS,
+    captcha: {
+        preset: config.CAPTCHA_PROVIDER,
+        siteKey: config.CAPTCHA_SITE_KEY,
+        secret: config.CAPTCHA_SECRET,
+        verifyUrl: config.CAPTCHA_VERIFY_URL,
+        scriptUrl: config.CAPTCHA_SCRIPT_URL
+    },
+    timeoutMs: config.CAPTCHA_TIMEOUT_MS,
+    logger,
+    onRequest: observeUpstreamRequest
+});
+
+// Helper function to mask an email address for responses (max.mustermann@x.de -> m***@x.de)
+const maskEmail = (email) => {
+    const [local, domain] = email.split('@');
+    return `${local.charAt(0)}***@${domain}`;
+};
+
+// Middleware recording the outcome of a registration route for the admin dashboard and metrics
+const recordRegistration = (stage) => (req, res, next) => {
+    const json = res.json.bind(res);
+    res.json = (body) => {
+        const outcome = outcomeForStatus(res.statusCode);
+        registrationCounter.inc({ stage, outcome });
+        if (outcome === 'denied' && body?.rule) {
+            denialCounter.inc({ rule: body.rule });
+        }
+
+        registrationRecords.record({
+            stage,
+            profile: req.profile.name,
+            rzUsername: typeof req.body?.rzUsername === 'string' ? req.body.rzUsername : undefined,
+            email: typeof req.body?.email === 'string' ? req.body.email : undefined,
+            outcome,
+            httpStatus: res.statusCode,
+            rule: body?.rule ?? body?.eligibilityRule,
+            message: body?.message,
+            ip: req.ip
+        }).catch((error) => {
+            logger.error('Failed to record registration outcome', { stage, message: error.message });
+        });
+        return json(body);
+    };
+    next();
+};
+
+// Middleware requiring a valid admin session (Authorization: Bearer <token>)
+const requireAdmin = (req, res, next) => {
+    const header = req.get('authorization') || '';
+    const token = header.startsWith('Bearer ') ? header.slice(7) : undefined;
+    const session = adminSessions.decode(token);
+
+    if (!session.valid || !ADMIN_USERS.includes(session.username.toLowerCase())) {
+        logger.warn('Admin access denied', { path: req.path, reason: session.valid ? 'not_admin' : session.reason });
+        return res.status(401).json({
+            success: false,
+            code: 'ADMIN_LOGIN_REQUIRED',
+            message: 'Admin login required'
+        });
+    }
+
+    req.adminUser = session.username;
+    next();
+};
+
+// Middleware requiring a valid privacy session from /api/privacy/login (Authorization: Bearer <token>)
+const requirePrivacySession = (req, res, next) => {
+    const header = req.get('authorization') || '';
+    const token = header.startsWith('Bearer ') ? header.slice(7) : undefined;
+    const session = privacySessions.decode(token);
+
+    if (!session.valid) {
+        logger.warn('Privacy request denied', { path: req.path, reason: session.reason });
+        return res.status(401).json({
+            success: false,
+            code: 'PRIVACY_LOGIN_REQUIRED',
+            message: 'Login with your RZ credentials required'
+        });
+    }
+
+    req.privacyUser = session.username;
+    next();
+};
+
+// Middleware requiring the CSRF token of the session cookie (X-CSRF-Token) on
+// state-changing API requests
+const SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+const requireCsrfToken = (req, res, next) => {
+    if (SAFE_METHODS.includes(req.method)) {
+        return next();
+    }
+
+    const result = csrfProtection.verify(req);
+    if (!result.valid) {
+        logger.warn('CSRF check failed', { path: req.originalUrl, reason: result.reason });
+        return res.status(403).json({
+            success: false,
+            code: 'CSRF_TOKEN_INVALID',
+            message: 'Missing or invalid CSRF token - please reload the page'
+        });
+    }
+    next();
+};
+
+app.use('/api', requireCsrfToken);
+
+// Middleware requiring a passed challenge (X-Challenge-Response). It runs before
+// the registration is recorded, so scripted attempts do not fill the history.
+const requireChallenge = async (req, res, next) => {
+    let result;
+    try {
+        result = await challenge.verify(req.get('x-challenge-response'), { ip: req.ip });
+    } catch (error) {
+        logger.error('Challenge verification error', { message: error.message, name: error.name });
+        return rejectUpstreamError(res, error, 'CHALLENGE_UNAVAILABLE', 'Challenge verification unavailable');
+    }
+
+    if (!result.valid) {
+        logger.warn('Challenge failed', { path: req.originalUrl, ip: req.ip, reason: result.reason });
+        return res.status(403).json({
+            success: false,
+            code: 'CHALLENGE_FAILED',
+            message: 'The bot protection check failed - please try again'
+        });
+    }
+    next();
+};
+
+// Helper function to check RZ credentials for the admin and privacy logins, rate
+// limited like /api/auth. Resolves to false after answering a failed check.
+const checkRaumzeitCredentials = async (req, res, context) => {
+    const { rzUsername, rzPassword } = req.body;
+
+    if (typeof rzUsername !== 'string' || typeof rzPassword !== 'string' || !rzUsername || !rzPassword) {
+        res.status(400).json({
+            success: false,
+            code: 'CREDENTIALS_REQUIRED',
+            message: 'Username and password are required'
+        });
+        return false;
+    }
+
+    const rateLimit = await authRateLimiter.check({ ip: req.ip, username: rzUsername });
+    if (!rateLimit.allowed) {
+        res.set('Retry-After', String(rateLimit.retryAfterSeconds));
+        res.status(429).json({
+            success: false,
+            code: 'TOO_MANY_ATTEMPTS',
+            message: 'Too many authentication attempts - please try again later',
+            retryAfter: rateLimit.retryAfterSeconds
+        });
+        return false;
+    }
+
+    try {
+        await raumzeitClient.authenticate(rzUsername, rzPassword);
+        await authRateLimiter.recordSuccess(rzUsername);
+        return true;
+    } catch (error) {
+        if (error instanceof UpstreamAuthError) {
+            await authRateLimiter.recordFailure(rzUsername);
+            logger.warn(`${context} failed: Invalid credentials`, { rzUsername });
+            res.status(401).json({
+                success: false,
+                code: 'INVALID_CREDENTIALS',
+                message: 'Invalid username or password'
             });
-            return { success: false, message: ocsMessage || 'Failed to add user to group' };
+            return false;
         }
+
+        logger.error(`${context} error`, { message: error.message, name: error.name });
+        rejectUpstreamError(res, error, 'RAUMZEIT_UNAVAILABLE', 'Authentication service unavailable');
+        return false;
+    }
+};
+
+// Helper function to answer an unreachable upstream service. An open circuit
+// tells the client when to retry.
+const rejectUpstreamError = (res, error, code, message) => {
+    if (error instanceof CircuitOpenError) {
+        res.set('Retry-After', String(error.retryAfterSeconds));
+    }
+
+    return res.status(503).json({
+        success: false,
+        code,
+        message,
+        retryAfter: error instanceof CircuitOpenError ? error.retryAfterSeconds : undefined
+    });
+};
+
+// Helper function to check the consent sent by the frontend ({ version, acceptedAt });
+// only the current version counts
+const isCurrentConsent = (consent) => !!consent
+    && consent.version === consentTexts.currentVersion
+    && typeof consent.acceptedAt === 'string'
+    && !Number.isNaN(Date.parse(consent.acceptedAt));
+
+// Helper function to store the consent carried by a redeemed registration ticket
+const recordConsent = async (rzUsername, grants, context) => {
+    if (!grants.consent) return;
+    try {
+        await consentRecords.record(rzUsername, { ...grants.consent, context });
     } catch (error) {
-        logger.error('Error adding user to group', {
-            username,
-            groupId,
-            message: error.message,
-            status: error.response?.status
+        logger.error('Failed to record consent', { rzUsername, version: grants.consent.version, message: error.message });
+    }
+};
+
+// Helper function to answer a rejected registration ticket
+const rejectTicket = (res, rzUsername, ticketResult) => {
+    logger.warn('Registration ticket rejected', { rzUsername, reason: ticketResult.reason });
+
+    if (ticketResult.reason === 'mismatch') {
+        return res.status(403).json({
+            success: false,
+            code: 'TICKET_MISMATCH',
+            message: 'Registration ticket does not match the authenticated user'
         });
-        return { success: false, message: error.message };
     }
+
+    return res.status(401).json({
+        success: false,
+        code: ticketResult.reason === 'missing' ? 'TICKET_MISSING' : 'TICKET_INVALID',
+        message: ticketResult.reason === 'missing'
+            ? 'Registration ticket is required - please authenticate first'
+            : 'Registration ticket is invalid or expired - please authenticate again'
+    });
+};
+
+// Helper function to answer a failed email verification
+const rejectVerification = (res, rzUsername, email, verificationResult) => {
+    logger.warn('Email verification failed', { rzUsername, email, reason: verificationResult.reason });
+
+    const errors = {
+        not_found: ['VERIFICATION_NOT_REQUESTED', 'No verification code was requested for this user'],
+        expired: ['VERIFICATION_CODE_EXPIRED', 'Verification code has expired - please request a new one'],
+        email_mismatch: ['VERIFICATION_EMAIL_MISMATCH', 'Email address does not match the verified address'],
+        too_many_attempts: ['VERIFICATION_TOO_MANY_ATTEMPTS', 'Too many invalid verification attempts - please request a new code'],
+        invalid_code: ['VERIFICATION_CODE_INVALID', 'Invalid verification code']
+    };
+    const [code, message] = errors[verificationResult.reason];
+
+    return res.status(400).json({
+        success: false,
+        code,
+        message,
+        reason: verificationResult.reason,
+        attemptsLeft: verificationResult.attemptsLeft
+    });
+};
+
+// Helper function to answer an invitation code that cannot be used (see lib/invitations)
+const rejectInvitation = (res, invitationResult) => {
+    logger.warn('Invitation rejected', { reason: invitationResult.reason, id: invitationResult.invitation?.id });
+
+    const errors = {
+        unknown: ['INVITATION_INVALID', 'Unknown invitation code'],
+        revoked: ['INVITATION_INVALID', 'Unknown invitation code'],
+        expired: ['INVITATION_EXPIRED', 'The invitation code has expired'],
+        exhausted: ['INVITATION_EXHAUSTED', 'The invitation code has already been used up']
+    };
+    const [code, message] = errors[invitationResult.reason];
+
+    return res.status(403).json({
+        success: false,
+        code,
+        message
+    });
 };
 
+
+// CSRF token for the session cookie; starts a session if the browser has none. The cookie
+// is limited to the API of the profile, the browser would not send a Path=/api cookie to /mmt/api
+app.get('/api/csrf', (req, res) => {
+    res.set('Cache-Control', 'no-store');
+    res.status(200).json({
+        success: true,
+        csrfToken: csrfProtection.issue(req, res, `${req.profilePath}/api`)
+    });
+});
+
+// What the frontend needs to pass the challenge (a fresh one for proof-of-work)
+app.get('/api/challenge', (req, res) => {
+    res.set('Cache-Control', 'no-store');
+    res.status(200).json({
+        success: true,
+        ...challenge.describe()
+    });
+});
+
 // Custom API endpoint
-app.post('/api/auth', async (req, res) => {
+app.post('/api/auth', requireChallenge, recordRegistration('auth'), async (req, res) => {
+    const { eligibilityPolicy, exceptionRequests, exceptionTickets, provisioningRules, usernameMapping, registrationTickets } = req.profile;
     try {
-        const { rzUsername, rzPassword } = req.body;
+        const { rzUsername, rzPassword, consent } = req.body;
 
         // Validate input
         if (!rzUsername || !rzPassword) {
             logger.warn('Missing credentials', { rzUsername: rzUsername ? 'provided' : 'missing' });
             return res.status(400).json({
                 success: false,
+                code: 'CREDENTIALS_REQUIRED',
                 message: 'Username and password are required'
             });
         }
@@ -189,15 +747,17 @@ app.post('/api/auth', async (req, res) => {
             logger.warn('Invalid credential types', { rzUsername: typeof rzUsername });
             return res.status(400).json({
                 success: false,
+                code: 'INVALID_CREDENTIALS_FORMAT',
                 message: 'Invalid credentials format'
             });
         }
 
         // Sanitize username (allow only alphanumeric and common chars)
-        if (!/^[a-zA-Z0-9._-]+$/.test(rzUsername)) {
+        if (!USERNAME_PATTERN.test(rzUsername)) {
             logger.warn('Invalid username format', { rzUsername });
             return res.status(400).json({
                 success: false,
+                code: 'INVALID_USERNAME_FORMAT',
                 message: 'Invalid username format'
             });
         }
@@ -207,335 +767,575 @@ app.post('/api/auth', async (req, res) => {
             logger.warn('Invalid password length');
             return res.status(400).json({
                 success: false,
+                code: 'INVALID_PASSWORD',
                 message: 'Invalid password'
             });
         }
 
-        logger.info('Authentication attempt', { rzUsername });
+        // The current privacy policy and terms have to be accepted before anything is processed
+        if (!isCurrentConsent(consent)) {
+            logger.warn('Missing or outdated consent', { rzUsername, version: consent?.version });
+            return res.status(428).json({
+                success: false,
+                code: 'CONSENT_REQUIRED',
+                message: 'Please accept the current privacy policy and terms of use',
+                consentVersion: consentTexts.currentVersion
+            });
+        }
 
-        // Use HTTPS for Raumzeit API
-        const raumzeitResponse = await axios.post(
-            `${RAUMZEIT_URL}/api/v1/persons`,
-            {
-                login: rzUsername,
-                password: rzPassword
-            },
-            {
-                timeout: 10000, // 10 second timeout
-                headers: {
-                    'Content-Type': 'application/json',
-                    'User-Agent': 'NextcloudRegistration/1.0'
-                }
-            }
-        );
+        // Throttle before asking Raumzeit so the portal is no password-guessing oracle
+        const rateLimit = await authRateLimiter.check({ ip: req.ip, username: rzUsername });
+        if (!rateLimit.allowed) {
+            logger.warn('Authentication rate limited', {
+                rzUsername,
+                ip: req.ip,
+                reason: rateLimit.reason,
+                retryAfterSeconds: rateLimit.retryAfterSeconds
+            });
+            res.set('Retry-After', String(rateLimit.retryAfterSeconds));
+            return res.status(429).json({
+                success: false,
+                code: 'TOO_MANY_ATTEMPTS',
+                message: 'Too many authentication attempts - please try again later',
+                retryAfter: rateLimit.retryAfterSeconds
+            });
+        }
 
-        logger.debug('Raumzeit API response', {
-            status: raumzeitResponse.status,
-            success: raumzeitResponse.data.success
-        });
+        logger.info('Authentication attempt', { rzUsername });
 
-        // Check if response contains user data (no explicit success field in actual response)
-        if (raumzeitResponse.status === 200 && raumzeitResponse.data) {
-            const userData = raumzeitResponse.data;
+        // Rejects with an UpstreamAuthError for wrong credentials
+        const userData = await raumzeitClient.authenticate(rzUsername, rzPassword);
 
-            // Check if user has IWI in departments array
-            const hasIWI = userData.departments &&
-                Array.isArray(userData.departments) &&
-                userData.departments.includes('IWI');
+        logger.debug('Raumzeit API response', { rzUsername, personType: userData.personType });
 
-            const isStudent = userData.personType === 'STUDENT';
+        await authRateLimiter.recordSuccess(rzUsername);
 
-            logger.debug('User validation', {
-                rzUsername,
-                hasIWI,
-                isStudent,
-                departments: userData.departments,
-                personType: userData.personType
-            });
+        let eligibility = eligibilityPolicy.evaluate(userData, rzUsername);
 
-            if (!isStudent) {
-                logger.warn('Access denied: Not a student', { rzUsername, personType: userData.personType });
-                return res.status(403).json({
-                    success: false,
-                    message: 'Access denied: Person is not a student'
-                });
-            }
+        // Admins can grant exceptions to users the policy rejects
+        if (!eligibility.eligible && exceptionRequests.isApproved(rzUsername)) {
+            logger.info('Eligibility granted by approved exception request', { rzUsername, rule: eligibility.rule });
+            eligibility = { eligible: true, rule: 'manual-approval' };
+        }
 
-            if (!hasIWI) {
-                logger.warn('Access denied: Not part of IWI', {
-                    rzUsername,
-                    departments: userData.departments
-                });
-                return res.status(403).json({
-                    success: false,
-                    message: 'Access denied: Student is not part of IWI Fakultät'
-                });
-            }
+        logger.debug('User validation', {
+            rzUsername,
+            rule: eligibility.rule,
+            eligible: eligibility.eligible,
+            departments: userData.departments,
+            personType: userData.personType
+        });
 
-            logger.info('Authentication successful', { rzUsername, hasIWI, isStudent });
-            res.status(200).json({
-                success: true,
-                message: 'Authentication successful',
-                hasIWI: hasIWI,
-                isStudent: isStudent
+        if (!eligibility.eligible) {
+            logger.warn('Access denied by eligibility policy', {
+                rzUsername,
+                rule: eligibility.rule,
+                personType: userData.personType,
+                departments: userData.departments
             });
-        } else {
-            logger.warn('Authentication failed: Invalid credentials', { rzUsername, data: raumzeitResponse.data });
-            res.status(401).json({
+            // Lets the user ask an admin for an exception without logging in again
+            const { ticket: exceptionTicket } = exceptionTickets.issue(rzUsername, {
+                rule: eligibility.rule,
+                personType: userData.personType,
+                departments: userData.departments
+            });
+
+            return res.status(403).json({
                 success: false,
-                message: 'Authentication failed'
+                code: 'NOT_ELIGIBLE',
+                message: eligibility.message,
+                rule: eligibility.rule,
+                exceptionTicket
             });
         }
+
+        // Groups of the eligibility rule (or the default group) plus the derived ones;
+        // a quota set by the eligibility rule wins over the derived quota
+        const provisioning = provisioningRules.derive(userData);
+        const baseGroups = eligibility.groups && eligibility.groups.length > 0
+            ? eligibility.groups
+            : [req.profile.defaultGroup].filter(Boolean);
+
+        // Fixed with the ticket, so a template change in between cannot split the registration
+        const nextcloudUsername = usernameMapping.resolve(rzUsername);
+        const { ticket, expiresAt } = registrationTickets.issue(rzUsername, {
+            rule: eligibility.rule,
+            groups: [...new Set([...baseGroups, ...provisioning.groups])],
+            quota: eligibility.quota || provisioning.quota,
+            language: provisioning.language,
+            displayName: provisioning.displayName,
+            nextcloudUsername,
+            consent: { version: consent.version, acceptedAt: consent.acceptedAt }
+        });
+
+        logger.debug('Derived provisioning', { rzUsername, provisioning });
+
+        logger.info('Authentication successful', { rzUsername, rule: eligibility.rule, ticketExpiresAt: expiresAt });
+        res.status(200).json({
+            success: true,
+            code: 'AUTHENTICATED',
+            message: 'Authentication successful',
+            eligibilityRule: eligibility.rule,
+            registrationTicket: ticket,
+            registrationTicketExpiresAt: expiresAt,
+            // Suggested display name for the preview; the user may replace it
+            displayName: provisioning.displayName,
+            nextcloudUsername
+        });
     } catch (error) {
         logger.error('Authentication API error', {
             message: error.message,
+            name: error.name,
             code: error.code,
-            response: error.response?.data,
-            status: error.response?.status
+            status: error.status
         });
 
-        // More specific error messages
-        if (error.code === 'ENOTFOUND') {
-            return res.status(503).json({
-                success: false,
-                message: 'Authentication service unavailable. Please check your VPN connection or contact support.'
-            });
-        }
+        if (error instanceof UpstreamAuthError) {
+            const lockout = await authRateLimiter.recordFailure(req.body.rzUsername);
+            if (lockout.locked) {
+                logger.warn('Username locked after repeated failed logins', {
+                    rzUsername: req.body.rzUsername,
+                    failures: lockout.failures,
+                    retryAfterSeconds: lockout.retryAfterSeconds
+                });
+            }
 
-        if (error.response?.status === 401 || error.response?.status === 403) {
             return res.status(401).json({
                 success: false,
+                code: 'INVALID_CREDENTIALS',
                 message: 'Invalid username or password'
             });
         }
 
+        if (error instanceof UpstreamError) {
+            return rejectUpstreamError(res, error, 'RAUMZEIT_UNAVAILABLE', 'Authentication service unavailable. Please check your VPN connection or contact support.');
+        }
+
         res.status(500).json({
             success: false,
+            code: 'INTERNAL_ERROR',
             message: 'Internal server error',
-            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+            error: config.NODE_ENV === 'development' ? error.message : undefined
         });
     }
 });
 
-// Nextcloud user creation endpoint
-app.post('/api/nextcloud/user', async (req, res) => {
+// Alternative to /api/auth for guests without an RZ account: an invitation code
+// replaces the Raumzeit check, the guest picks the username. The ticket leads
+// through the same email verification and account creation.
+app.post('/api/invitations/redeem', requireChallenge, async (req, res) => {
+    const { usernameMapping, invitations, nextcloudClient, provisioningState, registrationTickets } = req.profile;
     try {
-        const { rzUsername, email, displayName } = req.body;
-        logger.info('Nextcloud user creation attempt', { rzUsername, email, displayName });
+        const { invitationCode, username, consent } = req.body;
 
-        if (!rzUsername || !email) {
-            logger.warn('Missing required fields', { rzUsername, email });
+        if (typeof invitationCode !== 'string' || !invitationCode.trim()) {
             return res.status(400).json({
                 success: false,
-                message: 'Username and email are required'
+                code: 'INVITATION_CODE_REQUIRED',
+                message: 'Invitation code is required'
             });
         }
 
-        // Validate Nextcloud admin credentials
-        if (!NEXTCLOUD_ADMIN_USER || !NEXTCLOUD_ADMIN_PASSWORD) {
-            logger.error('Nextcloud admin credentials not configured', {
-                hasUser: !!NEXTCLOUD_ADMIN_USER,
-                hasPassword: !!NEXTCLOUD_ADMIN_PASSWORD
+        // The guest ID must be a valid Nextcloud ID after the guest template was applied
+        const guestId = typeof username === 'string' && USERNAME_PATTERN.test(username) ? usernameMapping.toGuestId(username) : '';
+        if (!NEXTCLOUD_ID_PATTERN.test(guestId)) {
+            logger.warn('Invalid guest username', { username });
+            return res.status(400).json({
+                success: false,
+                code: 'INVALID_USERNAME_FORMAT',
+                message: 'Invalid username format'
             });
-            return res.status(500).json({
+        }
+
+        if (!isCurrentConsent(consent)) {
+            logger.warn('Missing or outdated consent', { guestId, version: consent?.version });
+            return res.status(428).json({
                 success: false,
-                message: 'Server configuration error: Nextcloud admin credentials not set'
+                code: 'CONSENT_REQUIRED',
+                message: 'Please accept the current privacy policy and terms of use',
+                consentVersion: consentTexts.currentVersion
             });
         }
 
-        // Check if user already exists
-        logger.debug('Checking if user exists in Nextcloud', { rzUsername });
-        try {
-            const userCheckResponse = await axios.get(
-                `${NEXTCLOUD_URL}/ocs/v2.php/cloud/users/${rzUsername}`,
-                {
-                    headers: {
-                        'OCS-APIRequest': 'true',
-                        'Accept': 'application/json',
-                        'Authorization': 'Basic ' + Buffer.from(`${NEXTCLOUD_ADMIN_USER}:${NEXTCLOUD_ADMIN_PASSWORD}`).toString('base64')
-                    },
-                    validateStatus: (status) => status < 500 // Don't throw on 4xx errors
-                }
-            );
-
-            // Check HTTP status first
-            if (userCheckResponse.status === 401) {
-                logger.error('Nextcloud authentication failed - invalid admin credentials', {
-                    rzUsername,
-                    httpStatus: userCheckResponse.status,
-                    adminUser: NEXTCLOUD_ADMIN_USER
-                });
-                return res.status(500).json({
-                    success: false,
-                    message: 'Server configuration error: Invalid Nextcloud admin credentials'
-                });
-            }
+        const rateLimit = await invitationRateLimiter.check(req.ip);
+        if (!rateLimit.allowed) {
+            logger.warn('Invitation redemption rate limited', { ip: req.ip, retryAfterSeconds: rateLimit.retryAfterSeconds });
+            res.set('Retry-After', String(rateLimit.retryAfterSeconds));
+            return res.status(429).json({
+                success: false,
+                code: 'TOO_MANY_REQUESTS',
+                message: 'Too many requests - please try again later',
+                retryAfter: rateLimit.retryAfterSeconds
+            });
+        }
 
-            // Nextcloud OCS API check the OCS status code
-            const ocsStatusCode = userCheckResponse.data?.ocs?.meta?.statuscode;
-            const ocsStatus = userCheckResponse.data?.ocs?.meta?.status;
-            const ocsMessage = userCheckResponse.data?.ocs?.meta?.message;
+        const invitationCheck = invitations.check(invitationCode);
+        if (!invitationCheck.valid) {
+            return rejectInvitation(res, invitationCheck);
+        }
+        const { invitation } = invitationCheck;
 
-            logger.debug('User check response', {
-                rzUsername,
-                httpStatus: userCheckResponse.status,
-                ocsStatus,
-                ocsStatusCode,
-                ocsMessage
+        const account = await nextcloudClient.getUser(guestId);
+        if (!account.success) {
+            return res.status(503).json({
+                success: false,
+                code: 'NEXTCLOUD_UNAVAILABLE',
+                message: 'Nextcloud is currently unavailable - please try again later'
+            });
+        }
+
+        // Unlike RZ users, guests can simply pick another name
+        const collision = usernameMapping.findCollision(guestId, guestId, { exists: account.found, guest: true });
+        if (collision || (account.found && !provisioningState.has(guestId))) {
+            logger.warn('Guest username taken', { guestId, reason: collision || 'exists' });
+            return res.status(409).json({
+                success: false,
+                code: 'USERNAME_TAKEN',
+                message: 'An account with this username already exists',
+                nextcloudUsername: guestId
             });
+        }
 
-            // If OCS status code is 100 or 200, user exists
-            if (ocsStatusCode === 100 || ocsStatusCode === 200 || ocsStatus === 'ok') {
-                logger.warn('User already exists in Nextcloud', { rzUsername });
-                return res.status(409).json({
-                    success: false,
-                    message: 'User already exists in Nextcloud',
-                    username: rzUsername
-                });
-            }
+        const { ticket, expiresAt } = registrationTickets.issue(guestId, {
+            rule: 'invitation',
+            guest: true,
+            invitationId: invitation.id,
+            groups: invitation.groups,
+            quota: invitation.quota,
+            nextcloudUsername: guestId,
+            consent: { version: consent.version, acceptedAt: consent.acceptedAt }
+        });
 
-            // If OCS status code is 404 or 998, user doesn't exist - proceed with creation
-            if (ocsStatusCode === 404 || ocsStatusCode === 998 || ocsStatus === 'failure') {
-                logger.debug('User does not exist, proceeding with creation', { rzUsername });
-            }
-        } catch (checkError) {
-            // Network or other errors
-            logger.error('Error checking user existence', {
-                rzUsername,
-                status: checkError.response?.status,
-                statusCode: checkError.response?.data?.ocs?.meta?.statuscode,
-                message: checkError.message,
-                code: checkError.code
-            });
-
-            // Only throw if it's not a network/connection error or expected 404
-            if (checkError.code !== 'ECONNREFUSED' && checkError.code !== 'ENOTFOUND') {
-                // If it's a 401, return configuration error
-                if (checkError.response?.status === 401) {
-                    return res.status(500).json({
-                        success: false,
-                        message: 'Server configuration error: Invalid Nextcloud admin credentials'
-                    });
-                }
-                throw checkError;
-            }
+        logger.info('Invitation accepted', { guestId, invitationId: invitation.id, ticketExpiresAt: expiresAt });
+        res.status(200).json({
+            success: true,
+            code: 'INVITATION_ACCEPTED',
+            message: 'Invitation code accepted',
+            registrationTicket: ticket,
+            registrationTicketExpiresAt: expiresAt,
+            // Username for the following requests - the guest ID
+            username: guestId,
+            nextcloudUsername: guestId
+        });
+    } catch (error) {
+        logger.error('Invitation redemption error', { message: error.message, name: error.name });
+        res.status(500).json({
+            success: false,
+            code: 'INTERNAL_ERROR',
+            message: 'Internal server error',
+            error: config.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+// Username availability endpoint - lets the registration wizard tell early whether
+// the Nextcloud account of an RZ username exists or its ID is taken by someone
+// else. An account parked half-way (see lib/provisioning) counts as available,
+// the next registration finishes it.
+app.get('/api/nextcloud/username/:username', async (req, res) => {
+    const { usernameMapping, nextcloudClient, provisioningState } = req.profile;
+    const { username } = req.params;
+
+    if (!USERNAME_PATTERN.test(username)) {
+        return res.status(400).json({
+            success: false,
+            code: 'INVALID_USERNAME_FORMAT',
+            message: 'Invalid username format'
+        });
+    }
+
+    const rateLimit = await usernameCheckRateLimiter.check(req.ip);
+    if (!rateLimit.allowed) {
+        logger.warn('Username availability check rate limited', { ip: req.ip, retryAfterSeconds: rateLimit.retryAfterSeconds });
+        res.set('Retry-After', String(rateLimit.retryAfterSeconds));
+        return res.status(429).json({
+            success: false,
+            code: 'TOO_MANY_REQUESTS',
+            message: 'Too many requests - please try again later',
+            retryAfter: rateLimit.retryAfterSeconds
+        });
+    }
+
+    const nextcloudUsername = usernameMapping.resolve(username);
+    const account = await nextcloudClient.getUser(nextcloudUsername);
+    if (!account.success) {
+        return res.status(503).json({
+            success: false,
+            code: 'NEXTCLOUD_UNAVAILABLE',
+            message: 'Nextcloud is currently unavailable - please try again later'
+        });
+    }
+
+    const collision = usernameMapping.findCollision(username, nextcloudUsername, { exists: account.found });
+    if (collision) {
+        logger.warn('Username availability check found a collision', { username, nextcloudUsername, reason: collision });
+        return res.status(200).json({
+            success: true,
+            code: 'USERNAME_COLLISION',
+            message: 'The Nextcloud username is taken by an account the portal did not create for this user - please contact support',
+            username,
+            nextcloudUsername,
+            available: false
+        });
+    }
+
+    const available = !account.found || provisioningState.has(nextcloudUsername);
+    logger.debug('Username availability checked', { username, nextcloudUsername, available });
+    res.status(200).json({
+        success: true,
+        code: available ? 'USERNAME_AVAILABLE' : 'USERNAME_TAKEN',
+        message: available ? 'Username is available' : 'An account with this username already exists',
+        username,
+        nextcloudUsername,
+        available
+    });
+});
+
+// Email verification endpoint - sends a one-time code to the given address
+app.post('/api/email/verification', async (req, res) => {
+    try {
+        const { rzUsername, email, registrationTicket } = req.body;
+
+        if (!rzUsername || !email) {
+            logger.warn('Missing required fields for email verification', { rzUsername, email });
+            return res.status(400).json({
+                success: false,
+                code: 'USERNAME_AND_EMAIL_REQUIRED',
+                message: 'Username and email are required'
+            });
         }
 
-        logger.debug('Creating user in Nextcloud', { rzUsername, email });
+        if (typeof email !== 'string' || !EMAIL_PATTERN.test(email)) {
+            logger.warn('Invalid email format', { rzUsername, email });
+            return res.status(400).json({
+                success: false,
+                code: 'INVALID_EMAIL',
+                message: 'Invalid email format'
+            });
+        }
 
-        // Create URLSearchParams for form data
-        const formData = new URLSearchParams();
-        formData.append('userid', rzUsername);
-        formData.append('email', email);
-        if (displayName) {
-            formData.append('displayName', displayName);
+        // Only users who just passed /api/auth may request a code
+        const ticketCheck = req.profile.registrationTickets.verify(registrationTicket, rzUsername);
+        if (!ticketCheck.valid) {
+            return rejectTicket(res, rzUsername, ticketCheck);
         }
 
-        const nextcloudResponse = await axios.post(
-            `${NEXTCLOUD_URL}/ocs/v2.php/cloud/users`,
-            formData.toString(),
-            {
-                headers: {
-                    'OCS-APIRequest': 'true',
-                    'Content-Type': 'application/x-www-form-urlencoded',
-                    'Accept': 'application/json',
-                    'Authorization': 'Basic ' + Buffer.from(`${NEXTCLOUD_ADMIN_USER}:${NEXTCLOUD_ADMIN_PASSWORD}`).toString('base64')
-                },
-                validateStatus: (status) => status < 500 // Don't throw on 4xx errors
-            }
-        );
+        const verification = emailVerification.start(rzUsername, email);
+        if (!verification.success) {
+            logger.warn('Too many verification codes requested', { rzUsername, email });
+            return res.status(429).json({
+                success: false,
+                code: 'TOO_MANY_VERIFICATION_CODES',
+                message: 'Too many verification codes requested - please authenticate again later'
+            });
+        }
 
-        // Check HTTP status first
-        if (nextcloudResponse.status === 401) {
-            logger.error('Nextcloud authentication failed during user creation', {
-                rzUsername,
-                httpStatus: nextcloudResponse.status,
-                adminUser: NEXTCLOUD_ADMIN_USER
+        const mailResult = await mailer.send({
+            to: email,
+            subject: 'Ihr Bestätigungscode für die IWI Nextcloud',
+            text: [
+                'Hallo,',
+                '',
+                `Ihr Bestätigungscode für die Registrierung bei der IWI Nextcloud lautet: ${verification.code}`,
+                '',
+                `Der Code ist ${Math.round(EMAIL_VERIFICATION_TTL_SECONDS / 60)} Minuten gültig.`,
+                'Falls Sie keine Registrierung angefordert haben, können Sie diese E-Mail ignorieren.'
+            ].join('\n')
+        });
+
+        if (!mailResult.success) {
+            return res.status(502).json({
+                success: false,
+                code: 'VERIFICATION_MAIL_FAILED',
+                message: 'Failed to send verification email'
             });
-            return res.status(500).json({
+        }
+
+        logger.info('Verification code sent', { rzUsername, email });
+        res.status(200).json({
+            success: true,
+            code: 'VERIFICATION_CODE_SENT',
+            message: 'Verification code sent - please check your email',
+            expiresAt: verification.expiresAt
+        });
+    } catch (error) {
+        logger.error('Email verification error', {
+            message: error.message,
+            stack: error.stack
+        });
+        res.status(500).json({
+            success: false,
+            code: 'INTERNAL_ERROR',
+            message: 'Internal server error',
+            error: config.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+// Nextcloud user creation endpoint
+app.post('/api/nextcloud/user', recordRegistration('create'), async (req, res) => {
+    const { registrationTickets, invitations, accountProvisioner } = req.profile;
+    // Use of an invitation taken for this attempt, given back if no account results
+    let reservedInvitation;
+    try {
+        const { rzUsername, email, displayName, registrationTicket, verificationCode } = req.body;
+        logger.info('Nextcloud user creation attempt', { rzUsername, email, displayName });
+
+        // Same checks as the bulk provisioning script
+        const validation = validateAccountData({ username: rzUsername, email });
+        if (!validation.valid) {
+            logger.warn('Invalid account data', { rzUsername, email, code: validation.code });
+            return res.status(400).json({
                 success: false,
-                message: 'Server configuration error: Invalid Nextcloud admin credentials'
+                code: validation.code,
+                message: validation.message
             });
         }
 
-        // Check OCS status code
-        const ocsStatusCode = nextcloudResponse.data?.ocs?.meta?.statuscode;
-        const ocsStatus = nextcloudResponse.data?.ocs?.meta?.status;
-        const ocsMessage = nextcloudResponse.data?.ocs?.meta?.message;
+        // The ticket proves that rzUsername passed /api/auth shortly before
+        const ticketCheck = registrationTickets.verify(registrationTicket, rzUsername);
+        if (!ticketCheck.valid) {
+            return rejectTicket(res, rzUsername, ticketCheck);
+        }
 
-        logger.debug('User creation response', {
-            rzUsername,
-            httpStatus: nextcloudResponse.status,
-            ocsStatus,
-            ocsStatusCode,
-            ocsMessage
-        });
-
-        // OCS status code 100 or 200 means success
-        if (ocsStatusCode === 100 || ocsStatusCode === 200 || ocsStatus === 'ok') {
-            logger.info('User created successfully in Nextcloud', { rzUsername, email });
-
-            // Add user to default group
-            let groupMessage = '';
-            if (NEXTCLOUD_DEFAULT_GROUP) {
-                const groupResult = await addUserToGroup(rzUsername, NEXTCLOUD_DEFAULT_GROUP);
-                if (groupResult.success) {
-                    logger.info('User added to default group', { rzUsername, group: NEXTCLOUD_DEFAULT_GROUP });
-                    groupMessage = ` and added to ${NEXTCLOUD_DEFAULT_GROUP} group`;
-                } else {
-                    logger.warn('User created but group assignment failed', {
-                        rzUsername,
-                        group: NEXTCLOUD_DEFAULT_GROUP,
-                        error: groupResult.message
-                    });
-                }
+        // The verification code proves that the user owns the email address
+        const verificationResult = emailVerification.confirm(rzUsername, email, verificationCode);
+        if (!verificationResult.valid) {
+            return rejectVerification(res, rzUsername, email, verificationResult);
+        }
+
+        const ticketResult = registrationTickets.redeem(registrationTicket, rzUsername);
+        if (!ticketResult.valid) {
+            return rejectTicket(res, rzUsername, ticketResult);
+        }
+
+        await recordConsent(rzUsername, ticketResult.grants, 'registration');
+
+        // Guests use up their invitation now; it can have run out since the ticket was issued
+        const { groups = [], quota, language, nextcloudUsername, invitationId, guest } = ticketResult.grants;
+        if (invitationId) {
+            const reservation = await invitations.reserve(invitationId, rzUsername);
+            if (!reservation.valid) {
+                return rejectInvitation(res, reservation);
             }
+            reservedInvitation = invitationId;
+        }
 
-            res.status(201).json({
+        // Without a display name of their own the user gets the one derived from Raumzeit
+        const result = await accountProvisioner.provision({
+            username: rzUsername,
+            nextcloudUsername,
+            guest,
+            email,
+            displayName: displayName || ticketResult.grants.displayName,
+            groups,
+            quota,
+            language
+        });
+
+        // A parked account exists and keeps the use, everything else gives it back
+        if (reservedInvitation && result.status !== 'created' && result.status !== 'pending') {
+            await invitations.release(reservedInvitation, rzUsername);
+        }
+
+        // The account only has the one-time password of the onboarding, so without the mail nobody can log in
+        if (result.status === 'created' && passwordMailFailed(result.onboarding)) {
+            return res.status(502).json({
+                success: false,
+                code: 'PASSWORD_MAIL_FAILED',
+                message: 'The account was created, but the mail to set a password could not be sent - request it with the account recovery',
+                username: result.nextcloudUsername,
+                onboarding: result.onboarding,
+                recoveryAvailable: true
+            });
+        }
+
+        if (result.status === 'created') {
+            const groupMessage = result.addedGroups.length > 0
+                ? ` and added to ${result.addedGroups.join(', ')} group${result.addedGroups.length > 1 ? 's' : ''}`
+                : '';
+
+            return res.status(201).json({
                 success: true,
+                code: 'USER_CREATED',
                 message: `User created successfully in Nextcloud${groupMessage} - Check your email for finishing the registration.`,
-                username: rzUsername
+                username: result.nextcloudUsername,
+                onboarding: result.onboarding
             });
-        } else if (ocsStatusCode === 997) {
-            logger.error('Nextcloud authentication failed (OCS 997)', {
-                rzUsername,
-                adminUser: NEXTCLOUD_ADMIN_USER
+        }
+
+        if (result.status === 'exists') {
+            return res.status(409).json({
+                success: false,
+                code: 'USER_EXISTS',
+                message: 'User already exists in Nextcloud',
+                username: result.nextcloudUsername,
+                recoveryAvailable: true
             });
-            res.status(500).json({
+        }
+
+        if (result.status === 'collision') {
+            return res.status(409).json({
+                success: false,
+                code: 'USERNAME_COLLISION',
+                message: 'The Nextcloud username is taken by an account the portal did not create for this user - please contact support',
+                username: result.nextcloudUsername,
+                recoveryAvailable: false
+            });
+        }
+
+        if (result.status === 'config_error') {
+            return res.status(500).json({
                 success: false,
+                code: 'NEXTCLOUD_CONFIG_ERROR',
                 message: 'Server configuration error: Invalid Nextcloud admin credentials'
             });
-        } else {
-            logger.error('Failed to create user in Nextcloud', {
-                rzUsername,
-                ocsStatus,
-                ocsStatusCode,
-                ocsMessage
+        }
+
+        if (result.status === 'rejected') {
+            return res.status(400).json({
+                success: false,
+                code: 'USER_CREATION_FAILED',
+                message: result.message,
+                ocsStatusCode: result.ocsStatusCode
             });
-            res.status(400).json({
+        }
+
+        if (result.status === 'rolled_back') {
+            return res.status(502).json({
                 success: false,
-                message: ocsMessage || 'Failed to create user in Nextcloud',
-                ocsStatusCode
+                code: 'PROVISIONING_ROLLED_BACK',
+                message: 'Account setup failed and was rolled back - please try again later',
+                failedStep: result.failedStep
             });
         }
 
+        res.status(502).json({
+            success: false,
+            pending: true,
+            code: 'PROVISIONING_INCOMPLETE',
+            message: 'Your account was created but its setup is incomplete - please register again later to finish it',
+            failedStep: result.failedStep
+        });
+
     } catch (error) {
         logger.error('Nextcloud API error', {
             message: error.message,
+            name: error.name,
             stack: error.stack,
-            response: error.response?.data,
-            status: error.response?.status
+            status: error.status
         });
 
-        if (error.response) {
-            res.status(error.response.status).json({
-                success: false,
-                message: 'Failed to create user in Nextcloud',
-                error: error.response.data
-            });
+        if (reservedInvitation) {
+            await invitations.release(reservedInvitation, req.body.rzUsername);
+        }
+
+        if (error instanceof UpstreamError) {
+            rejectUpstreamError(res, error, 'NEXTCLOUD_UNAVAILABLE', 'Nextcloud is currently unavailable - please try again later');
         } else {
             res.status(500).json({
                 success: false,
+                code: 'INTERNAL_ERROR',
                 message: 'Internal server error',
                 error: error.message
             });
@@ -543,7 +1343,674 @@ app.post('/api/nextcloud/user', async (req, res) => {
     }
 });
 
-// Health check endpoint
+// Account recovery endpoint - re-sends the Nextcloud welcome/reset mail to a user
+// who proved their identity through /api/auth, optionally with a new verified email
+app.post('/api/nextcloud/recovery', recordRegistration('recovery'), async (req, res) => {
+    const { registrationTickets, usernameMapping, nextcloudClient } = req.profile;
+    try {
+        const { rzUsername, registrationTicket, email, verificationCode } = req.body;
+        logger.info('Account recovery attempt', { rzUsername, newEmail: email });
+
+        if (!rzUsername) {
+            logger.warn('Missing required fields for recovery', { rzUsername });
+            return res.status(400).json({
+                success: false,
+                code: 'USERNAME_REQUIRED',
+                message: 'Username is required'
+            });
+        }
+
+        const ticketCheck = registrationTickets.verify(registrationTicket, rzUsername);
+        if (!ticketCheck.valid) {
+            return rejectTicket(res, rzUsername, ticketCheck);
+        }
+
+        // Recovery rests on the RZ login, an invitation does not prove who owns a guest account
+        if (ticketCheck.grants.guest) {
+            return rejectTicket(res, rzUsername, { valid: false, reason: 'mismatch' });
+        }
+
+        // A new email address has to be verified like during registration
+        if (email) {
+            const verificationResult = emailVerification.confirm(rzUsername, email, verificationCode);
+            if (!verificationResult.valid) {
+                return rejectVerification(res, rzUsername, email, verificationResult);
+            }
+        }
+
+        const ticketResult = registrationTickets.redeem(registrationTicket, rzUsername);
+        if (!ticketResult.valid) {
+            return rejectTicket(res, rzUsername, ticketResult);
+        }
+
+        await recordConsent(rzUsername, ticketResult.grants, 'recovery');
+
+        const nextcloudUsername = usernameMapping.resolve(rzUsername);
+        const userResponse = await nextcloudClient.ocsRequest('GET', `/cloud/users/${encodeURIComponent(nextcloudUsername)}`);
+
+        if (userResponse.httpStatus === 401 || userResponse.ocsStatusCode === 997) {
+            logger.error('Nextcloud authentication failed during recovery', {
+                rzUsername,
+                httpStatus: userResponse.httpStatus,
+                adminUser: req.profile.adminUser
+            });
+            return res.status(500).json({
+                success: false,
+                code: 'NEXTCLOUD_CONFIG_ERROR',
+                message: 'Server configuration error: Invalid Nextcloud admin credentials'
+            });
+        }
+
+        if (!userResponse.ok) {
+            logger.warn('Recovery requested for unknown user', { rzUsername, nextcloudUsername, ocsStatusCode: userResponse.ocsStatusCode });
+            return res.status(404).json({
+                success: false,
+                code: 'ACCOUNT_NOT_FOUND',
+                message: 'No Nextcloud account exists for this user - please register first'
+            });
+        }
+
+        // The reset mail would hand someone else's account to this user
+        const collision = usernameMapping.findCollision(rzUsername, nextcloudUsername, { exists: true });
+        if (collision) {
+            logger.warn('Recovery refused for an account of someone else', { rzUsername, nextcloudUsername, reason: collision });
+            return res.status(409).json({
+                success: false,
+                code: 'USERNAME_COLLISION',
+                message: 'The Nextcloud username is taken by an account the portal did not create for this user - please contact support'
+            });
+        }
+
+        let recoveryEmail = userResponse.data?.email;
+
+        if (email && email.toLowerCase() !== (recoveryEmail || '').toLowerCase()) {
+            const emailResult = await nextcloudClient.editUserField(nextcloudUsername, 'email', email);
+            if (!emailResult.success) {
+                return res.status(502).json({
+                    success: false,
+                    code: 'EMAIL_UPDATE_FAILED',
+                    message: 'Failed to update the email address of the account'
+                });
+            }
+            logger.info('Account email updated during recovery', { rzUsername, email });
+            recoveryEmail = email;
+        }
+
+        if (!recoveryEmail) {
+            logger.warn('Recovery not possible, account has no email', { rzUsername });
+            return res.status(409).json({
+                success: false,
+                code: 'ACCOUNT_EMAIL_MISSING',
+                message: 'The account has no email address - please provide a new one'
+            });
+        }
+
+        const mailResult = await nextcloudClient.sendPasswordResetMail(nextcloudUsername);
+        if (!mailResult.success) {
+            return res.status(502).json({
+                success: false,
+                code: 'RESET_MAIL_FAILED',
+                message: 'Failed to send the password reset mail'
+            });
+        }
+
+        // Accounts from before the mapping existed get their record now
+        await usernameMapping.record(rzUsername, nextcloudUsername);
+
+        logger.info('Account recovery completed', { rzUsername, nextcloudUsername, emailUpdated: !!email });
+        res.status(200).json({
+            success: true,
+            code: 'RESET_MAIL_SENT',
+            message: 'A mail with a link to set a new password has been sent',
+            email: maskEmail(recoveryEmail),
+            username: nextcloudUsername
+        });
+    } catch (error) {
+        logger.error('Account recovery error', {
+            message: error.message,
+            stack: error.stack,
+            name: error.name,
+            status: error.status
+        });
+
+        if (error instanceof UpstreamError) {
+            return rejectUpstreamError(res, error, 'NEXTCLOUD_UNAVAILABLE', 'Nextcloud is currently unavailable - please try again later');
+        }
+
+        res.status(500).json({
+            success: false,
+            code: 'INTERNAL_ERROR',
+            message: 'Internal server error',
+            error: config.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+// Consent texts - the current version, or an older one by number
+app.get('/api/consent', (req, res) => {
+    res.status(200).json({
+        success: true,
+        ...consentTexts.current()
+    });
+});
+
+app.get('/api/consent/:version', (req, res) => {
+    const consent = consentTexts.get(parseInt(req.params.version, 10));
+    if (!consent) {
+        return res.status(404).json({
+            success: false,
+            code: 'CONSENT_VERSION_NOT_FOUND',
+            message: 'Unknown consent version'
+        });
+    }
+
+    res.status(200).json({
+        success: true,
+        ...consent
+    });
+});
+
+// Exception request endpoint - users rejected by the eligibility policy can ask
+// an admin for manual approval with the exceptionTicket from the 403 answer
+app.post('/api/exceptions', async (req, res) => {
+    const { exceptionTickets, exceptionRequests } = req.profile;
+    try {
+        const { rzUsername, exceptionTicket, email, reason } = req.body;
+
+        if (!rzUsername || !reason || typeof reason !== 'string') {
+            return res.status(400).json({
+                success: false,
+                code: 'REASON_REQUIRED',
+                message: 'Username and reason are required'
+            });
+        }
+
+        if (reason.length > 2000) {
+            return res.status(400).json({
+                success: false,
+                code: 'REASON_TOO_LONG',
+                message: 'Reason must not exceed 2000 characters'
+            });
+        }
+
+        if (email && (typeof email !== 'string' || !EMAIL_PATTERN.test(email))) {
+            return res.status(400).json({
+                success: false,
+                code: 'INVALID_EMAIL',
+                message: 'Invalid email format'
+            });
+        }
+
+        const ticketResult = exceptionTickets.redeem(exceptionTicket, rzUsername);
+        if (!ticketResult.valid) {
+            return rejectTicket(res, rzUsername, ticketResult);
+        }
+
+        const result = await exceptionRequests.create({
+            rzUsername,
+            email,
+            reason: reason.trim(),
+            rule: ticketResult.grants.rule,
+            personType: ticketResult.grants.personType,
+            departments: ticketResult.grants.departments
+        });
+
+        if (!result.success) {
+            return res.status(409).json({
+                success: false,
+                code: 'EXCEPTION_REQUEST_PENDING',
+                message: 'An exception request for this user is already waiting for a decision'
+            });
+        }
+
+        logger.info('Exception request filed', { rzUsername, id: result.request.id, rule: result.request.rule });
+        res.status(201).json({
+            success: true,
+            code: 'EXCEPTION_REQUEST_SUBMITTED',
+            message: 'Your request has been submitted - you can register once an admin approved it'
+        });
+    } catch (error) {
+        logger.error('Exception request error', {
+            message: error.message,
+            stack: error.stack
+        });
+        res.status(500).json({
+            success: false,
+            code: 'INTERNAL_ERROR',
+            message: 'Internal server error',
+            error: config.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+// Admin login - RZ credentials of a user listed in ADMIN_USERS
+app.post('/api/admin/login', requireChallenge, async (req, res) => {
+    if (!await checkRaumzeitCredentials(req, res, 'Admin login')) return;
+    const { rzUsername } = req.body;
+
+    if (!ADMIN_USERS.includes(rzUsername.toLowerCase())) {
+        logger.warn('Admin login denied: Not an admin', { rzUsername });
+        return res.status(403).json({
+            success: false,
+            code: 'NOT_ADMIN',
+            message: 'Access denied: Not an admin'
+        });
+    }
+
+    const { ticket, expiresAt } = adminSessions.issue(rzUsername);
+    logger.info('Admin logged in', { rzUsername });
+    res.status(200).json({
+        success: true,
+        token: ticket,
+        expiresAt,
+        username: rzUsername
+    });
+});
+
+const parseRecordFilters = (query) => ({
+    username: typeof query.username === 'string' ? query.username : undefined,
+    stage: typeof query.stage === 'string' ? query.stage : undefined,
+    outcome: typeof query.outcome === 'string' ? query.outcome : undefined,
+    from: typeof query.from === 'string' ? query.from : undefined,
+    to: typeof query.to === 'string' ? query.to : undefined,
+    limit: parseInt(query.limit, 10) || undefined
+});
+
+// Registration history
+app.get('/api/admin/registrations', requireAdmin, (req, res) => {
+    const records = registrationRecords.query(parseRecordFilters(req.query));
+    res.status(200).json({
+        success: true,
+        records
+    });
+});
+
+// Registration history as CSV download
+app.get('/api/admin/registrations.csv', requireAdmin, (req, res) => {
+    const records = registrationRecords.query(parseRecordFilters(req.query));
+    logger.info('Registration history exported', { admin: req.adminUser, count: records.length });
+    res.set('Content-Type', 'text/csv; charset=utf-8');
+    res.set('Content-Disposition', 'attachment; filename="registrations.csv"');
+    res.status(200).send(registrationRecords.toCsv(records));
+});
+
+// Manual approval queue
+app.get('/api/admin/exceptions', requireAdmin, (req, res) => {
+    const status = typeof req.query.status === 'string' ? req.query.status : undefined;
+    res.status(200).json({
+        success: true,
+        requests: req.profile.exceptionRequests.list({ status })
+    });
+});
+
+app.post('/api/admin/exceptions/:id/:decision', requireAdmin, async (req, res) => {
+    const decisions = { approve: 'approved', deny: 'denied' };
+    const decision = decisions[req.params.decision];
+
+    if (!decision) {
+        return res.status(404).json({
+            success: false,
+            code: 'UNKNOWN_DECISION',
+            message: 'Unknown decision'
+        });
+    }
+
+    const note = typeof req.body?.note === 'string' ? req.body.note.slice(0, 2000) : undefined;
+    const result = await req.profile.exceptionRequests.decide(req.params.id, decision, { decidedBy: req.adminUser, note });
+
+    if (!result.success) {
+        return res.status(result.reason === 'not_found' ? 404 : 409).json({
+            success: false,
+            code: result.reason === 'not_found' ? 'REQUEST_NOT_FOUND' : 'REQUEST_ALREADY_DECIDED',
+            message: result.reason === 'not_found' ? 'Request not found' : 'Request has already been decided'
+        });
+    }
+
+    logger.info('Exception request decided', {
+        id: req.params.id,
+        rzUsername: result.request.rzUsername,
+        decision,
+        admin: req.adminUser
+    });
+    res.status(200).json({
+        success: true,
+        request: result.request
+    });
+});
+
+// Quota values Nextcloud understands ("none", "5 GB", "500 MB", ...)
+const QUOTA_PATTERN = /^(none|\d+(\.\d+)?\s*(B|KB|MB|GB|TB))$/i;
+
+// Helper function to validate the settings of a new invitation. Returns { valid: true, settings }
+// or { valid: false, message }.
+const parseInvitationSettings = (body = {}) => {
+    const { label, groups = [], quota, maxUses = 1, validDays = 14 } = body;
+
+    if (typeof label !== 'string' || !label.trim() || label.length > 200) {
+        return { valid: false, message: 'A label of at most 200 characters is required' };
+    }
+    if (!Array.isArray(groups) || !groups.every((group) => typeof group === 'string' && group.trim() && group.length <= 64)) {
+        return { valid: false, message: 'Groups must be a list of group names' };
+    }
+    if (quota !== undefined && quota !== '' && (typeof quota !== 'string' || !QUOTA_PATTERN.test(quota.trim()))) {
+        return { valid: false, message: 'Quota must be "none" or a size like "5 GB"' };
+    }
+    if (!Number.isInteger(maxUses) || maxUses < 1 || maxUses > 1000) {
+        return { valid: false, message: 'Uses must be a whole number between 1 and 1000' };
+    }
+    if (!Number.isInteger(validDays) || validDays < 1 || validDays > 365) {
+        return { valid: false, message: 'Validity must be between 1 and 365 days' };
+    }
+
+    return {
+        valid: true,
+        settings: {
+            label: label.trim(),
+            groups: [...new Set(groups.map((group) => group.trim()))],
+            quota: quota ? quota.trim() : undefined,
+            maxUses,
+            validDays
+        }
+    };
+};
+
+// Invitation codes for guests
+app.get('/api/admin/invitations', requireAdmin, (req, res) => {
+    res.status(200).json({
+        success: true,
+        invitations: req.profile.invitations.list()
+    });
+});
+
+app.post('/api/admin/invitations', requireAdmin, async (req, res) => {
+    const parsed = parseInvitationSettings(req.body);
+    if (!parsed.valid) {
+        return res.status(400).json({
+            success: false,
+            code: 'INVALID_INVITATION',
+            message: parsed.message
+        });
+    }
+
+    const { code, invitation } = await req.profile.invitations.create({ ...parsed.settings, createdBy: req.adminUser });
+    logger.info('Invitation created', {
+        id: invitation.id,
+        label: invitation.label,
+        maxUses: invitation.maxUses,
+        expiresAt: invitation.expiresAt,
+        admin: req.adminUser
+    });
+    res.status(201).json({
+        success: true,
+        code: 'INVITATION_CREATED',
+        invitation,
+        // Shown once - only a hash is stored
+        invitationCode: code
+    });
+});
+
+app.post('/api/admin/invitations/:id/revoke', requireAdmin, async (req, res) => {
+    const result = await req.profile.invitations.revoke(req.params.id, { revokedBy: req.adminUser });
+
+    if (!result.success) {
+        return res.status(result.reason === 'not_found' ? 404 : 409).json({
+            success: false,
+            code: result.reason === 'not_found' ? 'INVITATION_NOT_FOUND' : 'INVITATION_ALREADY_REVOKED',
+            message: result.reason === 'not_found' ? 'Invitation not found' : 'Invitation has already been revoked'
+        });
+    }
+
+    logger.info('Invitation revoked', { id: req.params.id, admin: req.adminUser });
+    res.status(200).json({
+        success: true,
+        invitation: result.invitation
+    });
+});
+
+// Privacy login - any RZ user can access their own data, eligible or not
+app.post('/api/privacy/login', requireChallenge, async (req, res) => {
+    if (!await checkRaumzeitCredentials(req, res, 'Privacy login')) return;
+    const { rzUsername } = req.body;
+
+    const { ticket, expiresAt } = privacySessions.issue(rzUsername);
+    logger.info('Privacy login', { rzUsername });
+    res.status(200).json({
+        success: true,
+        code: 'AUTHENTICATED',
+        token: ticket,
+        expiresAt,
+        username: rzUsername
+    });
+});
+
+// Helper function to find the user's own Nextcloud account. Resolves to { success, nextcloudUsername, account }
+// with account null if there is none or the ID belongs to someone else (see lib/usernameMapping).
+const findOwnAccount = async ({ usernameMapping, nextcloudClient }, rzUsername) => {
+    const nextcloudUsername = usernameMapping.resolve(rzUsername);
+    const result = await nextcloudClient.getUser(nextcloudUsername);
+    if (!result.success) {
+        return { success: false, nextcloudUsername };
+    }
+
+    const collision = result.found && usernameMapping.findCollision(rzUsername, nextcloudUsername, { exists: true });
+    if (collision) {
+        logger.warn('Nextcloud account of the username belongs to someone else', { rzUsername, nextcloudUsername, reason: collision });
+    }
+    return { success: true, nextcloudUsername, account: result.found && !collision ? result.user : null };
+};
+
+// Helper function to collect everything the portal and Nextcloud hold about a user.
+// account is the user's Nextcloud profile from OCS, or null if there is no account.
+const collectPersonalData = async (profile, rzUsername, nextcloudUsername, account) => {
+    const { exceptionRequests, usernameMapping, provisioningState } = profile;
+    const sameUser = (item) => (item.rzUsername || '').toLowerCase() === rzUsername.toLowerCase();
+    const registrations = registrationRecords.query({ username: rzUsername }).filter(sameUser);
+    const exceptions = exceptionRequests.findByUsername(rzUsername);
+
+    // Log entries mention the user by username or by one of the addresses they used
+    const emails = new Set([account?.email, ...registrations.map((item) => item.email), ...exceptions.map((item) => item.email)]
+        .filter(Boolean)
+        .map((email) => email.toLowerCase()));
+    const logs = await findLogEntries({ directory: LOG_DIR, terms: [rzUsername, ...emails] });
+
+    return {
+        exportedAt: new Date().toISOString(),
+        rzUsername,
+        usernameMapping: usernameMapping.get(rzUsername) || null,
+        nextcloudAccount: account,
+        registrationRecords: registrations,
+        consent: consentRecords.get(rzUsername) || null,
+        exceptionRequests: exceptions,
+        provisioningState: provisioningState.get(nextcloudUsername) || null,
+        lifecycleState: createJsonFileStore(profile.lifecycleStateFile).get(nextcloudUsername) || null,
+        erasureRequests: erasureRequests.findByUsername(rzUsername),
+        logEntries: logs.entries,
+        logEntriesTruncated: logs.truncated,
+        logRetentionDays: LOG_RETENTION_DAYS
+    };
+};
+
+// Data export (GDPR Art. 15 and 20) as JSON or, with ?format=zip, as one file per category
+app.get('/api/privacy/export', requirePrivacySession, async (req, res) => {
+    const rzUsername = req.privacyUser;
+    const format = req.query.format === 'zip' ? 'zip' : 'json';
+
+    const own = await findOwnAccount(req.profile, rzUsername);
+    if (!own.success) {
+        return res.status(503).json({
+            success: false,
+            code: 'NEXTCLOUD_UNAVAILABLE',
+            message: 'Nextcloud is currently unavailable - please try again later'
+        });
+    }
+
+    const data = await collectPersonalData(req.profile, rzUsername, own.nextcloudUsername, own.account);
+    const fileName = `personal-data-${data.exportedAt.slice(0, 10)}`;
+    logger.info('Personal data exported', { rzUsername, format, logEntries: data.logEntries.length });
+
+    if (format === 'json') {
+        res.set('Content-Disposition', `attachment; filename="${fileName}.json"`);
+        return res.status(200).json(data);
+    }
+
+    const toJson = (value) => JSON.stringify(value, null, 2);
+    const archive = createZipArchive([
+        { name: 'export.json', content: toJson({ exportedAt: data.exportedAt, rzUsername, logEntriesTruncated: data.logEntriesTruncated, logRetentionDays: data.logRetentionDays }) },
+        { name: 'username-mapping.json', content: toJson(data.usernameMapping) },
+        { name: 'nextcloud-account.json', content: toJson(data.nextcloudAccount) },
+        { name: 'registrations.json', content: toJson(data.registrationRecords) },
+        { name: 'consent.json', content: toJson(data.consent) },
+        { name: 'exception-requests.json', content: toJson(data.exceptionRequests) },
+        { name: 'provisioning-state.json', content: toJson(data.provisioningState) },
+        { name: 'lifecycle-state.json', content: toJson(data.lifecycleState) },
+        { name: 'erasure-requests.json', content: toJson(data.erasureRequests) },
+        { name: 'log-entries.jsonl', content: data.logEntries.map((entry) => JSON.stringify(entry)).join('\n') }
+    ]);
+    res.set('Content-Type', 'application/zip');
+    res.set('Content-Disposition', `attachment; filename="${fileName}.zip"`);
+    res.status(200).send(archive);
+});
+
+// Erasure request (GDPR Art. 17) - step 1: file the request and get a confirmation token
+app.post('/api/privacy/erasure', requirePrivacySession, async (req, res) => {
+    const rzUsername = req.privacyUser;
+    const request = await erasureRequests.create({ rzUsername });
+    const { ticket, expiresAt } = erasureConfirmations.issue(rzUsername, { erasureRequestId: request.id });
+
+    logger.info('Erasure request filed', { rzUsername, erasureRequestId: request.id });
+    res.status(202).json({
+        success: true,
+        code: 'ERASURE_CONFIRMATION_REQUIRED',
+        message: 'Confirm the erasure request to delete your account',
+        erasureRequestId: request.id,
+        confirmationToken: ticket,
+        expiresAt
+    });
+});
+
+// Helper function to remove the portal's records of a user after the Nextcloud account is gone.
+// Log entries are not rewritten; they expire after LOG_RETENTION_DAYS.
+const erasePortalData = async (profile, rzUsername, nextcloudUsername) => {
+    const { exceptionRequests, provisioningState, usernameMapping } = profile;
+    const removed = {};
+    const failures = [];
+    const steps = {
+        registrationRecords: () => registrationRecords.removeByUsername(rzUsername),
+        consent: async () => {
+            if (!consentRecords.get(rzUsername)) return false;
+            await consentRecords.remove(rzUsername);
+            return true;
+        },
+        exceptionRequests: () => exceptionRequests.removeByUsername(rzUsername),
+        provisioningState: async () => {
+            if (!provisioningState.has(nextcloudUsername)) return false;
+            await provisioningState.delete(nextcloudUsername);
+            return true;
+        },
+        lifecycleState: async () => {
+            const lifecycleState = createJsonFileStore(profile.lifecycleStateFile);
+            if (!lifecycleState.has(nextcloudUsername)) return false;
+            await lifecycleState.delete(nextcloudUsername);
+            return true;
+        },
+        usernameMapping: () => usernameMapping.remove(rzUsername)
+    };
+
+    for (const [name, step] of Object.entries(steps)) {
+        try {
+            removed[name] = await step();
+        } catch (error) {
+            logger.error('Erasure step failed', { rzUsername, step: name, message: error.message });
+            failures.push(name);
+        }
+    }
+
+    return { removed, failures };
+};
+
+// Erasure request - step 2: confirm, delete the Nextcloud account and the portal's records
+app.post('/api/privacy/erasure/confirm', requirePrivacySession, async (req, res) => {
+    const rzUsername = req.privacyUser;
+    const { confirmationToken } = req.body;
+
+    const confirmation = erasureConfirmations.verify(confirmationToken, rzUsername);
+    const request = confirmation.valid ? erasureRequests.get(confirmation.grants.erasureRequestId) : undefined;
+    if (!request || request.status !== 'awaiting_confirmation') {
+        logger.warn('Erasure confirmation rejected', { rzUsername, reason: confirmation.valid ? 'already_processed' : confirmation.reason });
+        return res.status(400).json({
+            success: false,
+            code: 'ERASURE_CONFIRMATION_INVALID',
+            message: 'Erasure confirmation is invalid or expired - please file the request again'
+        });
+    }
+
+    // Only the user's own account is deleted, never one that merely has the same ID
+    const { success, nextcloudUsername, account } = await findOwnAccount(req.profile, rzUsername);
+    if (!success) {
+        return res.status(503).json({
+            success: false,
+            code: 'NEXTCLOUD_UNAVAILABLE',
+            message: 'Nextcloud is currently unavailable - please try again later'
+        });
+    }
+
+    const redeemed = erasureConfirmations.redeem(confirmationToken, rzUsername);
+    if (!redeemed.valid) {
+        return res.status(400).json({
+            success: false,
+            code: 'ERASURE_CONFIRMATION_INVALID',
+            message: 'Erasure confirmation is invalid or expired - please file the request again'
+        });
+    }
+
+    if (account) {
+        const deleteResult = await req.profile.nextcloudClient.deleteUser(nextcloudUsername);
+        if (!deleteResult.success) {
+            await erasureRequests.complete(request.id, { removed: {}, failures: ['nextcloudAccount'] });
+            return res.status(502).json({
+                success: false,
+                code: 'ACCOUNT_DELETION_FAILED',
+                message: 'The Nextcloud account could not be deleted - please try again later'
+            });
+        }
+    }
+
+    const { removed, failures } = await erasePortalData(req.profile, rzUsername, nextcloudUsername);
+    const completed = await erasureRequests.complete(request.id, {
+        removed: { nextcloudAccount: !!account, ...removed },
+        failures
+    });
+    logger.info('Erasure request completed', { rzUsername, erasureRequestId: request.id, status: completed.status, failures });
+
+    const email = account?.email;
+    if (email) {
+        await mailer.send({
+            to: email,
+            subject: 'Ihr IWI Nextcloud-Konto wurde gelöscht',
+            text: [
+                'Hallo,',
+                '',
+                'wie von Ihnen beantragt wurde Ihr Konto bei der IWI Nextcloud mit allen Dateien gelöscht.',
+                `Die Protokolleinträge des Portals werden nach spätestens ${LOG_RETENTION_DAYS} Tagen automatisch entfernt.`,
+                '',
+                'Falls Sie die Löschung nicht beantragt haben, wenden Sie sich bitte an datenschutz@iwi-hka.de.'
+            ].join('\n')
+        });
+    }
+
+    res.status(200).json({
+        success: true,
+        code: failures.length > 0 ? 'ERASURE_INCOMPLETE' : 'ACCOUNT_ERASED',
+        message: failures.length > 0
+            ? 'The account was deleted, but some portal records could not be removed - please contact support'
+            : 'Your account and the portal records about you have been deleted',
+        erasureRequestId: request.id,
+        removed: completed.removed,
+        logRetentionDays: LOG_RETENTION_DAYS
+    });
+});
+
+// Liveness check - only tells that the process is up, see /health/ready for upstreams
 app.get('/health', (req, res) => {
     logger.debug('Health check');
     res.status(200).json({
@@ -552,6 +2019,54 @@ app.get('/health', (req, res) => {
     });
 });
 
+// Readiness check - probes the Nextcloud of the request's profile (with the admin credentials) and Raumzeit
+app.get('/health/ready', async (req, res) => {
+    const probe = async (check) => {
+        const startedAt = Date.now();
+        try {
+            await check();
+            return { status: 'up', latencyMs: Date.now() - startedAt };
+        } catch (error) {
+            return {
+                status: 'down',
+                latencyMs: Date.now() - startedAt,
+                error: error.name,
+                message: error.message
+            };
+        }
+    };
+
+    const [nextcloud, raumzeit] = await Promise.all([
+        probe(req.profile.nextcloudClient.checkConnection),
+        probe(raumzeitClient.checkConnection)
+    ]);
+    const ready = nextcloud.status === 'up' && raumzeit.status === 'up';
+
+    if (!ready) {
+        logger.warn('Readiness check failed', { profile: req.profile.name, nextcloud, raumzeit });
+    }
+
+    res.status(ready ? 200 : 503).json({
+        status: ready ? 'OK' : 'UNAVAILABLE',
+        timestamp: new Date().toISOString(),
+        checks: { nextcloud, raumzeit }
+    });
+});
+
+// Prometheus metrics, protected by METRICS_TOKEN (Authorization: Bearer) if set
+app.get('/metrics', (req, res) => {
+    if (METRICS_TOKEN && req.get('authorization') !== `Bearer ${METRICS_TOKEN}`) {
+        return res.status(401).json({
+            success: false,
+            code: 'METRICS_TOKEN_REQUIRED',
+            message: 'Metrics token required'
+        });
+    }
+
+    res.set('Content-Type', metrics.contentType);
+    res.send(metrics.render());
+});
+
 // Error handling middleware
 app.use((err, req, res, next) => {
     logger.error('Unhandled error', {
@@ -561,18 +2076,52 @@ app.use((err, req, res, next) => {
     });
     res.status(500).json({
         success: false,
+        code: 'INTERNAL_ERROR',
         message: 'Internal server error',
-        error: process.env.NODE_ENV === 'development' ? err.message : undefined
+        error: config.NODE_ENV === 'development' ? err.message : undefined
     });
 });
 
-app.listen(PORT, () => {
-    logger.info(`Server started successfully`, {
-        port: PORT,
-        environment: process.env.NODE_ENV || 'development',
-        nextcloudUrl: NEXTCLOUD_URL ? 'configured' : 'NOT configured',
-        raumzeitUrl: RAUMZEIT_URL ? 'configured' : 'NOT configured'
-    });
-});
+// Helper function to check the rights of the Nextcloud accounts with an app password before
+// serving (see lib/nextcloudAccount). A rejected app password or wrong rights stop the server;
+// an unreachable Nextcloud does not, /health/ready reports it.
+const checkNextcloudAccounts = () => Promise.all(config.profiles.map(async (profile) => {
+    const { adminUser, managedGroups } = profile.nextcloud;
+    if (!managedGroups) {
+        logger.warn('Nextcloud is used with a full admin password, consider a group admin with an app password', { profile: profile.name, adminUser });
+        return;
+    }
+
+    let result;
+    try {
+        result = await checkAccountScope({ nextcloud: profileContexts.get(profile.name).nextcloudClient, managedGroups });
+    } catch (error) {
+        if (error instanceof UpstreamAuthError) {
+            logger.error('Nextcloud rejected the app password', { profile: profile.name, adminUser });
+            process.exit(1);
+        }
+        logger.warn('Could not check the Nextcloud account', { profile: profile.name, adminUser, error: error.name, message: error.message });
+        return;
+    }
+
+    if (result.problems.length > 0) {
+        logger.error('Nextcloud account does not have the configured rights', { profile: profile.name, adminUser, managedGroups, problems: result.problems });
+        process.exit(1);
+    }
+    logger.info('Nextcloud account checked', { profile: profile.name, adminUser, managedGroups });
+}));
+
+// Listen only when started directly - the tests import the app and listen themselves
+if (require.main === module) {
+    checkNextcloudAccounts().then(() => app.listen(PORT, () => {
+        logger.info(`Server started successfully`, {
+            port: PORT,
+            environment: config.NODE_ENV,
+            profiles: config.profiles.map((profile) => ({ name: profile.name, hosts: profile.hosts, path: profile.path || undefined })),
+            allowedOrigins: CORS_ALLOWED_ORIGINS,
+            challenge: challenge.provider
+        });
+    }));
+}
 
 module.exports = app;
\ No newline at end of file
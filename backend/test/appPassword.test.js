@@ -0,0 +1,113 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startHarness, student } = require('./harness');
+const { createNextcloudClient } = require('../lib/nextcloudClient');
+const { checkAccountScope } = require('../lib/nextcloudAccount');
+
+/**
+ * A dedicated group admin account with an app password read from a file
+ * (see lib/nextcloudAccount): account creation within the managed groups,
+ * the self-check of its rights and scripts/rotate-app-password.js.
+ */
+
+const APP_PASSWORD = 'app-password-1';
+const MANAGED_GROUPS = ['Jeder', 'Fakultaet-IWI', 'Studiengang-INFB', 'Kohorte-INFB-1'];
+const GROUP_ADMIN = { adminPassword: APP_PASSWORD, accountGroups: [], subadminGroups: MANAGED_GROUPS };
+
+let harness;
+let directory;
+let appPasswordFile;
+
+before(async () => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'registration-app-password-'));
+    appPasswordFile = path.join(directory, 'nextcloud-app-password');
+    fs.writeFileSync(appPasswordFile, `${APP_PASSWORD}\n`);
+
+    harness = await startHarness({
+        env: {
+            NEXTCLOUD_ADMIN_PASSWORD: '',
+            NEXTCLOUD_APP_PASSWORD_FILE: appPasswordFile,
+            NEXTCLOUD_MANAGED_GROUPS: MANAGED_GROUPS.join(',')
+        }
+    });
+});
+
+after(async () => {
+    await harness.stop();
+    fs.rmSync(directory, { recursive: true, force: true });
+});
+
+// Fresh mocks with the account as group admin (or as given)
+const resetUpstreams = ({ persons, nextcloud } = {}) => harness.resetUpstreams({ persons, nextcloud: { ...GROUP_ADMIN, ...nextcloud } });
+
+beforeEach(() => resetUpstreams());
+
+// Problems the self-check finds; the logger is required late so it gets the harness' LOG_LEVEL
+const scopeProblems = async () => (await checkAccountScope({
+    nextcloud: createNextcloudClient({
+        url: process.env.NEXTCLOUD_URL,
+        adminUser: 'admin',
+        appPassword: APP_PASSWORD,
+        retries: 0,
+        logger: require('../lib/logger').logger
+    }),
+    managedGroups: MANAGED_GROUPS
+})).problems;
+
+test('a group admin creates the account right in its managed groups', async () => {
+    resetUpstreams({ persons: [student('gadm0001')] });
+    const client = harness.client();
+    const body = await harness.prepareRegistration(client, 'gadm0001');
+
+    const response = await client.post('/api/nextcloud/user', body);
+
+    assert.equal(response.status, 201);
+    const { users } = await harness.nextcloudState();
+    assert.deepEqual([...users.gadm0001.groups].sort(), [...MANAGED_GROUPS].sort());
+});
+
+test('a group outside the managed groups rolls the account back', async () => {
+    resetUpstreams({ persons: [student('gadm0002', { semester: 2 })] });
+    const client = harness.client();
+    const body = await harness.prepareRegistration(client, 'gadm0002');
+
+    const response = await client.post('/api/nextcloud/user', body);
+
+    assert.equal(response.status, 502);
+    assert.equal(response.body.code, 'PROVISIONING_ROLLED_BACK');
+    assert.equal(response.body.failedStep, 'group:Kohorte-INFB-2');
+    assert.equal((await harness.nextcloudState()).users.gadm0002, undefined);
+});
+
+test('the self-check accepts a group admin of exactly the managed groups', async () => {
+    assert.deepEqual(await scopeProblems(), []);
+});
+
+test('the self-check reports admin rights and other groups', async () => {
+    resetUpstreams({
+        nextcloud: { accountGroups: ['admin'], subadminGroups: ['Jeder', 'Fakultaet-IWI', 'Studiengang-INFB', 'Mitarbeitende'] }
+    });
+
+    assert.deepEqual(await scopeProblems(), [
+        'admin is a Nextcloud admin - it should only be group admin of Jeder, Fakultaet-IWI, Studiengang-INFB, Kohorte-INFB-1',
+        'admin is not group admin of "Kohorte-INFB-1"',
+        'admin is also group admin of "Mitarbeitende", which is not one of the managed groups'
+    ]);
+});
+
+test('the rotation writes a new app password and the old one is revoked', async () => {
+    const { stdout } = await promisify(execFile)(process.execPath, [path.join(__dirname, '..', 'scripts', 'rotate-app-password.js')], {
+        env: process.env,
+        timeout: 20000
+    });
+
+    const newPassword = fs.readFileSync(appPasswordFile, 'utf8').trim();
+    assert.notEqual(newPassword, APP_PASSWORD);
+    assert.match(stdout, /The old app password is revoked/);
+    await assert.rejects(scopeProblems(), { name: 'UpstreamAuthError' });
+});
@@ -0,0 +1,152 @@
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startHarness } = require('./harness');
+
+/**
+ * POST /api/auth: input checks, the Raumzeit login and the eligibility policy
+ * (config/eligibility-policy.json: only STUDENTs of IWI may register).
+ * The persons are the ones from mock/persons.json.
+ */
+
+let harness;
+
+before(async () => {
+    harness = await startHarness();
+});
+
+after(() => harness.stop());
+
+beforeEach(() => harness.resetUpstreams());
+
+test('an IWI student gets a registration ticket', async () => {
+    const response = await harness.authenticate(harness.client(), 'mamu1011');
+
+    assert.equal(response.status, 200);
+    assert.equal(response.body.code, 'AUTHENTICATED');
+    assert.equal(response.body.eligibilityRule, 'iwi-students');
+    assert.equal(response.body.nextcloudUsername, 'mamu1011');
+    assert.equal(response.body.displayName, 'Max Mustermann');
+    assert.ok(response.body.registrationTicket);
+});
+
+test('a wrong password is answered with 401', async () => {
+    const response = await harness.authenticate(harness.client(), 'mamu1011', { password: 'wrong' });
+
+    assert.equal(response.status, 401);
+    assert.equal(response.body.code, 'INVALID_CREDENTIALS');
+});
+
+test('an unknown RZ user is answered with 401', async () => {
+    const response = await harness.authenticate(harness.client(), 'nobody01');
+
+    assert.equal(response.status, 401);
+    assert.equal(response.body.code, 'INVALID_CREDENTIALS');
+});
+
+test('a person who is no STUDENT is rejected by the not-student rule', async () => {
+    const response = await harness.authenticate(harness.client(), 'stma0001');
+
+    assert.equal(response.status, 403);
+    assert.equal(response.body.code, 'NOT_ELIGIBLE');
+    assert.equal(response.body.rule, 'not-student');
+    assert.ok(response.body.exceptionTicket);
+    assert.equal(response.body.registrationTicket, undefined);
+});
+
+test('a STUDENT of another faculty is rejected by the not-iwi rule', async () => {
+    const response = await harness.authenticate(harness.client(), 'anfa1013');
+
+    assert.equal(response.status, 403);
+    assert.equal(response.body.code, 'NOT_ELIGIBLE');
+    assert.equal(response.body.rule, 'not-iwi');
+    assert.ok(response.body.exceptionTicket);
+});
+
+test('missing credentials are answered with 400', async () => {
+    const response = await harness.client().post('/api/auth', { rzUsername: 'mamu1011', consent: await harness.consent() }, {
+        'X-Challenge-Response': 'stub'
+    });
+
+    assert.equal(response.status, 400);
+    assert.equal(response.body.code, 'CREDENTIALS_REQUIRED');
+});
+
+test('credentials that are no strings are answered with 400', async () => {
+    const response = await harness.client().post('/api/auth', {
+        rzUsername: ['mamu1011'],
+        rzPassword: 'test',
+        consent: await harness.consent()
+    }, { 'X-Challenge-Response': 'stub' });
+
+    assert.equal(response.status, 400);
+    assert.equal(response.body.code, 'INVALID_CREDENTIALS_FORMAT');
+});
+
+test('a username with invalid characters is answered with 400', async () => {
+    const response = await harness.authenticate(harness.client(), 'mamu1011/../admin');
+
+    assert.equal(response.status, 400);
+    assert.equal(response.body.code, 'INVALID_USERNAME_FORMAT');
+});
+
+test('a login without the current consent is answered with 428', async () => {
+    const response = await harness.client().post('/api/auth', {
+        rzUsername: 'mamu1011',
+        rzPassword: 'test',
+        consent: { version: 0, acceptedAt: new Date().toISOString() }
+    }, { 'X-Challenge-Response': 'stub' });
+
+    assert.equal(response.status, 428);
+    assert.equal(response.body.code, 'CONSENT_REQUIRED');
+    assert.equal(response.body.consentVersion, (await harness.consent()).version);
+});
+
+test('a login without the challenge answer is answered with 403', async () => {
+    const response = await harness.client().post('/api/auth', {
+        rzUsername: 'mamu1011',
+        rzPassword: 'test',
+        consent: await harness.consent()
+    });
+
+    assert.equal(response.status, 403);
+    assert.equal(response.body.code, 'CHALLENGE_FAILED');
+});
+
+test('a login without the CSRF token is answered with 403', async () => {
+    const client = harness.client();
+    const response = await client.send('POST', '/api/auth', {
+        body: { rzUsername: 'mamu1011', rzPassword: 'test', consent: await harness.consent() },
+        headers: { 'X-Challenge-Response': 'stub' }
+    });
+
+    assert.equal(response.status, 403);
+    assert.equal(response.body.code, 'CSRF_TOKEN_INVALID');
+});
+
+test('Raumzeit answering with 500 is answered with 503', async () => {
+    await harness.fault('raumzeit', { path: '/api/v1/persons', status: 500, count: -1 });
+
+    const response = await harness.authenticate(harness.client(), 'mamu1011');
+
+    assert.equal(response.status, 503);
+    assert.equal(response.body.code, 'RAUMZEIT_UNAVAILABLE');
+});
+
+test('a login that failed at Raumzeit is not sent again', async () => {
+    // Only the first attempt fails; a repeated login could count as a second failed one
+    await harness.fault('raumzeit', { path: '/api/v1/persons', method: 'POST', status: 502 });
+
+    const response = await harness.authenticate(harness.client(), 'mamu1011');
+
+    assert.equal(response.status, 503);
+    assert.equal(response.body.code, 'RAUMZEIT_UNAVAILABLE');
+});
+
+test('an unexpected Raumzeit answer is answered with 503', async () => {
+    await harness.fault('raumzeit', { path: '/api/v1/persons', status: 404, count: -1 });
+
+    const response = await harness.authenticate(harness.client(), 'mamu1011');
+
+    assert.equal(response.status, 503);
+    assert.equal(response.body.code, 'RAUMZEIT_UNAVAILABLE');
+});
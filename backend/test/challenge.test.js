@@ -0,0 +1,47 @@
+const crypto = require('crypto');
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startHarness } = require('./harness');
+
+/**
+ * The proof-of-work challenge in front of POST /api/auth (see lib/challenge):
+ * an answer can be used once, and a request rejected for its CSRF token has
+ * not used it, so the frontend can send it again with a fresh token.
+ */
+
+let harness;
+
+before(async () => {
+    harness = await startHarness({ env: { CHALLENGE_PROVIDER: 'pow', CHALLENGE_POW_DIFFICULTY: '4' } });
+});
+
+after(() => harness.stop());
+
+// Helper function to solve a challenge like the frontend: try nonces until the hash has enough zero bits
+const solve = ({ challenge, difficulty }) => {
+    for (let nonce = 0; ; nonce++) {
+        const answer = `${challenge}:${nonce.toString(36)}`;
+        const hash = crypto.createHash('sha256').update(answer).digest();
+        if (hash[0] >> (8 - difficulty) === 0) {
+            return answer;
+        }
+    }
+};
+
+test('an answer sent without a valid CSRF token can be sent again, but only once', async () => {
+    const client = harness.client();
+    const answer = solve((await client.get('/api/challenge')).body);
+    const body = { rzUsername: 'mamu1011', rzPassword: 'test', consent: await harness.consent() };
+
+    const rejected = await client.send('POST', '/api/auth', { body, headers: { 'X-Challenge-Response': answer } });
+    assert.equal(rejected.status, 403);
+    assert.equal(rejected.body.code, 'CSRF_TOKEN_INVALID');
+
+    const retried = await client.post('/api/auth', body, { 'X-Challenge-Response': answer });
+    assert.equal(retried.status, 200);
+    assert.equal(retried.body.code, 'AUTHENTICATED');
+
+    const replayed = await client.post('/api/auth', body, { 'X-Challenge-Response': answer });
+    assert.equal(replayed.status, 403);
+    assert.equal(replayed.body.code, 'CHALLENGE_FAILED');
+});
@@ -0,0 +1,222 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadConfig, matchProfile } = require('../lib/config');
+
+/**
+ * lib/config: types and defaults, file-based secrets and the checks of
+ * PROFILES_FILE. Only the variables of each scenario are set.
+ */
+
+const REQUIRED = {
+    NEXTCLOUD_URL: 'https://cloud.example.org',
+    NEXTCLOUD_ADMIN_USER: 'admin',
+    NEXTCLOUD_ADMIN_PASSWORD: 'secret',
+    RAUMZEIT_URL: 'https://raumzeit.example.org'
+};
+
+let directory;
+
+before(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'registration-config-'));
+});
+
+after(() => fs.rmSync(directory, { recursive: true, force: true }));
+
+// Helper function to write a file into the scenario directory
+const writeFile = (name, content) => {
+    const file = path.join(directory, name);
+    fs.writeFileSync(file, typeof content === 'string' ? content : JSON.stringify(content));
+    return file;
+};
+
+// Problems of an invalid configuration
+const problemsOf = (env, options) => {
+    try {
+        loadConfig(env, options);
+    } catch (error) {
+        return error.problems;
+    }
+    assert.fail('the configuration was accepted');
+};
+
+test('values are typed and unset or empty variables get their defaults', () => {
+    const config = loadConfig({
+        ...REQUIRED,
+        UPSTREAM_RETRIES: '0',
+        SMTP_SECURE: 'true',
+        ADMIN_USERS: 'mamu1011, stma0001,',
+        NEXTCLOUD_DEFAULT_GROUP: ''
+    });
+
+    assert.equal(config.PORT, 3000);
+    assert.equal(config.UPSTREAM_RETRIES, 0);
+    assert.equal(config.SMTP_SECURE, true);
+    assert.deepEqual(config.ADMIN_USERS, ['mamu1011', 'stma0001']);
+    assert.equal(config.NEXTCLOUD_DEFAULT_GROUP, 'Jeder');
+    assert.deepEqual(config.CORS_ALLOWED_ORIGINS, ['http://localhost:5173']);
+    assert.ok(Object.isFrozen(config));
+});
+
+test('every problem is reported at once', () => {
+    const problems = problemsOf({
+        NEXTCLOUD_URL: 'cloud.example.org',
+        SMTP_PORT: '587a',
+        CHALLENGE_PROVIDER: 'recaptcha',
+        MAIL_TRANSPORT: 'smtp'
+    });
+
+    assert.deepEqual(problems, [
+        'NEXTCLOUD_URL="cloud.example.org" is not a valid URL',
+        'NEXTCLOUD_ADMIN_USER is required',
+        'NEXTCLOUD_ADMIN_PASSWORD is required (or NEXTCLOUD_ADMIN_PASSWORD_FILE)',
+        'RAUMZEIT_URL is required',
+        'SMTP_HOST is required',
+        'SMTP_PORT="587a" is not a whole number',
+        'CHALLENGE_PROVIDER="recaptcha" must be one of pow, captcha, stub, none'
+    ]);
+});
+
+test('production needs a real registration ticket secret', () => {
+    assert.deepEqual(problemsOf({ ...REQUIRED, NODE_ENV: 'production' }), [
+        'REGISTRATION_TICKET_SECRET is required (or REGISTRATION_TICKET_SECRET_FILE)'
+    ]);
+    assert.deepEqual(problemsOf({ ...REQUIRED, NODE_ENV: 'production', REGISTRATION_TICKET_SECRET: 'change-me' }), [
+        'REGISTRATION_TICKET_SECRET is a placeholder - generate one, e.g. with: openssl rand -hex 32'
+    ]);
+});
+
+test('production refuses to run the logins without a challenge', () => {
+    assert.deepEqual(problemsOf({ ...REQUIRED, NODE_ENV: 'production', REGISTRATION_TICKET_SECRET: 'a1b2c3', CHALLENGE_PROVIDER: 'none' }), [
+        'CHALLENGE_PROVIDER="none" turns the bot protection off and is not allowed with NODE_ENV=production'
+    ]);
+    assert.equal(loadConfig({ ...REQUIRED, CHALLENGE_PROVIDER: 'stub' }).CHALLENGE_PROVIDER, 'stub');
+});
+
+test('a script can require variables the server does without', () => {
+    assert.deepEqual(problemsOf({ ...REQUIRED }, { required: ['RAUMZEIT_LOOKUP_URL'] }), ['RAUMZEIT_LOOKUP_URL is required']);
+});
+
+test('secrets can be read from a file without its trailing newline', () => {
+    const file = writeFile('nextcloud-password', 'from-file\n');
+
+    const config = loadConfig({ ...REQUIRED, NEXTCLOUD_ADMIN_PASSWORD: undefined, NEXTCLOUD_ADMIN_PASSWORD_FILE: file });
+
+    assert.equal(config.NEXTCLOUD_ADMIN_PASSWORD, 'from-file');
+    assert.equal(config.profiles[0].nextcloud.adminPassword, 'from-file');
+});
+
+test('a secret set twice or an unreadable secret file is a problem', () => {
+    const file = writeFile('metrics-token', 'token');
+
+    const problems = problemsOf({
+        ...REQUIRED,
+        NEXTCLOUD_ADMIN_PASSWORD_FILE: file,
+        METRICS_TOKEN_FILE: path.join(directory, 'missing')
+    });
+
+    assert.deepEqual(problems, [
+        `METRICS_TOKEN_FILE ${path.join(directory, 'missing')} cannot be read (ENOENT)`,
+        'NEXTCLOUD_ADMIN_PASSWORD and NEXTCLOUD_ADMIN_PASSWORD_FILE are both set - use only one'
+    ]);
+});
+
+test('profiles take what they leave out from the environment', () => {
+    writeFile('mmt-password', 'mmt-secret\n');
+    const file = writeFile('profiles.json', {
+        profiles: [
+            { name: 'iwi', hosts: ['Registrierung.IWI-hka.de'] },
+            {
+                name: 'mmt',
+                path: '/mmt',
+                nextcloud: { url: 'https://cloud.mmt.example.org', adminPasswordFile: 'mmt-password' },
+                defaultGroup: 'MMT',
+                eligibilityPolicyFile: 'mmt/eligibility-policy.json'
+            }
+        ]
+    });
+
+    const [iwi, mmt] = loadConfig({ ...REQUIRED, DATA_DIR: '/var/lib/registration', PROFILES_FILE: file }).profiles;
+
+    assert.deepEqual(iwi.hosts, ['registrierung.iwi-hka.de']);
+    assert.deepEqual(iwi.nextcloud, { url: REQUIRED.NEXTCLOUD_URL, adminUser: 'admin', adminPassword: 'secret' });
+    assert.equal(iwi.defaultGroup, 'Jeder');
+    assert.equal(iwi.dataDir, path.join('/var/lib/registration', 'profiles', 'iwi'));
+    assert.deepEqual(mmt.nextcloud, { url: 'https://cloud.mmt.example.org', adminUser: 'admin', adminPassword: 'mmt-secret' });
+    assert.equal(mmt.eligibilityPolicyFile, path.join(directory, 'mmt', 'eligibility-policy.json'));
+});
+
+test('invalid profiles are reported with their name', () => {
+    const file = writeFile('invalid-profiles.json', {
+        profiles: [
+            { name: 'iwi', path: '/iwi/' },
+            { name: 'mmt', path: '/shared', defaultGroups: ['MMT'] },
+            { name: 'ab', path: '/shared', nextcloud: { url: 'ftp://cloud.example.org' } }
+        ]
+    });
+
+    const problems = problemsOf({ ...REQUIRED, PROFILES_FILE: file });
+
+    assert.deepEqual(problems, [
+        'PROFILES_FILE profile "iwi": "path" must look like "/mmt" (no trailing slash)',
+        'PROFILES_FILE profile "mmt": unknown setting "defaultGroups"',
+        'PROFILES_FILE profile "ab": "nextcloud.url" must be an http or https URL'
+    ]);
+});
+
+test('profiles that share a host and path are rejected', () => {
+    const file = writeFile('overlapping-profiles.json', {
+        profiles: [
+            { name: 'iwi' },
+            { name: 'ab', hosts: ['ab.example.org'] },
+            { name: 'ab-mmt', hosts: ['ab.example.org'], path: '/mmt' },
+            { name: 'mmt', path: '/mmt' },
+            { name: 'ab-copy', hosts: ['AB.example.org', 'ab2.example.org'] },
+            { name: 'fallback' }
+        ]
+    });
+
+    assert.deepEqual(problemsOf({ ...REQUIRED, PROFILES_FILE: file }), [
+        'PROFILES_FILE: host "ab.example.org" with no path belongs to more than one profile',
+        'PROFILES_FILE: every host with no path belongs to more than one profile'
+    ]);
+});
+
+test('a request gets the most specific profile whose hosts and path match', () => {
+    const profiles = [
+        { name: 'iwi', hosts: [], path: '' },
+        { name: 'ab', hosts: ['ab.example.org'], path: '' },
+        { name: 'mmt', hosts: [], path: '/mmt' },
+        { name: 'ab-mmt', hosts: ['ab.example.org'], path: '/mmt' }
+    ];
+    const nameOf = (request) => matchProfile(profiles, request)?.name;
+
+    assert.equal(nameOf({ hostname: 'ab.example.org', path: '/mmt/api/auth' }), 'ab-mmt');
+    assert.equal(nameOf({ hostname: 'other.example.org', path: '/mmt/api/auth' }), 'mmt');
+    assert.equal(nameOf({ hostname: 'AB.example.org', path: '/api/auth' }), 'ab');
+    assert.equal(nameOf({ hostname: 'ab.example.org', path: '/mmtx/api/auth' }), 'ab');
+    assert.equal(nameOf({ hostname: 'other.example.org', path: '/api/auth' }), 'iwi');
+    assert.equal(matchProfile(profiles.slice(1, 3), { hostname: 'other.example.org', path: '/api/auth' }), undefined);
+});
+
+test('an app password comes with the groups its account manages', () => {
+    const file = writeFile('app-password', 'app-secret\n');
+    const env = { ...REQUIRED, NEXTCLOUD_ADMIN_PASSWORD: undefined, NEXTCLOUD_APP_PASSWORD_FILE: file };
+
+    assert.deepEqual(loadConfig({ ...env, NEXTCLOUD_MANAGED_GROUPS: 'Jeder, MMT' }).profiles[0].nextcloud, {
+        url: REQUIRED.NEXTCLOUD_URL,
+        adminUser: 'admin',
+        appPassword: 'app-secret',
+        appPasswordFile: file,
+        managedGroups: ['Jeder', 'MMT']
+    });
+    assert.deepEqual(problemsOf(env), ['NEXTCLOUD_MANAGED_GROUPS is required']);
+    assert.deepEqual(problemsOf({ ...env, NEXTCLOUD_MANAGED_GROUPS: 'MMT' }), [
+        'NEXTCLOUD_DEFAULT_GROUP "Jeder" is not one of NEXTCLOUD_MANAGED_GROUPS'
+    ]);
+    assert.deepEqual(problemsOf({ ...env, NEXTCLOUD_ADMIN_PASSWORD: 'secret', NEXTCLOUD_MANAGED_GROUPS: 'Jeder' }), [
+        'NEXTCLOUD_ADMIN_PASSWORD and NEXTCLOUD_APP_PASSWORD are both set - use only one'
+    ]);
+});
@@ -0,0 +1,250 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startHarness, student, ocsAnswer } = require('./harness');
+
+/**
+ * POST /api/nextcloud/user: ticket and verification checks and every branch
+ * of the Nextcloud OCS answers - OCS status 100 (v1) and 200 (v2) for
+ * success, 404 and 998 for unknown users, 997 and HTTP 401 for rejected
+ * admin credentials and failures of the setup steps.
+ *
+ * Every scenario registers its own student, the app's state is kept for the
+ * whole file.
+ */
+
+let harness;
+
+before(async () => {
+    harness = await startHarness({ env: { NEXTCLOUD_RESERVED_USERNAMES: 'resv0001' } });
+});
+
+after(() => harness.stop());
+
+// Fresh mocks with the student, logged in and with a verified email
+const prepare = async (login, { nextcloud } = {}) => {
+    harness.resetUpstreams({ persons: [student(login)], nextcloud });
+    const client = harness.client();
+    return { client, body: await harness.prepareRegistration(client, login) };
+};
+
+const createUser = (client, body) => client.post('/api/nextcloud/user', body);
+
+test('a verified student gets an account with the derived groups, quota and language', async () => {
+    const { client, body } = await prepare('ocs00200');
+
+    const response = await createUser(client, { ...body, displayName: 'Own Name' });
+
+    assert.equal(response.status, 201);
+    assert.equal(response.body.code, 'USER_CREATED');
+    assert.equal(response.body.username, 'ocs00200');
+
+    const { users } = await harness.nextcloudState();
+    const user = users.ocs00200;
+    assert.equal(user.email, 'ocs00200@example.org');
+    assert.equal(user.displayname, 'Own Name');
+    assert.deepEqual([...user.groups].sort(), ['Fakultaet-IWI', 'Jeder', 'Kohorte-INFB-1', 'Studiengang-INFB']);
+    assert.equal(user.quota.quota, '5 GB');
+    assert.equal(user.language, 'de');
+});
+
+test('without a display name of their own the user gets the one from Raumzeit', async () => {
+    const { client, body } = await prepare('ocs00201');
+
+    const response = await createUser(client, body);
+
+    assert.equal(response.status, 201);
+    assert.equal((await harness.nextcloudState()).users.ocs00201.displayname, 'Test ocs00201');
+});
+
+test('OCS status 100 of the v1 API counts as success', async () => {
+    const { client, body } = await prepare('ocs00100', { nextcloud: { okStatusCode: 100 } });
+
+    const response = await createUser(client, body);
+
+    assert.equal(response.status, 201);
+    assert.equal(response.body.code, 'USER_CREATED');
+    assert.ok((await harness.nextcloudState()).users.ocs00100);
+});
+
+test('OCS status 998 for the lookup counts as an unknown user', async () => {
+    const { client, body } = await prepare('ocs00998');
+    await harness.fault('nextcloud', {
+        path: '/cloud/users/ocs00998',
+        method: 'GET',
+        status: 200,
+        body: ocsAnswer(998, 'Invalid query')
+    });
+
+    const response = await createUser(client, body);
+
+    assert.equal(response.status, 201);
+    assert.equal(response.body.code, 'USER_CREATED');
+});
+
+test('the availability check counts OCS status 998 of the v1 API as an unknown user', async () => {
+    harness.resetUpstreams({ nextcloud: { okStatusCode: 100, unknownUserStatusCode: 998 } });
+
+    const response = await harness.client().get('/api/nextcloud/username/ocs00997');
+
+    assert.equal(response.status, 200);
+    assert.equal(response.body.available, true);
+});
+
+test('an existing account (OCS 200) is answered with 409 and offers the recovery', async () => {
+    const { client, body } = await prepare('ocs00409');
+    await harness.fault('nextcloud', {
+        path: '/cloud/users/ocs00409',
+        method: 'GET',
+        status: 200,
+        body: ocsAnswer(200, 'OK', { id: 'ocs00409' })
+    });
+
+    const response = await createUser(client, body);
+
+    assert.equal(response.status, 409);
+    assert.equal(response.body.code, 'USER_EXISTS');
+    assert.equal(response.body.recoveryAvailable, true);
+    assert.equal((await harness.nextcloudState()).users.ocs00409, undefined);
+});
+
+test('an existing account (OCS 100) is answered with 409', async () => {
+    const { client, body } = await prepare('ocs01409');
+    await harness.fault('nextcloud', {
+        path: '/cloud/users/ocs01409',
+        method: 'GET',
+        status: 200,
+        body: ocsAnswer(100, 'OK', { id: 'ocs01409' })
+    });
+
+    const response = await createUser(client, body);
+
+    assert.equal(response.status, 409);
+    assert.equal(response.body.code, 'USER_EXISTS');
+});
+
+test('HTTP 401 for the lookup is answered as a configuration error', async () => {
+    // The mock answers OCS 997 with HTTP 401 to other admin credentials
+    const { client, body } = await prepare('ocs00401', { nextcloud: { adminPassword: 'changed' } });
+
+    const response = await createUser(client, body);
+
+    assert.equal(response.status, 500);
+    assert.equal(response.body.code, 'NEXTCLOUD_CONFIG_ERROR');
+});
+
+test('OCS status 997 for the creation is answered as a configuration error', async () => {
+    const { client, body } = await prepare('ocs00997');
+    await harness.fault('nextcloud', {
+        path: '/cloud/users',
+        method: 'POST',
+        status: 200,
+        body: ocsAnswer(997, 'Current user is not logged in')
+    });
+
+    const response = await createUser(client, body);
+
+    assert.equal(response.status, 500);
+    assert.equal(response.body.code, 'NEXTCLOUD_CONFIG_ERROR');
+});
+
+test('Nextcloud refusing the user is answered with 400 and the OCS status', async () => {
+    const { client, body } = await prepare('ocs00102');
+    await harness.fault('nextcloud', {
+        path: '/cloud/users',
+        method: 'POST',
+        status: 400,
+        body: ocsAnswer(107, 'Invalid password value')
+    });
+
+    const response = await createUser(client, body);
+
+    assert.equal(response.status, 400);
+    assert.equal(response.body.code, 'USER_CREATION_FAILED');
+    assert.equal(response.body.ocsStatusCode, 107);
+    assert.equal(response.body.message, 'Invalid password value');
+});
+
+test('a failed setup step rolls the account back', async () => {
+    const { client, body } = await prepare('ocs00502');
+    await harness.fault('nextcloud', {
+        path: '/cloud/users/ocs00502/groups',
+        method: 'POST',
+        status: 400,
+        body: ocsAnswer(103, 'Unknown error occurred')
+    });
+
+    const response = await createUser(client, body);
+
+    assert.equal(response.status, 502);
+    assert.equal(response.body.code, 'PROVISIONING_ROLLED_BACK');
+    assert.match(response.body.failedStep, /^group:/);
+    assert.equal((await harness.nextcloudState()).users.ocs00502, undefined);
+});
+
+test('an unreachable Nextcloud is answered with 503', async () => {
+    const { client, body } = await prepare('ocs00503');
+    await harness.fault('nextcloud', { path: '/cloud/users', status: 503, count: -1 });
+
+    const response = await createUser(client, body);
+
+    assert.equal(response.status, 503);
+    assert.equal(response.body.code, 'NEXTCLOUD_UNAVAILABLE');
+});
+
+test('a reserved Nextcloud username is answered as a collision', async () => {
+    const { client, body } = await prepare('resv0001');
+
+    const response = await createUser(client, body);
+
+    assert.equal(response.status, 409);
+    assert.equal(response.body.code, 'USERNAME_COLLISION');
+    assert.equal(response.body.recoveryAvailable, false);
+});
+
+test('a request without a registration ticket is answered with 401', async () => {
+    const { client, body } = await prepare('tick0001');
+
+    const response = await createUser(client, { ...body, registrationTicket: undefined });
+
+    assert.equal(response.status, 401);
+    assert.equal(response.body.code, 'TICKET_MISSING');
+});
+
+test('a ticket of another user is answered with 403', async () => {
+    const { client, body } = await prepare('tick0002');
+
+    const response = await createUser(client, { ...body, rzUsername: 'tick0003', email: 'tick0002@example.org' });
+
+    assert.equal(response.status, 403);
+    assert.equal(response.body.code, 'TICKET_MISMATCH');
+});
+
+test('a wrong verification code is answered with 400 and the attempts left', async () => {
+    const { client, body } = await prepare('code0001');
+    const wrongCode = body.verificationCode === '000000' ? '111111' : '000000';
+
+    const response = await createUser(client, { ...body, verificationCode: wrongCode });
+
+    assert.equal(response.status, 400);
+    assert.equal(response.body.code, 'VERIFICATION_CODE_INVALID');
+    assert.equal(typeof response.body.attemptsLeft, 'number');
+});
+
+test('a ticket can only be used for one account', async () => {
+    const { client, body } = await prepare('once0001');
+    assert.equal((await createUser(client, body)).status, 201);
+
+    const response = await createUser(client, body);
+
+    assert.equal(response.status, 401);
+    assert.equal(response.body.code, 'TICKET_INVALID');
+});
+
+test('invalid account data is answered with 400', async () => {
+    const { client, body } = await prepare('data0001');
+
+    const response = await createUser(client, { ...body, email: 'not-an-address' });
+
+    assert.equal(response.status, 400);
+    assert.equal(response.body.code, 'INVALID_EMAIL');
+});
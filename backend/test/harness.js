@@ -0,0 +1,226 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const { createRaumzeitMock } = require('../mock/raumzeitMock');
+const { createNextcloudMock } = require('../mock/nextcloudMock');
+
+/**
+ * Runs the app in-process against the Raumzeit and Nextcloud mocks (see
+ * mock/), each on a free local port, with state, logs and mails in a
+ * temporary directory.
+ *
+ * The app reads its configuration once when it is required, so every test
+ * file starts one harness (node --test runs the files in separate
+ * processes). resetUpstreams() replaces the mocks behind the same ports
+ * between scenarios - with other persons, Nextcloud options or just fresh
+ * state; fault() injects upstream answers (see mock/faults.js).
+ */
+
+const ADMIN_USER = 'admin';
+const ADMIN_PASSWORD = 'secret';
+const PASSWORD = 'test';
+
+const DEFAULT_PERSONS = JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'mock', 'persons.json'), 'utf8'));
+
+// Raumzeit entry of an IWI student, the persons the policy lets register
+const student = (login, person = {}) => ({
+    password: PASSWORD,
+    person: {
+        login,
+        firstName: 'Test',
+        lastName: login,
+        personType: 'STUDENT',
+        departments: ['IWI'],
+        studyProgram: 'INFB',
+        semester: 1,
+        ...person
+    }
+});
+
+// Helper function to listen on a free local port
+const listen = (handler) => new Promise((resolve) => {
+    const server = http.createServer(handler);
+    server.listen(0, '127.0.0.1', () => resolve(server));
+});
+
+const urlOf = (server) => `http://127.0.0.1:${server.address().port}`;
+
+const close = (server) => new Promise((resolve) => {
+    server.closeAllConnections();
+    server.close(() => resolve());
+});
+
+// Helper function for requests with a JSON body; the answer body is parsed if it is JSON
+const request = async (url, { method = 'GET', body, headers = {} } = {}) => {
+    const response = await fetch(url, {
+        method,
+        headers: body === undefined ? headers : { 'Content-Type': 'application/json', ...headers },
+        body: body === undefined ? undefined : JSON.stringify(body)
+    });
+
+    const text = await response.text();
+    let data = text;
+    try {
+        data = JSON.parse(text);
+    } catch {
+        // Not JSON, e.g. the metrics
+    }
+    return { status: response.status, headers: response.headers, body: data };
+};
+
+// Helper function to check whether a browser sends a cookie with this Path to a request path
+const cookiePathMatches = (cookiePath, urlPath) => urlPath === cookiePath
+    || urlPath.startsWith(cookiePath.endsWith('/') ? cookiePath : `${cookiePath}/`);
+
+// A browser session: keeps the session cookies with their Path and sends the CSRF token
+// of the profile (the prefix before /api) with POSTs like the frontend
+const createClient = (baseUrl) => {
+    const cookies = new Map();
+    const csrfTokens = new Map();
+
+    const send = async (method, urlPath, { body, headers = {} } = {}) => {
+        const pathname = urlPath.split('?')[0];
+        const cookie = [...cookies.values()]
+            .filter((entry) => cookiePathMatches(entry.path, pathname))
+            .map((entry) => entry.pair)
+            .join('; ');
+        const response = await request(`${baseUrl}${urlPath}`, {
+            method,
+            body,
+            headers: cookie ? { Cookie: cookie, ...headers } : headers
+        });
+        const setCookie = response.headers.get('set-cookie');
+        if (setCookie) {
+            const [pair, ...attributes] = setCookie.split(';').map((part) => part.trim());
+            const cookiePath = attributes.find((attribute) => /^path=/i.test(attribute))?.slice(5) || '/';
+            cookies.set(`${pair.split('=')[0]} ${cookiePath}`, { pair, path: cookiePath });
+        }
+        return response;
+    };
+
+    const get = (urlPath, headers) => send('GET', urlPath, { headers });
+
+    const post = async (urlPath, body, headers = {}) => {
+        const prefix = urlPath.slice(0, urlPath.indexOf('/api/'));
+        if (!csrfTokens.has(prefix)) {
+            csrfTokens.set(prefix, (await get(`${prefix}/api/csrf`)).body.csrfToken);
+        }
+        return send('POST', urlPath, { body, headers: { 'X-CSRF-Token': csrfTokens.get(prefix), ...headers } });
+    };
+
+    return { get, post, send };
+};
+
+const startHarness = async ({ env = {} } = {}) => {
+    const mocks = {};
+    const raumzeitServer = await listen((req, res) => mocks.raumzeit(req, res));
+    const nextcloudServer = await listen((req, res) => mocks.nextcloud(req, res));
+
+    const resetUpstreams = ({ persons = DEFAULT_PERSONS, nextcloud = {} } = {}) => {
+        mocks.raumzeit = createRaumzeitMock({ persons });
+        mocks.nextcloud = createNextcloudMock({ adminUser: ADMIN_USER, adminPassword: ADMIN_PASSWORD, ...nextcloud });
+    };
+    resetUpstreams();
+
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'registration-test-'));
+    const mailDirectory = path.join(directory, 'mail');
+
+    // Limits are high so the scenarios of one file cannot throttle each other
+    Object.assign(process.env, {
+        NODE_ENV: 'test',
+        LOG_LEVEL: 'error',
+        LOG_DIR: path.join(directory, 'logs'),
+        DATA_DIR: path.join(directory, 'data'),
+        MAIL_TRANSPORT: 'file',
+        MAIL_FILE_DIR: mailDirectory,
+        RAUMZEIT_URL: urlOf(raumzeitServer),
+        NEXTCLOUD_URL: urlOf(nextcloudServer),
+        NEXTCLOUD_ADMIN_USER: ADMIN_USER,
+        NEXTCLOUD_ADMIN_PASSWORD: ADMIN_PASSWORD,
+        NEXTCLOUD_DEFAULT_GROUP: 'Jeder',
+        REGISTRATION_TICKET_SECRET: 'test-secret',
+        CHALLENGE_PROVIDER: 'stub',
+        UPSTREAM_RETRY_BACKOFF_MS: '1',
+        CIRCUIT_BREAKER_THRESHOLD: '1000',
+        RATE_LIMIT_IP_MAX_ATTEMPTS: '1000',
+        RATE_LIMIT_USERNAME_MAX_ATTEMPTS: '1000',
+        LOCKOUT_THRESHOLD: '1000'
+    }, env);
+
+    const app = require('../server');
+    const { logger } = require('../lib/logger');
+    const server = await listen(app);
+    const baseUrl = urlOf(server);
+
+    const consent = async () => {
+        const { body } = await request(`${baseUrl}/api/consent`);
+        return { version: body.version, acceptedAt: new Date().toISOString() };
+    };
+
+    // POST /api/auth with the answer of the stub challenge; prefix is the path of a profile
+    const authenticate = async (client, rzUsername, { password = PASSWORD, prefix = '' } = {}) => client.post(
+        `${prefix}/api/auth`,
+        { rzUsername, rzPassword: password, consent: await consent() },
+        { 'X-Challenge-Response': 'stub' }
+    );
+
+    // Verification code of the newest mail to an address
+    const verificationCode = (email) => {
+        const mail = fs.readdirSync(mailDirectory)
+            .filter((name) => name.endsWith(`-${email}.eml`))
+            .sort()
+            .pop();
+        return fs.readFileSync(path.join(mailDirectory, mail), 'utf8').match(/lautet: (\d{6})/)[1];
+    };
+
+    // Logs in and verifies the email; resolves to the body for POST /api/nextcloud/user
+    const prepareRegistration = async (client, rzUsername, email = `${rzUsername}@example.org`, { prefix = '' } = {}) => {
+        const auth = await authenticate(client, rzUsername, { prefix });
+        if (auth.status !== 200) {
+            throw new Error(`Login of ${rzUsername} failed with ${auth.status} ${auth.body.code}`);
+        }
+
+        const registrationTicket = auth.body.registrationTicket;
+        const verification = await client.post(`${prefix}/api/email/verification`, { rzUsername, email, registrationTicket });
+        if (verification.status !== 200) {
+            throw new Error(`Verification of ${email} failed with ${verification.status} ${verification.body.code}`);
+        }
+
+        return { rzUsername, email, registrationTicket, verificationCode: verificationCode(email) };
+    };
+
+    const fault = (service, options) => request(
+        `${urlOf(service === 'raumzeit' ? raumzeitServer : nextcloudServer)}/_mock/faults`,
+        { method: 'POST', body: options }
+    );
+
+    const nextcloudState = async () => (await request(`${urlOf(nextcloudServer)}/_mock/state`)).body;
+
+    const stop = async () => {
+        await Promise.all([close(server), close(raumzeitServer), close(nextcloudServer)]);
+        // Registration records are written after the answer was sent
+        await new Promise((resolve) => setTimeout(resolve, 100));
+        await logger.close();
+        fs.rmSync(directory, { recursive: true, force: true });
+    };
+
+    return {
+        baseUrl,
+        client: () => createClient(baseUrl),
+        resetUpstreams,
+        consent,
+        authenticate,
+        prepareRegistration,
+        fault,
+        nextcloudState,
+        stop
+    };
+};
+
+// OCS envelope for answers injected with fault()
+const ocsAnswer = (statuscode, message = '', data = {}) => ({
+    ocs: { meta: { status: statuscode === 100 || statuscode === 200 ? 'ok' : 'failure', statuscode, message }, data }
+});
+
+module.exports = { PASSWORD, student, ocsAnswer, startHarness };
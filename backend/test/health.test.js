@@ -0,0 +1,72 @@
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startHarness, ocsAnswer } = require('./harness');
+
+/**
+ * /health (liveness) and /health/ready (Nextcloud with the admin credentials
+ * and Raumzeit).
+ */
+
+let harness;
+
+before(async () => {
+    harness = await startHarness();
+});
+
+after(() => harness.stop());
+
+beforeEach(() => harness.resetUpstreams());
+
+test('the liveness check answers without asking the upstreams', async () => {
+    await harness.fault('nextcloud', { status: 503, count: -1 });
+    await harness.fault('raumzeit', { status: 503, count: -1 });
+
+    const response = await harness.client().get('/health');
+
+    assert.equal(response.status, 200);
+    assert.equal(response.body.status, 'OK');
+});
+
+test('the readiness check passes when both upstreams answer', async () => {
+    const response = await harness.client().get('/health/ready');
+
+    assert.equal(response.status, 200);
+    assert.equal(response.body.status, 'OK');
+    assert.equal(response.body.checks.nextcloud.status, 'up');
+    assert.equal(response.body.checks.raumzeit.status, 'up');
+});
+
+test('the readiness check fails when Nextcloud rejects the admin credentials', async () => {
+    harness.resetUpstreams({ nextcloud: { adminPassword: 'changed' } });
+
+    const response = await harness.client().get('/health/ready');
+
+    assert.equal(response.status, 503);
+    assert.equal(response.body.status, 'UNAVAILABLE');
+    assert.equal(response.body.checks.nextcloud.status, 'down');
+    assert.equal(response.body.checks.nextcloud.error, 'UpstreamAuthError');
+    assert.equal(response.body.checks.raumzeit.status, 'up');
+});
+
+test('the readiness check fails when Nextcloud answers with an OCS failure', async () => {
+    await harness.fault('nextcloud', {
+        path: '/cloud/user',
+        status: 200,
+        body: ocsAnswer(998, 'Invalid query')
+    });
+
+    const response = await harness.client().get('/health/ready');
+
+    assert.equal(response.status, 503);
+    assert.equal(response.body.checks.nextcloud.error, 'UpstreamResponseError');
+});
+
+test('the readiness check fails when Raumzeit is down', async () => {
+    await harness.fault('raumzeit', { status: 502 });
+
+    const response = await harness.client().get('/health/ready');
+
+    assert.equal(response.status, 503);
+    assert.equal(response.body.checks.nextcloud.status, 'up');
+    assert.equal(response.body.checks.raumzeit.status, 'down');
+});
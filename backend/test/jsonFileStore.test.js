@@ -0,0 +1,68 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { createJsonFileStore, createJsonFileStoreOpener, createSharedJsonFileStore } = require('../lib/jsonFileStore');
+
+/**
+ * lib/jsonFileStore: keys that are names of Object.prototype, writes after
+ * a failed one, the opener that only reads the file again once it changed
+ * and the store the server shares with the scripts.
+ */
+
+let directory;
+
+before(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'registration-store-'));
+});
+
+after(() => fs.rmSync(directory, { recursive: true, force: true }));
+
+test('keys like constructor or __proto__ find nothing inherited', async () => {
+    const store = createJsonFileStore(path.join(directory, 'names.json'));
+
+    assert.equal(store.get('constructor'), undefined);
+    assert.equal(store.has('__proto__'), false);
+
+    await store.set('__proto__', { nextcloudUsername: 'proto' });
+    assert.deepEqual(createJsonFileStore(path.join(directory, 'names.json')).get('__proto__'), { nextcloudUsername: 'proto' });
+});
+
+test('a failed write does not block the writes after it', async () => {
+    // A file where the store's directory should be makes the write fail
+    const blocked = path.join(directory, 'blocked');
+    fs.writeFileSync(blocked, '');
+    const store = createJsonFileStore(path.join(blocked, 'state.json'));
+
+    await assert.rejects(store.set('first', 1));
+
+    fs.rmSync(blocked);
+    await store.set('second', 2);
+    assert.deepEqual(JSON.parse(fs.readFileSync(path.join(blocked, 'state.json'), 'utf8')), { first: 1, second: 2 });
+});
+
+test('the opener keeps the parsed store until another process changes the file', async () => {
+    const file = path.join(directory, 'mappings.json');
+    const open = createJsonFileStoreOpener(file);
+    await open().set('anna1001', { nextcloudUsername: 'anna1001' });
+
+    assert.equal(open(), open());
+
+    // Another process, e.g. the bulk provisioning
+    await createJsonFileStore(file).set('bert1002', { nextcloudUsername: 'stud-bert1002' });
+    assert.deepEqual(open().get('bert1002'), { nextcloudUsername: 'stud-bert1002' });
+});
+
+test('a shared store sees the other process and keeps its own concurrent writes', async () => {
+    const file = path.join(directory, 'provisioning-state.json');
+    const server = createSharedJsonFileStore(file);
+    const bulkRun = createSharedJsonFileStore(file);
+
+    await bulkRun.set('bulk0001', { status: 'pending' });
+    assert.deepEqual(server.get('bulk0001'), { status: 'pending' });
+
+    await Promise.all(['web00001', 'web00002', 'web00003'].map((username) => server.set(username, { status: 'pending' })));
+    await server.delete('bulk0001');
+    assert.deepEqual(Object.keys(JSON.parse(fs.readFileSync(file, 'utf8'))).sort(), ['web00001', 'web00002', 'web00003']);
+});
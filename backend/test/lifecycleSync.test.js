@@ -0,0 +1,108 @@
+const http = require('http');
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createLifecycleSync } = require('../lib/lifecycleSync');
+const { createRaumzeitClient } = require('../lib/raumzeitClient');
+
+/**
+ * lib/lifecycleSync with an in-memory store and Nextcloud: persons missing
+ * in Raumzeit, the warning mail of an account whose address could not be
+ * looked up when it was disabled, and 404 answers that are not Raumzeit's.
+ */
+
+const silentLogger = { info: () => {}, warn: () => {}, error: () => {}, debug: () => {} };
+
+const createStore = () => {
+    const entries = new Map();
+    return {
+        get: (key) => entries.get(key),
+        set: async (key, value) => { entries.set(key, value); },
+        delete: async (key) => { entries.delete(key); }
+    };
+};
+
+// Sync of one account, alt00001, that Raumzeit does not know (unless lookupPerson says otherwise)
+const createSync = ({ store, mails = [], getUser, lookupPerson = async () => ({ found: false }) }) => createLifecycleSync({
+    nextcloud: {
+        getGroupMembers: async () => ({ success: true, users: ['alt00001'] }),
+        getUser: getUser || (async () => ({ success: true, found: true, user: { email: 'alt00001@example.org' } })),
+        setUserEnabled: async () => ({ success: true })
+    },
+    lookupPerson,
+    isEligible: () => ({ eligible: true }),
+    store,
+    mailer: { send: async (mail) => { mails.push(mail); return { success: true }; } },
+    logger: silentLogger,
+    group: 'Jeder'
+});
+
+const actionsOf = (result) => result.actions.map(({ action, success }) => ({ action, success }));
+
+test('a person missing in one run only is not disabled', async () => {
+    const store = createStore();
+    let found = false;
+    const lifecycleSync = createSync({ store, lookupPerson: async () => (found ? { found: true, person: {} } : { found: false }) });
+
+    assert.deepEqual(actionsOf(await lifecycleSync.run()), [{ action: 'missing', success: true }]);
+    assert.equal(store.get('alt00001').disabledAt, undefined);
+
+    found = true;
+    assert.deepEqual(actionsOf(await lifecycleSync.run()), [{ action: 'found', success: true }]);
+    assert.equal(store.get('alt00001'), undefined);
+
+    found = false;
+    await lifecycleSync.run();
+    assert.deepEqual(actionsOf(await lifecycleSync.run()), [{ action: 'disable', success: true }]);
+    assert.ok(store.get('alt00001').disabledAt);
+});
+
+test('the address that could not be looked up is looked up again before the warning', async () => {
+    let nextcloudUp = false;
+    const mails = [];
+    const store = createStore();
+    const lifecycleSync = createSync({
+        store,
+        mails,
+        getUser: async () => (nextcloudUp
+            ? { success: true, found: true, user: { email: 'alt00001@example.org' } }
+            : { success: false, message: 'Nextcloud unavailable' })
+    });
+
+    await lifecycleSync.run();
+    await lifecycleSync.run();
+    assert.equal(store.get('alt00001').emailLookupFailed, true);
+    assert.equal(mails.length, 0);
+
+    assert.deepEqual(actionsOf(await lifecycleSync.run()), [{ action: 'warn', success: false }]);
+
+    nextcloudUp = true;
+    await lifecycleSync.run();
+    assert.deepEqual(mails.map((mail) => mail.to), ['alt00001@example.org']);
+    assert.equal(store.get('alt00001').email, 'alt00001@example.org');
+    assert.ok(store.get('alt00001').warnedAt);
+});
+
+test('only a 404 with a JSON body means the person is unknown', async () => {
+    const server = http.createServer((req, res) => {
+        if (req.url.includes('alt00001')) {
+            res.writeHead(404, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ message: 'Person not found' }));
+        } else {
+            res.writeHead(404, { 'Content-Type': 'text/html' });
+            res.end('<h1>Not Found</h1>');
+        }
+    });
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+    const raumzeit = createRaumzeitClient({
+        lookupUrl: `http://127.0.0.1:${server.address().port}/api/v1/persons/{username}`,
+        retries: 0,
+        logger: silentLogger
+    });
+
+    try {
+        assert.deepEqual(await raumzeit.lookupPerson('alt00001'), { found: false });
+        await assert.rejects(raumzeit.lookupPerson('proxy0001'), { name: 'UpstreamResponseError' });
+    } finally {
+        server.close();
+    }
+});
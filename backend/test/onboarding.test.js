@@ -0,0 +1,127 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startHarness, student, ocsAnswer } = require('./harness');
+const { validateOnboarding } = require('../lib/onboarding');
+
+/**
+ * Onboarding after POST /api/nextcloud/user (see lib/onboarding): folders
+ * and the calendar subscription with the account's one-time login, the
+ * read-only share from the portal account and the password reset mail, each
+ * reported as a step of the answer.
+ */
+
+const ONBOARDING = {
+    folders: ['Studium', 'Studium/Abgaben'],
+    shares: [{ path: '/Ressourcen IWI' }],
+    calendars: [{ name: 'iwi-termine', displayName: 'IWI-Termine', url: 'https://www.example.org/iwi-termine.ics' }]
+};
+
+let harness;
+let directory;
+
+before(async () => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'registration-onboarding-'));
+    fs.writeFileSync(path.join(directory, 'onboarding.json'), JSON.stringify(ONBOARDING));
+
+    harness = await startHarness({ env: { ONBOARDING_FILE: path.join(directory, 'onboarding.json') } });
+});
+
+after(async () => {
+    await harness.stop();
+    fs.rmSync(directory, { recursive: true, force: true });
+});
+
+// Fresh mocks with the student, logged in and with a verified email
+const register = async (login) => {
+    harness.resetUpstreams({ persons: [student(login)] });
+    const client = harness.client();
+    const body = await harness.prepareRegistration(client, login);
+    return { client, body };
+};
+
+test('a new account gets its folders, the shared resources and the calendar', async () => {
+    const { client, body } = await register('onbo0001');
+
+    const response = await client.post('/api/nextcloud/user', body);
+
+    assert.equal(response.status, 201);
+    assert.deepEqual(response.body.onboarding, {
+        completed: true,
+        steps: [
+            { step: 'folder:Studium', success: true },
+            { step: 'folder:Studium/Abgaben', success: true },
+            { step: 'share:/Ressourcen IWI', success: true },
+            { step: 'calendar:iwi-termine', success: true },
+            { step: 'password-mail', success: true }
+        ]
+    });
+
+    const state = await harness.nextcloudState();
+    assert.deepEqual(state.folders.onbo0001, ['Studium', 'Studium/Abgaben']);
+    assert.deepEqual(state.shares, [{ path: '/Ressourcen IWI', shareWith: 'onbo0001', permissions: 1 }]);
+    assert.deepEqual(state.calendars.onbo0001, [{
+        name: 'iwi-termine',
+        displayName: 'IWI-Termine',
+        source: 'https://www.example.org/iwi-termine.ics',
+        subscribed: true
+    }]);
+    assert.deepEqual(state.passwordResetMails.map((mail) => mail.userId), ['onbo0001']);
+});
+
+test('a failed step is reported and neither stops the others nor undoes the account', async () => {
+    const { client, body } = await register('onbo0002');
+    await harness.fault('nextcloud', {
+        path: '/apps/files_sharing/api/v1/shares',
+        status: 404,
+        body: ocsAnswer(404, 'Wrong path, file/folder does not exist')
+    });
+
+    const response = await client.post('/api/nextcloud/user', body);
+
+    assert.equal(response.status, 201);
+    assert.equal(response.body.onboarding.completed, false);
+    assert.deepEqual(response.body.onboarding.steps.filter((step) => !step.success), [
+        { step: 'share:/Ressourcen IWI', success: false, message: 'Wrong path, file/folder does not exist' }
+    ]);
+
+    const state = await harness.nextcloudState();
+    assert.ok(state.users.onbo0002);
+    assert.equal(state.calendars.onbo0002.length, 1);
+    assert.deepEqual(state.passwordResetMails.map((mail) => mail.userId), ['onbo0002']);
+});
+
+test('without the password mail the registration fails and points to the recovery', async () => {
+    const { client, body } = await register('onbo0003');
+    await harness.fault('nextcloud', { path: '/lostpassword/email', status: 429 });
+
+    const response = await client.post('/api/nextcloud/user', body);
+
+    assert.equal(response.status, 502);
+    assert.equal(response.body.code, 'PASSWORD_MAIL_FAILED');
+    assert.equal(response.body.recoveryAvailable, true);
+    assert.deepEqual(response.body.onboarding.steps.filter((step) => !step.success), [
+        { step: 'password-mail', success: false, message: 'Nextcloud answered with HTTP 429' }
+    ]);
+
+    const state = await harness.nextcloudState();
+    assert.ok(state.users.onbo0003);
+    assert.deepEqual(state.passwordResetMails, []);
+});
+
+test('invalid onboarding settings are reported', () => {
+    assert.deepEqual(validateOnboarding({
+        folders: ['Studium/../Privat'],
+        shares: [{ path: 'Ressourcen' }],
+        calendars: [{ name: 'IWI Termine', url: 'ftp://example.org/termine.ics' }],
+        groups: []
+    }), [
+        'unknown setting "groups" (expected one of folders, shares, calendars)',
+        'folders[0] must be a relative path like "Studium/Abgaben"',
+        'shares[0] needs a "path" in the files of the portal account, like "/Ressourcen IWI"',
+        'calendars[0]: "name" must be lower-case letters, digits and dashes',
+        'calendars[0]: "url" must be an http, https or webcal URL'
+    ]);
+});
@@ -0,0 +1,81 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startHarness } = require('./harness');
+
+/**
+ * Profiles selected by path prefix (see lib/config): "mmt" below /mmt lets
+ * every STUDENT register and puts the accounts into its own default group,
+ * "iwi" serves everything else with the policy of config/. Both use the
+ * Nextcloud mock from NEXTCLOUD_URL.
+ */
+
+let harness;
+let directory;
+
+before(async () => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'registration-profiles-'));
+    fs.writeFileSync(path.join(directory, 'mmt-policy.json'), JSON.stringify({
+        rules: [{ name: 'mmt-students', effect: 'allow', match: { personTypes: ['STUDENT'] } }],
+        default: { name: 'not-student' }
+    }));
+    fs.writeFileSync(path.join(directory, 'profiles.json'), JSON.stringify({
+        profiles: [
+            { name: 'mmt', path: '/mmt', defaultGroup: 'MMT', eligibilityPolicyFile: 'mmt-policy.json' },
+            { name: 'iwi' }
+        ]
+    }));
+
+    harness = await startHarness({ env: { PROFILES_FILE: path.join(directory, 'profiles.json') } });
+});
+
+after(async () => {
+    await harness.stop();
+    fs.rmSync(directory, { recursive: true, force: true });
+});
+
+beforeEach(() => harness.resetUpstreams());
+
+test('the profile of the path decides about eligibility', async () => {
+    const mmt = await harness.authenticate(harness.client(), 'anfa1013', { prefix: '/mmt' });
+    const iwi = await harness.authenticate(harness.client(), 'anfa1013');
+
+    assert.equal(mmt.status, 200);
+    assert.equal(mmt.body.eligibilityRule, 'mmt-students');
+    assert.equal(iwi.status, 403);
+    assert.equal(iwi.body.rule, 'not-iwi');
+});
+
+test('accounts get the default group of their profile', async () => {
+    const client = harness.client();
+    const body = await harness.prepareRegistration(client, 'anfa1013', undefined, { prefix: '/mmt' });
+
+    const response = await client.post('/mmt/api/nextcloud/user', body);
+
+    assert.equal(response.status, 201);
+    const { groups } = (await harness.nextcloudState()).users.anfa1013;
+    assert.ok(groups.includes('MMT'));
+    assert.ok(!groups.includes('Jeder'));
+});
+
+test('a registration ticket of one profile is rejected by another', async () => {
+    const client = harness.client();
+    const auth = await harness.authenticate(client, 'mamu1011', { prefix: '/mmt' });
+
+    const response = await client.post('/api/email/verification', {
+        rzUsername: 'mamu1011',
+        email: 'mamu1011@example.org',
+        registrationTicket: auth.body.registrationTicket
+    });
+
+    assert.equal(response.status, 401);
+    assert.equal(response.body.code, 'TICKET_INVALID');
+});
+
+test('the session cookie of a profile with a path is sent to its API', async () => {
+    const response = await harness.client().get('/mmt/api/csrf');
+
+    assert.match(response.headers.get('set-cookie'), /; Path=\/mmt\/api;/);
+});
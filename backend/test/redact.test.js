@@ -0,0 +1,32 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createRedactor } = require('../lib/redact');
+
+/**
+ * lib/redact: the request bodies the request logger writes keep no secrets,
+ * but the stable answer codes stay readable.
+ */
+
+const { redact } = createRedactor();
+
+test('codes and tickets in request bodies are redacted', () => {
+    assert.deepEqual(redact({
+        body: {
+            username: 'gast-anna',
+            invitationCode: 'K7MQ-2XHD-9RTA',
+            registrationTicket: 'ticket',
+            verificationCode: '123456',
+            rzPassword: 'secret'
+        },
+        code: 'INVITATION_INVALID'
+    }), {
+        body: {
+            username: 'gast-anna',
+            invitationCode: '[REDACTED]',
+            registrationTicket: '[REDACTED]',
+            verificationCode: '[REDACTED]',
+            rzPassword: '[REDACTED]'
+        },
+        code: 'INVITATION_INVALID'
+    });
+});
@@ -1,17 +1,87 @@
-import { useState } from 'react';
+import { useCallback, useEffect, useState } from 'react';
 import { RegisterPage } from './components/RegisterPage';
 import { PrivacyConsent } from './components/PrivacyConsent';
+import { RecoveryPage } from './components/RecoveryPage';
+import { AdminPage } from './components/AdminPage';
+import { MyDataPage } from './components/MyDataPage';
+import { LanguageSwitcher } from './components/LanguageSwitcher';
+import { apiService, type ConsentAcceptance, type ConsentVersion } from './services/api';
+import { loadAcceptedConsent, storeAcceptedConsent } from './utils/consentStorage';
 import './App.css';
 
 function App() {
-  const [hasAcceptedPrivacy, setHasAcceptedPrivacy] = useState(false);
+  const [consentTexts, setConsentTexts] = useState<ConsentVersion | null>(null);
+  const [consentLoadFailed, setConsentLoadFailed] = useState(false);
+  const [acceptedConsent, setAcceptedConsent] = useState<ConsentAcceptance | null>(loadAcceptedConsent);
+  // #privacy opens the data export and erasure page directly, e.g. from the privacy policy
+  const [view, setView] = useState<'register' | 'recovery' | 'myData'>(
+    window.location.hash === '#privacy' ? 'myData' : 'register'
+  );
+
+  // The admin dashboard lives under #admin and needs no privacy consent flow
+  const isAdmin = window.location.hash === '#admin';
+
+  const loadConsentTexts = useCallback(async () => {
+    setConsentLoadFailed(false);
+    const response = await apiService.getConsent();
+    if (response.success && response.data) {
+      setConsentTexts(response.data);
+      return response.data;
+    }
+    setConsentLoadFailed(true);
+    return null;
+  }, []);
+
+  useEffect(() => {
+    if (!isAdmin) {
+      loadConsentTexts();
+    }
+  }, [isAdmin, loadConsentTexts]);
+
+  const acceptConsent = (consent: ConsentAcceptance | null) => {
+    storeAcceptedConsent(consent);
+    setAcceptedConsent(consent);
+  };
+
+  // The backend rejected the consent (a newer version was published meanwhile) - ask again
+  const handleConsentRequired = async () => {
+    const texts = await loadConsentTexts();
+    if (texts && acceptedConsent?.version === texts.version) {
+      acceptConsent(null);
+    }
+  };
+
+  if (isAdmin) {
+    return <AdminPage />;
+  }
+
+  // Exercising the data subject rights does not require accepting the terms
+  if (view === 'myData') {
+    return (
+      <>
+        <LanguageSwitcher />
+        <MyDataPage onBack={() => setView('register')} />
+      </>
+    );
+  }
+
+  const hasCurrentConsent = !!consentTexts && !!acceptedConsent && acceptedConsent.version === consentTexts.version;
 
   return (
     <>
-      {!hasAcceptedPrivacy ? (
-        <PrivacyConsent onAccept={() => setHasAcceptedPrivacy(true)} />
+      <LanguageSwitcher />
+      {!hasCurrentConsent || !acceptedConsent ? (
+        <PrivacyConsent
+          texts={consentTexts}
+          loadFailed={consentLoadFailed}
+          onRetry={loadConsentTexts}
+          previousVersion={acceptedConsent?.version}
+          onAccept={acceptConsent}
+        />
+      ) : view === 'recovery' ? (
+        <RecoveryPage consent={acceptedConsent} onConsentRequired={handleConsentRequired} onBack={() => setView('register')} />
       ) : (
-        <RegisterPage />
+        <RegisterPage consent={acceptedConsent} onConsentRequired={handleConsentRequired} onShowRecovery={() => setView('recovery')} onShowMyData={() => setView('myData')} />
       )}
     </>
   );
@@ -0,0 +1,497 @@
+import React, { useCallback, useEffect, useState, type FormEvent } from 'react';
+import {
+    adminApiService,
+    type AdminSession,
+    type ExceptionRequest,
+    type ExceptionStatus,
+    type Invitation,
+    type RegistrationFilters,
+    type RegistrationRecord,
+} from '../services/adminApi';
+import { ChallengeWidget } from './ChallengeWidget';
+import { logger } from '../utils/logger';
+import './RegisterPage.css';
+import './AdminPage.css';
+
+type Tab = 'registrations' | 'exceptions' | 'invitations';
+
+const OUTCOMES = ['success', 'denied', 'unauthenticated', 'exists', 'rate_limited', 'consent_required', 'invalid_request', 'upstream_error', 'error'];
+
+const formatDate = (iso: string) => new Date(iso).toLocaleString('de-DE');
+
+const EMPTY_INVITATION = { label: '', groups: '', quota: '', maxUses: '1', validDays: '14' };
+
+export const AdminPage: React.FC = () => {
+    const [session, setSession] = useState<AdminSession | null>(() => adminApiService.getSession());
+    const [credentials, setCredentials] = useState({ rzUsername: '', rzPassword: '' });
+    const [tab, setTab] = useState<Tab>('registrations');
+    const [isLoading, setIsLoading] = useState(false);
+    const [errorMessage, setErrorMessage] = useState<string | null>(null);
+
+    const [filters, setFilters] = useState<RegistrationFilters>({});
+    const [records, setRecords] = useState<RegistrationRecord[]>([]);
+
+    const [exceptionStatus, setExceptionStatus] = useState<ExceptionStatus | ''>('pending');
+    const [exceptions, setExceptions] = useState<ExceptionRequest[]>([]);
+    const [notes, setNotes] = useState<Record<string, string>>({});
+
+    const [invitations, setInvitations] = useState<Invitation[]>([]);
+    const [invitationForm, setInvitationForm] = useState(EMPTY_INVITATION);
+    const [createdCode, setCreatedCode] = useState<{ label: string; code: string } | null>(null);
+
+    // A 401 drops the stored session; mirror that in the UI
+    const handleResult = useCallback(<T,>(result: { success: boolean; error?: string; status?: number; data?: T }) => {
+        if (result.status === 401) {
+            setSession(null);
+        }
+        setErrorMessage(result.success ? null : result.error || 'Request failed');
+        return result.success ? result.data : undefined;
+    }, []);
+
+    const loadRegistrations = useCallback(async () => {
+        setIsLoading(true);
+        const data = handleResult(await adminApiService.getRegistrations(filters));
+        if (data) setRecords(data);
+        setIsLoading(false);
+    }, [filters, handleResult]);
+
+    const loadExceptions = useCallback(async () => {
+        setIsLoading(true);
+        const data = handleResult(await adminApiService.getExceptionRequests(exceptionStatus || undefined));
+        if (data) setExceptions(data);
+        setIsLoading(false);
+    }, [exceptionStatus, handleResult]);
+
+    useEffect(() => {
+        if (session && tab === 'registrations') {
+            loadRegistrations();
+        }
+        // Filters are applied explicitly, only tab and session changes reload automatically
+        // eslint-disable-next-line react-hooks/exhaustive-deps
+    }, [session, tab]);
+
+    const loadInvitations = useCallback(async () => {
+        setIsLoading(true);
+        const data = handleResult(await adminApiService.getInvitations());
+        if (data) setInvitations(data);
+        setIsLoading(false);
+    }, [handleResult]);
+
+    useEffect(() => {
+        if (session && tab === 'exceptions') {
+            loadExceptions();
+        }
+    }, [session, tab, loadExceptions]);
+
+    useEffect(() => {
+        if (session && tab === 'invitations') {
+            loadInvitations();
+        }
+    }, [session, tab, loadInvitations]);
+
+    const handleLogin = async (e: FormEvent<HTMLFormElement>) => {
+        e.preventDefault();
+        setIsLoading(true);
+        setErrorMessage(null);
+
+        const result = await adminApiService.login(credentials.rzUsername, credentials.rzPassword);
+        setCredentials((prev) => ({ ...prev, rzPassword: '' }));
+
+        if (result.success && result.data) {
+            logger.info('Admin logged in', { username: result.data.username });
+            setSession(result.data);
+        } else {
+            setErrorMessage(result.error || 'Login failed');
+        }
+        setIsLoading(false);
+    };
+
+    const handleLogout = () => {
+        adminApiService.logout();
+        setSession(null);
+    };
+
+    const handleFilterChange = (e: React.ChangeEvent<HTMLInputElement | HTMLSelectElement>) => {
+        const { name, value } = e.target;
+        setFilters((prev) => ({ ...prev, [name]: value || undefined }));
+    };
+
+    const handleFilterSubmit = (e: FormEvent<HTMLFormElement>) => {
+        e.preventDefault();
+        loadRegistrations();
+    };
+
+    const handleExport = async () => {
+        handleResult(await adminApiService.exportRegistrations(filters));
+    };
+
+    const handleDecision = async (id: string, decision: 'approve' | 'deny') => {
+        setIsLoading(true);
+        const data = handleResult(await adminApiService.decideExceptionRequest(id, decision, notes[id]));
+        setIsLoading(false);
+        if (data) {
+            logger.info('Exception request decided', { id, decision });
+            loadExceptions();
+        }
+    };
+
+    const handleInvitationChange = (e: React.ChangeEvent<HTMLInputElement>) => {
+        const { name, value } = e.target;
+        setInvitationForm((prev) => ({ ...prev, [name]: value }));
+    };
+
+    const handleCreateInvitation = async (e: FormEvent<HTMLFormElement>) => {
+        e.preventDefault();
+        setIsLoading(true);
+        setCreatedCode(null);
+        const data = handleResult(await adminApiService.createInvitation({
+            label: invitationForm.label,
+            groups: invitationForm.groups.split(',').map((group) => group.trim()).filter(Boolean),
+            quota: invitationForm.quota.trim() || undefined,
+            maxUses: Number(invitationForm.maxUses),
+            validDays: Number(invitationForm.validDays),
+        }));
+        setIsLoading(false);
+        if (data) {
+            logger.info('Invitation created', { id: data.invitation.id });
+            setCreatedCode({ label: data.invitation.label, code: data.invitationCode });
+            setInvitationForm(EMPTY_INVITATION);
+            loadInvitations();
+        }
+    };
+
+    const handleRevokeInvitation = async (id: string) => {
+        setIsLoading(true);
+        const data = handleResult(await adminApiService.revokeInvitation(id));
+        setIsLoading(false);
+        if (data) {
+            logger.info('Invitation revoked', { id });
+            loadInvitations();
+        }
+    };
+
+    if (!session) {
+        return (
+            <div className="register-container">
+                <div className="register-card">
+                    <div className="register-header">
+                        <h1>Admin Login</h1>
+                        <p className="subtitle">Anmeldung mit RZ-Zugangsdaten</p>
+                    </div>
+
+                    <form onSubmit={handleLogin} className="register-form">
+                        {errorMessage && <div className="message message-error">{errorMessage}</div>}
+
+                        <div className="form-group">
+                            <label htmlFor="rzUsername">RZ Username</label>
+                            <input
+                                type="text"
+                                id="rzUsername"
+                                value={credentials.rzUsername}
+                                onChange={(e) => setCredentials((prev) => ({ ...prev, rzUsername: e.target.value }))}
+                                disabled={isLoading}
+                            />
+                        </div>
+
+                        <div className="form-group">
+                            <label htmlFor="rzPassword">RZ Password</label>
+                            <input
+                                type="password"
+                                id="rzPassword"
+                                value={credentials.rzPassword}
+                                onChange={(e) => setCredentials((prev) => ({ ...prev, rzPassword: e.target.value }))}
+                                disabled={isLoading}
+                                autoComplete="off"
+                            />
+                        </div>
+
+                        <ChallengeWidget />
+
+                        <button type="submit" className="btn-primary" disabled={isLoading}>
+                            {isLoading ? 'Logging in...' : 'Log in'}
+                        </button>
+                    </form>
+                </div>
+            </div>
+        );
+    }
+
+    return (
+        <div className="admin-container">
+            <div className="admin-card">
+                <div className="admin-header">
+                    <h1>Registrierungen verwalten</h1>
+                    <div className="admin-user">
+                        {session.username}
+                        <button type="button" className="btn-link" onClick={handleLogout}>
+                            Log out
+                        </button>
+                    </div>
+                </div>
+
+                <div className="admin-tabs">
+                    <button
+                        type="button"
+                        className={tab === 'registrations' ? 'admin-tab active' : 'admin-tab'}
+                        onClick={() => setTab('registrations')}
+                    >
+                        Verlauf
+                    </button>
+                    <button
+                        type="button"
+                        className={tab === 'exceptions' ? 'admin-tab active' : 'admin-tab'}
+                        onClick={() => setTab('exceptions')}
+                    >
+                        Ausnahmeanträge
+                    </button>
+                    <button
+                        type="button"
+                        className={tab === 'invitations' ? 'admin-tab active' : 'admin-tab'}
+                        onClick={() => setTab('invitations')}
+                    >
+                        Einladungen
+                    </button>
+                </div>
+
+                {errorMessage && <div className="message message-error">{errorMessage}</div>}
+
+                {tab === 'registrations' ? (
+                    <>
+                        <form className="admin-filters" onSubmit={handleFilterSubmit}>
+                            <input
+                                type="text"
+                                name="username"
+                                placeholder="Username"
+                                value={filters.username || ''}
+                                onChange={handleFilterChange}
+                            />
+                            <select name="stage" value={filters.stage || ''} onChange={handleFilterChange}>
+                                <option value="">All stages</option>
+                                <option value="auth">auth</option>
+                                <option value="create">create</option>
+                                <option value="recovery">recovery</option>
+                            </select>
+                            <select name="outcome" value={filters.outcome || ''} onChange={handleFilterChange}>
+                                <option value="">All outcomes</option>
+                                {OUTCOMES.map((outcome) => (
+                                    <option key={outcome} value={outcome}>{outcome}</option>
+                                ))}
+                            </select>
+                            <input type="date" name="from" value={filters.from || ''} onChange={handleFilterChange} />
+                            <input type="date" name="to" value={filters.to || ''} onChange={handleFilterChange} />
+                            <button type="submit" className="btn-primary" disabled={isLoading}>Filter</button>
+                            <button type="button" className="btn-primary" onClick={handleExport} disabled={isLoading}>
+                                CSV Export
+                            </button>
+                        </form>
+
+                        <div className="admin-table-wrapper">
+                            <table className="admin-table">
+                                <thead>
+                                    <tr>
+                                        <th>Zeitpunkt</th>
+                                        <th>Schritt</th>
+                                        <th>Username</th>
+                                        <th>Ergebnis</th>
+                                        <th>Regel</th>
+                                        <th>Email</th>
+                                        <th>Meldung</th>
+                                    </tr>
+                                </thead>
+                                <tbody>
+                                    {records.map((record) => (
+                                        <tr key={record.id} className={`outcome-${record.outcome}`}>
+                                            <td>{formatDate(record.timestamp)}</td>
+                                            <td>{record.stage}</td>
+                                            <td>{record.rzUsername}</td>
+                                            <td>{record.outcome} ({record.httpStatus})</td>
+                                            <td>{record.rule}</td>
+                                            <td>{record.email}</td>
+                                            <td>{record.message}</td>
+                                        </tr>
+                                    ))}
+                                    {records.length === 0 && (
+                                        <tr>
+                                            <td colSpan={7} className="admin-empty">Keine Einträge</td>
+                                        </tr>
+                                    )}
+                                </tbody>
+                            </table>
+                        </div>
+                    </>
+                ) : tab === 'exceptions' ? (
+                    <>
+                        <div className="admin-filters">
+                            <select
+                                value={exceptionStatus}
+                                onChange={(e) => setExceptionStatus(e.target.value as ExceptionStatus | '')}
+                            >
+                                <option value="pending">Offen</option>
+                                <option value="approved">Genehmigt</option>
+                                <option value="denied">Abgelehnt</option>
+                                <option value="">Alle</option>
+                            </select>
+                        </div>
+
+                        <div className="admin-requests">
+                            {exceptions.map((request) => (
+                                <div key={request.id} className="admin-request">
+                                    <div className="admin-request-header">
+                                        <strong>{request.rzUsername}</strong>
+                                        <span>{formatDate(request.createdAt)}</span>
+                                    </div>
+                                    <p className="admin-request-meta">
+                                        {request.personType} · {(request.departments || []).join(', ') || '–'} ·
+                                        abgelehnt durch Regel „{request.rule}“{request.email ? ` · ${request.email}` : ''}
+                                    </p>
+                                    <p className="admin-request-reason">{request.reason}</p>
+
+                                    {request.status === 'pending' ? (
+                                        <div className="admin-request-actions">
+                                            <input
+                                                type="text"
+                                                placeholder="Notiz (optional)"
+                                                value={notes[request.id] || ''}
+                                                onChange={(e) => setNotes((prev) => ({ ...prev, [request.id]: e.target.value }))}
+                                            />
+                                            <button
+                                                type="button"
+                                                className="btn-primary"
+                                                onClick={() => handleDecision(request.id, 'approve')}
+                                                disabled={isLoading}
+                                            >
+                                                Genehmigen
+                                            </button>
+                                            <button
+                                                type="button"
+                                                className="btn-primary btn-deny"
+                                                onClick={() => handleDecision(request.id, 'deny')}
+                                                disabled={isLoading}
+                                            >
+                                                Ablehnen
+                                            </button>
+                                        </div>
+                                    ) : (
+                                        <p className="admin-request-meta">
+                                            {request.status === 'approved' ? 'Genehmigt' : 'Abgelehnt'} von {request.decidedBy}
+                                            {request.decidedAt ? ` am ${formatDate(request.decidedAt)}` : ''}
+                                            {request.note ? ` – ${request.note}` : ''}
+                                        </p>
+                                    )}
+                                </div>
+                            ))}
+                            {exceptions.length === 0 && <p className="admin-empty">Keine Anträge</p>}
+                        </div>
+                    </>
+                ) : (
+                    <>
+                        <form className="admin-filters" onSubmit={handleCreateInvitation}>
+                            <input
+                                type="text"
+                                name="label"
+                                placeholder="Label, e.g. Projekt XY"
+                                value={invitationForm.label}
+                                onChange={handleInvitationChange}
+                                maxLength={200}
+                                required
+                            />
+                            <input
+                                type="text"
+                                name="groups"
+                                placeholder="Groups (comma-separated)"
+                                value={invitationForm.groups}
+                                onChange={handleInvitationChange}
+                            />
+                            <input
+                                type="text"
+                                name="quota"
+                                placeholder="Quota, e.g. 5 GB"
+                                value={invitationForm.quota}
+                                onChange={handleInvitationChange}
+                            />
+                            <label>
+                                Uses{' '}
+                                <input
+                                    type="number"
+                                    name="maxUses"
+                                    min={1}
+                                    max={1000}
+                                    value={invitationForm.maxUses}
+                                    onChange={handleInvitationChange}
+                                />
+                            </label>
+                            <label>
+                                Days{' '}
+                                <input
+                                    type="number"
+                                    name="validDays"
+                                    min={1}
+                                    max={365}
+                                    value={invitationForm.validDays}
+                                    onChange={handleInvitationChange}
+                                />
+                            </label>
+                            <button type="submit" className="btn-primary" disabled={isLoading}>Erstellen</button>
+                        </form>
+
+                        {createdCode && (
+                            <div className="message message-success">
+                                Code für „{createdCode.label}“: <code className="admin-invitation-code">{createdCode.code}</code>
+                                {' '}– wird nur jetzt angezeigt, bitte notieren.
+                            </div>
+                        )}
+
+                        <div className="admin-table-wrapper">
+                            <table className="admin-table">
+                                <thead>
+                                    <tr>
+                                        <th>Label</th>
+                                        <th>Code</th>
+                                        <th>Status</th>
+                                        <th>Nutzungen</th>
+                                        <th>Gültig bis</th>
+                                        <th>Gruppen</th>
+                                        <th>Quota</th>
+                                        <th></th>
+                                    </tr>
+                                </thead>
+                                <tbody>
+                                    {invitations.map((invitation) => (
+                                        <tr key={invitation.id} className={`invitation-${invitation.status}`}>
+                                            <td>{invitation.label}</td>
+                                            <td>…{invitation.codeHint}</td>
+                                            <td>{invitation.status}</td>
+                                            <td title={invitation.uses.map((use) => use.username).join(', ')}>
+                                                {invitation.uses.length} / {invitation.maxUses}
+                                            </td>
+                                            <td>{formatDate(invitation.expiresAt)}</td>
+                                            <td>{invitation.groups.join(', ')}</td>
+                                            <td>{invitation.quota}</td>
+                                            <td>
+                                                {invitation.status !== 'revoked' && (
+                                                    <button
+                                                        type="button"
+                                                        className="btn-link"
+                                                        onClick={() => handleRevokeInvitation(invitation.id)}
+                                                        disabled={isLoading}
+                                                    >
+                                                        Revoke
+                                                    </button>
+                                                )}
+                                            </td>
+                                        </tr>
+                                    ))}
+                                    {invitations.length === 0 && (
+                                        <tr>
+                                            <td colSpan={8} className="admin-empty">Keine Einladungen</td>
+                                        </tr>
+                                    )}
+                                </tbody>
+                            </table>
+                        </div>
+                    </>
+                )}
+            </div>
+        </div>
+    );
+};
@@ -0,0 +1,88 @@
+import React, { useEffect, useRef } from 'react';
+import { apiService } from '../services/api';
+import { onCaptchaReset, setCaptchaToken, type CaptchaWidget } from '../services/challenge';
+import { logger } from '../utils/logger';
+
+/**
+ * CAPTCHA of the RZ login forms. Renders nothing unless the backend uses the
+ * captcha challenge - proof-of-work is solved without a widget.
+ */
+
+// The part of the Turnstile and hCaptcha APIs used here (both are the same)
+interface CaptchaApi {
+    render(container: HTMLElement, options: {
+        sitekey: string;
+        callback: (token: string) => void;
+        'expired-callback': () => void;
+    }): string;
+    reset(widgetId: string): void;
+    remove(widgetId: string): void;
+}
+
+declare global {
+    interface Window {
+        turnstile?: CaptchaApi;
+        hcaptcha?: CaptchaApi;
+    }
+}
+
+const loadedScripts = new Map<string, Promise<void>>();
+
+const loadScript = (url: string): Promise<void> => {
+    let loading = loadedScripts.get(url);
+    if (!loading) {
+        loading = new Promise((resolve, reject) => {
+            const script = document.createElement('script');
+            script.src = url;
+            script.async = true;
+            script.onload = () => resolve();
+            script.onerror = () => {
+                loadedScripts.delete(url);
+                reject(new Error(`Loading ${url} failed`));
+            };
+            document.head.appendChild(script);
+        });
+        loadedScripts.set(url, loading);
+    }
+    return loading;
+};
+
+export const ChallengeWidget: React.FC = () => {
+    const container = useRef<HTMLDivElement>(null);
+
+    useEffect(() => {
+        let active = true;
+        let captcha: { api: CaptchaApi; widgetId: string } | undefined;
+
+        const render = async () => {
+            const response = await apiService.getChallenge();
+            const config = response.data;
+            if (!active || config?.provider !== 'captcha' || !config.scriptUrl || !config.siteKey) return;
+
+            await loadScript(config.scriptUrl);
+            const api = window[config.widget as CaptchaWidget];
+            if (!active || !api || !container.current) return;
+
+            captcha = {
+                api,
+                widgetId: api.render(container.current, {
+                    sitekey: config.siteKey,
+                    callback: (token) => setCaptchaToken(token),
+                    'expired-callback': () => setCaptchaToken(undefined),
+                }),
+            };
+        };
+
+        render().catch((error) => logger.error('Loading the CAPTCHA failed', error));
+        const unsubscribe = onCaptchaReset(() => captcha?.api.reset(captcha.widgetId));
+
+        return () => {
+            active = false;
+            unsubscribe();
+            captcha?.api.remove(captcha.widgetId);
+            setCaptchaToken(undefined);
+        };
+    }, []);
+
+    return <div ref={container} className="challenge-widget" />;
+};
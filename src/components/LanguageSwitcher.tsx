@@ -0,0 +1,24 @@
+import React from 'react';
+import { LANGUAGES, useI18n } from '../i18n';
+import './LanguageSwitcher.css';
+
+export const LanguageSwitcher: React.FC = () => {
+    const { language, setLanguage, t } = useI18n();
+
+    return (
+        <div className="language-switcher" role="group" aria-label={t('language.label')}>
+            {LANGUAGES.map((option) => (
+                <button
+                    key={option}
+                    type="button"
+                    className={option === language ? 'active' : ''}
+                    aria-pressed={option === language}
+                    lang={option}
+                    onClick={() => setLanguage(option)}
+                >
+                    {option.toUpperCase()}
+                </button>
+            ))}
+        </div>
+    );
+};
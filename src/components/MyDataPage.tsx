@@ -0,0 +1,266 @@
+import React, { useState, type FormEvent } from 'react';
+import { apiService, type ApiResponse, type ErasureRequest, type ExportFormat, type PrivacySession } from '../services/api';
+import { ChallengeWidget } from './ChallengeWidget';
+import { logger } from '../utils/logger';
+import { apiMessage, useI18n, type MessageKey, type UserMessage } from '../i18n';
+import './RegisterPage.css';
+import './MyDataPage.css';
+import iwiLogo from '../assets/iwi-logo.png';
+
+interface MyDataPageProps {
+    onBack: () => void;
+}
+
+/**
+ * Self-service for the data subject rights: after an RZ login the user can
+ * download everything stored about them or have their account deleted
+ */
+export const MyDataPage: React.FC<MyDataPageProps> = ({ onBack }) => {
+    const { t, format } = useI18n();
+    const [credentials, setCredentials] = useState({ rzUsername: '', rzPassword: '' });
+    const [session, setSession] = useState<PrivacySession | null>(null);
+    const [erasureRequest, setErasureRequest] = useState<ErasureRequest | null>(null);
+    const [confirmUsername, setConfirmUsername] = useState('');
+    const [isLoading, setIsLoading] = useState(false);
+    const [message, setMessage] = useState<{
+        type: 'success' | 'error';
+        text: UserMessage;
+    } | null>(null);
+
+    // An expired session sends the user back to the login form
+    const handleFailure = (response: ApiResponse, fallback: MessageKey) => {
+        if (response.code === 'PRIVACY_LOGIN_REQUIRED') {
+            setSession(null);
+            setErasureRequest(null);
+        }
+        setMessage({ type: 'error', text: apiMessage(response, fallback) });
+    };
+
+    const handleLogin = async (e: FormEvent<HTMLFormElement>) => {
+        e.preventDefault();
+        setMessage(null);
+
+        if (!credentials.rzUsername || !credentials.rzPassword) {
+            setMessage({ type: 'error', text: { key: 'api.CREDENTIALS_REQUIRED' } });
+            return;
+        }
+
+        setIsLoading(true);
+        try {
+            const response = await apiService.privacyLogin(credentials.rzUsername, credentials.rzPassword);
+            setCredentials((prev) => ({ ...prev, rzPassword: '' }));
+
+            if (response.success && response.data) {
+                setSession(response.data);
+            } else {
+                logger.warn('Privacy login failed', response.error);
+                setMessage({ type: 'error', text: apiMessage(response, 'myData.loginFailed') });
+            }
+        } finally {
+            setIsLoading(false);
+        }
+    };
+
+    const handleExport = async (exportFormat: ExportFormat) => {
+        if (!session) return;
+        setMessage(null);
+        setIsLoading(true);
+
+        try {
+            const response = await apiService.downloadPersonalData(session, exportFormat);
+            if (response.success) {
+                setMessage({ type: 'success', text: { key: 'myData.exportDone' } });
+            } else {
+                logger.error('Data export failed', response.error);
+                handleFailure(response, 'myData.exportFailed');
+            }
+        } finally {
+            setIsLoading(false);
+        }
+    };
+
+    const handleRequestErasure = async () => {
+        if (!session) return;
+        setMessage(null);
+        setIsLoading(true);
+
+        try {
+            const response = await apiService.requestErasure(session);
+            if (response.success && response.data) {
+                setErasureRequest(response.data);
+                setConfirmUsername('');
+            } else {
+                logger.error('Erasure request failed', response.error);
+                handleFailure(response, 'myData.erasureFailed');
+            }
+        } finally {
+            setIsLoading(false);
+        }
+    };
+
+    const handleConfirmErasure = async (e: FormEvent<HTMLFormElement>) => {
+        e.preventDefault();
+        if (!session || !erasureRequest) return;
+        setMessage(null);
+
+        if (confirmUsername.trim().toLowerCase() !== session.username.toLowerCase()) {
+            setMessage({ type: 'error', text: { key: 'myData.erasureMismatch' } });
+            return;
+        }
+
+        setIsLoading(true);
+        try {
+            const response = await apiService.confirmErasure(session, erasureRequest);
+            if (response.success) {
+                logger.info('Account erased', { rzUsername: session.username });
+                setSession(null);
+                setErasureRequest(null);
+                setMessage({ type: 'success', text: apiMessage(response, 'api.ACCOUNT_ERASED') });
+            } else {
+                logger.error('Account erasure failed', response.error);
+                setErasureRequest(null);
+                handleFailure(response, 'myData.erasureFailed');
+            }
+        } finally {
+            setIsLoading(false);
+        }
+    };
+
+    const handleLogout = () => {
+        setSession(null);
+        setErasureRequest(null);
+        setMessage(null);
+    };
+
+    return (
+        <div className="register-container">
+            <div className="register-card">
+                <div className="register-header">
+                    <div className="logo">
+                        <img src={iwiLogo} alt="IWI HKA Logo" className="logo-img" />
+                    </div>
+                    <h1>{t('myData.title')}</h1>
+                    <p className="subtitle">{t('myData.subtitle')}</p>
+                </div>
+
+                {message && (
+                    <div className={`message message-${message.type}`}>
+                        {format(message.text)}
+                    </div>
+                )}
+
+                {!session ? (
+                    <form onSubmit={handleLogin} className="register-form">
+                        <div className="form-group">
+                            <label htmlFor="rzUsername">
+                                {t('form.rzUsername')} <span className="required">*</span>
+                            </label>
+                            <input
+                                type="text"
+                                id="rzUsername"
+                                name="rzUsername"
+                                value={credentials.rzUsername}
+                                onChange={(e) => setCredentials((prev) => ({ ...prev, rzUsername: e.target.value }))}
+                                placeholder={t('form.rzUsernamePlaceholder')}
+                                disabled={isLoading}
+                            />
+                        </div>
+
+                        <div className="form-group">
+                            <label htmlFor="rzPassword">
+                                {t('form.rzPassword')} <span className="required">*</span>
+                            </label>
+                            <input
+                                type="password"
+                                id="rzPassword"
+                                name="rzPassword"
+                                value={credentials.rzPassword}
+                                onChange={(e) => setCredentials((prev) => ({ ...prev, rzPassword: e.target.value }))}
+                                placeholder={t('form.rzPasswordPlaceholder')}
+                                disabled={isLoading}
+                                autoComplete="off"
+                                autoCorrect="off"
+                                autoCapitalize="off"
+                                spellCheck="false"
+                            />
+                        </div>
+
+                        <ChallengeWidget />
+
+                        <button type="submit" className="btn-primary" disabled={isLoading}>
+                            {isLoading ? t('myData.loggingIn') : t('myData.login')}
+                        </button>
+                    </form>
+                ) : (
+                    <div className="register-form">
+                        <p className="verification-hint">
+                            {t('myData.loggedInAs', { username: session.username })}{' '}
+                            <button type="button" className="btn-link" onClick={handleLogout} disabled={isLoading}>
+                                {t('myData.logout')}
+                            </button>
+                        </p>
+
+                        <section className="data-section">
+                            <h2>{t('myData.exportTitle')}</h2>
+                            <p>{t('myData.exportText')}</p>
+                            <div className="data-actions">
+                                <button type="button" className="btn-primary" onClick={() => handleExport('json')} disabled={isLoading}>
+                                    {t('myData.exportJson')}
+                                </button>
+                                <button type="button" className="btn-primary" onClick={() => handleExport('zip')} disabled={isLoading}>
+                                    {t('myData.exportZip')}
+                                </button>
+                            </div>
+                        </section>
+
+                        <section className="data-section">
+                            <h2>{t('myData.erasureTitle')}</h2>
+                            <p>{t('myData.erasureText')}</p>
+                            {erasureRequest ? (
+                                <form onSubmit={handleConfirmErasure} className="register-form">
+                                    <p className="erasure-warning">
+                                        {t('myData.erasureConfirmText', { username: session.username })}
+                                    </p>
+                                    <div className="form-group">
+                                        <label htmlFor="confirmUsername">{t('myData.erasureConfirmLabel')}</label>
+                                        <input
+                                            type="text"
+                                            id="confirmUsername"
+                                            value={confirmUsername}
+                                            onChange={(e) => setConfirmUsername(e.target.value)}
+                                            disabled={isLoading}
+                                            autoComplete="off"
+                                        />
+                                    </div>
+                                    <div className="data-actions">
+                                        <button type="submit" className="btn-danger" disabled={isLoading}>
+                                            {isLoading ? t('myData.erasing') : t('myData.erasureConfirm')}
+                                        </button>
+                                        <button type="button" className="btn-link" onClick={() => setErasureRequest(null)} disabled={isLoading}>
+                                            {t('myData.erasureCancel')}
+                                        </button>
+                                    </div>
+                                </form>
+                            ) : (
+                                <button type="button" className="btn-danger" onClick={handleRequestErasure} disabled={isLoading}>
+                                    {t('myData.erasureRequest')}
+                                </button>
+                            )}
+                        </section>
+                    </div>
+                )}
+
+                <div className="register-footer">
+                    <p>
+                        <button type="button" className="btn-link" onClick={onBack} disabled={isLoading}>
+                            {t('myData.back')}
+                        </button>
+                    </p>
+                    <p className="support-contact">
+                        {t('support.contact')} <strong>_starmaster_</strong>
+                    </p>
+                </div>
+            </div>
+        </div>
+    );
+};
@@ -1,149 +1,125 @@
 import React, { useState } from 'react';
 import { logger } from '../utils/logger';
+import { useI18n } from '../i18n';
+import type { ConsentAcceptance, ConsentDocument, ConsentVersion } from '../services/api';
 import './PrivacyConsent.css';
 
 interface PrivacyConsentProps {
-    onAccept: () => void;
+    /** Current consent version from the backend, null while loading */
+    texts: ConsentVersion | null;
+    loadFailed: boolean;
+    onRetry: () => void;
+    /** Version the user accepted before, if it is outdated now */
+    previousVersion?: number;
+    onAccept: (consent: ConsentAcceptance) => void;
 }
 
-export const PrivacyConsent: React.FC<PrivacyConsentProps> = ({ onAccept }) => {
+export const PrivacyConsent: React.FC<PrivacyConsentProps> = ({ texts, loadFailed, onRetry, previousVersion, onAccept }) => {
+    const { language, t } = useI18n();
     const [acceptedTerms, setAcceptedTerms] = useState(false);
     const [acceptedPrivacy, setAcceptedPrivacy] = useState(false);
 
     const handleAccept = () => {
-        if (acceptedTerms && acceptedPrivacy) {
-            logger.info('Privacy consent accepted');
-            onAccept();
+        if (texts && acceptedTerms && acceptedPrivacy) {
+            logger.info('Privacy consent accepted', { version: texts.version });
+            onAccept({ version: texts.version, acceptedAt: new Date().toISOString() });
         }
     };
 
+    // Texts in the current language, German if there is no translation
+    const inLanguage = (documents: Record<string, ConsentDocument>) => documents[language] ?? documents.de;
+    const privacy = texts && inLanguage(texts.documents.privacy);
+    const terms = texts && inLanguage(texts.documents.terms);
+    const sections = privacy && terms ? [...privacy.sections, ...terms.sections] : [];
+
     return (
         <div className="privacy-container">
             <div className="privacy-card">
                 <div className="privacy-header">
-                    <h1>Datenschutz und Nutzungsbedingungen</h1>
-                    <p className="subtitle">
-                        Bitte lesen Sie die folgenden Informationen sorgfältig durch und bestätigen Sie Ihre Zustimmung.
-                    </p>
-                </div>
-
-                <div className="privacy-content">
-                    <section className="privacy-section">
-                        <h2>1. Datenerhebung und -verarbeitung</h2>
-                        <p>
-                            Bei der Registrierung für Nextcloud werden folgende personenbezogene Daten erhoben und verarbeitet:
-                        </p>
-                        <ul>
-                            <li>RZ-Benutzername und Passwort (zur Authentifizierung)</li>
-                            <li>E-Mail-Adresse (für Kontoinformationen und Benachrichtigungen)</li>
-                            <li>Anzeigename (für Nextcloud Anzeigename)</li>
-                            <li>Fakultätszugehörigkeit (zur Zugriffskontrolle)</li>
-                        </ul>
-                    </section>
-
-                    <section className="privacy-section">
-                        <h2>2. Zweck der Datenverarbeitung</h2>
-                        <p>
-                            Ihre Daten werden ausschließlich zu folgenden Zwecken verwendet:
-                        </p>
-                        <ul>
-                            <li>Erstellung und Verwaltung Ihres Nextcloud-Kontos</li>
-                            <li>Authentifizierung und Zugriffskontrolle</li>
-                            <li>Bereitstellung der Nextcloud-Dienste für IWI-Studierende</li>
-                            <li>Technische Administration und Support</li>
-                        </ul>
-                    </section>
-
-                    <section className="privacy-section">
-                        <h2>3. Datenweitergabe</h2>
-                        <p>
-                            Ihre Daten werden ausschließlich innerhalb der HKA IWI-Infrastruktur verarbeitet.
-                            Eine Weitergabe an Dritte erfolgt nicht, es sei denn, dies ist gesetzlich vorgeschrieben.
+                    <h1>{t('privacy.title')}</h1>
+                    <p className="subtitle">{t('privacy.subtitle')}</p>
+                    {texts && (
+                        <p className="privacy-version">
+                            {t('privacy.version', {
+                                version: texts.version,
+                                date: new Date(texts.publishedAt).toLocaleDateString(language === 'de' ? 'de-DE' : 'en-GB'),
+                            })}
                         </p>
-                    </section>
+                    )}
+                </div>
 
-                    <section className="privacy-section">
-                        <h2>4. Datenspeicherung</h2>
-                        <p>
-                            Ihre Daten werden für die Dauer Ihres Studiums bzw. Ihrer Zugehörigkeit zur
-                            IWI-Fakultät gespeichert. Nach Beendigung des Studiums oder auf Ihren Wunsch
-                            werden die Daten gelöscht.
-                        </p>
-                    </section>
+                {texts && previousVersion !== undefined && previousVersion < texts.version && (
+                    <div className="privacy-updated">{t('privacy.updated')}</div>
+                )}
 
-                    <section className="privacy-section">
-                        <h2>5. Ihre Rechte</h2>
-                        <p>
-                            Sie haben das Recht auf:
-                        </p>
-                        <ul>
-                            <li>Auskunft über Ihre gespeicherten Daten</li>
-                            <li>Berichtigung unrichtiger Daten</li>
-                            <li>Löschung Ihrer Daten</li>
-                            <li>Einschränkung der Verarbeitung</li>
-                            <li>Widerspruch gegen die Verarbeitung</li>
-                            <li>Datenübertragbarkeit</li>
-                        </ul>
-                        <p>
-                            Bei Fragen zum Datenschutz wenden Sie sich bitte an:
-                            <a href="mailto:datenschutz@iwi-hka.de">datenschutz@iwi-hka.de</a>
-                        </p>
-                    </section>
-
-                    <section className="privacy-section">
-                        <h2>6. Nutzungsbedingungen</h2>
+                <div className="privacy-content">
+                    {!texts && !loadFailed && <p>{t('privacy.loading')}</p>}
+                    {!texts && loadFailed && (
                         <p>
-                            Mit der Nutzung des Nextcloud-Dienstes verpflichten Sie sich:
+                            {t('privacy.loadFailed')}{' '}
+                            <button type="button" className="btn-retry" onClick={onRetry}>
+                                {t('privacy.retry')}
+                            </button>
                         </p>
-                        <ul>
-                            <li>Den Dienst ausschließlich für studienbezogene Zwecke zu nutzen</li>
-                            <li>Keine rechtswidrigen Inhalte zu speichern oder zu teilen</li>
-                            <li>Die Speicherplatzgrenzen zu beachten</li>
-                            <li>Ihre Zugangsdaten vertraulich zu behandeln</li>
-                            <li>Bei Missbrauch oder Sicherheitsvorfällen umgehend die Administration zu informieren</li>
-                        </ul>
-                    </section>
+                    )}
+                    {sections.map((section, index) => (
+                        <section className="privacy-section" key={`${index}-${section.heading}`}>
+                            <h2>{index + 1}. {section.heading}</h2>
+                            {section.paragraphs?.map((paragraph) => <p key={paragraph}>{paragraph}</p>)}
+                            {section.items && (
+                                <ul>
+                                    {section.items.map((item) => <li key={item}>{item}</li>)}
+                                </ul>
+                            )}
+                            {section.contact && (
+                                <p>
+                                    {section.contactLabel}{' '}
+                                    <a href={`mailto:${section.contact}`}>{section.contact}</a>
+                                </p>
+                            )}
+                        </section>
+                    ))}
                 </div>
 
-                <div className="privacy-checkboxes">
-                    <label className="checkbox-label">
-                        <input
-                            type="checkbox"
-                            checked={acceptedPrivacy}
-                            onChange={(e) => setAcceptedPrivacy(e.target.checked)}
-                        />
-                        <span>
-                            Ich habe die Datenschutzinformationen gelesen und stimme der Verarbeitung
-                            meiner personenbezogenen Daten wie oben beschrieben zu. <span className="required">*</span>
-                        </span>
-                    </label>
+                {privacy && terms && (
+                    <div className="privacy-checkboxes">
+                        <label className="checkbox-label">
+                            <input
+                                type="checkbox"
+                                checked={acceptedPrivacy}
+                                onChange={(e) => setAcceptedPrivacy(e.target.checked)}
+                            />
+                            <span>
+                                {privacy.confirmation} <span className="required">*</span>
+                            </span>
+                        </label>
 
-                    <label className="checkbox-label">
-                        <input
-                            type="checkbox"
-                            checked={acceptedTerms}
-                            onChange={(e) => setAcceptedTerms(e.target.checked)}
-                        />
-                        <span>
-                            Ich habe die Nutzungsbedingungen gelesen und akzeptiere diese. <span className="required">*</span>
-                        </span>
-                    </label>
-                </div>
+                        <label className="checkbox-label">
+                            <input
+                                type="checkbox"
+                                checked={acceptedTerms}
+                                onChange={(e) => setAcceptedTerms(e.target.checked)}
+                            />
+                            <span>
+                                {terms.confirmation} <span className="required">*</span>
+                            </span>
+                        </label>
+                    </div>
+                )}
 
                 <div className="privacy-actions">
                     <button
                         className="btn-accept"
                         onClick={handleAccept}
-                        disabled={!acceptedTerms || !acceptedPrivacy}
+                        disabled={!texts || !acceptedTerms || !acceptedPrivacy}
                     >
-                        Zustimmen und fortfahren
+                        {t('privacy.accept')}
                     </button>
                     <p className="privacy-note">
-                        <span className="required">*</span> Pflichtfelder - Sie müssen beide Bedingungen
-                        akzeptieren, um fortzufahren.
+                        <span className="required">*</span> {t('privacy.note')}
                     </p>
                     <p className="support-contact">
-                        Bei Problemen oder Fragen an Louis wenden - Discord: <strong>_starmaster_</strong>
+                        {t('support.contact')} <strong>_starmaster_</strong>
                     </p>
                 </div>
             </div>
@@ -0,0 +1,315 @@
+import React, { useState, type FormEvent } from 'react';
+import { apiService, type ConsentAcceptance, type PendingRecovery, type RecoveryData } from '../services/api';
+import { ChallengeWidget } from './ChallengeWidget';
+import { logger } from '../utils/logger';
+import { apiMessage, useI18n, type MessageKey, type UserMessage } from '../i18n';
+import './RegisterPage.css';
+import iwiLogo from '../assets/iwi-logo.png';
+
+interface RecoveryPageProps {
+    /** Consent the user accepted, sent along with the RZ login */
+    consent: ConsentAcceptance;
+    /** Called when the backend asks for the current consent version */
+    onConsentRequired: () => void;
+    onBack: () => void;
+}
+
+interface FormErrors {
+    rzUsername?: MessageKey;
+    rzPassword?: MessageKey;
+    email?: MessageKey;
+}
+
+export const RecoveryPage: React.FC<RecoveryPageProps> = ({ consent, onConsentRequired, onBack }) => {
+    const { t, format } = useI18n();
+    const [formData, setFormData] = useState<RecoveryData>({
+        rzUsername: '',
+        rzPassword: '',
+        email: '',
+    });
+
+    const [pendingRecovery, setPendingRecovery] = useState<PendingRecovery | null>(null);
+    const [verificationCode, setVerificationCode] = useState('');
+    const [errors, setErrors] = useState<FormErrors>({});
+    const [isLoading, setIsLoading] = useState(false);
+    const [submitMessage, setSubmitMessage] = useState<{
+        type: 'success' | 'error';
+        text: UserMessage;
+    } | null>(null);
+
+    const validateForm = (): boolean => {
+        const newErrors: FormErrors = {};
+
+        if (!formData.rzUsername) {
+            newErrors.rzUsername = 'validation.usernameRequired';
+        }
+
+        if (!formData.rzPassword) {
+            newErrors.rzPassword = 'validation.passwordRequired';
+        }
+
+        // The new email is optional, but has to be valid if given
+        if (formData.email && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(formData.email)) {
+            newErrors.email = 'validation.emailInvalid';
+        }
+
+        setErrors(newErrors);
+        return Object.keys(newErrors).length === 0;
+    };
+
+    const handleInputChange = (e: React.ChangeEvent<HTMLInputElement>) => {
+        const { name, value } = e.target;
+        setFormData((prev) => ({
+            ...prev,
+            [name]: value,
+        }));
+        if (errors[name as keyof FormErrors]) {
+            setErrors((prev) => ({
+                ...prev,
+                [name]: undefined,
+            }));
+        }
+    };
+
+    const finishRecovery = async (pending: PendingRecovery, code?: string) => {
+        const response = await apiService.confirmRecovery(pending, code);
+
+        if (response.success) {
+            logger.info('Account recovery successful', { rzUsername: pending.rzUsername });
+            setSubmitMessage({
+                type: 'success',
+                text: apiMessage(response, 'api.RESET_MAIL_SENT'),
+            });
+
+            // Clear sensitive data from memory
+            setPendingRecovery(null);
+            setVerificationCode('');
+            setFormData({
+                rzUsername: '',
+                rzPassword: '',
+                email: '',
+            });
+        } else {
+            logger.error('Account recovery failed', response.error);
+            setSubmitMessage({
+                type: 'error',
+                text: apiMessage(response, 'recovery.failed'),
+            });
+        }
+    };
+
+    const handleSubmit = async (e: FormEvent<HTMLFormElement>) => {
+        e.preventDefault();
+        setSubmitMessage(null);
+
+        if (!validateForm()) {
+            logger.warn('Recovery form validation failed', errors);
+            return;
+        }
+
+        setIsLoading(true);
+
+        try {
+            const response = await apiService.startRecovery({
+                ...formData,
+                email: formData.email || undefined,
+            }, consent);
+
+            // The password is not needed anymore once the ticket has been issued
+            setFormData((prev) => ({
+                ...prev,
+                rzPassword: '',
+            }));
+
+            if (response.code === 'CONSENT_REQUIRED') {
+                logger.warn('Consent outdated, asking again', { rzUsername: formData.rzUsername });
+                onConsentRequired();
+                return;
+            }
+
+            if (!response.success || !response.data) {
+                logger.error('Account recovery failed', response.error);
+                setSubmitMessage({
+                    type: 'error',
+                    text: apiMessage(response, 'recovery.failed'),
+                });
+                return;
+            }
+
+            if (response.data.email) {
+                setPendingRecovery(response.data);
+                setSubmitMessage({
+                    type: 'success',
+                    text: apiMessage(response, 'api.VERIFICATION_CODE_SENT'),
+                });
+            } else {
+                await finishRecovery(response.data);
+            }
+        } catch (error) {
+            logger.error('Unexpected error during account recovery', error);
+            setSubmitMessage({
+                type: 'error',
+                text: { key: 'common.unexpectedError' },
+            });
+        } finally {
+            setIsLoading(false);
+        }
+    };
+
+    const handleVerify = async (e: FormEvent<HTMLFormElement>) => {
+        e.preventDefault();
+        if (!pendingRecovery) return;
+
+        setSubmitMessage(null);
+
+        if (!/^\d{6}$/.test(verificationCode.trim())) {
+            setSubmitMessage({
+                type: 'error',
+                text: { key: 'validation.codeInvalid' },
+            });
+            return;
+        }
+
+        setIsLoading(true);
+
+        try {
+            await finishRecovery(pendingRecovery, verificationCode.trim());
+        } catch (error) {
+            logger.error('Unexpected error during account recovery', error);
+            setSubmitMessage({
+                type: 'error',
+                text: { key: 'common.unexpectedError' },
+            });
+        } finally {
+            setIsLoading(false);
+        }
+    };
+
+    return (
+        <div className="register-container">
+            <div className="register-card">
+                <div className="register-header">
+                    <div className="logo">
+                        <img src={iwiLogo} alt="IWI HKA Logo" className="logo-img" />
+                    </div>
+                    <h1>{t('recovery.title')}</h1>
+                    <p className="subtitle">{t('recovery.subtitle')}</p>
+                </div>
+
+                {pendingRecovery ? (
+                    <form onSubmit={handleVerify} className="register-form">
+                        {submitMessage && (
+                            <div className={`message message-${submitMessage.type}`}>
+                                {format(submitMessage.text)}
+                            </div>
+                        )}
+
+                        <p className="verification-hint">
+                            {t('verification.hint')} <strong>{pendingRecovery.email}</strong>
+                        </p>
+
+                        <div className="form-group">
+                            <label htmlFor="verificationCode">
+                                {t('verification.code')} <span className="required">*</span>
+                            </label>
+                            <input
+                                type="text"
+                                id="verificationCode"
+                                name="verificationCode"
+                                value={verificationCode}
+                                onChange={(e) => setVerificationCode(e.target.value)}
+                                placeholder={t('verification.codePlaceholder')}
+                                disabled={isLoading}
+                                inputMode="numeric"
+                                autoComplete="one-time-code"
+                                maxLength={6}
+                            />
+                        </div>
+
+                        <button type="submit" className="btn-primary" disabled={isLoading}>
+                            {isLoading ? t('verification.verifying') : t('recovery.verifySubmit')}
+                        </button>
+                    </form>
+                ) : (
+                    <form onSubmit={handleSubmit} className="register-form">
+                        {submitMessage && (
+                            <div className={`message message-${submitMessage.type}`}>
+                                {format(submitMessage.text)}
+                            </div>
+                        )}
+
+                        <div className="form-group">
+                            <label htmlFor="rzUsername">
+                                {t('form.rzUsername')} <span className="required">*</span>
+                            </label>
+                            <input
+                                type="text"
+                                id="rzUsername"
+                                name="rzUsername"
+                                value={formData.rzUsername}
+                                onChange={handleInputChange}
+                                placeholder={t('form.rzUsernamePlaceholder')}
+                                disabled={isLoading}
+                                className={errors.rzUsername ? 'error' : ''}
+                            />
+                            {errors.rzUsername && <span className="error-text">{t(errors.rzUsername)}</span>}
+                        </div>
+
+                        <div className="form-group">
+                            <label htmlFor="rzPassword">
+                                {t('form.rzPassword')} <span className="required">*</span>
+                            </label>
+                            <input
+                                type="password"
+                                id="rzPassword"
+                                name="rzPassword"
+                                value={formData.rzPassword}
+                                onChange={handleInputChange}
+                                placeholder={t('form.rzPasswordPlaceholder')}
+                                disabled={isLoading}
+                                className={errors.rzPassword ? 'error' : ''}
+                                autoComplete="off"
+                                autoCorrect="off"
+                                autoCapitalize="off"
+                                spellCheck="false"
+                            />
+                            {errors.rzPassword && <span className="error-text">{t(errors.rzPassword)}</span>}
+                        </div>
+
+                        <div className="form-group">
+                            <label htmlFor="email">{t('recovery.newEmail')}</label>
+                            <input
+                                type="email"
+                                id="email"
+                                name="email"
+                                value={formData.email}
+                                onChange={handleInputChange}
+                                placeholder={t('recovery.newEmailPlaceholder')}
+                                disabled={isLoading}
+                                className={errors.email ? 'error' : ''}
+                            />
+                            {errors.email && <span className="error-text">{t(errors.email)}</span>}
+                        </div>
+
+                        <ChallengeWidget />
+
+                        <button type="submit" className="btn-primary" disabled={isLoading}>
+                            {isLoading ? t('recovery.submitting') : t('recovery.submit')}
+                        </button>
+                    </form>
+                )}
+
+                <div className="register-footer">
+                    <p>
+                        <button type="button" className="btn-link" onClick={onBack} disabled={isLoading}>
+                            {t('recovery.back')}
+                        </button>
+                    </p>
+                    <p className="support-contact">
+                        {t('support.contact')} <strong>_starmaster_</strong>
+                    </p>
+                </div>
+            </div>
+        </div>
+    );
+};
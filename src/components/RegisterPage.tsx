@@ -1,61 +1,165 @@
-import React, { useState, type FormEvent } from 'react';
-import { apiService, type RegisterData } from '../services/api';
+import React, { useEffect, useState, type FormEvent } from 'react';
+import {
+    apiService,
+    type ApiResponse,
+    type AuthenticatedRegistration,
+    type ConsentAcceptance,
+    type OnboardingStep,
+    type PendingRegistration,
+    type UsernameAvailability,
+} from '../services/api';
+import { ChallengeWidget } from './ChallengeWidget';
 import { logger } from '../utils/logger';
+import {
+    backToLogin,
+    emptyRegistrationProgress,
+    loadRegistrationProgress,
+    storeRegistrationProgress,
+    type LoginMode,
+    type RegistrationProgress,
+    type WizardStep,
+} from '../utils/registrationProgress';
+import { apiMessage, useI18n, type MessageKey, type UserMessage } from '../i18n';
 import './RegisterPage.css';
 import iwiLogo from '../assets/iwi-logo.png';
 
 interface FormErrors {
-    rzUsername?: string;
-    email?: string;
-    rzPassword?: string;
-    displayName?: string;
+    rzUsername?: MessageKey;
+    email?: MessageKey;
+    rzPassword?: MessageKey;
+    displayName?: MessageKey;
+    invitationCode?: MessageKey;
+    guestUsername?: MessageKey;
 }
 
-export const RegisterPage: React.FC = () => {
-    const [formData, setFormData] = useState<RegisterData>({
-        rzUsername: '',
-        email: '',
-        rzPassword: '',
-        displayName: '',
-    });
+interface RegisterPageProps {
+    /** Consent the user accepted, sent along with the RZ login */
+    consent: ConsentAcceptance;
+    /** Called when the backend asks for the current consent version */
+    onConsentRequired: () => void;
+    onShowRecovery: () => void;
+    onShowMyData: () => void;
+}
+
+const STEPS: { step: WizardStep; label: MessageKey }[] = [
+    { step: 'login', label: 'wizard.stepLogin' },
+    { step: 'profile', label: 'wizard.stepProfile' },
+    { step: 'confirm', label: 'wizard.stepConfirm' },
+];
+
+const USERNAME_PATTERN = /^[a-zA-Z0-9._-]+$/;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Wait after the last keystroke before asking the backend whether the username is taken
+const AVAILABILITY_DELAY_MS = 400;
 
+// Initials for the avatar of the account preview ("Max Mustermann" -> "MM")
+const initialsOf = (name: string): string => name
+    .split(/\s+/)
+    .filter(Boolean)
+    .slice(0, 2)
+    .map((part) => part.charAt(0).toUpperCase())
+    .join('');
+
+/**
+ * Registration wizard: RZ login, then display name and email with a preview
+ * of the account, then confirmation with the emailed code. Guests without an
+ * RZ account start with an invitation code and a username of their choice
+ * instead. The progress is kept in sessionStorage (see
+ * utils/registrationProgress), the RZ password and the invitation code only
+ * in this component's state.
+ */
+export const RegisterPage: React.FC<RegisterPageProps> = ({ consent, onConsentRequired, onShowRecovery, onShowMyData }) => {
+    const { t, format } = useI18n();
+    const [restored] = useState(loadRegistrationProgress);
+    const [progress, setProgress] = useState<RegistrationProgress>(restored.progress);
+    const [rzPassword, setRzPassword] = useState('');
+    const [invitationCode, setInvitationCode] = useState('');
+    const [verificationCode, setVerificationCode] = useState('');
+    const [availability, setAvailability] = useState<Partial<UsernameAvailability> & { username: string } | null>(null);
     const [errors, setErrors] = useState<FormErrors>({});
+    const [retryUntil, setRetryUntil] = useState<number | null>(null);
+    const [retrySecondsLeft, setRetrySecondsLeft] = useState(0);
     const [isLoading, setIsLoading] = useState(false);
     const [submitMessage, setSubmitMessage] = useState<{
         type: 'success' | 'error';
-        text: string;
-    } | null>(null);
+        text: UserMessage;
+        /** Onboarding of the new account, shown below a successful registration */
+        onboarding?: { completed: boolean; steps: OnboardingStep[] };
+    } | null>(restored.expired ? { type: 'error', text: { key: 'api.TICKET_INVALID' } } : null);
+    const [userExists, setUserExists] = useState(false);
+    const [exceptionRequest, setExceptionRequest] = useState<{ rzUsername: string; ticket: string } | null>(null);
+    const [exceptionReason, setExceptionReason] = useState('');
 
-    const validateForm = (): boolean => {
-        const newErrors: FormErrors = {};
+    useEffect(() => {
+        storeRegistrationProgress(progress);
+    }, [progress]);
 
-        // RZ Username validation
-        if (!formData.rzUsername) {
-            newErrors.rzUsername = 'RZ Username is required';
-        }
+    // Count down the wait time after the backend rate limited the RZ login
+    useEffect(() => {
+        if (retryUntil === null) return;
 
-        // Email validation
-        if (!formData.email) {
-            newErrors.email = 'Email is required';
-        } else if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(formData.email)) {
-            newErrors.email = 'Please enter a valid email address';
-        }
+        const tick = () => {
+            const secondsLeft = Math.max(0, Math.ceil((retryUntil - Date.now()) / 1000));
+            setRetrySecondsLeft(secondsLeft);
+            if (secondsLeft === 0) {
+                setRetryUntil(null);
+            }
+        };
 
-        // RZ Password validation
-        if (!formData.rzPassword) {
-            newErrors.rzPassword = 'RZ Password is required';
-        }
+        tick();
+        const interval = setInterval(tick, 1000);
+        return () => clearInterval(interval);
+    }, [retryUntil]);
 
-        setErrors(newErrors);
-        return Object.keys(newErrors).length === 0;
+    // Check while the username is typed whether it already has a Nextcloud account
+    const invitationMode = progress.mode === 'invitation';
+    const typedUsername = progress.rzUsername.trim();
+    useEffect(() => {
+        if (progress.step !== 'login' || invitationMode || !USERNAME_PATTERN.test(typedUsername)) return;
+
+        let cancelled = false;
+        const timer = setTimeout(async () => {
+            const response = await apiService.checkUsername(typedUsername);
+            if (cancelled) return;
+            if (!response.success) {
+                // Not decisive - creating the account checks again
+                logger.warn('Username availability check failed', response.error);
+            }
+            setAvailability({ ...response.data, username: typedUsername });
+        }, AVAILABILITY_DELAY_MS);
+
+        return () => {
+            cancelled = true;
+            clearTimeout(timer);
+        };
+    }, [progress.step, invitationMode, typedUsername]);
+
+    const checkedUsername = !invitationMode && USERNAME_PATTERN.test(typedUsername) && availability?.username === typedUsername;
+    const usernameCollision = checkedUsername && availability?.collision === true;
+    const usernameTaken = checkedUsername && availability?.available === false && !usernameCollision;
+
+    const formatWaitTime = (seconds: number): string => {
+        const minutes = Math.floor(seconds / 60);
+        const rest = seconds % 60;
+        return `${minutes}:${rest.toString().padStart(2, '0')}`;
     };
 
     const handleInputChange = (e: React.ChangeEvent<HTMLInputElement>) => {
         const { name, value } = e.target;
-        setFormData((prev) => ({
-            ...prev,
-            [name]: value,
-        }));
+        if (name === 'rzPassword') {
+            setRzPassword(value);
+        } else if (name === 'invitationCode') {
+            setInvitationCode(value);
+        } else {
+            setProgress((prev) => ({
+                ...prev,
+                [name]: value,
+            }));
+        }
+        if (name === 'rzUsername') {
+            setUserExists(false);
+        }
         // Clear error for this field when user starts typing
         if (errors[name as keyof FormErrors]) {
             setErrors((prev) => ({
@@ -65,66 +169,400 @@ export const RegisterPage: React.FC = () => {
         }
     };
 
-    const handleSubmit = async (e: FormEvent<HTMLFormElement>) => {
+    // The registration ticket of the RZ login, with the data entered since
+    const pendingRegistration = (): PendingRegistration | null => {
+        if (!progress.registrationTicket) return null;
+        return {
+            rzUsername: progress.rzUsername,
+            email: progress.email,
+            displayName: progress.displayName.trim() || undefined,
+            registrationTicket: progress.registrationTicket,
+            codeExpiresAt: progress.codeExpiresAt,
+        };
+    };
+
+    // An expired or foreign ticket needs a new RZ login; the entered data is kept
+    const handleTicketFailure = (response: ApiResponse): boolean => {
+        if (!response.code?.startsWith('TICKET_')) return false;
+        logger.warn('Registration ticket rejected, back to login', { code: response.code });
+        setProgress((prev) => backToLogin(prev));
+        setVerificationCode('');
+        setSubmitMessage({ type: 'error', text: apiMessage(response, 'api.TICKET_INVALID') });
+        return true;
+    };
+
+    // The RZ login or the invitation passed - on to the profile with the ticket
+    const startProfile = (registration: AuthenticatedRegistration) => {
+        setProgress((prev) => ({
+            ...prev,
+            step: 'profile',
+            rzUsername: registration.rzUsername,
+            registrationTicket: registration.registrationTicket,
+            ticketExpiresAt: registration.ticketExpiresAt,
+            suggestedDisplayName: registration.suggestedDisplayName,
+            nextcloudUsername: registration.nextcloudUsername,
+            codeSent: false,
+            codeExpiresAt: undefined,
+        }));
+    };
+
+    const handleSwitchMode = (mode: LoginMode) => {
+        setProgress((prev) => ({ ...prev, mode }));
+        setErrors({});
+        setSubmitMessage(null);
+        setUserExists(false);
+        setExceptionRequest(null);
+    };
+
+    const handleLogin = async (e: FormEvent<HTMLFormElement>) => {
+        e.preventDefault();
+        setSubmitMessage(null);
+        setExceptionRequest(null);
+
+        const newErrors: FormErrors = {};
+        if (!typedUsername) {
+            newErrors.rzUsername = 'validation.usernameRequired';
+        }
+        if (!rzPassword) {
+            newErrors.rzPassword = 'validation.passwordRequired';
+        }
+        setErrors(newErrors);
+        if (Object.keys(newErrors).length > 0) {
+            logger.warn('Form validation failed', newErrors);
+            return;
+        }
+
+        // Known to exist already - no need to send the password
+        if (usernameTaken) {
+            setUserExists(true);
+            return;
+        }
+        if (usernameCollision) {
+            return;
+        }
+
+        logger.info('RZ login started', { rzUsername: typedUsername });
+        setIsLoading(true);
+
+        try {
+            const response = await apiService.authenticate({ rzUsername: typedUsername, rzPassword }, consent);
+
+            if (response.success && response.data) {
+                logger.info('RZ login successful', { rzUsername: typedUsername });
+                startProfile(response.data);
+            } else if (response.code === 'CONSENT_REQUIRED') {
+                logger.warn('Consent outdated, asking again', { rzUsername: typedUsername });
+                onConsentRequired();
+            } else if (response.retryAfter) {
+                logger.warn('Registration rate limited', { retryAfter: response.retryAfter });
+                setRetryUntil(Date.now() + response.retryAfter * 1000);
+            } else {
+                logger.error('Registration failed', response.error);
+                setSubmitMessage({
+                    type: 'error',
+                    text: apiMessage(response, 'register.failed'),
+                });
+
+                // Rejected by the eligibility policy - offer to ask an admin for an exception
+                if (response.exceptionTicket) {
+                    setExceptionRequest({ rzUsername: typedUsername, ticket: response.exceptionTicket });
+                    setExceptionReason('');
+                }
+            }
+        } catch (error) {
+            logger.error('Unexpected error during registration', error);
+            setSubmitMessage({
+                type: 'error',
+                text: { key: 'common.unexpectedError' },
+            });
+        } finally {
+            // The password is no longer needed once the ticket has been issued
+            setRzPassword('');
+            setIsLoading(false);
+        }
+    };
+
+    const handleInvitation = async (e: FormEvent<HTMLFormElement>) => {
+        e.preventDefault();
+        setSubmitMessage(null);
+
+        const guestUsername = progress.guestUsername.trim();
+        const newErrors: FormErrors = {};
+        if (!invitationCode.trim()) {
+            newErrors.invitationCode = 'validation.invitationCodeRequired';
+        }
+        if (!guestUsername) {
+            newErrors.guestUsername = 'validation.guestUsernameRequired';
+        } else if (!USERNAME_PATTERN.test(guestUsername)) {
+            newErrors.guestUsername = 'api.INVALID_USERNAME_FORMAT';
+        }
+        setErrors(newErrors);
+        if (Object.keys(newErrors).length > 0) {
+            logger.warn('Form validation failed', newErrors);
+            return;
+        }
+
+        logger.info('Invitation redemption started', { guestUsername });
+        setIsLoading(true);
+
+        try {
+            const response = await apiService.redeemInvitation({ invitationCode: invitationCode.trim(), username: guestUsername }, consent);
+
+            if (response.success && response.data) {
+                logger.info('Invitation accepted', { guestId: response.data.rzUsername });
+                setInvitationCode('');
+                startProfile(response.data);
+            } else if (response.code === 'CONSENT_REQUIRED') {
+                onConsentRequired();
+            } else if (response.retryAfter) {
+                logger.warn('Invitation redemption rate limited', { retryAfter: response.retryAfter });
+                setRetryUntil(Date.now() + response.retryAfter * 1000);
+            } else {
+                logger.error('Invitation redemption failed', response.error);
+                setSubmitMessage({
+                    type: 'error',
+                    text: apiMessage(response, 'register.failed'),
+                });
+            }
+        } catch (error) {
+            logger.error('Unexpected error during invitation redemption', error);
+            setSubmitMessage({
+                type: 'error',
+                text: { key: 'common.unexpectedError' },
+            });
+        } finally {
+            setIsLoading(false);
+        }
+    };
+
+    const handleProfile = (e: FormEvent<HTMLFormElement>) => {
         e.preventDefault();
         setSubmitMessage(null);
 
-        logger.info('Form submission started', { rzUsername: formData.rzUsername });
+        const newErrors: FormErrors = {};
+        if (!progress.email) {
+            newErrors.email = 'validation.emailRequired';
+        } else if (!EMAIL_PATTERN.test(progress.email)) {
+            newErrors.email = 'validation.emailInvalid';
+        }
+        setErrors(newErrors);
+        if (Object.keys(newErrors).length > 0) {
+            return;
+        }
+
+        setProgress((prev) => ({ ...prev, step: 'confirm', email: prev.email.trim() }));
+    };
+
+    const handleSendCode = async () => {
+        const pending = pendingRegistration();
+        if (!pending) return;
+
+        setSubmitMessage(null);
+        setIsLoading(true);
+
+        try {
+            const response = await apiService.resendVerificationCode(pending);
+
+            if (response.success && response.data) {
+                logger.info('Verification code requested', { rzUsername: pending.rzUsername });
+                const codeExpiresAt = response.data.codeExpiresAt;
+                setProgress((prev) => ({ ...prev, codeSent: true, codeExpiresAt }));
+                setSubmitMessage({
+                    type: 'success',
+                    text: apiMessage(response, 'api.VERIFICATION_CODE_SENT'),
+                });
+            } else if (!handleTicketFailure(response)) {
+                setSubmitMessage({
+                    type: 'error',
+                    text: apiMessage(response, progress.codeSent ? 'register.resendFailed' : 'register.failed'),
+                });
+            }
+        } finally {
+            setIsLoading(false);
+        }
+    };
 
-        if (!validateForm()) {
-            logger.warn('Form validation failed', errors);
+    const handleVerify = async (e: FormEvent<HTMLFormElement>) => {
+        e.preventDefault();
+        const pending = pendingRegistration();
+        if (!pending) return;
+
+        setSubmitMessage(null);
+
+        if (!/^\d{6}$/.test(verificationCode.trim())) {
+            setSubmitMessage({
+                type: 'error',
+                text: { key: 'validation.codeInvalid' },
+            });
             return;
         }
 
         setIsLoading(true);
 
         try {
-            const response = await apiService.register(formData);
+            const response = await apiService.confirmRegistration(pending, verificationCode.trim());
 
             if (response.success) {
-                logger.info('Registration successful', { rzUsername: formData.rzUsername });
+                logger.info('Registration successful', { rzUsername: pending.rzUsername });
                 setSubmitMessage({
                     type: 'success',
-                    text: response.message || 'Registration successful! You can now log in.',
+                    text: apiMessage(response, 'api.USER_CREATED'),
+                    onboarding: response.data?.onboarding,
                 });
 
-                // Clear sensitive data from memory
-                setFormData({
-                    rzUsername: '',
-                    email: '',
-                    rzPassword: '',
-                    displayName: '',
+                // Clear sensitive data from memory and storage
+                setProgress(emptyRegistrationProgress());
+                setVerificationCode('');
+            } else if (response.code === 'USERNAME_COLLISION') {
+                // Someone else's account has the ID - recovery would not help
+                logger.warn('Nextcloud username collision', { rzUsername: pending.rzUsername });
+                setProgress((prev) => backToLogin(prev));
+                setVerificationCode('');
+                setSubmitMessage({
+                    type: 'error',
+                    text: apiMessage(response, 'api.USERNAME_COLLISION'),
                 });
-            } else {
-                logger.error('Registration failed', response.error);
+            } else if (response.code?.startsWith('INVITATION_')) {
+                // The invitation ran out or was revoked since it was redeemed
+                logger.warn('Invitation no longer valid', { rzUsername: pending.rzUsername, code: response.code });
+                setProgress((prev) => backToLogin(prev));
+                setVerificationCode('');
                 setSubmitMessage({
                     type: 'error',
-                    text: response.error || 'Registration failed. Please try again.',
+                    text: apiMessage(response, 'api.INVITATION_INVALID'),
+                });
+            } else if (response.code === 'PASSWORD_MAIL_FAILED') {
+                // The account was created, but only the recovery can send the mail to set its password
+                logger.error('Password mail failed after registration', { rzUsername: pending.rzUsername });
+                setProgress((prev) => backToLogin(prev));
+                setVerificationCode('');
+                setUserExists(!invitationMode);
+                setSubmitMessage({
+                    type: 'error',
+                    text: apiMessage(response, 'api.PASSWORD_MAIL_FAILED'),
+                });
+            } else if (response.status === 409) {
+                // The account exists already - point the user to the recovery flow
+                logger.warn('Registration for existing user', { rzUsername: pending.rzUsername });
+                setProgress((prev) => backToLogin(prev));
+                setVerificationCode('');
+                setUserExists(!invitationMode);
+                setSubmitMessage({
+                    type: 'error',
+                    text: apiMessage(response, 'api.USER_EXISTS'),
+                });
+            } else if (!handleTicketFailure(response)) {
+                logger.error('Email verification failed', response.error);
+                setSubmitMessage({
+                    type: 'error',
+                    text: apiMessage(response, 'register.verifyFailed'),
                 });
-
-                // Clear password on error
-                setFormData((prev) => ({
-                    ...prev,
-                    rzPassword: '',
-                }));
             }
         } catch (error) {
-            logger.error('Unexpected error during registration', error);
+            logger.error('Unexpected error during email verification', error);
             setSubmitMessage({
                 type: 'error',
-                text: 'An unexpected error occurred. Please try again later.',
+                text: { key: 'common.unexpectedError' },
             });
+        } finally {
+            setIsLoading(false);
+        }
+    };
 
-            // Clear password on error
-            setFormData((prev) => ({
-                ...prev,
-                rzPassword: '',
-            }));
+    const handleExceptionRequest = async () => {
+        if (!exceptionRequest) return;
+
+        if (!exceptionReason.trim()) {
+            setSubmitMessage({
+                type: 'error',
+                text: { key: 'register.exceptionReasonRequired' },
+            });
+            return;
+        }
+
+        setIsLoading(true);
+
+        try {
+            const response = await apiService.requestException({
+                rzUsername: exceptionRequest.rzUsername,
+                exceptionTicket: exceptionRequest.ticket,
+                email: progress.email || undefined,
+                reason: exceptionReason.trim(),
+            });
+
+            setSubmitMessage({
+                type: response.success ? 'success' : 'error',
+                text: apiMessage(response, response.success ? 'api.EXCEPTION_REQUEST_SUBMITTED' : 'register.exceptionFailed'),
+            });
+
+            if (response.success || response.status === 409) {
+                setExceptionRequest(null);
+                setExceptionReason('');
+            }
         } finally {
             setIsLoading(false);
         }
     };
 
+    // Going back to the profile invalidates a code sent to the previous address
+    const handleEditProfile = () => {
+        setProgress((prev) => ({ ...prev, step: 'profile', codeSent: false, codeExpiresAt: undefined }));
+        setVerificationCode('');
+        setSubmitMessage(null);
+    };
+
+    const handleBackToLogin = () => {
+        setProgress((prev) => backToLogin(prev));
+        setErrors({});
+        setSubmitMessage(null);
+    };
+
+    const nextcloudUsername = progress.nextcloudUsername || progress.rzUsername;
+    const previewName = progress.displayName.trim() || progress.suggestedDisplayName || nextcloudUsername;
+    const stepIndex = STEPS.findIndex(({ step }) => step === progress.step);
+
+    // Helper function to name an onboarding step like "folder:Studium" or "password-mail"
+    const onboardingStepLabel = ({ step }: OnboardingStep) => {
+        const [kind, ...rest] = step.split(':');
+        const name = rest.join(':').replace(/^\//, '');
+        if (kind === 'folder') return t('onboarding.folder', { name });
+        if (kind === 'share') return t('onboarding.share', { name });
+        if (kind === 'calendar') return t('onboarding.calendar', { name });
+        if (kind === 'password-mail') return t('onboarding.passwordMail');
+        return step;
+    };
+
+    const renderMessage = () => submitMessage && (
+        <div className={`message message-${submitMessage.type}`}>
+            {format(submitMessage.text)}
+            {submitMessage.onboarding && submitMessage.onboarding.steps.length > 0 && (
+                <div className="onboarding">
+                    <p>{t('onboarding.title')}</p>
+                    <ul className="onboarding-steps">
+                        {submitMessage.onboarding.steps.map((step) => (
+                            <li key={step.step} className={step.success ? 'done' : 'failed'}>
+                                {onboardingStepLabel(step)}
+                                {!step.success && ` (${t('onboarding.failed')})`}
+                            </li>
+                        ))}
+                    </ul>
+                    {!submitMessage.onboarding.completed && <p>{t('onboarding.incomplete')}</p>}
+                </div>
+            )}
+        </div>
+    );
+
+    const renderSummary = () => (
+        <dl className="account-summary">
+            <dt>{t('wizard.summaryUsername')}</dt>
+            <dd>{nextcloudUsername}</dd>
+            <dt>{t('wizard.summaryDisplayName')}</dt>
+            <dd>{previewName}</dd>
+            <dt>{t('wizard.summaryEmail')}</dt>
+            <dd>{progress.email}</dd>
+        </dl>
+    );
+
     return (
         <div className="register-container">
             <div className="register-card">
@@ -132,96 +570,315 @@ export const RegisterPage: React.FC = () => {
                     <div className="logo">
                         <img src={iwiLogo} alt="IWI HKA Logo" className="logo-img" />
                     </div>
-                    <h1>Nextcloud Account erstellen</h1>
-                    <p className="subtitle">Registrieren Sie sich mit Ihren RZ-Zugangsdaten</p>
+                    <h1>{t('register.title')}</h1>
+                    <p className="subtitle">{t('register.subtitle')}</p>
                 </div>
 
-                <form onSubmit={handleSubmit} className="register-form">
-                    {submitMessage && (
-                        <div className={`message message-${submitMessage.type}`}>
-                            {submitMessage.text}
-                        </div>
-                    )}
-
-                    <div className="form-group">
-                        <label htmlFor="rzUsername">
-                            RZ Username <span className="required">*</span>
-                        </label>
-                        <input
-                            type="text"
-                            id="rzUsername"
-                            name="rzUsername"
-                            value={formData.rzUsername}
-                            onChange={handleInputChange}
-                            placeholder="Enter your RZ username"
-                            disabled={isLoading}
-                            className={errors.rzUsername ? 'error' : ''}
-                        />
-                        {errors.rzUsername && <span className="error-text">{errors.rzUsername}</span>}
-                    </div>
+                <ol className="wizard-steps">
+                    {STEPS.map(({ step, label }, index) => (
+                        <li
+                            key={step}
+                            className={index === stepIndex ? 'active' : index < stepIndex ? 'done' : ''}
+                            aria-current={index === stepIndex ? 'step' : undefined}
+                        >
+                            <span className="wizard-step-number">{index + 1}</span>
+                            {t(step === 'login' && invitationMode ? 'invitation.step' : label)}
+                        </li>
+                    ))}
+                </ol>
 
-                    <div className="form-group">
-                        <label htmlFor="rzPassword">
-                            RZ Password <span className="required">*</span>
-                        </label>
-                        <input
-                            type="password"
-                            id="rzPassword"
-                            name="rzPassword"
-                            value={formData.rzPassword}
-                            onChange={handleInputChange}
-                            placeholder="Enter your RZ password"
-                            disabled={isLoading}
-                            className={errors.rzPassword ? 'error' : ''}
-                            autoComplete="off"
-                            autoCorrect="off"
-                            autoCapitalize="off"
-                            spellCheck="false"
-                        />
-                        {errors.rzPassword && <span className="error-text">{errors.rzPassword}</span>}
-                    </div>
+                {progress.step === 'login' && (
+                    <form onSubmit={invitationMode ? handleInvitation : handleLogin} className="register-form">
+                        {renderMessage()}
 
-                    <div className="form-group">
-                        <label htmlFor="displayName">Anzeigename (Optional)</label>
-                        <input
-                            type="text"
-                            id="displayName"
-                            name="displayName"
-                            value={formData.displayName}
-                            onChange={handleInputChange}
-                            placeholder="Enter your display name"
-                            disabled={isLoading}
-                        />
-                    </div>
+                        {usernameCollision && (
+                            <div className="message message-error">
+                                {t('api.USERNAME_COLLISION')}
+                            </div>
+                        )}
+
+                        {(userExists || usernameTaken) && (
+                            <div className="message message-info">
+                                {t('register.userExists')}{' '}
+                                <button type="button" className="btn-link" onClick={onShowRecovery}>
+                                    {t('register.recoverAccess')}
+                                </button>
+                            </div>
+                        )}
 
-                    <div className="form-group">
-                        <label htmlFor="email">
-                            Email <span className="required">*</span>
-                        </label>
-                        <input
-                            type="email"
-                            id="email"
-                            name="email"
-                            value={formData.email}
-                            onChange={handleInputChange}
-                            placeholder="Enter your email"
+                        {exceptionRequest && (
+                            <div className="exception-request">
+                                <label htmlFor="exceptionReason">
+                                    {t('register.exceptionPrompt')}
+                                </label>
+                                <textarea
+                                    id="exceptionReason"
+                                    value={exceptionReason}
+                                    onChange={(e) => setExceptionReason(e.target.value)}
+                                    placeholder={t('register.exceptionPlaceholder')}
+                                    maxLength={2000}
+                                    rows={3}
+                                    disabled={isLoading}
+                                />
+                                <button type="button" className="btn-link" onClick={handleExceptionRequest} disabled={isLoading}>
+                                    {t('register.exceptionSubmit')}
+                                </button>
+                            </div>
+                        )}
+
+                        {retryUntil !== null && (
+                            <div className="message message-error">
+                                {t('register.rateLimited', { time: formatWaitTime(retrySecondsLeft) })}
+                            </div>
+                        )}
+
+                        {invitationMode ? (
+                            <>
+                                <p className="form-hint">{t('invitation.hint')}</p>
+
+                                <div className="form-group">
+                                    <label htmlFor="invitationCode">
+                                        {t('form.invitationCode')} <span className="required">*</span>
+                                    </label>
+                                    <input
+                                        type="text"
+                                        id="invitationCode"
+                                        name="invitationCode"
+                                        value={invitationCode}
+                                        onChange={handleInputChange}
+                                        placeholder={t('form.invitationCodePlaceholder')}
+                                        disabled={isLoading}
+                                        className={errors.invitationCode ? 'error' : ''}
+                                        autoComplete="off"
+                                        autoCorrect="off"
+                                        autoCapitalize="characters"
+                                        spellCheck="false"
+                                    />
+                                    {errors.invitationCode && <span className="error-text">{t(errors.invitationCode)}</span>}
+                                </div>
+
+                                <div className="form-group">
+                                    <label htmlFor="guestUsername">
+                                        {t('form.guestUsername')} <span className="required">*</span>
+                                    </label>
+                                    <input
+                                        type="text"
+                                        id="guestUsername"
+                                        name="guestUsername"
+                                        value={progress.guestUsername}
+                                        onChange={handleInputChange}
+                                        placeholder={t('form.guestUsernamePlaceholder')}
+                                        disabled={isLoading}
+                                        className={errors.guestUsername ? 'error' : ''}
+                                    />
+                                    {errors.guestUsername && <span className="error-text">{t(errors.guestUsername)}</span>}
+                                </div>
+                            </>
+                        ) : (
+                            <>
+                            <div className="form-group">
+                                <label htmlFor="rzUsername">
+                                    {t('form.rzUsername')} <span className="required">*</span>
+                                </label>
+                                <input
+                                    type="text"
+                                    id="rzUsername"
+                                    name="rzUsername"
+                                    value={progress.rzUsername}
+                                    onChange={handleInputChange}
+                                    placeholder={t('form.rzUsernamePlaceholder')}
+                                    disabled={isLoading}
+                                    className={errors.rzUsername || usernameTaken || usernameCollision ? 'error' : ''}
+                                />
+                                {errors.rzUsername && <span className="error-text">{t(errors.rzUsername)}</span>}
+                                {!errors.rzUsername && USERNAME_PATTERN.test(typedUsername) && (
+                                    <span className="availability-hint">
+                                        {!checkedUsername
+                                            ? t('wizard.usernameChecking')
+                                            : availability?.available
+                                                ? availability.nextcloudUsername && availability.nextcloudUsername !== typedUsername
+                                                    ? t('wizard.usernameMapped', { username: availability.nextcloudUsername })
+                                                    : t('api.USERNAME_AVAILABLE')
+                                                : null}
+                                    </span>
+                                )}
+                            </div>
+
+                            <div className="form-group">
+                                <label htmlFor="rzPassword">
+                                    {t('form.rzPassword')} <span className="required">*</span>
+                                </label>
+                                <input
+                                    type="password"
+                                    id="rzPassword"
+                                    name="rzPassword"
+                                    value={rzPassword}
+                                    onChange={handleInputChange}
+                                    placeholder={t('form.rzPasswordPlaceholder')}
+                                    disabled={isLoading}
+                                    className={errors.rzPassword ? 'error' : ''}
+                                    autoComplete="off"
+                                    autoCorrect="off"
+                                    autoCapitalize="off"
+                                    spellCheck="false"
+                                />
+                                {errors.rzPassword && <span className="error-text">{t(errors.rzPassword)}</span>}
+                            </div>
+                            </>
+                        )}
+
+                        <ChallengeWidget />
+
+                        <button type="submit" className="btn-primary" disabled={isLoading || retryUntil !== null || usernameTaken || usernameCollision}>
+                            {isLoading
+                                ? t(invitationMode ? 'wizard.checkingInvitation' : 'wizard.checkingLogin')
+                                : t('wizard.next')}
+                        </button>
+
+                        <button
+                            type="button"
+                            className="btn-link"
+                            onClick={() => handleSwitchMode(invitationMode ? 'rz' : 'invitation')}
                             disabled={isLoading}
-                            className={errors.email ? 'error' : ''}
-                        />
-                        {errors.email && <span className="error-text">{errors.email}</span>}
-                    </div>
+                        >
+                            {t(invitationMode ? 'invitation.switchBack' : 'invitation.switch')}
+                        </button>
+                    </form>
+                )}
 
-                    <button type="submit" className="btn-primary" disabled={isLoading}>
-                        {isLoading ? 'Creating Account...' : 'Create Account'}
-                    </button>
-                </form>
+                {progress.step === 'profile' && (
+                    <form onSubmit={handleProfile} className="register-form">
+                        {renderMessage()}
+
+                        <div className="form-group">
+                            <label htmlFor="displayName">{t('form.displayName')}</label>
+                            <input
+                                type="text"
+                                id="displayName"
+                                name="displayName"
+                                value={progress.displayName}
+                                onChange={handleInputChange}
+                                placeholder={progress.suggestedDisplayName || t('form.displayNamePlaceholder')}
+                            />
+                            {progress.suggestedDisplayName && (
+                                <span className="availability-hint">
+                                    {t('wizard.displayNameSuggested', { name: progress.suggestedDisplayName })}
+                                </span>
+                            )}
+                        </div>
+
+                        <div className="form-group">
+                            <label htmlFor="email">
+                                {t('form.email')} <span className="required">*</span>
+                            </label>
+                            <input
+                                type="email"
+                                id="email"
+                                name="email"
+                                value={progress.email}
+                                onChange={handleInputChange}
+                                placeholder={t('form.emailPlaceholder')}
+                                className={errors.email ? 'error' : ''}
+                            />
+                            {errors.email && <span className="error-text">{t(errors.email)}</span>}
+                        </div>
+
+                        <div className="account-preview" aria-label={t('wizard.previewTitle')}>
+                            <span className="account-preview-avatar">{initialsOf(previewName)}</span>
+                            <div>
+                                <strong>{previewName}</strong>
+                                <span>{nextcloudUsername}</span>
+                                <span>{progress.email || t('form.emailPlaceholder')}</span>
+                            </div>
+                        </div>
+                        <p className="verification-hint">{t('wizard.emailHint')}</p>
+
+                        <button type="submit" className="btn-primary">
+                            {t('wizard.next')}
+                        </button>
+
+                        <div className="verification-actions">
+                            <button type="button" className="btn-link" onClick={handleBackToLogin}>
+                                {t('wizard.back')}
+                            </button>
+                        </div>
+                    </form>
+                )}
+
+                {progress.step === 'confirm' && (
+                    <form onSubmit={handleVerify} className="register-form">
+                        {renderMessage()}
+
+                        {renderSummary()}
+
+                        {progress.codeSent ? (
+                            <>
+                                <p className="verification-hint">
+                                    {t('verification.hint')} <strong>{progress.email}</strong>
+                                </p>
+
+                                <div className="form-group">
+                                    <label htmlFor="verificationCode">
+                                        {t('verification.code')} <span className="required">*</span>
+                                    </label>
+                                    <input
+                                        type="text"
+                                        id="verificationCode"
+                                        name="verificationCode"
+                                        value={verificationCode}
+                                        onChange={(e) => setVerificationCode(e.target.value)}
+                                        placeholder={t('verification.codePlaceholder')}
+                                        disabled={isLoading}
+                                        inputMode="numeric"
+                                        autoComplete="one-time-code"
+                                        maxLength={6}
+                                    />
+                                </div>
+
+                                <button type="submit" className="btn-primary" disabled={isLoading}>
+                                    {isLoading ? t('verification.verifying') : t('register.verifySubmit')}
+                                </button>
+                            </>
+                        ) : (
+                            <>
+                                <p className="verification-hint">{t('wizard.confirmHint')}</p>
+                                <button type="button" className="btn-primary" onClick={handleSendCode} disabled={isLoading}>
+                                    {isLoading ? t('wizard.sendingCode') : t('wizard.sendCode')}
+                                </button>
+                            </>
+                        )}
+
+                        <div className="verification-actions">
+                            {progress.codeSent && (
+                                <button type="button" className="btn-link" onClick={handleSendCode} disabled={isLoading}>
+                                    {t('verification.resend')}
+                                </button>
+                            )}
+                            <button type="button" className="btn-link" onClick={handleEditProfile} disabled={isLoading}>
+                                {t('wizard.edit')}
+                            </button>
+                        </div>
+                    </form>
+                )}
 
                 <div className="register-footer">
                     <p>
-                        Already have an account? <a href="https://cloud.iwi-hka.de">Log in</a>
+                        {t('register.haveAccount')} <a href="https://cloud.iwi-hka.de">{t('register.login')}</a>
+                    </p>
+                    <p className="recovery-link">
+                        {t('register.lostAccess')}{' '}
+                        <button type="button" className="btn-link" onClick={onShowRecovery} disabled={isLoading}>
+                            {t('register.recoverAccess')}
+                        </button>
+                    </p>
+                    <p className="recovery-link">
+                        {t('register.privacyRights')}{' '}
+                        <button type="button" className="btn-link" onClick={onShowMyData} disabled={isLoading}>
+                            {t('register.myData')}
+                        </button>
                     </p>
                     <p className="support-contact">
-                        Bei Problemen oder Fragen an Louis wenden - Discord: <strong>_starmaster_</strong>
+                        {t('support.contact')} <strong>_starmaster_</strong>
                     </p>
                 </div>
             </div>
@@ -0,0 +1,37 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import {
+    I18nContext,
+    detectLanguage,
+    storeLanguage,
+    translate,
+    type I18nContextValue,
+    type Language,
+} from './index';
+
+/**
+ * Provides the current language to useI18n(). The language is detected
+ * once from the stored choice or the browser and kept in sync with the
+ * lang attribute of the document.
+ */
+export const I18nProvider: React.FC<{ children: React.ReactNode }> = ({ children }) => {
+    const [language, setLanguageState] = useState<Language>(detectLanguage);
+
+    useEffect(() => {
+        document.documentElement.lang = language;
+    }, [language]);
+
+    const value = useMemo<I18nContextValue>(() => ({
+        language,
+        setLanguage: (next) => {
+            storeLanguage(next);
+            setLanguageState(next);
+        },
+        t: (key, params) => translate(language, key, params),
+        format: (message) => {
+            const text = translate(language, message.key, message.params);
+            return message.requestId ? `${text} (Ref: ${message.requestId})` : text;
+        },
+    }), [language]);
+
+    return <I18nContext.Provider value={value}>{children}</I18nContext.Provider>;
+};
@@ -0,0 +1,202 @@
+/**
+ * German message catalog. It defines the available keys - every other
+ * catalog has to provide the same ones (checked by TypeScript).
+ *
+ * Keys starting with "api." translate the stable codes returned by the
+ * backend; "api.NOT_ELIGIBLE.<rule>" overrides the text for a single
+ * eligibility rule. Placeholders are written as {name}.
+ */
+export const de = {
+    'language.label': 'Sprache',
+    'support.contact': 'Bei Problemen oder Fragen an Louis wenden - Discord:',
+    'common.unexpectedError': 'Ein unerwarteter Fehler ist aufgetreten. Bitte versuchen Sie es später erneut.',
+
+    'form.rzUsername': 'RZ-Benutzername',
+    'form.rzUsernamePlaceholder': 'Ihr RZ-Benutzername',
+    'form.rzPassword': 'RZ-Passwort',
+    'form.rzPasswordPlaceholder': 'Ihr RZ-Passwort',
+    'form.displayName': 'Anzeigename (optional)',
+    'form.displayNamePlaceholder': 'Ihr Anzeigename',
+    'form.email': 'E-Mail',
+    'form.emailPlaceholder': 'Ihre E-Mail-Adresse',
+    'form.invitationCode': 'Einladungscode',
+    'form.invitationCodePlaceholder': 'z. B. K7MQ-2XHD-9RTA',
+    'form.guestUsername': 'Gewünschter Benutzername',
+    'form.guestUsernamePlaceholder': 'Buchstaben, Ziffern, Punkt, Binde- und Unterstrich',
+
+    'validation.usernameRequired': 'Bitte geben Sie Ihren RZ-Benutzernamen ein',
+    'validation.passwordRequired': 'Bitte geben Sie Ihr RZ-Passwort ein',
+    'validation.emailRequired': 'Bitte geben Sie Ihre E-Mail-Adresse ein',
+    'validation.emailInvalid': 'Bitte geben Sie eine gültige E-Mail-Adresse ein',
+    'validation.codeInvalid': 'Bitte geben Sie den 6-stelligen Code aus der E-Mail ein',
+    'validation.invitationCodeRequired': 'Bitte geben Sie Ihren Einladungscode ein',
+    'validation.guestUsernameRequired': 'Bitte wählen Sie einen Benutzernamen',
+
+    'verification.hint': 'Wir haben einen Bestätigungscode gesendet an',
+    'verification.code': 'Bestätigungscode',
+    'verification.codePlaceholder': '6-stelliger Code',
+    'verification.verifying': 'Wird geprüft...',
+    'verification.resend': 'Code erneut senden',
+    'verification.changeEmail': 'E-Mail-Adresse ändern',
+
+    'register.title': 'Nextcloud Account erstellen',
+    'register.subtitle': 'Registrieren Sie sich mit Ihren RZ-Zugangsdaten',
+    'register.verifySubmit': 'Bestätigen und Account erstellen',
+    'register.failed': 'Die Registrierung ist fehlgeschlagen. Bitte versuchen Sie es erneut.',
+    'register.verifyFailed': 'Die Bestätigung ist fehlgeschlagen. Bitte versuchen Sie es erneut.',
+    'register.resendFailed': 'Der neue Code konnte nicht gesendet werden. Bitte versuchen Sie es erneut.',
+    'register.rateLimited': 'Zu viele Anmeldeversuche. Bitte warten Sie {time}, bevor Sie es erneut versuchen.',
+    'register.userExists': 'Sie haben bereits ein Konto, aber keinen Zugang mehr?',
+    'register.exceptionPrompt': 'Sie erfüllen die Voraussetzungen nicht, benötigen aber trotzdem ein Konto? Beschreiben Sie kurz den Grund - ein Admin prüft Ihren Antrag.',
+    'register.exceptionPlaceholder': 'z. B. Gastdozent*in für eine IWI-Vorlesung ...',
+    'register.exceptionSubmit': 'Ausnahme beantragen',
+    'register.exceptionReasonRequired': 'Bitte beschreiben Sie, wofür Sie ein Konto benötigen',
+    'register.exceptionFailed': 'Der Antrag konnte nicht gesendet werden. Bitte versuchen Sie es erneut.',
+    'register.haveAccount': 'Sie haben bereits ein Konto?',
+    'register.login': 'Anmelden',
+    'register.lostAccess': 'Kein Zugang mehr zu Ihrem Konto?',
+    'register.recoverAccess': 'Zugang wiederherstellen',
+    'register.privacyRights': 'Auskunft über Ihre Daten oder Löschung Ihres Kontos?',
+    'register.myData': 'Meine Daten',
+
+    'wizard.stepLogin': 'RZ-Anmeldung',
+    'wizard.stepProfile': 'Profil',
+    'wizard.stepConfirm': 'Bestätigung',
+    'wizard.next': 'Weiter',
+    'wizard.back': 'Zurück zur Anmeldung',
+    'wizard.edit': 'Angaben ändern',
+    'wizard.checkingLogin': 'Anmeldung wird geprüft...',
+    'wizard.usernameChecking': 'Verfügbarkeit wird geprüft...',
+    'wizard.usernameMapped': 'Ihr Nextcloud-Benutzername wird {username} sein.',
+    'wizard.displayNameSuggested': 'Ohne Eingabe wird "{name}" aus Raumzeit übernommen.',
+    'wizard.previewTitle': 'Vorschau Ihres Kontos',
+    'wizard.emailHint': 'An diese Adresse senden wir einen Bestätigungscode. Nextcloud nutzt sie für Benachrichtigungen und zum Zurücksetzen des Passworts.',
+    'wizard.summaryUsername': 'Nextcloud-Benutzername',
+    'wizard.summaryDisplayName': 'Anzeigename',
+    'wizard.summaryEmail': 'E-Mail-Adresse',
+    'wizard.confirmHint': 'Bitte prüfen Sie Ihre Angaben. Zum Abschluss senden wir einen Bestätigungscode an Ihre E-Mail-Adresse.',
+    'wizard.sendCode': 'Bestätigungscode senden',
+    'wizard.sendingCode': 'Code wird gesendet...',
+    'wizard.checkingInvitation': 'Einladung wird geprüft...',
+
+    'invitation.step': 'Einladung',
+    'invitation.switch': 'Ich habe einen Einladungscode',
+    'invitation.switchBack': 'Ich habe ein RZ-Konto',
+    'invitation.hint': 'Gäste ohne RZ-Konto können sich mit einem Einladungscode registrieren. Ihr Nextcloud-Benutzername erhält ein Präfix, das ihn als Gastkonto kennzeichnet.',
+
+    'recovery.title': 'Zugang wiederherstellen',
+    'recovery.subtitle': 'Bestätigen Sie Ihre RZ-Zugangsdaten, um einen Link zum Zurücksetzen Ihres Nextcloud-Passworts zu erhalten',
+    'recovery.newEmail': 'Neue E-Mail (optional)',
+    'recovery.newEmailPlaceholder': 'Nur falls Sie die alte Adresse nicht mehr nutzen',
+    'recovery.submit': 'Link zum Zurücksetzen senden',
+    'recovery.submitting': 'Wird geprüft...',
+    'recovery.verifySubmit': 'Bestätigen und Link senden',
+    'recovery.failed': 'Die Wiederherstellung ist fehlgeschlagen. Bitte versuchen Sie es erneut.',
+    'recovery.back': 'Zurück zur Registrierung',
+
+    'myData.title': 'Meine Daten',
+    'myData.subtitle': 'Melden Sie sich mit Ihren RZ-Zugangsdaten an, um Ihre gespeicherten Daten herunterzuladen oder Ihr Konto löschen zu lassen',
+    'myData.login': 'Anmelden',
+    'myData.loggingIn': 'Wird geprüft...',
+    'myData.loginFailed': 'Die Anmeldung ist fehlgeschlagen. Bitte versuchen Sie es erneut.',
+    'myData.loggedInAs': 'Angemeldet als {username}.',
+    'myData.logout': 'Abmelden',
+    'myData.exportTitle': 'Datenauskunft',
+    'myData.exportText': 'Laden Sie alle Daten herunter, die über Sie gespeichert sind: Ihr Nextcloud-Profil, den Registrierungsverlauf, Ihre Einwilligungen, Anträge und Protokolleinträge.',
+    'myData.exportJson': 'Als JSON herunterladen',
+    'myData.exportZip': 'Als ZIP herunterladen',
+    'myData.exportDone': 'Der Download wurde gestartet.',
+    'myData.exportFailed': 'Der Export ist fehlgeschlagen. Bitte versuchen Sie es erneut.',
+    'myData.erasureTitle': 'Konto löschen',
+    'myData.erasureText': 'Ihr Nextcloud-Konto wird mit allen Dateien gelöscht, ebenso die Aufzeichnungen des Portals über Sie. Protokolleinträge werden nach Ablauf ihrer Aufbewahrungsfrist automatisch entfernt.',
+    'myData.erasureRequest': 'Löschung beantragen',
+    'myData.erasureConfirmText': 'Die Löschung kann nicht rückgängig gemacht werden. Geben Sie zur Bestätigung Ihren Benutzernamen {username} ein.',
+    'myData.erasureConfirmLabel': 'Benutzername',
+    'myData.erasureConfirm': 'Konto endgültig löschen',
+    'myData.erasing': 'Wird gelöscht...',
+    'myData.erasureCancel': 'Abbrechen',
+    'myData.erasureMismatch': 'Der Benutzername stimmt nicht überein.',
+    'myData.erasureFailed': 'Die Löschung ist fehlgeschlagen. Bitte versuchen Sie es erneut.',
+    'myData.back': 'Zurück zur Registrierung',
+
+    'privacy.title': 'Datenschutz und Nutzungsbedingungen',
+    'privacy.subtitle': 'Bitte lesen Sie die folgenden Informationen sorgfältig durch und bestätigen Sie Ihre Zustimmung.',
+    'privacy.version': 'Version {version} vom {date}',
+    'privacy.updated': 'Die Datenschutzinformationen oder Nutzungsbedingungen wurden seit Ihrer letzten Zustimmung geändert. Bitte lesen und bestätigen Sie sie erneut.',
+    'privacy.loading': 'Datenschutzinformationen werden geladen...',
+    'privacy.loadFailed': 'Die Datenschutzinformationen konnten nicht geladen werden.',
+    'privacy.retry': 'Erneut versuchen',
+    'privacy.accept': 'Zustimmen und fortfahren',
+    'privacy.note': 'Pflichtfelder - Sie müssen beide Bedingungen akzeptieren, um fortzufahren.',
+
+    'api.VERIFICATION_CODE_SENT': 'Bestätigungscode gesendet - bitte prüfen Sie Ihre E-Mails.',
+    'api.USER_CREATED': 'Ihr Konto wurde erstellt. Prüfen Sie Ihre E-Mails, um die Registrierung abzuschließen.',
+    'onboarding.title': 'Ihr Konto wurde eingerichtet mit:',
+    'onboarding.folder': 'Ordner "{name}"',
+    'onboarding.share': 'Freigegebener Ordner "{name}" (nur lesen)',
+    'onboarding.calendar': 'Kalender-Abonnement "{name}"',
+    'onboarding.passwordMail': 'E-Mail mit dem Link zum Setzen Ihres Passworts',
+    'onboarding.failed': 'fehlgeschlagen',
+    'onboarding.incomplete': 'Ihr Konto ist nutzbar, aber nicht alles konnte eingerichtet werden. Wenden Sie sich für die fehlenden Teile an den Support.',
+    'api.RESET_MAIL_SENT': 'Eine E-Mail mit einem Link zum Setzen eines neuen Passworts wurde an {email} gesendet.',
+    'api.EXCEPTION_REQUEST_SUBMITTED': 'Ihr Antrag wurde gesendet - Sie können sich registrieren, sobald ein Admin ihn genehmigt hat.',
+    'api.CONSENT_REQUIRED': 'Bitte stimmen Sie den aktuellen Datenschutzinformationen und Nutzungsbedingungen zu.',
+    'api.CREDENTIALS_REQUIRED': 'Benutzername und Passwort sind erforderlich.',
+    'api.INVALID_CREDENTIALS_FORMAT': 'Ungültige Zugangsdaten.',
+    'api.INVALID_USERNAME_FORMAT': 'Der Benutzername enthält ungültige Zeichen.',
+    'api.INVALID_PASSWORD': 'Ungültiges Passwort.',
+    'api.INVALID_CREDENTIALS': 'Benutzername oder Passwort ist falsch.',
+    'api.TOO_MANY_ATTEMPTS': 'Zu viele Anmeldeversuche - bitte versuchen Sie es später erneut.',
+    'api.NOT_ELIGIBLE': 'Zugriff verweigert: Sie erfüllen die Voraussetzungen für ein Konto nicht.',
+    'api.NOT_ELIGIBLE.not-iwi': 'Zugriff verweigert: Nur Studierende der Fakultät IWI können sich registrieren.',
+    'api.NOT_ELIGIBLE.not-student': 'Zugriff verweigert: Nur Studierende können sich registrieren.',
+    'api.NOT_ELIGIBLE.denied-usernames': 'Zugriff verweigert: Ihr Konto ist von der Registrierung ausgeschlossen.',
+    'api.RAUMZEIT_UNAVAILABLE': 'Der Anmeldedienst ist nicht erreichbar. Bitte prüfen Sie Ihre VPN-Verbindung oder wenden Sie sich an den Support.',
+    'api.NEXTCLOUD_UNAVAILABLE': 'Nextcloud ist zurzeit nicht erreichbar - bitte versuchen Sie es später erneut.',
+    'api.NEXTCLOUD_CONFIG_ERROR': 'Serverfehler: Die Verbindung zu Nextcloud ist falsch konfiguriert. Bitte wenden Sie sich an den Support.',
+    'api.USERNAME_REQUIRED': 'Der Benutzername ist erforderlich.',
+    'api.USERNAME_AND_EMAIL_REQUIRED': 'Benutzername und E-Mail-Adresse sind erforderlich.',
+    'api.INVALID_EMAIL': 'Ungültige E-Mail-Adresse.',
+    'api.TICKET_MISSING': 'Bitte melden Sie sich zuerst mit Ihren RZ-Zugangsdaten an.',
+    'api.TICKET_INVALID': 'Ihre Anmeldung ist abgelaufen - bitte melden Sie sich erneut an.',
+    'api.TICKET_MISMATCH': 'Ihre Anmeldung gehört zu einem anderen Benutzer - bitte melden Sie sich erneut an.',
+    'api.TOO_MANY_VERIFICATION_CODES': 'Zu viele Bestätigungscodes angefordert - bitte melden Sie sich später erneut an.',
+    'api.VERIFICATION_MAIL_FAILED': 'Die Bestätigungs-E-Mail konnte nicht gesendet werden.',
+    'api.VERIFICATION_NOT_REQUESTED': 'Für diesen Benutzer wurde kein Bestätigungscode angefordert.',
+    'api.VERIFICATION_CODE_EXPIRED': 'Der Bestätigungscode ist abgelaufen - bitte fordern Sie einen neuen an.',
+    'api.VERIFICATION_EMAIL_MISMATCH': 'Die E-Mail-Adresse stimmt nicht mit der bestätigten Adresse überein.',
+    'api.VERIFICATION_TOO_MANY_ATTEMPTS': 'Zu viele ungültige Versuche - bitte fordern Sie einen neuen Code an.',
+    'api.VERIFICATION_CODE_INVALID': 'Ungültiger Bestätigungscode. Verbleibende Versuche: {attemptsLeft}',
+    'api.USER_EXISTS': 'Für diesen Benutzer existiert bereits ein Nextcloud-Konto.',
+    'api.PASSWORD_MAIL_FAILED': 'Ihr Nextcloud-Konto wurde angelegt, aber die E-Mail zum Setzen Ihres Passworts konnte nicht gesendet werden. Fordern Sie sie über die Kontowiederherstellung an.',
+    'api.USERNAME_AVAILABLE': 'Für diesen Benutzernamen gibt es noch kein Nextcloud-Konto.',
+    'api.USERNAME_TAKEN': 'Für diesen Benutzernamen existiert bereits ein Nextcloud-Konto.',
+    'api.USERNAME_COLLISION': 'Der Nextcloud-Benutzername ist bereits durch ein anderes Konto belegt. Bitte wenden Sie sich an den Support.',
+    'api.TOO_MANY_REQUESTS': 'Zu viele Anfragen - bitte versuchen Sie es später erneut.',
+    'api.CSRF_TOKEN_INVALID': 'Ihre Sitzung ist abgelaufen - bitte laden Sie die Seite neu.',
+    'api.CHALLENGE_FAILED': 'Die Prüfung gegen automatisierte Anfragen ist fehlgeschlagen - bitte versuchen Sie es erneut.',
+    'api.CHALLENGE_UNAVAILABLE': 'Die Prüfung gegen automatisierte Anfragen ist zurzeit nicht möglich - bitte versuchen Sie es später erneut.',
+    'api.ORIGIN_NOT_ALLOWED': 'Anfragen von dieser Seite sind nicht erlaubt.',
+    'api.INVITATION_ACCEPTED': 'Einladung angenommen.',
+    'api.INVITATION_CODE_REQUIRED': 'Der Einladungscode ist erforderlich.',
+    'api.INVITATION_INVALID': 'Der Einladungscode ist ungültig.',
+    'api.INVITATION_EXPIRED': 'Der Einladungscode ist abgelaufen.',
+    'api.INVITATION_EXHAUSTED': 'Der Einladungscode wurde bereits so oft verwendet wie erlaubt.',
+    'api.USER_CREATION_FAILED': 'Das Nextcloud-Konto konnte nicht erstellt werden.',
+    'api.PROVISIONING_ROLLED_BACK': 'Die Einrichtung des Kontos ist fehlgeschlagen und wurde rückgängig gemacht - bitte versuchen Sie es später erneut.',
+    'api.PROVISIONING_INCOMPLETE': 'Ihr Konto wurde erstellt, aber noch nicht vollständig eingerichtet - bitte registrieren Sie sich später erneut, um die Einrichtung abzuschließen.',
+    'api.ACCOUNT_NOT_FOUND': 'Für diesen Benutzer existiert kein Nextcloud-Konto - bitte registrieren Sie sich zuerst.',
+    'api.EMAIL_UPDATE_FAILED': 'Die E-Mail-Adresse des Kontos konnte nicht geändert werden.',
+    'api.ACCOUNT_EMAIL_MISSING': 'Das Konto hat keine E-Mail-Adresse - bitte geben Sie eine neue an.',
+    'api.RESET_MAIL_FAILED': 'Die E-Mail zum Zurücksetzen des Passworts konnte nicht gesendet werden.',
+    'api.REASON_REQUIRED': 'Bitte geben Sie einen Grund an.',
+    'api.REASON_TOO_LONG': 'Der Grund darf höchstens 2000 Zeichen lang sein.',
+    'api.EXCEPTION_REQUEST_PENDING': 'Für diesen Benutzer wartet bereits ein Antrag auf Entscheidung.',
+    'api.PRIVACY_LOGIN_REQUIRED': 'Ihre Anmeldung ist abgelaufen - bitte melden Sie sich erneut an.',
+    'api.ACCOUNT_ERASED': 'Ihr Konto und die Aufzeichnungen des Portals über Sie wurden gelöscht. Protokolleinträge werden nach spätestens {days} Tagen entfernt.',
+    'api.ERASURE_INCOMPLETE': 'Ihr Konto wurde gelöscht, einige Aufzeichnungen des Portals konnten jedoch nicht entfernt werden. Bitte wenden Sie sich an datenschutz@iwi-hka.de.',
+    'api.ERASURE_CONFIRMATION_INVALID': 'Die Bestätigung ist ungültig oder abgelaufen - bitte beantragen Sie die Löschung erneut.',
+    'api.ACCOUNT_DELETION_FAILED': 'Das Nextcloud-Konto konnte nicht gelöscht werden - bitte versuchen Sie es später erneut.',
+    'api.NETWORK_ERROR': 'Der Server ist nicht erreichbar. Bitte prüfen Sie Ihre Internetverbindung und versuchen Sie es erneut.',
+    'api.INTERNAL_ERROR': 'Interner Serverfehler.',
+};
@@ -0,0 +1,199 @@
+import type { Messages } from './index';
+
+/**
+ * English message catalog
+ */
+export const en: Messages = {
+    'language.label': 'Language',
+    'support.contact': 'For problems or questions contact Louis - Discord:',
+    'common.unexpectedError': 'An unexpected error occurred. Please try again later.',
+
+    'form.rzUsername': 'RZ Username',
+    'form.rzUsernamePlaceholder': 'Enter your RZ username',
+    'form.rzPassword': 'RZ Password',
+    'form.rzPasswordPlaceholder': 'Enter your RZ password',
+    'form.displayName': 'Display Name (optional)',
+    'form.displayNamePlaceholder': 'Enter your display name',
+    'form.email': 'Email',
+    'form.emailPlaceholder': 'Enter your email',
+    'form.invitationCode': 'Invitation code',
+    'form.invitationCodePlaceholder': 'e.g. K7MQ-2XHD-9RTA',
+    'form.guestUsername': 'Desired username',
+    'form.guestUsernamePlaceholder': 'Letters, digits, dot, hyphen and underscore',
+
+    'validation.usernameRequired': 'RZ Username is required',
+    'validation.passwordRequired': 'RZ Password is required',
+    'validation.emailRequired': 'Email is required',
+    'validation.emailInvalid': 'Please enter a valid email address',
+    'validation.codeInvalid': 'Please enter the 6-digit code from the email',
+    'validation.invitationCodeRequired': 'Invitation code is required',
+    'validation.guestUsernameRequired': 'Please choose a username',
+
+    'verification.hint': 'We have sent a verification code to',
+    'verification.code': 'Verification Code',
+    'verification.codePlaceholder': 'Enter the 6-digit code',
+    'verification.verifying': 'Verifying...',
+    'verification.resend': 'Resend code',
+    'verification.changeEmail': 'Change email address',
+
+    'register.title': 'Create Nextcloud Account',
+    'register.subtitle': 'Register with your RZ credentials',
+    'register.verifySubmit': 'Verify and Create Account',
+    'register.failed': 'Registration failed. Please try again.',
+    'register.verifyFailed': 'Verification failed. Please try again.',
+    'register.resendFailed': 'Sending a new code failed. Please try again.',
+    'register.rateLimited': 'Too many login attempts. Please wait {time} before trying again.',
+    'register.userExists': 'You already have an account but lost access to it?',
+    'register.exceptionPrompt': 'You do not meet the requirements but still need an account? Briefly describe why - an admin will review your request.',
+    'register.exceptionPlaceholder': 'e.g. guest lecturer for an IWI course ...',
+    'register.exceptionSubmit': 'Request exception',
+    'register.exceptionReasonRequired': 'Please describe why you need an account',
+    'register.exceptionFailed': 'Submitting the request failed. Please try again.',
+    'register.haveAccount': 'Already have an account?',
+    'register.login': 'Log in',
+    'register.lostAccess': 'Lost access to your account?',
+    'register.recoverAccess': 'Recover access',
+    'register.privacyRights': 'Want a copy of your data or your account deleted?',
+    'register.myData': 'My data',
+
+    'wizard.stepLogin': 'RZ login',
+    'wizard.stepProfile': 'Profile',
+    'wizard.stepConfirm': 'Confirmation',
+    'wizard.next': 'Next',
+    'wizard.back': 'Back to login',
+    'wizard.edit': 'Change details',
+    'wizard.checkingLogin': 'Checking login...',
+    'wizard.usernameChecking': 'Checking availability...',
+    'wizard.usernameMapped': 'Your Nextcloud username will be {username}.',
+    'wizard.displayNameSuggested': 'If left empty, "{name}" is taken from Raumzeit.',
+    'wizard.previewTitle': 'Preview of your account',
+    'wizard.emailHint': 'We send a verification code to this address. Nextcloud uses it for notifications and password resets.',
+    'wizard.summaryUsername': 'Nextcloud username',
+    'wizard.summaryDisplayName': 'Display name',
+    'wizard.summaryEmail': 'Email address',
+    'wizard.confirmHint': 'Please check your details. To finish, we send a verification code to your email address.',
+    'wizard.sendCode': 'Send verification code',
+    'wizard.sendingCode': 'Sending code...',
+    'wizard.checkingInvitation': 'Checking invitation...',
+
+    'invitation.step': 'Invitation',
+    'invitation.switch': 'I have an invitation code',
+    'invitation.switchBack': 'I have an RZ account',
+    'invitation.hint': 'Guests without an RZ account can register with an invitation code. Your Nextcloud username gets a prefix that marks it as a guest account.',
+
+    'recovery.title': 'Recover Access',
+    'recovery.subtitle': 'Confirm your RZ credentials to receive a link for resetting your Nextcloud password',
+    'recovery.newEmail': 'New Email (optional)',
+    'recovery.newEmailPlaceholder': 'Only if you no longer use the old address',
+    'recovery.submit': 'Send Reset Mail',
+    'recovery.submitting': 'Checking...',
+    'recovery.verifySubmit': 'Verify and Send Reset Mail',
+    'recovery.failed': 'Account recovery failed. Please try again.',
+    'recovery.back': 'Back to registration',
+
+    'myData.title': 'My data',
+    'myData.subtitle': 'Log in with your RZ credentials to download the data stored about you or to have your account deleted',
+    'myData.login': 'Log in',
+    'myData.loggingIn': 'Checking...',
+    'myData.loginFailed': 'Login failed. Please try again.',
+    'myData.loggedInAs': 'Logged in as {username}.',
+    'myData.logout': 'Log out',
+    'myData.exportTitle': 'Access to your data',
+    'myData.exportText': 'Download all data stored about you: your Nextcloud profile, the registration history, your consents, requests and log entries.',
+    'myData.exportJson': 'Download as JSON',
+    'myData.exportZip': 'Download as ZIP',
+    'myData.exportDone': 'The download has started.',
+    'myData.exportFailed': 'The export failed. Please try again.',
+    'myData.erasureTitle': 'Delete account',
+    'myData.erasureText': 'Your Nextcloud account is deleted with all files, as are the portal\'s records about you. Log entries are removed automatically when their retention period ends.',
+    'myData.erasureRequest': 'Request deletion',
+    'myData.erasureConfirmText': 'The deletion cannot be undone. Enter your username {username} to confirm.',
+    'myData.erasureConfirmLabel': 'Username',
+    'myData.erasureConfirm': 'Delete account permanently',
+    'myData.erasing': 'Deleting...',
+    'myData.erasureCancel': 'Cancel',
+    'myData.erasureMismatch': 'The username does not match.',
+    'myData.erasureFailed': 'The deletion failed. Please try again.',
+    'myData.back': 'Back to registration',
+
+    'privacy.title': 'Privacy Policy and Terms of Use',
+    'privacy.subtitle': 'Please read the following information carefully and confirm your consent.',
+    'privacy.version': 'Version {version} of {date}',
+    'privacy.updated': 'The privacy information or terms of use have changed since you last accepted them. Please read and accept them again.',
+    'privacy.loading': 'Loading the privacy information...',
+    'privacy.loadFailed': 'The privacy information could not be loaded.',
+    'privacy.retry': 'Try again',
+    'privacy.accept': 'Accept and continue',
+    'privacy.note': 'Required fields - you have to accept both to continue.',
+
+    'api.VERIFICATION_CODE_SENT': 'Verification code sent - please check your email.',
+    'api.USER_CREATED': 'Your account has been created. Check your email to finish the registration.',
+    'onboarding.title': 'Your account has been set up with:',
+    'onboarding.folder': 'Folder "{name}"',
+    'onboarding.share': 'Shared folder "{name}" (read-only)',
+    'onboarding.calendar': 'Calendar subscription "{name}"',
+    'onboarding.passwordMail': 'Mail with the link to set your password',
+    'onboarding.failed': 'failed',
+    'onboarding.incomplete': 'Your account works, but not everything could be set up. Contact the support for the missing parts.',
+    'api.RESET_MAIL_SENT': 'A mail with a link to set a new password has been sent to {email}.',
+    'api.EXCEPTION_REQUEST_SUBMITTED': 'Your request has been submitted - you can register once an admin approved it.',
+    'api.CONSENT_REQUIRED': 'Please accept the current privacy information and terms of use.',
+    'api.CREDENTIALS_REQUIRED': 'Username and password are required.',
+    'api.INVALID_CREDENTIALS_FORMAT': 'Invalid credentials.',
+    'api.INVALID_USERNAME_FORMAT': 'The username contains invalid characters.',
+    'api.INVALID_PASSWORD': 'Invalid password.',
+    'api.INVALID_CREDENTIALS': 'Invalid username or password.',
+    'api.TOO_MANY_ATTEMPTS': 'Too many login attempts - please try again later.',
+    'api.NOT_ELIGIBLE': 'Access denied: You do not meet the requirements for an account.',
+    'api.NOT_ELIGIBLE.not-iwi': 'Access denied: Only students of the IWI faculty can register.',
+    'api.NOT_ELIGIBLE.not-student': 'Access denied: Only students can register.',
+    'api.NOT_ELIGIBLE.denied-usernames': 'Access denied: Your account is excluded from registration.',
+    'api.RAUMZEIT_UNAVAILABLE': 'The authentication service is unavailable. Please check your VPN connection or contact support.',
+    'api.NEXTCLOUD_UNAVAILABLE': 'Nextcloud is currently unavailable - please try again later.',
+    'api.NEXTCLOUD_CONFIG_ERROR': 'Server error: The connection to Nextcloud is misconfigured. Please contact support.',
+    'api.USERNAME_REQUIRED': 'Username is required.',
+    'api.USERNAME_AND_EMAIL_REQUIRED': 'Username and email are required.',
+    'api.INVALID_EMAIL': 'Invalid email address.',
+    'api.TICKET_MISSING': 'Please log in with your RZ credentials first.',
+    'api.TICKET_INVALID': 'Your login has expired - please log in again.',
+    'api.TICKET_MISMATCH': 'Your login belongs to a different user - please log in again.',
+    'api.TOO_MANY_VERIFICATION_CODES': 'Too many verification codes requested - please log in again later.',
+    'api.VERIFICATION_MAIL_FAILED': 'The verification email could not be sent.',
+    'api.VERIFICATION_NOT_REQUESTED': 'No verification code was requested for this user.',
+    'api.VERIFICATION_CODE_EXPIRED': 'The verification code has expired - please request a new one.',
+    'api.VERIFICATION_EMAIL_MISMATCH': 'The email address does not match the verified address.',
+    'api.VERIFICATION_TOO_MANY_ATTEMPTS': 'Too many invalid attempts - please request a new code.',
+    'api.VERIFICATION_CODE_INVALID': 'Invalid verification code. Attempts left: {attemptsLeft}',
+    'api.USER_EXISTS': 'A Nextcloud account already exists for this user.',
+    'api.PASSWORD_MAIL_FAILED': 'Your Nextcloud account was created, but the mail to set your password could not be sent. Request it with the account recovery.',
+    'api.USERNAME_AVAILABLE': 'There is no Nextcloud account with this username yet.',
+    'api.USERNAME_TAKEN': 'A Nextcloud account with this username already exists.',
+    'api.USERNAME_COLLISION': 'The Nextcloud username is already taken by another account. Please contact support.',
+    'api.TOO_MANY_REQUESTS': 'Too many requests - please try again later.',
+    'api.CSRF_TOKEN_INVALID': 'Your session has expired - please reload the page.',
+    'api.CHALLENGE_FAILED': 'The check against automated requests failed - please try again.',
+    'api.CHALLENGE_UNAVAILABLE': 'The check against automated requests is currently not possible - please try again later.',
+    'api.ORIGIN_NOT_ALLOWED': 'Requests from this page are not allowed.',
+    'api.INVITATION_ACCEPTED': 'Invitation accepted.',
+    'api.INVITATION_CODE_REQUIRED': 'The invitation code is required.',
+    'api.INVITATION_INVALID': 'The invitation code is invalid.',
+    'api.INVITATION_EXPIRED': 'The invitation code has expired.',
+    'api.INVITATION_EXHAUSTED': 'The invitation code has already been used as often as allowed.',
+    'api.USER_CREATION_FAILED': 'The Nextcloud account could not be created.',
+    'api.PROVISIONING_ROLLED_BACK': 'Setting up the account failed and was rolled back - please try again later.',
+    'api.PROVISIONING_INCOMPLETE': 'Your account was created but its setup is incomplete - please register again later to finish it.',
+    'api.ACCOUNT_NOT_FOUND': 'No Nextcloud account exists for this user - please register first.',
+    'api.EMAIL_UPDATE_FAILED': 'The email address of the account could not be updated.',
+    'api.ACCOUNT_EMAIL_MISSING': 'The account has no email address - please provide a new one.',
+    'api.RESET_MAIL_FAILED': 'The password reset mail could not be sent.',
+    'api.REASON_REQUIRED': 'Please give a reason.',
+    'api.REASON_TOO_LONG': 'The reason must not exceed 2000 characters.',
+    'api.EXCEPTION_REQUEST_PENDING': 'An exception request for this user is already waiting for a decision.',
+    'api.PRIVACY_LOGIN_REQUIRED': 'Your login has expired - please log in again.',
+    'api.ACCOUNT_ERASED': 'Your account and the portal\'s records about you have been deleted. Log entries are removed after {days} days at the latest.',
+    'api.ERASURE_INCOMPLETE': 'Your account has been deleted, but some of the portal\'s records could not be removed. Please contact datenschutz@iwi-hka.de.',
+    'api.ERASURE_CONFIRMATION_INVALID': 'The confirmation is invalid or has expired - please request the deletion again.',
+    'api.ACCOUNT_DELETION_FAILED': 'The Nextcloud account could not be deleted - please try again later.',
+    'api.NETWORK_ERROR': 'The server is not reachable. Please check your internet connection and try again.',
+    'api.INTERNAL_ERROR': 'Internal server error.',
+};
@@ -0,0 +1,106 @@
+import { createContext, useContext } from 'react';
+import { de } from './de';
+import { en } from './en';
+
+/**
+ * Internationalisation: message catalogs, language detection and the
+ * useI18n() hook (see I18nProvider for the context provider)
+ */
+
+export type Messages = typeof de;
+
+export type MessageKey = keyof Messages;
+
+export type MessageParams = Record<string, string | number | undefined>;
+
+export type Language = 'de' | 'en';
+
+export const LANGUAGES: Language[] = ['de', 'en'];
+
+const catalogs: Record<Language, Messages> = { de, en };
+
+const STORAGE_KEY = 'language';
+
+const isLanguage = (value: string | null | undefined): value is Language =>
+    LANGUAGES.includes(value as Language);
+
+/**
+ * Language chosen earlier with the switcher, otherwise the first supported
+ * browser language, otherwise German
+ */
+export const detectLanguage = (): Language => {
+    try {
+        const stored = localStorage.getItem(STORAGE_KEY);
+        if (isLanguage(stored)) {
+            return stored;
+        }
+    } catch {
+        // Storage disabled - fall back to the browser languages
+    }
+
+    const preferred = navigator.languages?.length ? navigator.languages : [navigator.language];
+    const match = preferred.map((tag) => tag?.slice(0, 2).toLowerCase()).find(isLanguage);
+    return match ?? 'de';
+};
+
+export const storeLanguage = (language: Language) => {
+    try {
+        localStorage.setItem(STORAGE_KEY, language);
+    } catch {
+        // Not persisted - the choice only lasts for this page view
+    }
+};
+
+export const translate = (language: Language, key: MessageKey, params?: MessageParams): string => {
+    const text = catalogs[language][key];
+    if (!params) return text;
+    return text.replace(/\{(\w+)\}/g, (placeholder, name: string) =>
+        params[name] !== undefined ? String(params[name]) : placeholder);
+};
+
+/**
+ * A message for the user. It is kept untranslated in component state and
+ * translated when rendered, so it follows a language switch.
+ */
+export interface UserMessage {
+    key: MessageKey;
+    params?: MessageParams;
+    /** Backend request ID, shown as reference for support */
+    requestId?: string;
+}
+
+const isMessageKey = (key: string): key is MessageKey => Object.prototype.hasOwnProperty.call(de, key);
+
+/**
+ * Message for a backend answer: the text of its code - or of the eligibility
+ * rule for NOT_ELIGIBLE - and the fallback for unknown codes
+ */
+export const apiMessage = (
+    answer: { code?: string; params?: MessageParams; requestId?: string },
+    fallback: MessageKey
+): UserMessage => {
+    const candidates = [
+        answer.code && answer.params?.rule ? `api.${answer.code}.${answer.params.rule}` : undefined,
+        answer.code ? `api.${answer.code}` : undefined,
+    ];
+    const key = candidates.find((candidate): candidate is MessageKey => !!candidate && isMessageKey(candidate));
+    return { key: key ?? fallback, params: answer.params, requestId: answer.requestId };
+};
+
+export interface I18nContextValue {
+    language: Language;
+    setLanguage: (language: Language) => void;
+    t: (key: MessageKey, params?: MessageParams) => string;
+    /** Translated text of a UserMessage including its reference */
+    format: (message: UserMessage) => string;
+}
+
+export const I18nContext = createContext<I18nContextValue | null>(null);
+
+export const useI18n = (): I18nContextValue => {
+    const context = useContext(I18nContext);
+    if (!context) {
+        throw new Error('useI18n must be used within an I18nProvider');
+    }
+    return context;
+};
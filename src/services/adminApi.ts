@@ -0,0 +1,256 @@
+import axios, { type AxiosInstance } from 'axios';
+import { logger } from '../utils/logger';
+import { describeApiError, type ApiResponse } from './api';
+import { protectWithCsrfToken } from './csrf';
+import { answerChallenge } from './challenge';
+
+/**
+ * API service for the admin dashboard
+ */
+
+export interface RegistrationRecord {
+    id: string;
+    timestamp: string;
+    stage: 'auth' | 'create' | 'recovery';
+    rzUsername?: string;
+    email?: string;
+    outcome: string;
+    httpStatus: number;
+    rule?: string;
+    message?: string;
+    ip?: string;
+    profile?: string;
+}
+
+export interface RegistrationFilters {
+    username?: string;
+    stage?: string;
+    outcome?: string;
+    from?: string;
+    to?: string;
+}
+
+export type ExceptionStatus = 'pending' | 'approved' | 'denied';
+
+export interface ExceptionRequest {
+    id: string;
+    rzUsername: string;
+    email?: string;
+    reason: string;
+    rule?: string;
+    personType?: string;
+    departments?: string[];
+    status: ExceptionStatus;
+    createdAt: string;
+    decidedAt?: string;
+    decidedBy?: string;
+    note?: string;
+}
+
+export type InvitationStatus = 'active' | 'expired' | 'exhausted' | 'revoked';
+
+export interface Invitation {
+    id: string;
+    label: string;
+    groups: string[];
+    quota?: string;
+    maxUses: number;
+    expiresAt: string;
+    /** Last four characters of the code - the code itself is only shown once */
+    codeHint: string;
+    uses: { username: string; usedAt: string }[];
+    status: InvitationStatus;
+    createdBy: string;
+    createdAt: string;
+    revokedAt?: string;
+    revokedBy?: string;
+}
+
+export interface InvitationSettings {
+    label: string;
+    groups: string[];
+    quota?: string;
+    maxUses: number;
+    validDays: number;
+}
+
+export interface AdminSession {
+    token: string;
+    username: string;
+    expiresAt: string;
+}
+
+const SESSION_KEY = 'adminSession';
+
+class AdminApiService {
+    private client: AxiosInstance;
+
+    constructor() {
+        this.client = axios.create({
+            baseURL: import.meta.env.VITE_API_BASE_URL,
+            timeout: 10000,
+            withCredentials: true,
+            headers: {
+                'Content-Type': 'application/json',
+            },
+        });
+        protectWithCsrfToken(this.client);
+
+        // Attach the admin session to every request
+        this.client.interceptors.request.use((config) => {
+            const session = this.getSession();
+            if (session) {
+                config.headers.Authorization = `Bearer ${session.token}`;
+            }
+            logger.logApiRequest(config.method?.toUpperCase() || 'GET', config.url || '');
+            return config;
+        });
+
+        // Drop the session once the backend no longer accepts it
+        this.client.interceptors.response.use(
+            (response) => response,
+            (error) => {
+                if (axios.isAxiosError(error) && error.response?.status === 401) {
+                    this.logout();
+                }
+                logger.logApiError(error.config?.method?.toUpperCase() || 'UNKNOWN', error.config?.url || '', error);
+                return Promise.reject(error);
+            }
+        );
+    }
+
+    /**
+     * Current admin session (kept in sessionStorage, never the password)
+     */
+    getSession(): AdminSession | null {
+        const stored = sessionStorage.getItem(SESSION_KEY);
+        if (!stored) return null;
+
+        const session = JSON.parse(stored) as AdminSession;
+        if (new Date(session.expiresAt).getTime() <= Date.now()) {
+            sessionStorage.removeItem(SESSION_KEY);
+            return null;
+        }
+        return session;
+    }
+
+    logout() {
+        sessionStorage.removeItem(SESSION_KEY);
+    }
+
+    private toError(error: unknown, fallback: string): ApiResponse<never> {
+        if (axios.isAxiosError(error)) {
+            return {
+                success: false,
+                error: describeApiError(error, fallback),
+                status: error.response?.status,
+            };
+        }
+        return { success: false, error: fallback };
+    }
+
+    /**
+     * Log in with RZ credentials of an admin
+     */
+    async login(rzUsername: string, rzPassword: string): Promise<ApiResponse<AdminSession>> {
+        try {
+            const response = await this.client.post<AdminSession>('/api/admin/login', { rzUsername, rzPassword }, {
+                headers: await answerChallenge(this.client),
+            });
+            const session = {
+                token: response.data.token,
+                username: response.data.username,
+                expiresAt: response.data.expiresAt,
+            };
+            sessionStorage.setItem(SESSION_KEY, JSON.stringify(session));
+            return { success: true, data: session };
+        } catch (error) {
+            return this.toError(error, 'Admin login failed');
+        }
+    }
+
+    async getRegistrations(filters: RegistrationFilters): Promise<ApiResponse<RegistrationRecord[]>> {
+        try {
+            const response = await this.client.get<{ records: RegistrationRecord[] }>('/api/admin/registrations', { params: filters });
+            return { success: true, data: response.data.records };
+        } catch (error) {
+            return this.toError(error, 'Loading registrations failed');
+        }
+    }
+
+    /**
+     * Download the filtered registration history as CSV file
+     */
+    async exportRegistrations(filters: RegistrationFilters): Promise<ApiResponse> {
+        try {
+            const response = await this.client.get<Blob>('/api/admin/registrations.csv', {
+                params: filters,
+                responseType: 'blob',
+            });
+
+            const url = URL.createObjectURL(response.data);
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = `registrations-${new Date().toISOString().slice(0, 10)}.csv`;
+            link.click();
+            URL.revokeObjectURL(url);
+
+            return { success: true };
+        } catch (error) {
+            return this.toError(error, 'CSV export failed');
+        }
+    }
+
+    async getExceptionRequests(status?: ExceptionStatus): Promise<ApiResponse<ExceptionRequest[]>> {
+        try {
+            const response = await this.client.get<{ requests: ExceptionRequest[] }>('/api/admin/exceptions', { params: { status } });
+            return { success: true, data: response.data.requests };
+        } catch (error) {
+            return this.toError(error, 'Loading exception requests failed');
+        }
+    }
+
+    async decideExceptionRequest(id: string, decision: 'approve' | 'deny', note?: string): Promise<ApiResponse<ExceptionRequest>> {
+        try {
+            const response = await this.client.post<{ request: ExceptionRequest }>(`/api/admin/exceptions/${id}/${decision}`, { note });
+            return { success: true, data: response.data.request };
+        } catch (error) {
+            return this.toError(error, 'Saving the decision failed');
+        }
+    }
+
+    async getInvitations(): Promise<ApiResponse<Invitation[]>> {
+        try {
+            const response = await this.client.get<{ invitations: Invitation[] }>('/api/admin/invitations');
+            return { success: true, data: response.data.invitations };
+        } catch (error) {
+            return this.toError(error, 'Loading invitations failed');
+        }
+    }
+
+    /**
+     * Create an invitation; the code is in the answer only this once
+     */
+    async createInvitation(settings: InvitationSettings): Promise<ApiResponse<{ invitation: Invitation; invitationCode: string }>> {
+        try {
+            const response = await this.client.post<{ invitation: Invitation; invitationCode: string }>('/api/admin/invitations', settings);
+            return {
+                success: true,
+                data: { invitation: response.data.invitation, invitationCode: response.data.invitationCode },
+            };
+        } catch (error) {
+            return this.toError(error, 'Creating the invitation failed');
+        }
+    }
+
+    async revokeInvitation(id: string): Promise<ApiResponse<Invitation>> {
+        try {
+            const response = await this.client.post<{ invitation: Invitation }>(`/api/admin/invitations/${id}/revoke`);
+            return { success: true, data: response.data.invitation };
+        } catch (error) {
+            return this.toError(error, 'Revoking the invitation failed');
+        }
+    }
+}
+
+export const adminApiService = new AdminApiService();
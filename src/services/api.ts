@@ -1,15 +1,40 @@
 import axios, { type AxiosInstance, type AxiosError } from 'axios';
 import { logger } from '../utils/logger';
+import type { MessageParams } from '../i18n';
+import { protectWithCsrfToken } from './csrf';
+import { answerChallenge, type ChallengeConfig } from './challenge';
 
 /**
  * API service for handling HTTP requests
  */
 
-export interface RegisterData {
+/**
+ * Error text of a failed request. The backend's request ID is appended as a
+ * reference, so support can find the request in the backend logs.
+ */
+export const describeApiError = (error: AxiosError<{ message?: string }>, fallback: string): string => {
+    const message = error.response?.data?.message || error.message || fallback;
+    const requestId = error.response?.headers['x-request-id'];
+    return requestId ? `${message} (Ref: ${requestId})` : message;
+};
+
+/** RZ login entered in the first step of the registration wizard */
+export interface RzCredentials {
     rzUsername: string;
-    email: string;
     rzPassword: string;
-    displayName?: string;
+}
+
+/**
+ * Body of a backend answer. code is stable and translated by the frontend,
+ * message is the English text for other clients and logs.
+ */
+interface BackendAnswer {
+    code?: string;
+    message?: string;
+    rule?: string;
+    attemptsLeft?: number;
+    retryAfter?: number;
+    exceptionTicket?: string;
 }
 
 export interface ApiResponse<T = any> {
@@ -17,17 +42,201 @@ export interface ApiResponse<T = any> {
     data?: T;
     message?: string;
     error?: string;
+    /** Stable code of the backend answer (NETWORK_ERROR if the backend was not reachable) */
+    code?: string;
+    /** Values for the translated message of the code */
+    params?: MessageParams;
+    /** Backend request ID of a failed request */
+    requestId?: string;
+    /** Seconds to wait before retrying (set when the backend answered 429) */
+    retryAfter?: number;
+    /** HTTP status of a failed request */
+    status?: number;
+    /** Set when the eligibility policy rejected the user; allows requesting an exception */
+    exceptionTicket?: string;
 }
 
 export interface AuthCheckData {
     rzUsername: string;
     rzPassword: string;
+    consent: ConsentAcceptance;
+}
+
+export interface ConsentSection {
+    heading: string;
+    paragraphs?: string[];
+    items?: string[];
+    contact?: string;
+    contactLabel?: string;
+}
+
+export interface ConsentDocument {
+    sections: ConsentSection[];
+    /** Text of the checkbox confirming the document */
+    confirmation: string;
+}
+
+/**
+ * A version of the privacy policy and terms of use, each document keyed by language
+ */
+export interface ConsentVersion {
+    version: number;
+    publishedAt: string;
+    documents: {
+        privacy: Record<string, ConsentDocument>;
+        terms: Record<string, ConsentDocument>;
+    };
+}
+
+/** The consent version a user accepted and when */
+export interface ConsentAcceptance {
+    version: number;
+    acceptedAt: string;
+}
+
+export interface AuthCheckResult {
+    success: boolean;
+    message?: string;
+    eligibilityRule?: string;
+    registrationTicket?: string;
+    registrationTicketExpiresAt?: string;
+    displayName?: string;
+    nextcloudUsername?: string;
+}
+
+/** Whether the Nextcloud account of an RZ username exists already */
+export interface UsernameAvailability {
+    username: string;
+    /** Nextcloud ID the account has or would get */
+    nextcloudUsername?: string;
+    available: boolean;
+    /** Taken by an account the portal did not create for this user */
+    collision: boolean;
+}
+
+/**
+ * Registration that passed the RZ check. Holds no password - only the ticket
+ * issued by /api/auth and the display name suggested from Raumzeit.
+ */
+export interface AuthenticatedRegistration {
+    /** RZ username, or the guest ID for a registration with an invitation code */
+    rzUsername: string;
+    registrationTicket: string;
+    ticketExpiresAt?: string;
+    suggestedDisplayName?: string;
+    /** Nextcloud ID the account will get */
+    nextcloudUsername?: string;
+}
+
+/** Invitation code of a guest without an RZ account and the username they picked */
+export interface InvitationData {
+    invitationCode: string;
+    username: string;
+}
+
+interface InvitationResult {
+    registrationTicket: string;
+    registrationTicketExpiresAt?: string;
+    /** Guest ID the following requests use as rzUsername */
+    username: string;
+    nextcloudUsername: string;
+}
+
+export interface EmailVerificationData {
+    rzUsername: string;
+    email: string;
+    registrationTicket: string;
 }
 
 export interface NextcloudUserData {
     rzUsername: string;
     email: string;
     displayName?: string;
+    registrationTicket: string;
+    verificationCode: string;
+}
+
+export interface ExceptionRequestData {
+    rzUsername: string;
+    exceptionTicket: string;
+    email?: string;
+    reason: string;
+}
+
+export interface RecoveryData {
+    rzUsername: string;
+    rzPassword: string;
+    /** New email address for the account (optional, has to be verified) */
+    email?: string;
+}
+
+/**
+ * Recovery that passed the RZ check. When a new email was given, it waits
+ * for the verification code; otherwise it can be confirmed right away.
+ */
+export interface PendingRecovery {
+    rzUsername: string;
+    registrationTicket: string;
+    email?: string;
+    codeExpiresAt?: string;
+}
+
+/** One step of the onboarding of a new account, e.g. "folder:Studium" or "password-mail" */
+export interface OnboardingStep {
+    step: string;
+    success: boolean;
+    message?: string;
+}
+
+export interface RegistrationResult {
+    /** Nextcloud ID of the new account */
+    username?: string;
+    /** Set when the backend has an onboarding configured */
+    onboarding?: {
+        completed: boolean;
+        steps: OnboardingStep[];
+    };
+}
+
+export interface RecoveryResult {
+    /** Masked address the reset mail was sent to */
+    email?: string;
+}
+
+/** Session of the privacy self-service (data export and erasure) */
+export interface PrivacySession {
+    username: string;
+    token: string;
+    expiresAt: string;
+}
+
+export type ExportFormat = 'json' | 'zip';
+
+/** Filed erasure request, carried out once it is confirmed with the token */
+export interface ErasureRequest {
+    erasureRequestId: string;
+    confirmationToken: string;
+    expiresAt: string;
+}
+
+export interface ErasureResult {
+    erasureRequestId: string;
+    /** What was removed: true/false per record, a count for lists */
+    removed: Record<string, boolean | number>;
+    /** Days until the remaining log entries expire */
+    logRetentionDays: number;
+}
+
+/**
+ * Registration that passed the RZ check and waits for the email verification code.
+ * Holds no password - only the ticket issued by /api/auth.
+ */
+export interface PendingRegistration {
+    rzUsername: string;
+    email: string;
+    displayName?: string;
+    registrationTicket: string;
+    codeExpiresAt?: string;
 }
 
 class ApiService {
@@ -37,10 +246,13 @@ class ApiService {
         this.client = axios.create({
             baseURL: import.meta.env.VITE_API_BASE_URL,
             timeout: 10000,
+            // Sends the session cookie the CSRF token is bound to
+            withCredentials: true,
             headers: {
                 'Content-Type': 'application/json',
             },
         });
+        protectWithCsrfToken(this.client);
 
         // Request interceptor
         this.client.interceptors.request.use(
@@ -50,6 +262,18 @@ class ApiService {
                 if (safeData.rzPassword) {
                     safeData.rzPassword = '[REDACTED]';
                 }
+                if (safeData.registrationTicket) {
+                    safeData.registrationTicket = '[REDACTED]';
+                }
+                if (safeData.verificationCode) {
+                    safeData.verificationCode = '[REDACTED]';
+                }
+                if (safeData.confirmationToken) {
+                    safeData.confirmationToken = '[REDACTED]';
+                }
+                if (safeData.invitationCode) {
+                    safeData.invitationCode = '[REDACTED]';
+                }
 
                 logger.logApiRequest(
                     config.method?.toUpperCase() || 'GET',
@@ -86,12 +310,41 @@ class ApiService {
         );
     }
 
+    /**
+     * Read the wait time of a 429 response from the Retry-After header or the body
+     */
+    private getRetryAfter(error: AxiosError<{ retryAfter?: number }>): number | undefined {
+        const header = Number(error.response?.headers['retry-after']);
+        if (Number.isFinite(header) && header > 0) {
+            return header;
+        }
+        return error.response?.data?.retryAfter;
+    }
+
+    /**
+     * Failed request as ApiResponse with the code of the backend answer and
+     * the values its message needs
+     */
+    private toFailure(error: AxiosError<BackendAnswer>, fallback: string): ApiResponse {
+        const data = error.response?.data;
+        return {
+            success: false,
+            error: describeApiError(error, fallback),
+            code: error.response ? data?.code : 'NETWORK_ERROR',
+            params: { rule: data?.rule, attemptsLeft: data?.attemptsLeft },
+            requestId: error.response?.headers['x-request-id'],
+            status: error.response?.status,
+        };
+    }
+
     /**
      * Check user eligibility with rzUsername and rzPassword
      */
-    private async checkUserEligibility(authData: AuthCheckData): Promise<ApiResponse> {
+    private async checkUserEligibility(authData: AuthCheckData): Promise<ApiResponse<AuthCheckResult>> {
         try {
-            const response = await this.client.post<ApiResponse>('/api/auth', authData);
+            const response = await this.client.post<AuthCheckResult>('/api/auth', authData, {
+                headers: await answerChallenge(this.client),
+            });
             return {
                 success: true,
                 data: response.data,
@@ -100,8 +353,9 @@ class ApiService {
         } catch (error) {
             if (axios.isAxiosError(error)) {
                 return {
-                    success: false,
-                    error: error.response?.data?.message || error.message || 'User eligibility check failed',
+                    ...this.toFailure(error, 'User eligibility check failed'),
+                    retryAfter: error.response?.status === 429 ? this.getRetryAfter(error) : undefined,
+                    exceptionTicket: error.response?.data?.exceptionTicket,
                 };
             }
             return {
@@ -111,49 +365,433 @@ class ApiService {
         }
     }
 
+    /**
+     * Send an email verification code
+     */
+    private async requestVerificationCode(verificationData: EmailVerificationData): Promise<ApiResponse<{ expiresAt?: string }>> {
+        try {
+            const response = await this.client.post<ApiResponse & { expiresAt?: string }>('/api/email/verification', verificationData);
+            return {
+                success: true,
+                data: { expiresAt: response.data.expiresAt },
+                message: response.data.message,
+                code: response.data.code
+            };
+        } catch (error) {
+            if (axios.isAxiosError(error)) {
+                return this.toFailure(error, 'Sending the verification code failed');
+            }
+            return {
+                success: false,
+                error: 'An unexpected error occurred while sending the verification code',
+            };
+        }
+    }
+
     /**
      * Create Nextcloud user
      */
-    private async createNextcloudUser(userData: NextcloudUserData): Promise<ApiResponse> {
+    private async createNextcloudUser(userData: NextcloudUserData): Promise<ApiResponse<RegistrationResult>> {
         try {
-            const response = await this.client.post<ApiResponse>('/api/nextcloud/user', userData);
-            return response.data;
+            const response = await this.client.post<ApiResponse & RegistrationResult>('/api/nextcloud/user', userData, {
+                // The backend answers after the groups and the onboarding, each Nextcloud call with
+                // its own timeout and retries - giving up earlier would report a created account as failed
+                timeout: 300000,
+            });
+            return {
+                success: true,
+                data: { username: response.data.username, onboarding: response.data.onboarding },
+                message: response.data.message,
+                code: response.data.code
+            };
+        } catch (error) {
+            if (axios.isAxiosError(error)) {
+                return this.toFailure(error, 'Nextcloud user creation failed');
+            }
+            return {
+                success: false,
+                error: 'An unexpected error occurred during user creation',
+            };
+        }
+    }
+
+    /**
+     * Trigger the Nextcloud password reset mail for an existing account
+     */
+    private async recoverNextcloudUser(pending: PendingRecovery, verificationCode?: string): Promise<ApiResponse<RecoveryResult>> {
+        try {
+            const response = await this.client.post<ApiResponse & RecoveryResult>('/api/nextcloud/recovery', {
+                rzUsername: pending.rzUsername,
+                registrationTicket: pending.registrationTicket,
+                email: pending.email,
+                verificationCode
+            });
+            return {
+                success: true,
+                data: { email: response.data.email },
+                message: response.data.message,
+                code: response.data.code,
+                params: { email: response.data.email }
+            };
+        } catch (error) {
+            if (axios.isAxiosError(error)) {
+                return this.toFailure(error, 'Account recovery failed');
+            }
+            return {
+                success: false,
+                error: 'An unexpected error occurred during account recovery',
+            };
+        }
+    }
+
+    /**
+     * Load the current privacy policy and terms of use
+     */
+    async getConsent(): Promise<ApiResponse<ConsentVersion>> {
+        try {
+            const response = await this.client.get<ConsentVersion>('/api/consent');
+            return { success: true, data: response.data };
+        } catch (error) {
+            if (axios.isAxiosError(error)) {
+                return this.toFailure(error, 'Loading the privacy policy failed');
+            }
+            return {
+                success: false,
+                error: 'An unexpected error occurred while loading the privacy policy',
+            };
+        }
+    }
+
+    /**
+     * Load the challenge in front of the RZ login (for the CAPTCHA widget)
+     */
+    async getChallenge(): Promise<ApiResponse<ChallengeConfig>> {
+        try {
+            const response = await this.client.get<ChallengeConfig>('/api/challenge');
+            return { success: true, data: response.data };
+        } catch (error) {
+            if (axios.isAxiosError(error)) {
+                return this.toFailure(error, 'Loading the challenge failed');
+            }
+            return {
+                success: false,
+                error: 'An unexpected error occurred while loading the challenge',
+            };
+        }
+    }
+
+    /**
+     * Check whether a Nextcloud account with the username exists already
+     */
+    async checkUsername(username: string): Promise<ApiResponse<UsernameAvailability>> {
+        try {
+            const response = await this.client.get<ApiResponse & Omit<UsernameAvailability, 'collision'>>(`/api/nextcloud/username/${encodeURIComponent(username)}`);
+            return {
+                success: true,
+                data: {
+                    username: response.data.username,
+                    nextcloudUsername: response.data.nextcloudUsername,
+                    available: response.data.available,
+                    collision: response.data.code === 'USERNAME_COLLISION'
+                },
+                code: response.data.code
+            };
         } catch (error) {
             if (axios.isAxiosError(error)) {
                 return {
-                    success: false,
-                    error: error.response?.data?.message || error.message || 'Nextcloud user creation failed',
+                    ...this.toFailure(error, 'Checking the username failed'),
+                    retryAfter: error.response?.status === 429 ? this.getRetryAfter(error) : undefined,
                 };
             }
             return {
                 success: false,
-                error: 'An unexpected error occurred during user creation',
+                error: 'An unexpected error occurred while checking the username',
+            };
+        }
+    }
+
+    /**
+     * Start a registration: check the RZ login and eligibility. The verification
+     * code is sent separately once the user confirmed their email address.
+     */
+    async authenticate(credentials: RzCredentials, consent: ConsentAcceptance): Promise<ApiResponse<AuthenticatedRegistration>> {
+        const eligibilityCheck = await this.checkUserEligibility({ ...credentials, consent });
+
+        if (!eligibilityCheck.success) {
+            return { ...eligibilityCheck, data: undefined };
+        }
+
+        const registrationTicket = eligibilityCheck.data?.registrationTicket;
+        if (!registrationTicket) {
+            return {
+                success: false,
+                error: 'Authentication did not return a registration ticket',
+            };
+        }
+
+        return {
+            success: true,
+            data: {
+                rzUsername: credentials.rzUsername,
+                registrationTicket,
+                ticketExpiresAt: eligibilityCheck.data?.registrationTicketExpiresAt,
+                suggestedDisplayName: eligibilityCheck.data?.displayName,
+                nextcloudUsername: eligibilityCheck.data?.nextcloudUsername
+            }
+        };
+    }
+
+    /**
+     * Start a guest registration with an invitation code instead of the RZ
+     * login. The rest of the registration is the same.
+     */
+    async redeemInvitation(invitation: InvitationData, consent: ConsentAcceptance): Promise<ApiResponse<AuthenticatedRegistration>> {
+        try {
+            const response = await this.client.post<InvitationResult>('/api/invitations/redeem', { ...invitation, consent }, {
+                headers: await answerChallenge(this.client),
+            });
+            return {
+                success: true,
+                data: {
+                    rzUsername: response.data.username,
+                    registrationTicket: response.data.registrationTicket,
+                    ticketExpiresAt: response.data.registrationTicketExpiresAt,
+                    nextcloudUsername: response.data.nextcloudUsername,
+                },
+            };
+        } catch (error) {
+            if (axios.isAxiosError(error)) {
+                return {
+                    ...this.toFailure(error, 'Redeeming the invitation failed'),
+                    retryAfter: error.response?.status === 429 ? this.getRetryAfter(error) : undefined,
+                };
+            }
+            return {
+                success: false,
+                error: 'An unexpected error occurred while redeeming the invitation',
+            };
+        }
+    }
+
+    /**
+     * Send a (new) verification code for a pending registration
+     */
+    async resendVerificationCode(pending: PendingRegistration): Promise<ApiResponse<PendingRegistration>> {
+        const verification = await this.requestVerificationCode({
+            rzUsername: pending.rzUsername,
+            email: pending.email,
+            registrationTicket: pending.registrationTicket
+        });
+
+        if (!verification.success) {
+            return { ...verification, data: undefined };
+        }
+
+        return {
+            success: true,
+            data: { ...pending, codeExpiresAt: verification.data?.expiresAt },
+            message: verification.message,
+            code: verification.code
+        };
+    }
+
+    /**
+     * Finish a registration: create the Nextcloud user once the email code is confirmed
+     */
+    async confirmRegistration(pending: PendingRegistration, verificationCode: string): Promise<ApiResponse<RegistrationResult>> {
+        // Step 3: Create Nextcloud user, proving step 1 with the ticket and step 2 with the code
+        return this.createNextcloudUser({
+            rzUsername: pending.rzUsername,
+            email: pending.email,
+            displayName: pending.displayName,
+            registrationTicket: pending.registrationTicket,
+            verificationCode
+        });
+    }
+
+    /**
+     * Ask an admin for an exception after the eligibility policy rejected the user
+     */
+    async requestException(data: ExceptionRequestData): Promise<ApiResponse> {
+        try {
+            const response = await this.client.post<ApiResponse>('/api/exceptions', data);
+            return response.data;
+        } catch (error) {
+            if (axios.isAxiosError(error)) {
+                return this.toFailure(error, 'Submitting the request failed');
+            }
+            return {
+                success: false,
+                error: 'An unexpected error occurred while submitting the request',
             };
         }
     }
 
     /**
-     * Register a new user (two-step process)
+     * Start an account recovery: re-check the RZ login and, if a new email
+     * address was given, send it a verification code
      */
-    async register(data: RegisterData): Promise<ApiResponse> {
-        // Step 1: Check user eligibility
+    async startRecovery(data: RecoveryData, consent: ConsentAcceptance): Promise<ApiResponse<PendingRecovery>> {
         const eligibilityCheck = await this.checkUserEligibility({
             rzUsername: data.rzUsername,
-            rzPassword: data.rzPassword
+            rzPassword: data.rzPassword,
+            consent
         });
 
         if (!eligibilityCheck.success) {
-            return eligibilityCheck;
+            return { ...eligibilityCheck, data: undefined, exceptionTicket: undefined };
         }
 
-        // Step 2: Create Nextcloud user if eligible
-        const userCreation = await this.createNextcloudUser({
+        const registrationTicket = eligibilityCheck.data?.registrationTicket;
+        if (!registrationTicket) {
+            return {
+                success: false,
+                error: 'Authentication did not return a registration ticket',
+            };
+        }
+
+        if (!data.email) {
+            return { success: true, data: { rzUsername: data.rzUsername, registrationTicket } };
+        }
+
+        return this.resendVerificationCode({
             rzUsername: data.rzUsername,
             email: data.email,
-            displayName: data.displayName
+            registrationTicket
         });
+    }
 
-        return userCreation;
+    /**
+     * Finish an account recovery (with the code if a new email was given)
+     */
+    async confirmRecovery(pending: PendingRecovery, verificationCode?: string): Promise<ApiResponse<RecoveryResult>> {
+        return this.recoverNextcloudUser(pending, verificationCode);
+    }
+
+    /**
+     * Log in to the privacy self-service with the RZ credentials
+     */
+    async privacyLogin(rzUsername: string, rzPassword: string): Promise<ApiResponse<PrivacySession>> {
+        try {
+            const response = await this.client.post<PrivacySession>('/api/privacy/login', { rzUsername, rzPassword }, {
+                headers: await answerChallenge(this.client),
+            });
+            return {
+                success: true,
+                data: {
+                    username: response.data.username,
+                    token: response.data.token,
+                    expiresAt: response.data.expiresAt,
+                },
+            };
+        } catch (error) {
+            if (axios.isAxiosError(error)) {
+                return {
+                    ...this.toFailure(error, 'Login failed'),
+                    retryAfter: error.response?.status === 429 ? this.getRetryAfter(error) : undefined,
+                };
+            }
+            return {
+                success: false,
+                error: 'An unexpected error occurred during login',
+            };
+        }
+    }
+
+    /**
+     * Download everything stored about the user as JSON file or ZIP archive
+     */
+    async downloadPersonalData(session: PrivacySession, format: ExportFormat): Promise<ApiResponse> {
+        try {
+            const response = await this.client.get<Blob>('/api/privacy/export', {
+                params: { format },
+                headers: { Authorization: `Bearer ${session.token}` },
+                responseType: 'blob',
+                // Collecting the log entries can take a while
+                timeout: 60000,
+            });
+
+            const url = URL.createObjectURL(response.data);
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = `personal-data-${new Date().toISOString().slice(0, 10)}.${format}`;
+            link.click();
+            URL.revokeObjectURL(url);
+
+            return { success: true };
+        } catch (error) {
+            if (axios.isAxiosError(error)) {
+                // Error answers of a blob request arrive as Blob - read the JSON body for its code
+                if (error.response?.data instanceof Blob) {
+                    try {
+                        error.response.data = JSON.parse(await error.response.data.text());
+                    } catch {
+                        // No JSON body - fall back to the generic message
+                    }
+                }
+                return this.toFailure(error, 'Data export failed');
+            }
+            return {
+                success: false,
+                error: 'An unexpected error occurred during the data export',
+            };
+        }
+    }
+
+    /**
+     * File an erasure request; it has to be confirmed with confirmErasure
+     */
+    async requestErasure(session: PrivacySession): Promise<ApiResponse<ErasureRequest>> {
+        try {
+            const response = await this.client.post<ErasureRequest & { code?: string }>('/api/privacy/erasure', {}, {
+                headers: { Authorization: `Bearer ${session.token}` },
+            });
+            return {
+                success: true,
+                data: {
+                    erasureRequestId: response.data.erasureRequestId,
+                    confirmationToken: response.data.confirmationToken,
+                    expiresAt: response.data.expiresAt,
+                },
+                code: response.data.code,
+            };
+        } catch (error) {
+            if (axios.isAxiosError(error)) {
+                return this.toFailure(error, 'Filing the erasure request failed');
+            }
+            return {
+                success: false,
+                error: 'An unexpected error occurred while filing the erasure request',
+            };
+        }
+    }
+
+    /**
+     * Confirm an erasure request: deletes the Nextcloud account and the portal's records
+     */
+    async confirmErasure(session: PrivacySession, request: ErasureRequest): Promise<ApiResponse<ErasureResult>> {
+        try {
+            const response = await this.client.post<ErasureResult & { code?: string; message?: string }>('/api/privacy/erasure/confirm', {
+                confirmationToken: request.confirmationToken,
+            }, {
+                headers: { Authorization: `Bearer ${session.token}` },
+            });
+            return {
+                success: true,
+                data: response.data,
+                message: response.data.message,
+                code: response.data.code,
+                params: { days: response.data.logRetentionDays },
+            };
+        } catch (error) {
+            if (axios.isAxiosError(error)) {
+                return this.toFailure(error, 'Account erasure failed');
+            }
+            return {
+                success: false,
+                error: 'An unexpected error occurred during the account erasure',
+            };
+        }
     }
 }
 
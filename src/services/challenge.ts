@@ -0,0 +1,84 @@
+import type { AxiosInstance } from 'axios';
+import { fetchCsrfToken } from './csrf';
+
+/**
+ * Challenge the backend requires before it checks RZ credentials (see
+ * backend/lib/challenge.js). Proof-of-work and the test stub are solved
+ * here without the user noticing; a CAPTCHA is solved in the
+ * ChallengeWidget, which hands its token over with setCaptchaToken().
+ */
+
+export type CaptchaWidget = 'turnstile' | 'hcaptcha';
+
+export interface ChallengeConfig {
+    provider: 'pow' | 'captcha' | 'stub' | 'none';
+    /** Proof-of-work: signed challenge and the number of leading zero bits the hash needs */
+    challenge?: string;
+    difficulty?: number;
+    /** CAPTCHA: site key, widget script and the global the script defines */
+    siteKey?: string;
+    scriptUrl?: string;
+    widget?: CaptchaWidget;
+}
+
+let captchaToken: string | undefined;
+const resetListeners = new Set<() => void>();
+
+/** Token of the solved CAPTCHA widget (undefined once it expired) */
+export const setCaptchaToken = (token?: string) => {
+    captchaToken = token;
+};
+
+/** Called when the CAPTCHA token was used up and the widget has to be solved again */
+export const onCaptchaReset = (listener: () => void) => {
+    resetListeners.add(listener);
+    return () => {
+        resetListeners.delete(listener);
+    };
+};
+
+const leadingZeroBits = (hash: Uint8Array): number => {
+    let bits = 0;
+    for (const byte of hash) {
+        if (byte !== 0) {
+            return bits + Math.clz32(byte) - 24;
+        }
+        bits += 8;
+    }
+    return bits;
+};
+
+// Tries nonces until SHA-256("<challenge>:<nonce>") has enough leading zero bits
+const solveProofOfWork = async (challenge: string, difficulty: number): Promise<string> => {
+    const encoder = new TextEncoder();
+    for (let nonce = 0; ; nonce++) {
+        const answer = `${challenge}:${nonce.toString(36)}`;
+        const hash = new Uint8Array(await crypto.subtle.digest('SHA-256', encoder.encode(answer)));
+        if (leadingZeroBits(hash) >= difficulty) {
+            return answer;
+        }
+    }
+};
+
+/**
+ * Headers with the answer to a fresh challenge, for requests that check RZ credentials
+ */
+export const answerChallenge = async (client: AxiosInstance): Promise<Record<string, string>> => {
+    // Without a CSRF token the request would fail after the single-use answer was taken
+    await fetchCsrfToken(client);
+    const { data } = await client.get<ChallengeConfig>('/api/challenge');
+    let answer: string | undefined;
+
+    if (data.provider === 'pow' && data.challenge) {
+        answer = await solveProofOfWork(data.challenge, data.difficulty ?? 0);
+    } else if (data.provider === 'stub') {
+        answer = 'stub';
+    } else if (data.provider === 'captcha') {
+        // A CAPTCHA token is valid once - the widget has to be solved again
+        answer = captchaToken;
+        captchaToken = undefined;
+        resetListeners.forEach((listener) => listener());
+    }
+
+    return answer ? { 'X-Challenge-Response': answer } : {};
+};
@@ -0,0 +1,59 @@
+import axios, { type AxiosInstance } from 'axios';
+
+/**
+ * CSRF protection of state-changing requests. The backend binds the token
+ * from GET /api/csrf to a session cookie, so the token is fetched once per
+ * page view and sent as X-CSRF-Token; a rejected token (e.g. after the
+ * browser dropped the cookie) is fetched again and the request retried once.
+ * The backend checks the token before anything else, so a rejected request
+ * has not spent its challenge answer and is retried with the same one.
+ */
+
+declare module 'axios' {
+    interface AxiosRequestConfig {
+        /** Set on the retry after a rejected CSRF token */
+        csrfRetried?: boolean;
+    }
+}
+
+const SAFE_METHODS = ['get', 'head', 'options'];
+
+// Shared by all clients - the session cookie is the same
+let csrfToken: Promise<string> | null = null;
+
+/** The CSRF token of the session, fetched once (again after a rejection) */
+export const fetchCsrfToken = (client: AxiosInstance): Promise<string> => {
+    csrfToken ??= client.get<{ csrfToken: string }>('/api/csrf')
+        .then((response) => response.data.csrfToken)
+        .catch((error) => {
+            csrfToken = null;
+            throw error;
+        });
+    return csrfToken;
+};
+
+/**
+ * Adds the CSRF token to the state-changing requests of a client
+ * (created with withCredentials, so the session cookie is sent)
+ */
+export const protectWithCsrfToken = (client: AxiosInstance) => {
+    client.interceptors.request.use(async (config) => {
+        if (!SAFE_METHODS.includes(config.method?.toLowerCase() || 'get')) {
+            config.headers.set('X-CSRF-Token', await fetchCsrfToken(client));
+        }
+        return config;
+    });
+
+    client.interceptors.response.use(
+        (response) => response,
+        (error) => {
+            const config = axios.isAxiosError(error) ? error.config : undefined;
+            if (config && !config.csrfRetried
+                && error.response?.status === 403 && error.response.data?.code === 'CSRF_TOKEN_INVALID') {
+                csrfToken = null;
+                return client.request({ ...config, csrfRetried: true });
+            }
+            return Promise.reject(error);
+        }
+    );
+};
@@ -0,0 +1,32 @@
+import type { ConsentAcceptance } from '../services/api';
+
+/**
+ * Remembers the accepted consent version in the browser, so returning users
+ * are only asked again when a newer version has been published
+ */
+
+const STORAGE_KEY = 'consent';
+
+export const loadAcceptedConsent = (): ConsentAcceptance | null => {
+    try {
+        const stored = JSON.parse(localStorage.getItem(STORAGE_KEY) || 'null');
+        if (typeof stored?.version === 'number' && typeof stored?.acceptedAt === 'string') {
+            return { version: stored.version, acceptedAt: stored.acceptedAt };
+        }
+    } catch {
+        // Unreadable or disabled storage - ask again
+    }
+    return null;
+};
+
+export const storeAcceptedConsent = (consent: ConsentAcceptance | null) => {
+    try {
+        if (consent) {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify(consent));
+        } else {
+            localStorage.removeItem(STORAGE_KEY);
+        }
+    } catch {
+        // Not persisted - the consent only lasts for this page view
+    }
+};
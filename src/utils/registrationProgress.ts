@@ -0,0 +1,100 @@
+/**
+ * Keeps the progress of the registration wizard in sessionStorage, so a
+ * reload does not start over. Only what the wizard shows is stored - never
+ * the RZ password or the invitation code; the ticket from /api/auth (or
+ * /api/invitations/redeem) stands in for them until it expires.
+ */
+
+export type WizardStep = 'login' | 'profile' | 'confirm';
+
+/** RZ login, or invitation code for guests without an RZ account */
+export type LoginMode = 'rz' | 'invitation';
+
+export interface RegistrationProgress {
+    step: WizardStep;
+    mode: LoginMode;
+    /** RZ username; for guests the guest ID the backend returned with the ticket */
+    rzUsername: string;
+    /** Username a guest picked for the invitation */
+    guestUsername: string;
+    displayName: string;
+    email: string;
+    registrationTicket?: string;
+    ticketExpiresAt?: string;
+    suggestedDisplayName?: string;
+    nextcloudUsername?: string;
+    /** Set once the verification code has been sent to the email address */
+    codeExpiresAt?: string;
+    codeSent?: boolean;
+}
+
+const STORAGE_KEY = 'registrationProgress';
+const STEPS: WizardStep[] = ['login', 'profile', 'confirm'];
+const MODES: LoginMode[] = ['rz', 'invitation'];
+
+export const emptyRegistrationProgress = (): RegistrationProgress => ({
+    step: 'login',
+    mode: 'rz',
+    rzUsername: '',
+    guestUsername: '',
+    displayName: '',
+    email: '',
+});
+
+// Drops everything that depends on the RZ login, keeping the entered data
+export const backToLogin = (progress: RegistrationProgress): RegistrationProgress => ({
+    ...emptyRegistrationProgress(),
+    mode: progress.mode,
+    // A guest's ID is not what they typed - the login form starts from the picked name
+    rzUsername: progress.mode === 'invitation' ? '' : progress.rzUsername,
+    guestUsername: progress.guestUsername,
+    displayName: progress.displayName,
+    email: progress.email,
+});
+
+// Returns the stored progress; an expired ticket sends the user back to the
+// login step with the entered data kept
+export const loadRegistrationProgress = (): { progress: RegistrationProgress; expired: boolean } => {
+    try {
+        const stored = JSON.parse(sessionStorage.getItem(STORAGE_KEY) || 'null');
+        if (stored && STEPS.includes(stored.step) && typeof stored.rzUsername === 'string') {
+            const progress: RegistrationProgress = {
+                ...emptyRegistrationProgress(),
+                step: stored.step,
+                mode: MODES.includes(stored.mode) ? stored.mode : 'rz',
+                rzUsername: stored.rzUsername,
+                guestUsername: typeof stored.guestUsername === 'string' ? stored.guestUsername : '',
+                displayName: typeof stored.displayName === 'string' ? stored.displayName : '',
+                email: typeof stored.email === 'string' ? stored.email : '',
+                registrationTicket: stored.registrationTicket,
+                ticketExpiresAt: stored.ticketExpiresAt,
+                suggestedDisplayName: stored.suggestedDisplayName,
+                nextcloudUsername: stored.nextcloudUsername,
+                codeExpiresAt: stored.codeExpiresAt,
+                codeSent: stored.codeSent === true,
+            };
+
+            const ticketValid = !!progress.registrationTicket
+                && (!progress.ticketExpiresAt || Date.parse(progress.ticketExpiresAt) > Date.now());
+            if (progress.step !== 'login' && !ticketValid) {
+                return { progress: backToLogin(progress), expired: true };
+            }
+            return { progress, expired: false };
+        }
+    } catch {
+        // Unreadable or disabled storage - start over
+    }
+    return { progress: emptyRegistrationProgress(), expired: false };
+};
+
+export const storeRegistrationProgress = (progress: RegistrationProgress | null) => {
+    try {
+        if (progress && (progress.step !== 'login' || progress.rzUsername || progress.guestUsername)) {
+            sessionStorage.setItem(STORAGE_KEY, JSON.stringify(progress));
+        } else {
+            sessionStorage.removeItem(STORAGE_KEY);
+        }
+    } catch {
+        // Not persisted - the progress only lasts for this page view
+    }
+};